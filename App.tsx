@@ -9,6 +9,7 @@ import FAQPage from './pages/FAQPage';
 import ContactPage from './pages/ContactPage';
 import Modal from './components/Modal';
 import LoginForm from './components/LoginForm';
+import ForgotPasswordForm from './components/ForgotPasswordForm';
 import RegisterPage from './pages/RegisterPage';
 import AdminDashboardPage from './pages/AdminDashboardPage';
 import AdminLoginPage from './pages/AdminLoginPage';
@@ -25,6 +26,9 @@ import WhatsAppButton from './components/WhatsAppButton';
 import StudentProfileViewPage from './pages/admin/StudentProfileViewPage';
 import TrashPage from './pages/admin/TrashPage';
 import AddFamilyStudentPage from './pages/AddFamilyStudentPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import UnsubscribePage from './pages/UnsubscribePage';
+import NotificationsPage from './pages/NotificationsPage';
 
 // New Admin Pages
 import EventsManagementPage from './pages/admin/EventsManagementPage';
@@ -32,6 +36,10 @@ import GradeExamsManagementPage from './pages/admin/GradeExamsManagementPage';
 import BookMaterialsManagementPage from './pages/admin/BookMaterialsManagementPage';
 import NoticesManagementPage from './pages/admin/NoticesManagementPage';
 import LocationsManagementPage from './pages/admin/LocationsManagementPage';
+import FamiliesManagementPage from './pages/admin/FamiliesManagementPage';
+import AttendanceReportPage from './pages/admin/AttendanceReportPage';
+import PayrollPage from './pages/admin/PayrollPage';
+import EmailOutboxPage from './pages/admin/EmailOutboxPage';
 
 // New Student Pages
 import StudentDashboardHomePage from './pages/student/StudentDashboardHomePage';
@@ -47,20 +55,16 @@ import PaymentHistoryPage from './pages/student/PaymentHistoryPage';
 // New Teacher Pages
 import TeacherDashboardHomePage from './pages/teacher/TeacherDashboardHomePage';
 import TeacherProfilePage from './pages/teacher/TeacherProfilePage';
-
-const TeacherContentPlaceholder = ({ title }: { title: string }) => (
-    <div className="p-4 sm:p-6 md:p-8">
-        <h1 className="text-3xl font-bold text-dark-text">{title}</h1>
-        <div className="mt-8 text-center py-16 bg-white rounded-lg shadow-md">
-            <h3 className="text-xl font-semibold text-gray-700">Coming Soon!</h3>
-            <p className="text-gray-500 mt-2">This feature is under development.</p>
-        </div>
-    </div>
-);
-
+import TeacherCoursesPage from './pages/teacher/TeacherCoursesPage';
+import TeacherAttendancePage from './pages/teacher/TeacherAttendancePage';
+import TeacherBookMaterialsPage from './pages/teacher/TeacherBookMaterialsPage';
+import TeacherEventsPage from './pages/teacher/TeacherEventsPage';
+import TeacherNoticesPage from './pages/teacher/TeacherNoticesPage';
+import TeacherPaymentHistoryPage from './pages/teacher/TeacherPaymentHistoryPage';
 
 function App() {
   const [isLoginModalOpen, setLoginModalOpen] = useState(false);
+  const [isForgotPasswordView, setIsForgotPasswordView] = useState(false);
   const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [loginEmail, setLoginEmail] = useState('');
@@ -97,7 +101,7 @@ function App() {
   };
 
   const handleForgotPassword = () => {
-    alert('Password reset functionality is not yet implemented. Please contact support.');
+    setIsForgotPasswordView(true);
   };
 
   const handleLogout = async () => {
@@ -157,6 +161,7 @@ function App() {
 
   const closeLoginModal = () => {
     setLoginModalOpen(false);
+    setIsForgotPasswordView(false);
     setLoginEmail('');
   };
   
@@ -187,6 +192,16 @@ function App() {
           <Route path="/faq" element={<FAQPage />} />
           <Route path="/contact" element={<ContactPage />} />
           <Route path="/register" element={<RegisterPage onLoginNeeded={openLoginModal} />} />
+          <Route path="/reset-password" element={<ResetPasswordPage onLoginClick={() => openLoginModal()} />} />
+          <Route path="/unsubscribe" element={<UnsubscribePage />} />
+          <Route
+            path="/notifications"
+            element={
+              <UserProtectedRoute allowedRoles={[UserRole.Student, UserRole.Teacher, UserRole.Admin]}>
+                <NotificationsPage />
+              </UserProtectedRoute>
+            }
+          />
           <Route 
             path="/admin/login" 
             element={<AdminLoginPage onLoginSuccess={handleLoginSuccess} />} 
@@ -194,8 +209,12 @@ function App() {
           <Route path="/admin/dashboard" element={<AdminProtectedRoute><AdminDashboardPage /></AdminProtectedRoute>} />
           <Route path="/admin/students" element={<AdminProtectedRoute><StudentListPage /></AdminProtectedRoute>} />
           <Route path="/admin/student/:studentId" element={<AdminProtectedRoute><AdminStudentViewWrapper /></AdminProtectedRoute>} />
+          <Route path="/admin/families" element={<AdminProtectedRoute><FamiliesManagementPage /></AdminProtectedRoute>} />
           <Route path="/admin/teachers" element={<AdminProtectedRoute><TeacherListPage /></AdminProtectedRoute>} />
           <Route path="/admin/batches" element={<AdminProtectedRoute><BatchesPage /></AdminProtectedRoute>} />
+          <Route path="/admin/attendance" element={<AdminProtectedRoute><AttendanceReportPage /></AdminProtectedRoute>} />
+          <Route path="/admin/payroll" element={<AdminProtectedRoute><PayrollPage /></AdminProtectedRoute>} />
+          <Route path="/admin/emails" element={<AdminProtectedRoute><EmailOutboxPage /></AdminProtectedRoute>} />
           <Route path="/admin/locations" element={<AdminProtectedRoute><LocationsManagementPage /></AdminProtectedRoute>} />
           <Route path="/admin/fees" element={<AdminProtectedRoute><FeeManagementPage /></AdminProtectedRoute>} />
           <Route path="/admin/events" element={<AdminProtectedRoute><EventsManagementPage /></AdminProtectedRoute>} />
@@ -234,11 +253,12 @@ function App() {
           >
             <Route index element={<TeacherDashboardHomePage />} />
             <Route path="profile" element={<TeacherProfilePage />} />
-            <Route path="courses" element={<TeacherContentPlaceholder title="Your Courses" />} />
-            <Route path="book-materials" element={<TeacherContentPlaceholder title="Book Materials" />} />
-            <Route path="events" element={<TeacherContentPlaceholder title="Events" />} />
-            <Route path="notice" element={<TeacherContentPlaceholder title="Notice" />} />
-            <Route path="payment-history" element={<TeacherContentPlaceholder title="Payment History" />} />
+            <Route path="courses" element={<TeacherCoursesPage />} />
+            <Route path="attendance" element={<TeacherAttendancePage />} />
+            <Route path="book-materials" element={<TeacherBookMaterialsPage />} />
+            <Route path="events" element={<TeacherEventsPage />} />
+            <Route path="notice" element={<TeacherNoticesPage />} />
+            <Route path="payment-history" element={<TeacherPaymentHistoryPage />} />
           </Route>
 
         </Routes>
@@ -247,11 +267,18 @@ function App() {
       <WhatsAppButton />
 
       <Modal isOpen={isLoginModalOpen} onClose={closeLoginModal}>
-        <LoginForm 
-          onSuccess={handleLoginSuccess} 
-          initialEmail={loginEmail} 
-          onForgotPassword={handleForgotPassword}
-        />
+        {isForgotPasswordView ? (
+          <ForgotPasswordForm
+            initialEmail={loginEmail}
+            onBackToLogin={() => setIsForgotPasswordView(false)}
+          />
+        ) : (
+          <LoginForm 
+            onSuccess={handleLoginSuccess} 
+            initialEmail={loginEmail} 
+            onForgotPassword={handleForgotPassword}
+          />
+        )}
       </Modal>
     </div>
   );
@@ -48,6 +48,24 @@ const apiFetch = async (endpoint, options = {}) => {
   return body;
 };
 
+// Fetches a file such as a PDF and hands it to the browser as a download, named as the server suggests.
+const apiDownload = async (endpoint, fallbackFilename) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, { credentials: 'include' });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.message || `HTTP Error: ${response.status}`);
+  }
+  const filename = /filename="([^"]+)"/.exec(response.headers.get('content-disposition') || '')?.[1] || fallbackFilename;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
 // Export functions for frontend
 export const checkEmailExists = async (email) => {
   return apiFetch('/users/check-email', {
@@ -77,6 +95,20 @@ export const loginUser = async (email, password) => {
   });
 };
 
+export const requestPasswordReset = async (email) => {
+  return apiFetch('/password/forgot', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+export const resetPassword = async (token, password) => {
+  return apiFetch('/password/reset', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+};
+
 export const getCurrentUser = async () => {
   try {
     console.log('Fetching current user from:', API_BASE_URL + '/session');
@@ -111,6 +143,14 @@ export const updateUserProfile = async (userData) => {
   });
 };
 
+export const getWhatsAppOptIn = async () => apiFetch('/profile/whatsapp');
+export const setWhatsAppOptIn = async (optIn) => apiFetch('/profile/whatsapp', { method: 'PUT', body: JSON.stringify({ optIn }) });
+export const getNotificationPreferences = async () => apiFetch('/profile/notification-preferences');
+export const saveNotificationPreferences = async (preferences) => apiFetch('/profile/notification-preferences', { method: 'PUT', body: JSON.stringify(preferences) });
+
+// Works without a session: the signed token in the emailed link identifies the user.
+export const unsubscribeFromEmails = async (userId, category, token) => apiFetch('/email/unsubscribe', { method: 'POST', body: JSON.stringify({ user: userId, category, token }) });
+
 // Admin functions
 export const getAdminStats = async () => {
   return apiFetch('/admin/stats');
@@ -124,6 +164,11 @@ export const getAdminUserById = async (userId) => {
   return apiFetch(`/admin/users/${userId}`);
 };
 
+export const getUserWhatsAppOptIn = async (userId) => apiFetch(`/admin/users/${userId}/whatsapp`);
+export const setUserWhatsAppOptIn = async (userId, optIn) => apiFetch(`/admin/users/${userId}/whatsapp`, { method: 'PUT', body: JSON.stringify({ optIn }) });
+export const getUserNotificationPreferences = async (userId) => apiFetch(`/admin/users/${userId}/notification-preferences`);
+export const saveUserNotificationPreferences = async (userId, preferences) => apiFetch(`/admin/users/${userId}/notification-preferences`, { method: 'PUT', body: JSON.stringify(preferences) });
+
 export const addStudentByAdmin = async (userData) => {
   return apiFetch('/admin/users', {
     method: 'POST',
@@ -144,13 +189,18 @@ export const deleteUserByAdmin = async (userId) => {
   });
 };
 
-export const sendNotification = async (userIds, subject, message) => {
+export const sendNotification = async (userIds, subject, message, category) => {
   return apiFetch('/admin/notifications', {
     method: 'POST',
-    body: JSON.stringify({ userIds, subject, message }),
+    body: JSON.stringify({ userIds, subject, message, category }),
   });
 };
 
+// Failed and bounced emails unless other statuses are asked for.
+export const getOutgoingEmails = async (statuses) =>
+  apiFetch(statuses && statuses.length > 0 ? `/admin/emails?status=${statuses.join(',')}` : '/admin/emails');
+export const resendEmail = async (emailId) => apiFetch(`/admin/emails/${emailId}/resend`, { method: 'POST' });
+
 export const getAdminCourses = async () => {
   return apiFetch('/admin/courses');
 };
@@ -200,9 +250,25 @@ export const deleteBatch = async (batchId) => {
   });
 };
 
+export const checkBatchConflicts = async (batchData) => {
+  return apiFetch('/admin/batches/conflicts', {
+    method: 'POST',
+    body: JSON.stringify(batchData),
+  });
+};
+
+export const migrateScheduleTimings = async () => apiFetch('/admin/schedules/migrate', { method: 'POST' });
+
 // Notification functions
-export const getNotifications = async () => {
-  return apiFetch('/notifications');
+export const getNotifications = async (query = {}) => {
+  const params = new URLSearchParams();
+  if (query.cursor) params.set('cursor', query.cursor);
+  if (query.limit) params.set('limit', String(query.limit));
+  if (query.unread) params.set('unread', 'true');
+  if (query.archived) params.set('archived', 'true');
+  if (query.studentId) params.set('studentId', query.studentId);
+  const search = params.toString();
+  return apiFetch(search ? `/notifications?${search}` : '/notifications');
 };
 
 export const markNotificationAsRead = async (notificationId) => {
@@ -211,6 +277,26 @@ export const markNotificationAsRead = async (notificationId) => {
   });
 };
 
+export const markAllNotificationsAsRead = async (studentId) => apiFetch('/notifications/read-all', { method: 'PUT', body: JSON.stringify({ studentId }) });
+export const archiveNotification = async (notificationId, archived = true) => apiFetch(`/notifications/${notificationId}/archive`, { method: 'PUT', body: JSON.stringify({ archived }) });
+export const deleteNotification = async (notificationId) => apiFetch(`/notifications/${notificationId}`, { method: 'DELETE' });
+
+// Live notifications over server-sent events, authenticated by the session cookie. Returns null when the browser
+// cannot open one. `onError` fires both when the stream is reconnecting and when it has given up, e.g. because the
+// server cannot stream.
+export const openNotificationStream = (handlers) => {
+  if (typeof EventSource === 'undefined') return null;
+  const source = new EventSource(`${API_BASE_URL}/notifications/stream`, { withCredentials: true });
+  const listen = (event, handle) => source.addEventListener(event, e => handle(JSON.parse(e.data)));
+  listen('notification', data => handlers.onNotification(data.notification, data.unreadCount));
+  listen('read', data => handlers.onRead(data.ids, data.unreadCount));
+  listen('removed', data => handlers.onRemoved(data.ids, data.unreadCount));
+  listen('unread', data => handlers.onUnreadCount(data.unreadCount));
+  source.onopen = () => handlers.onOpen();
+  source.onerror = () => handlers.onError();
+  return source;
+};
+
 // Fee Management functions
 export const getFeeStructures = async () => {
   return apiFetch('/admin/feestructures');
@@ -236,23 +322,136 @@ export const deleteFeeStructure = async (structureId) => {
   });
 };
 
+// Scholarships
+export const getScholarships = async () => {
+  return apiFetch('/admin/scholarships');
+};
+
+export const addScholarship = async (scholarshipData) => {
+  return apiFetch('/admin/scholarships', {
+    method: 'POST',
+    body: JSON.stringify(scholarshipData),
+  });
+};
+
+export const updateScholarship = async (scholarshipId, scholarshipData) => {
+  return apiFetch(`/admin/scholarships/${scholarshipId}`, {
+    method: 'PUT',
+    body: JSON.stringify(scholarshipData),
+  });
+};
+
+export const deleteScholarship = async (scholarshipId) => {
+  await apiFetch(`/admin/scholarships/${scholarshipId}`, {
+    method: 'DELETE',
+  });
+};
+
 export const getAdminInvoices = async () => {
   return apiFetch('/admin/invoices');
 };
 
-export const generateInvoices = async () => {
+export const generateInvoices = async (asOf) => {
   return apiFetch('/admin/invoices/generate', {
     method: 'POST',
+    body: JSON.stringify({ asOf }),
+  });
+};
+
+export const runInvoiceReminders = async () => {
+  return apiFetch('/admin/invoices/run-reminders', {
+    method: 'POST',
   });
 };
 
 export const recordPayment = async (invoiceId, paymentData) => {
-  return apiFetch(`/admin/invoices/${invoiceId}/pay`, {
-    method: 'PUT',
+  return apiFetch(`/admin/invoices/${invoiceId}/payments`, {
+    method: 'POST',
     body: JSON.stringify(paymentData),
   });
 };
 
+export const reversePayment = async (invoiceId, paymentId, reason) => {
+  return apiFetch(`/admin/invoices/${invoiceId}/payments/${paymentId}/reverse`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+};
+
+export const issueCreditNote = async (invoiceId, amount, reason) => {
+  return apiFetch(`/admin/invoices/${invoiceId}/credit-notes`, {
+    method: 'POST',
+    body: JSON.stringify({ amount, reason }),
+  });
+};
+
+export const recordRefund = async (invoiceId, refund) => {
+  return apiFetch(`/admin/invoices/${invoiceId}/refunds`, {
+    method: 'POST',
+    body: JSON.stringify(refund),
+  });
+};
+
+export const getStudentCredit = async (studentId) => {
+  return apiFetch(`/admin/students/${studentId}/credit`);
+};
+
+export const waiveLateFee = async (invoiceId, reason) => {
+  return apiFetch(`/admin/invoices/${invoiceId}/late-fee/waive`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+};
+
+export const downloadInvoicePdf = async (invoiceId) => {
+  return apiDownload(`/admin/invoices/${invoiceId}/pdf`, 'invoice.pdf');
+};
+
+export const downloadPaymentReceipt = async (invoiceId, paymentId) => {
+  return apiDownload(`/admin/invoices/${invoiceId}/payments/${paymentId}/receipt`, 'receipt.pdf');
+};
+
+export const matchUpiTransactions = async (transactions) => {
+  return apiFetch('/admin/invoices/upi-reconciliation/match', {
+    method: 'POST',
+    body: JSON.stringify({ transactions }),
+  });
+};
+
+export const recordUpiMatches = async (matches) => {
+  return apiFetch('/admin/invoices/upi-reconciliation/record', {
+    method: 'POST',
+    body: JSON.stringify({ matches }),
+  });
+};
+
+// Financial report functions
+const reportQuery = (filters, extra = {}) => new URLSearchParams({ ...filters, ...extra }).toString();
+
+export const getFinanceReport = async (filters) => {
+  return apiFetch(`/admin/reports/finance?${reportQuery(filters)}`);
+};
+
+export const downloadFinanceReportCsv = async (filters, section) => {
+  return apiDownload(`/admin/reports/finance?${reportQuery(filters, { format: 'csv', section })}`, `${section}.csv`);
+};
+
+export const getFamilyStatements = async (filters) => {
+  return apiFetch(`/admin/reports/statements?${reportQuery(filters)}`);
+};
+
+export const downloadFamilyStatementsCsv = async (filters) => {
+  return apiDownload(`/admin/reports/statements?${reportQuery(filters, { format: 'csv' })}`, 'family-statements.csv');
+};
+
+export const getFamilyStatement = async (studentId, filters) => {
+  return apiFetch(`/admin/reports/statements/${studentId}?${reportQuery(filters)}`);
+};
+
+export const downloadFamilyStatementCsv = async (studentId, filters) => {
+  return apiDownload(`/admin/reports/statements/${studentId}?${reportQuery(filters, { format: 'csv' })}`, 'statement.csv');
+};
+
 // Student functions
 export const getStudentInvoices = async () => {
   return apiFetch('/invoices');
@@ -267,14 +466,85 @@ export const getFamilyStudents = async () => {
   return apiFetch('/family/students');
 };
 
+export const addFamilyStudent = async (studentData) => {
+  return apiFetch('/family/students', {
+    method: 'POST',
+    body: JSON.stringify(studentData),
+  });
+};
+
 export const getStudentInvoicesForFamily = async (studentId) => {
   return apiFetch(`/family/students/${studentId}/invoices`);
 };
 
+export const downloadFamilyInvoicePdf = async (studentId, invoiceId) => {
+  return apiDownload(`/family/students/${studentId}/invoices/${invoiceId}/pdf`, 'invoice.pdf');
+};
+
+export const downloadFamilyPaymentReceipt = async (studentId, invoiceId, paymentId) => {
+  return apiDownload(`/family/students/${studentId}/invoices/${invoiceId}/payments/${paymentId}/receipt`, 'receipt.pdf');
+};
+
+export const getFamilyCredit = async () => {
+  return apiFetch('/family/credit');
+};
+
+export const getFamilyInvoiceUpiRequest = async (studentId, invoiceId) => {
+  return apiFetch(`/family/students/${studentId}/invoices/${invoiceId}/upi`);
+};
+
+export const startInvoiceCheckout = async (studentId, invoiceId) => {
+  return apiFetch(`/family/students/${studentId}/invoices/${invoiceId}/checkout`, { method: 'POST' });
+};
+
 export const getStudentEnrollmentsForFamily = async (studentId) => {
   return apiFetch(`/family/students/${studentId}/enrollments`);
 };
 
+export const getStudentAttendanceForFamily = async (studentId) => {
+  return apiFetch(`/family/students/${studentId}/attendance`);
+};
+
+// Family management functions (admin)
+export const getAdminFamilies = async () => apiFetch('/admin/families');
+export const addFamily = async (family) => apiFetch('/admin/families', { method: 'POST', body: JSON.stringify(family) });
+export const updateFamily = async (id, family) => apiFetch(`/admin/families/${id}`, { method: 'PUT', body: JSON.stringify(family) });
+export const deleteFamily = async (id) => apiFetch(`/admin/families/${id}`, { method: 'DELETE' });
+export const linkFamilyGuardian = async (familyId, userId) => apiFetch(`/admin/families/${familyId}/guardians`, { method: 'POST', body: JSON.stringify({ userId }) });
+export const unlinkFamilyGuardian = async (familyId, userId) => apiFetch(`/admin/families/${familyId}/guardians/${userId}`, { method: 'DELETE' });
+export const linkFamilyStudent = async (familyId, studentId) => apiFetch(`/admin/families/${familyId}/students`, { method: 'POST', body: JSON.stringify({ studentId }) });
+export const unlinkFamilyStudent = async (familyId, studentId) => apiFetch(`/admin/families/${familyId}/students/${studentId}`, { method: 'DELETE' });
+export const migrateAliasFamilies = async () => apiFetch('/admin/families/migrate', { method: 'POST' });
+
+// Teacher portal functions
+export const getTeacherBatches = async () => apiFetch('/teacher/batches');
+export const getTeacherRoster = async () => apiFetch('/teacher/roster');
+export const getTeacherSessions = async (days = 7) => apiFetch(`/teacher/sessions?days=${days}`);
+export const getTeacherCourses = async () => apiFetch('/teacher/courses');
+export const getTeacherEvents = async () => apiFetch('/teacher/events');
+export const getTeacherBookMaterials = async () => apiFetch('/teacher/book-materials');
+export const getTeacherNotices = async () => apiFetch('/teacher/notices');
+export const getTeacherPayslips = async () => apiFetch('/teacher/payslips');
+
+// Payroll functions
+export const getTeacherCompensations = async () => apiFetch('/admin/payroll/compensation');
+export const saveTeacherCompensation = async (teacherId, compensation) => apiFetch(`/admin/teachers/${teacherId}/compensation`, { method: 'PUT', body: JSON.stringify(compensation) });
+export const getPayroll = async (month) => apiFetch(`/admin/payroll?month=${month}`);
+export const runPayroll = async (month) => apiFetch('/admin/payroll/run', { method: 'POST', body: JSON.stringify({ month }) });
+export const adjustPayslip = async (payslipId, adjustments) => apiFetch(`/admin/payroll/${payslipId}/adjustments`, { method: 'PUT', body: JSON.stringify({ adjustments }) });
+export const approvePayslip = async (payslipId) => apiFetch(`/admin/payroll/${payslipId}/approve`, { method: 'POST' });
+export const recordPayout = async (payslipId, payout) => apiFetch(`/admin/payroll/${payslipId}/payout`, { method: 'POST', body: JSON.stringify(payout) });
+
+// Attendance functions
+export const getTeacherAttendanceSheet = async (batchId, date, timing) => apiFetch(`/teacher/attendance?batchId=${batchId}&date=${date}&timing=${encodeURIComponent(timing)}`);
+export const saveTeacherAttendance = async (payload) => apiFetch('/teacher/attendance', { method: 'PUT', body: JSON.stringify(payload) });
+export const getAttendanceReport = async (filters) => {
+  const params = new URLSearchParams({ month: filters.month });
+  if (filters.batchId) params.set('batchId', filters.batchId);
+  if (filters.studentId) params.set('studentId', filters.studentId);
+  return apiFetch(`/admin/attendance/report?${params.toString()}`);
+};
+
 // Trash functions
 export const getTrashedUsers = async () => {
   return apiFetch('/admin/trash');
@@ -329,4 +599,6 @@ export const sendContentNotification = async (payload) => {
     method: 'POST',
     body: JSON.stringify(payload),
   });
-};
\ No newline at end of file
+};
+
+export const getContentWhatsAppMessages = async (contentId) => apiFetch(`/admin/content/${contentId}/whatsapp`);
\ No newline at end of file
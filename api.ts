@@ -1,4 +1,4 @@
-import type { User, ContactFormData, Course, DashboardStats, Notification, Batch, FeeStructure, Invoice, PaymentDetails, StudentEnrollment, Event, GradeExam, BookMaterial, Notice, Location } from './types';
+import type { User, ContactFormData, Course, DashboardStats, Notification, NotificationPage, NotificationQuery, WhatsAppOptInStatus, WhatsAppMessage, NotificationCategory, NotificationPreferences, OutgoingEmail, OutgoingEmailList, OutgoingEmailStatus, Batch, FeeStructure, Scholarship, Invoice, PaymentDetails, RefundDetails, FamilyCreditSummary, UpiPaymentRequest, UpiTransaction, UpiMatch, TeacherCompensation, Payslip, PayslipAdjustment, Payout, ReportFilters, FinanceReport, FinanceReportSection, FamilyStatementSummary, FamilyStatement, StudentEnrollment, Event, GradeExam, BookMaterial, Notice, Location, Family, BatchSaveRequest, BatchConflict, TeacherRosterEntry, TeacherSession, TeacherCourse, AttendanceSheet, AttendanceRecord, AttendanceReport, StudentAttendanceHistory } from './types';
 
 const isLocal = location.hostname === 'localhost' || location.hostname === '127.0.0.1';
 
@@ -43,6 +43,24 @@ const apiFetch = async (endpoint: string, options: RequestInit = {}) => {
   return body;
 };
 
+// Fetches a file such as a PDF and hands it to the browser as a download, named as the server suggests.
+const apiDownload = async (endpoint: string, fallbackFilename: string) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, { credentials: 'include' });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.message || `HTTP Error: ${response.status}`);
+  }
+  const filename = /filename="([^"]+)"/.exec(response.headers.get('content-disposition') || '')?.[1] || fallbackFilename;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
 
 export const checkEmailExists = async (email: string): Promise<{ exists: boolean }> => {
   return apiFetch('/users/check-email', {
@@ -72,6 +90,20 @@ export const loginUser = async (email: string, password: string): Promise<User>
   });
 };
 
+export const requestPasswordReset = async (email: string): Promise<{ message: string }> => {
+  return apiFetch('/password/forgot', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+export const resetPassword = async (token: string, password: string): Promise<{ message: string }> => {
+  return apiFetch('/password/reset', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+};
+
 export const getCurrentUser = async (): Promise<User | null> => {
     try {
       const user = await apiFetch('/session');
@@ -105,6 +137,14 @@ export const updateUserProfile = async (userData: Partial<User>): Promise<User>
     });
 };
 
+export const getWhatsAppOptIn = async (): Promise<WhatsAppOptInStatus> => apiFetch('/profile/whatsapp');
+export const setWhatsAppOptIn = async (optIn: boolean): Promise<WhatsAppOptInStatus> => apiFetch('/profile/whatsapp', { method: 'PUT', body: JSON.stringify({ optIn }) });
+export const getNotificationPreferences = async (): Promise<NotificationPreferences> => apiFetch('/profile/notification-preferences');
+export const saveNotificationPreferences = async (preferences: NotificationPreferences): Promise<NotificationPreferences> => apiFetch('/profile/notification-preferences', { method: 'PUT', body: JSON.stringify(preferences) });
+
+// Works without a session: the signed token in the emailed link identifies the user.
+export const unsubscribeFromEmails = async (userId: string, category: string, token: string): Promise<{ message: string }> => apiFetch('/email/unsubscribe', { method: 'POST', body: JSON.stringify({ user: userId, category, token }) });
+
 
 // --- Admin API functions ---
 
@@ -120,6 +160,11 @@ export const getAdminUserById = async (userId: string): Promise<User> => {
     return apiFetch(`/admin/users/${userId}`);
 };
 
+export const getUserWhatsAppOptIn = async (userId: string): Promise<WhatsAppOptInStatus> => apiFetch(`/admin/users/${userId}/whatsapp`);
+export const setUserWhatsAppOptIn = async (userId: string, optIn: boolean): Promise<WhatsAppOptInStatus> => apiFetch(`/admin/users/${userId}/whatsapp`, { method: 'PUT', body: JSON.stringify({ optIn }) });
+export const getUserNotificationPreferences = async (userId: string): Promise<NotificationPreferences> => apiFetch(`/admin/users/${userId}/notification-preferences`);
+export const saveUserNotificationPreferences = async (userId: string, preferences: NotificationPreferences): Promise<NotificationPreferences> => apiFetch(`/admin/users/${userId}/notification-preferences`, { method: 'PUT', body: JSON.stringify(preferences) });
+
 export const addStudentByAdmin = async (userData: Partial<User>): Promise<User> => {
     return apiFetch('/admin/users', {
         method: 'POST',
@@ -140,13 +185,18 @@ export const deleteUserByAdmin = async (userId: string): Promise<void> => {
     });
 };
 
-export const sendNotification = async (userIds: string[], subject: string, message: string): Promise<{success: boolean}> => {
+export const sendNotification = async (userIds: string[], subject: string, message: string, category: NotificationCategory): Promise<{ success: boolean; message: string }> => {
     return apiFetch('/admin/notifications', {
         method: 'POST',
-        body: JSON.stringify({ userIds, subject, message }),
+        body: JSON.stringify({ userIds, subject, message, category }),
     });
 };
 
+// Failed and bounced emails unless other statuses are asked for.
+export const getOutgoingEmails = async (statuses?: OutgoingEmailStatus[]): Promise<OutgoingEmailList> =>
+    apiFetch(statuses && statuses.length > 0 ? `/admin/emails?status=${statuses.join(',')}` : '/admin/emails');
+export const resendEmail = async (emailId: string): Promise<OutgoingEmail> => apiFetch(`/admin/emails/${emailId}/resend`, { method: 'POST' });
+
 export const getAdminCourses = async (): Promise<Course[]> => {
     return apiFetch('/admin/courses');
 };
@@ -176,14 +226,14 @@ export const getBatches = async (): Promise<Batch[]> => {
   return apiFetch('/admin/batches');
 };
 
-export const addBatch = async (batchData: Partial<Batch>): Promise<Batch> => {
+export const addBatch = async (batchData: BatchSaveRequest): Promise<Batch> => {
     return apiFetch('/admin/batches', {
         method: 'POST',
         body: JSON.stringify(batchData),
     });
 };
 
-export const updateBatch = async (batchId: string, batchData: Partial<Batch>): Promise<Batch> => {
+export const updateBatch = async (batchId: string, batchData: BatchSaveRequest): Promise<Batch> => {
     return apiFetch(`/admin/batches/${batchId}`, {
         method: 'PUT',
         body: JSON.stringify(batchData),
@@ -196,10 +246,26 @@ export const deleteBatch = async (batchId: string): Promise<void> => {
     });
 };
 
+export const checkBatchConflicts = async (batchData: Partial<Batch>): Promise<{ conflicts: BatchConflict[] }> => {
+    return apiFetch('/admin/batches/conflicts', {
+        method: 'POST',
+        body: JSON.stringify(batchData),
+    });
+};
+
+export const migrateScheduleTimings = async (): Promise<{ message: string; unparsed: string[] }> => apiFetch('/admin/schedules/migrate', { method: 'POST' });
+
 
 // --- User Notification API functions ---
-export const getNotifications = async (): Promise<Notification[]> => {
-    return apiFetch('/notifications');
+export const getNotifications = async (query: NotificationQuery = {}): Promise<NotificationPage> => {
+    const params = new URLSearchParams();
+    if (query.cursor) params.set('cursor', query.cursor);
+    if (query.limit) params.set('limit', String(query.limit));
+    if (query.unread) params.set('unread', 'true');
+    if (query.archived) params.set('archived', 'true');
+    if (query.studentId) params.set('studentId', query.studentId);
+    const search = params.toString();
+    return apiFetch(search ? `/notifications?${search}` : '/notifications');
 };
 
 export const markNotificationAsRead = async (notificationId: string): Promise<Notification> => {
@@ -208,6 +274,36 @@ export const markNotificationAsRead = async (notificationId: string): Promise<No
     });
 };
 
+export const markAllNotificationsAsRead = async (studentId?: string): Promise<{ updated: number; unreadCount: number }> =>
+    apiFetch('/notifications/read-all', { method: 'PUT', body: JSON.stringify({ studentId }) });
+export const archiveNotification = async (notificationId: string, archived = true): Promise<Notification> =>
+    apiFetch(`/notifications/${notificationId}/archive`, { method: 'PUT', body: JSON.stringify({ archived }) });
+export const deleteNotification = async (notificationId: string): Promise<void> => apiFetch(`/notifications/${notificationId}`, { method: 'DELETE' });
+
+// Live notifications over server-sent events, authenticated by the session cookie. Returns null when the browser
+// cannot open one. `onError` fires both when the stream is reconnecting and when it has given up, e.g. because the
+// server cannot stream.
+export const openNotificationStream = (handlers: {
+    onOpen: () => void;
+    onNotification: (notification: Notification, unreadCount: number) => void;
+    onRead: (notificationIds: string[], unreadCount: number) => void;
+    onRemoved: (notificationIds: string[], unreadCount: number) => void;
+    onUnreadCount: (unreadCount: number) => void;
+    onError: () => void;
+}): EventSource | null => {
+    if (typeof EventSource === 'undefined') return null;
+    const source = new EventSource(`${API_BASE_URL}/notifications/stream`, { withCredentials: true });
+    const listen = (event: string, handle: (data: any) => void) =>
+        source.addEventListener(event, e => handle(JSON.parse((e as MessageEvent).data)));
+    listen('notification', data => handlers.onNotification(data.notification, data.unreadCount));
+    listen('read', data => handlers.onRead(data.ids, data.unreadCount));
+    listen('removed', data => handlers.onRemoved(data.ids, data.unreadCount));
+    listen('unread', data => handlers.onUnreadCount(data.unreadCount));
+    source.onopen = () => handlers.onOpen();
+    source.onerror = () => handlers.onError();
+    return source;
+};
+
 // --- Fee Management API functions ---
 
 // Fee Structures
@@ -235,24 +331,137 @@ export const deleteFeeStructure = async (structureId: string): Promise<void> =>
   });
 };
 
+// Scholarships
+export const getScholarships = async (): Promise<Scholarship[]> => {
+  return apiFetch('/admin/scholarships');
+};
+
+export const addScholarship = async (scholarshipData: Omit<Scholarship, 'id'>): Promise<Scholarship> => {
+  return apiFetch('/admin/scholarships', {
+    method: 'POST',
+    body: JSON.stringify(scholarshipData),
+  });
+};
+
+export const updateScholarship = async (scholarshipId: string, scholarshipData: Partial<Scholarship>): Promise<Scholarship> => {
+  return apiFetch(`/admin/scholarships/${scholarshipId}`, {
+    method: 'PUT',
+    body: JSON.stringify(scholarshipData),
+  });
+};
+
+export const deleteScholarship = async (scholarshipId: string): Promise<void> => {
+  await apiFetch(`/admin/scholarships/${scholarshipId}`, {
+    method: 'DELETE',
+  });
+};
+
 // Invoices (Admin)
 export const getAdminInvoices = async (): Promise<Invoice[]> => {
     return apiFetch('/admin/invoices');
 };
 
-export const generateInvoices = async (): Promise<{ message: string }> => {
+export const generateInvoices = async (asOf?: string): Promise<{ message: string }> => {
     return apiFetch('/admin/invoices/generate', {
         method: 'POST',
+        body: JSON.stringify({ asOf }),
+    });
+};
+
+export const runInvoiceReminders = async (): Promise<{ message: string }> => {
+    return apiFetch('/admin/invoices/run-reminders', {
+        method: 'POST',
     });
 };
 
 export const recordPayment = async (invoiceId: string, paymentData: PaymentDetails): Promise<Invoice> => {
-    return apiFetch(`/admin/invoices/${invoiceId}/pay`, {
-        method: 'PUT',
+    return apiFetch(`/admin/invoices/${invoiceId}/payments`, {
+        method: 'POST',
         body: JSON.stringify(paymentData),
     });
 };
 
+export const reversePayment = async (invoiceId: string, paymentId: string, reason: string): Promise<Invoice> => {
+    return apiFetch(`/admin/invoices/${invoiceId}/payments/${paymentId}/reverse`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+    });
+};
+
+export const issueCreditNote = async (invoiceId: string, amount: number, reason: string): Promise<Invoice> => {
+    return apiFetch(`/admin/invoices/${invoiceId}/credit-notes`, {
+        method: 'POST',
+        body: JSON.stringify({ amount, reason }),
+    });
+};
+
+export const recordRefund = async (invoiceId: string, refund: RefundDetails): Promise<Invoice> => {
+    return apiFetch(`/admin/invoices/${invoiceId}/refunds`, {
+        method: 'POST',
+        body: JSON.stringify(refund),
+    });
+};
+
+export const getStudentCredit = async (studentId: string): Promise<FamilyCreditSummary> => {
+    return apiFetch(`/admin/students/${studentId}/credit`);
+};
+
+export const waiveLateFee = async (invoiceId: string, reason: string): Promise<Invoice> => {
+    return apiFetch(`/admin/invoices/${invoiceId}/late-fee/waive`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+    });
+};
+
+export const downloadInvoicePdf = async (invoiceId: string): Promise<void> => {
+    return apiDownload(`/admin/invoices/${invoiceId}/pdf`, 'invoice.pdf');
+};
+
+export const downloadPaymentReceipt = async (invoiceId: string, paymentId: string): Promise<void> => {
+    return apiDownload(`/admin/invoices/${invoiceId}/payments/${paymentId}/receipt`, 'receipt.pdf');
+};
+
+export const matchUpiTransactions = async (transactions: UpiTransaction[]): Promise<UpiMatch[]> => {
+    return apiFetch('/admin/invoices/upi-reconciliation/match', {
+        method: 'POST',
+        body: JSON.stringify({ transactions }),
+    });
+};
+
+export const recordUpiMatches = async (matches: UpiMatch[]): Promise<{ recorded: number; skipped: number; message: string }> => {
+    return apiFetch('/admin/invoices/upi-reconciliation/record', {
+        method: 'POST',
+        body: JSON.stringify({ matches }),
+    });
+};
+
+// --- Financial Report API Functions ---
+const reportQuery = (filters: ReportFilters, extra: Record<string, string> = {}) => new URLSearchParams({ ...filters, ...extra }).toString();
+
+export const getFinanceReport = async (filters: ReportFilters): Promise<FinanceReport> => {
+    return apiFetch(`/admin/reports/finance?${reportQuery(filters)}`);
+};
+
+export const downloadFinanceReportCsv = async (filters: ReportFilters, section: FinanceReportSection): Promise<void> => {
+    return apiDownload(`/admin/reports/finance?${reportQuery(filters, { format: 'csv', section })}`, `${section}.csv`);
+};
+
+export const getFamilyStatements = async (filters: ReportFilters): Promise<{ statements: FamilyStatementSummary[] }> => {
+    return apiFetch(`/admin/reports/statements?${reportQuery(filters)}`);
+};
+
+export const downloadFamilyStatementsCsv = async (filters: ReportFilters): Promise<void> => {
+    return apiDownload(`/admin/reports/statements?${reportQuery(filters, { format: 'csv' })}`, 'family-statements.csv');
+};
+
+export const getFamilyStatement = async (studentId: string, filters: ReportFilters): Promise<FamilyStatement> => {
+    return apiFetch(`/admin/reports/statements/${studentId}?${reportQuery(filters)}`);
+};
+
+export const downloadFamilyStatementCsv = async (studentId: string, filters: ReportFilters): Promise<void> => {
+    return apiDownload(`/admin/reports/statements/${studentId}?${reportQuery(filters, { format: 'csv' })}`, 'statement.csv');
+};
+
 // --- Student-specific API Functions ---
 export const getStudentInvoices = async (): Promise<Invoice[]> => {
     return apiFetch('/invoices');
@@ -267,14 +476,85 @@ export const getFamilyStudents = async (): Promise<User[]> => {
   return apiFetch('/family/students');
 };
 
+export const addFamilyStudent = async (studentData: Partial<User> & { guardianPassword: string }): Promise<User> => {
+  return apiFetch('/family/students', {
+    method: 'POST',
+    body: JSON.stringify(studentData),
+  });
+};
+
 export const getStudentInvoicesForFamily = async (studentId: string): Promise<Invoice[]> => {
     return apiFetch(`/family/students/${studentId}/invoices`);
 };
 
+export const downloadFamilyInvoicePdf = async (studentId: string, invoiceId: string): Promise<void> => {
+    return apiDownload(`/family/students/${studentId}/invoices/${invoiceId}/pdf`, 'invoice.pdf');
+};
+
+export const downloadFamilyPaymentReceipt = async (studentId: string, invoiceId: string, paymentId: string): Promise<void> => {
+    return apiDownload(`/family/students/${studentId}/invoices/${invoiceId}/payments/${paymentId}/receipt`, 'receipt.pdf');
+};
+
+export const getFamilyCredit = async (): Promise<FamilyCreditSummary> => {
+    return apiFetch('/family/credit');
+};
+
+export const getFamilyInvoiceUpiRequest = async (studentId: string, invoiceId: string): Promise<UpiPaymentRequest> => {
+    return apiFetch(`/family/students/${studentId}/invoices/${invoiceId}/upi`);
+};
+
+export const startInvoiceCheckout = async (studentId: string, invoiceId: string): Promise<{ orderId: string; checkoutUrl: string }> => {
+    return apiFetch(`/family/students/${studentId}/invoices/${invoiceId}/checkout`, { method: 'POST' });
+};
+
 export const getStudentEnrollmentsForFamily = async (studentId: string): Promise<StudentEnrollment[]> => {
     return apiFetch(`/family/students/${studentId}/enrollments`);
 };
 
+export const getStudentAttendanceForFamily = async (studentId: string): Promise<StudentAttendanceHistory> => {
+    return apiFetch(`/family/students/${studentId}/attendance`);
+};
+
+// --- Family Management API Functions (Admin) ---
+export const getAdminFamilies = async (): Promise<Family[]> => apiFetch('/admin/families');
+export const addFamily = async (family: { name: string; guardianIds: string[]; studentIds: string[] }): Promise<Family> => apiFetch('/admin/families', { method: 'POST', body: JSON.stringify(family) });
+export const updateFamily = async (id: string, family: Partial<Pick<Family, 'name'>>): Promise<Family> => apiFetch(`/admin/families/${id}`, { method: 'PUT', body: JSON.stringify(family) });
+export const deleteFamily = async (id: string): Promise<void> => apiFetch(`/admin/families/${id}`, { method: 'DELETE' });
+export const linkFamilyGuardian = async (familyId: string, userId: string): Promise<Family> => apiFetch(`/admin/families/${familyId}/guardians`, { method: 'POST', body: JSON.stringify({ userId }) });
+export const unlinkFamilyGuardian = async (familyId: string, userId: string): Promise<Family> => apiFetch(`/admin/families/${familyId}/guardians/${userId}`, { method: 'DELETE' });
+export const linkFamilyStudent = async (familyId: string, studentId: string): Promise<Family> => apiFetch(`/admin/families/${familyId}/students`, { method: 'POST', body: JSON.stringify({ studentId }) });
+export const unlinkFamilyStudent = async (familyId: string, studentId: string): Promise<Family> => apiFetch(`/admin/families/${familyId}/students/${studentId}`, { method: 'DELETE' });
+export const migrateAliasFamilies = async (): Promise<{ message: string }> => apiFetch('/admin/families/migrate', { method: 'POST' });
+
+// --- Teacher Portal API Functions ---
+export const getTeacherBatches = async (): Promise<Batch[]> => apiFetch('/teacher/batches');
+export const getTeacherRoster = async (): Promise<TeacherRosterEntry[]> => apiFetch('/teacher/roster');
+export const getTeacherSessions = async (days: number = 7): Promise<TeacherSession[]> => apiFetch(`/teacher/sessions?days=${days}`);
+export const getTeacherCourses = async (): Promise<TeacherCourse[]> => apiFetch('/teacher/courses');
+export const getTeacherEvents = async (): Promise<Event[]> => apiFetch('/teacher/events');
+export const getTeacherBookMaterials = async (): Promise<BookMaterial[]> => apiFetch('/teacher/book-materials');
+export const getTeacherNotices = async (): Promise<Notice[]> => apiFetch('/teacher/notices');
+export const getTeacherPayslips = async (): Promise<Payslip[]> => apiFetch('/teacher/payslips');
+
+// --- Payroll API Functions ---
+export const getTeacherCompensations = async (): Promise<TeacherCompensation[]> => apiFetch('/admin/payroll/compensation');
+export const saveTeacherCompensation = async (teacherId: string, compensation: Pick<TeacherCompensation, 'type' | 'rate' | 'currency' | 'notes'>): Promise<TeacherCompensation> => apiFetch(`/admin/teachers/${teacherId}/compensation`, { method: 'PUT', body: JSON.stringify(compensation) });
+export const getPayroll = async (month: string): Promise<Payslip[]> => apiFetch(`/admin/payroll?month=${month}`);
+export const runPayroll = async (month: string): Promise<{ message: string }> => apiFetch('/admin/payroll/run', { method: 'POST', body: JSON.stringify({ month }) });
+export const adjustPayslip = async (payslipId: string, adjustments: PayslipAdjustment[]): Promise<Payslip> => apiFetch(`/admin/payroll/${payslipId}/adjustments`, { method: 'PUT', body: JSON.stringify({ adjustments }) });
+export const approvePayslip = async (payslipId: string): Promise<Payslip> => apiFetch(`/admin/payroll/${payslipId}/approve`, { method: 'POST' });
+export const recordPayout = async (payslipId: string, payout: Payout): Promise<Payslip> => apiFetch(`/admin/payroll/${payslipId}/payout`, { method: 'POST', body: JSON.stringify(payout) });
+
+// --- Attendance API Functions ---
+export const getTeacherAttendanceSheet = async (batchId: string, date: string, timing: string): Promise<AttendanceSheet> => apiFetch(`/teacher/attendance?batchId=${batchId}&date=${date}&timing=${encodeURIComponent(timing)}`);
+export const saveTeacherAttendance = async (payload: { batchId: string; date: string; timing: string; records: AttendanceRecord[] }): Promise<void> => apiFetch('/teacher/attendance', { method: 'PUT', body: JSON.stringify(payload) });
+export const getAttendanceReport = async (filters: { month: string; batchId?: string; studentId?: string }): Promise<AttendanceReport> => {
+    const params = new URLSearchParams({ month: filters.month });
+    if (filters.batchId) params.set('batchId', filters.batchId);
+    if (filters.studentId) params.set('studentId', filters.studentId);
+    return apiFetch(`/admin/attendance/report?${params.toString()}`);
+};
+
 // --- Trash API Functions ---
 export const getTrashedUsers = async (): Promise<User[]> => {
     return apiFetch('/admin/trash');
@@ -339,9 +619,11 @@ export const sendContentNotification = async (payload: {
   subject: string;
   message: string;
   sendWhatsApp?: boolean;
-}): Promise<{ success: boolean; message: string }> => {
+}): Promise<{ success: boolean; message: string; whatsAppMessages: WhatsAppMessage[] }> => {
   return apiFetch('/admin/content/send', {
     method: 'POST',
     body: JSON.stringify(payload),
   });
-};
\ No newline at end of file
+};
+
+export const getContentWhatsAppMessages = async (contentId: string): Promise<WhatsAppMessage[]> => apiFetch(`/admin/content/${contentId}/whatsapp`);
\ No newline at end of file
@@ -11,14 +11,23 @@ const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   read: { type: Boolean, default: false },
   link: { type: String },
+  archivedAt: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
 
 notificationSchema.virtual('id').get(function () { return this._id.toHexString(); });
 notificationSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
 
 const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
 
+// Only the fields needed to find a guardian's students.
+const familySchema = new mongoose.Schema({
+  guardianIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  studentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+});
+const Family = mongoose.models.Family || mongoose.model('Family', familySchema);
+
 // MongoDB connection
 let cachedDb = null;
 
@@ -55,24 +64,119 @@ const readSession = (req) => {
   }
 };
 
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ message: 'Method not allowed' });
+// A guardian sees their students' notifications as well as their own.
+const getFamilyMemberIds = async (sessionUser) => {
+  if (sessionUser.role === 'Teacher') return [sessionUser.id];
+  const families = await Family.find({ guardianIds: sessionUser.id }).select('studentIds');
+  const familyIds = new Set(families.flatMap(f => f.studentIds.map(id => id.toString())));
+  familyIds.add(sessionUser.id);
+  return Array.from(familyIds);
+};
+
+const getNotificationOwnerIds = async (sessionUser, studentId) => {
+  const familyIds = await getFamilyMemberIds(sessionUser);
+  if (!studentId) return familyIds;
+  return familyIds.includes(String(studentId)) ? [String(studentId)] : null;
+};
+
+const countUnreadNotifications = (userIds) => Notification.countDocuments({ userId: { $in: userIds }, read: false });
+
+const NOTIFICATION_PAGE_SIZE = 20;
+const MAX_NOTIFICATION_PAGE_SIZE = 100;
+
+// Same cursor as the Express server: the creation time and id of the last notification on the previous page.
+const encodeNotificationCursor = (notification) => `${notification.createdAt.getTime()}_${notification.id}`;
+
+const decodeNotificationCursor = (cursor) => {
+  const match = /^(\d+)_([a-f0-9]{24})$/.exec(cursor);
+  return match && { createdAt: new Date(Number(match[1])), id: new mongoose.Types.ObjectId(match[2]) };
+};
+
+// /api/notifications, /api/notifications/read-all, /api/notifications/stream and /api/notifications/:id[/read|/archive]
+const parseRoute = (url) => {
+  const parts = url.split('?')[0].split('/').filter(Boolean).slice(2);
+  return { id: parts[0], action: parts[1] };
+};
+
+const listNotifications = async (req, res, session) => {
+  const ownerIds = await getNotificationOwnerIds(session.user, req.query?.studentId);
+  if (!ownerIds) return res.status(404).json({ message: 'Student not found in your family.' });
+  const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || NOTIFICATION_PAGE_SIZE, 1), MAX_NOTIFICATION_PAGE_SIZE);
+  const filter = { userId: { $in: ownerIds }, archivedAt: req.query?.archived === 'true' ? { $ne: null } : null };
+  if (req.query?.unread === 'true') filter.read = false;
+  if (req.query?.cursor) {
+    const cursor = decodeNotificationCursor(String(req.query.cursor));
+    if (!cursor) return res.status(400).json({ message: 'Invalid cursor.' });
+    filter.$or = [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }];
   }
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1),
+    countUnreadNotifications(ownerIds),
+  ]);
+  const hasMore = notifications.length > limit;
+  if (hasMore) notifications.pop();
+  return res.status(200).json({
+    notifications,
+    nextCursor: hasMore ? encodeNotificationCursor(notifications[notifications.length - 1]) : null,
+    unreadCount,
+  });
+};
 
+const markAllRead = async (req, res, session) => {
+  const ownerIds = await getNotificationOwnerIds(session.user, req.body?.studentId);
+  if (!ownerIds) return res.status(404).json({ message: 'Student not found in your family.' });
+  const result = await Notification.updateMany({ userId: { $in: ownerIds }, read: false }, { read: true });
+  return res.status(200).json({ updated: result.modifiedCount, unreadCount: await countUnreadNotifications(ownerIds) });
+};
+
+export default async function handler(req, res) {
   try {
     const session = readSession(req);
     if (!session?.user) {
       return res.status(401).json({ message: 'Unauthorized' });
     }
 
+    const { id, action } = parseRoute(req.url || '');
+
+    // Serverless functions cannot hold a live stream open; the client polls instead.
+    if (id === 'stream') {
+      return res.status(503).json({ message: 'Live notifications are not available on this server.' });
+    }
+
     await connectDB();
-    
-    const notifications = await Notification.find({ userId: session.user.id }).sort({ createdAt: -1 });
-    
-    res.status(200).json(notifications);
+
+    if (!id) {
+      if (req.method !== 'GET') return res.status(405).json({ message: 'Method not allowed' });
+      return await listNotifications(req, res, session);
+    }
+    if (id === 'read-all') {
+      if (req.method !== 'PUT') return res.status(405).json({ message: 'Method not allowed' });
+      return await markAllRead(req, res, session);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Notification not found or not permitted.' });
+    }
+
+    const familyIds = await getFamilyMemberIds(session.user);
+    const filter = { _id: id, userId: { $in: familyIds } };
+    let notification;
+    if (!action && req.method === 'DELETE') {
+      notification = await Notification.findOneAndDelete(filter);
+      if (!notification) return res.status(404).json({ message: 'Notification not found or not permitted.' });
+      return res.status(204).end();
+    }
+    if (action === 'read' && req.method === 'PUT') {
+      notification = await Notification.findOneAndUpdate(filter, { read: true }, { new: true });
+    } else if (action === 'archive' && req.method === 'PUT') {
+      const archive = req.body?.archived !== false;
+      notification = await Notification.findOneAndUpdate(filter, archive ? { archivedAt: new Date(), read: true } : { $unset: { archivedAt: 1 } }, { new: true });
+    } else {
+      return res.status(405).json({ message: 'Method not allowed' });
+    }
+    if (!notification) return res.status(404).json({ message: 'Notification not found or not permitted.' });
+    return res.status(200).json(notification);
   } catch (error) {
     console.error('Notifications error:', error);
-    res.status(500).json({ message: 'Server error fetching notifications.' });
+    res.status(500).json({ message: 'Server error in notifications API.' });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { requestPasswordReset } from '../api';
+import ModalHeader from './ModalHeader';
+
+interface ForgotPasswordFormProps {
+  initialEmail?: string;
+  onBackToLogin: () => void;
+}
+
+const ForgotPasswordForm: React.FC<ForgotPasswordFormProps> = ({ initialEmail, onBackToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (initialEmail) {
+      setEmail(initialEmail);
+    }
+  }, [initialEmail]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!email) {
+      setError('Please enter your email address.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await requestPasswordReset(email);
+      setSuccess(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unknown error occurred.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <ModalHeader title="Forgot Password" subtitle="We'll email you a reset link." />
+      <form className="space-y-6" onSubmit={handleSubmit}>
+        <div>
+          <label htmlFor="forgot-email" className="block text-sm font-medium text-gray-700">
+            Email Address
+          </label>
+          <input
+            type="email"
+            id="forgot-email"
+            name="email"
+            autoComplete="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={isLoading}
+            className="mt-1 block w-full form-input"
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600 text-center">{error}</p>}
+        {success && <p className="text-sm text-center text-green-700 bg-green-100 p-2 rounded-md">{success}</p>}
+
+        <div>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors disabled:bg-indigo-300 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </div>
+
+        <div className="text-center text-sm">
+          <a href="#" onClick={(e) => { e.preventDefault(); onBackToLogin(); }} className="font-medium text-brand-primary hover:text-brand-dark">
+            Back to login
+          </a>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
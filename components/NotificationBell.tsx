@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { getNotifications } from '../api';
+import { getNotifications, markNotificationAsRead, markAllNotificationsAsRead, openNotificationStream } from '../api';
 import type { Notification } from '../types';
 import { BellIcon } from './icons';
 import NotificationPanel from './NotificationPanel';
 
+// The panel shows the latest few; the rest are on the notifications page.
+const PANEL_PAGE_SIZE = 10;
+
 const NotificationBell: React.FC = () => {
     const [notifications, setNotifications] = useState<Notification[]>([]);
+    const [unreadCount, setUnreadCount] = useState(0);
     const [isPanelOpen, setIsPanelOpen] = useState(false);
     const [isLoading, setIsLoading] = useState(true);
     const wrapperRef = useRef<HTMLDivElement>(null);
@@ -13,19 +17,80 @@ const NotificationBell: React.FC = () => {
     const fetchNotifications = async () => {
         try {
             setIsLoading(true);
-            const fetchedNotifications = await getNotifications();
-            setNotifications(Array.isArray(fetchedNotifications) ? fetchedNotifications : []);
+            const page = await getNotifications({ limit: PANEL_PAGE_SIZE });
+            setNotifications(page.notifications);
+            setUnreadCount(page.unreadCount);
         } catch (error) {
             console.error("Failed to fetch notifications:", error);
         } finally {
             setIsLoading(false);
         }
     };
+
+    const markReadLocally = (ids: string[]) => {
+        setNotifications(prev => prev.map(n => ids.includes(n.id) ? { ...n, read: true } : n));
+    };
+
+    // Updated before the request so the live stream's count, which may arrive first, is not decremented again.
+    const handleMarkRead = (notification: Notification) => {
+        markReadLocally([notification.id]);
+        setUnreadCount(count => Math.max(0, count - 1));
+        markNotificationAsRead(notification.id).catch(error => {
+            console.error("Failed to mark notification as read", error);
+            fetchNotifications();
+        });
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            const result = await markAllNotificationsAsRead();
+            setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+            setUnreadCount(result.unreadCount);
+        } catch (error) {
+            console.error("Failed to mark notifications as read", error);
+        }
+    };
     
     useEffect(() => {
         fetchNotifications();
-        const interval = setInterval(fetchNotifications, 60000); // Poll every minute
-        return () => clearInterval(interval);
+        // Notifications are pushed while the live stream is connected. Polling takes over where the server cannot
+        // stream (serverless deployments) and while the stream reconnects.
+        let pollInterval: ReturnType<typeof setInterval> | null = null;
+        const startPolling = () => {
+            if (!pollInterval) pollInterval = setInterval(fetchNotifications, 60000); // Poll every minute
+        };
+        const stopPolling = () => {
+            if (pollInterval) clearInterval(pollInterval);
+            pollInterval = null;
+        };
+        let hasConnected = false;
+        const stream = openNotificationStream({
+            onOpen: () => {
+                stopPolling();
+                // Anything sent while reconnecting was missed.
+                if (hasConnected) fetchNotifications();
+                hasConnected = true;
+            },
+            onNotification: (notification, unreadCount) => {
+                setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)].slice(0, PANEL_PAGE_SIZE));
+                setUnreadCount(unreadCount);
+            },
+            onRead: (notificationIds, unreadCount) => {
+                markReadLocally(notificationIds);
+                setUnreadCount(unreadCount);
+            },
+            onRemoved: (notificationIds, unreadCount) => {
+                setNotifications(prev => prev.filter(n => !notificationIds.includes(n.id)));
+                setUnreadCount(unreadCount);
+            },
+            onUnreadCount: setUnreadCount,
+            onError: startPolling,
+        });
+        if (!stream) startPolling();
+        return () => {
+            stopPolling();
+            stream?.close();
+        };
     }, []);
 
     useEffect(() => {
@@ -38,8 +103,6 @@ const NotificationBell: React.FC = () => {
         return () => document.removeEventListener("mousedown", handleClickOutside);
     }, [wrapperRef]);
     
-    const unreadCount = (notifications || []).filter(n => !n.read).length;
-
     return (
         <div className="relative" ref={wrapperRef}>
             <button
@@ -61,10 +124,12 @@ const NotificationBell: React.FC = () => {
             {isPanelOpen && (
                 <NotificationPanel 
                     notifications={notifications}
+                    unreadCount={unreadCount}
                     isLoading={isLoading}
                     onClose={() => setIsPanelOpen(false)}
                     onRefresh={fetchNotifications}
-                    onUpdateNotifications={setNotifications}
+                    onMarkRead={handleMarkRead}
+                    onMarkAllRead={handleMarkAllRead}
                 />
             )}
         </div>
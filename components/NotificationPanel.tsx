@@ -1,27 +1,21 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import type { Notification } from '../types';
-import { markNotificationAsRead } from '../api';
 
 interface NotificationPanelProps {
   notifications: Notification[];
+  unreadCount: number;
   isLoading: boolean;
   onClose: () => void;
   onRefresh: () => void;
-  onUpdateNotifications: React.Dispatch<React.SetStateAction<Notification[]>>;
+  onMarkRead: (notification: Notification) => void;
+  onMarkAllRead: () => void;
 }
 
-const NotificationItem: React.FC<{ notification: Notification, onMarkRead: (id: string) => void }> = ({ notification, onMarkRead }) => {
+const NotificationItem: React.FC<{ notification: Notification, onMarkRead: (notification: Notification) => void }> = ({ notification, onMarkRead }) => {
     
-    const handleMarkAsRead = async () => {
-        if (!notification.read) {
-            try {
-                await markNotificationAsRead(notification.id);
-                onMarkRead(notification.id);
-            } catch (error) {
-                console.error("Failed to mark notification as read", error);
-            }
-        }
+    const handleMarkAsRead = () => {
+        if (!notification.read) onMarkRead(notification);
     };
 
     const content = (
@@ -51,21 +45,22 @@ const NotificationItem: React.FC<{ notification: Notification, onMarkRead: (id:
 };
 
 
-const NotificationPanel: React.FC<NotificationPanelProps> = ({ notifications, isLoading, onClose, onRefresh, onUpdateNotifications }) => {
-    
-    const handleMarkOneAsRead = (id: string) => {
-        onUpdateNotifications(prev =>
-            prev.map(n => n.id === id ? { ...n, read: true } : n)
-        );
-    };
+const NotificationPanel: React.FC<NotificationPanelProps> = ({ notifications, unreadCount, isLoading, onClose, onRefresh, onMarkRead, onMarkAllRead }) => {
     
     return (
         <div className="absolute right-0 mt-2 w-80 sm:w-96 bg-white rounded-lg shadow-2xl border border-gray-200 z-50 animate-modal-fade-in-up origin-top-right">
             <div className="flex justify-between items-center p-3 border-b border-gray-200">
                 <h3 className="font-semibold text-gray-800">Notifications</h3>
-                <button onClick={onRefresh} className="text-sm text-brand-primary hover:underline" disabled={isLoading}>
-                    {isLoading ? 'Refreshing...' : 'Refresh'}
-                </button>
+                <div className="flex items-center space-x-3">
+                    {unreadCount > 0 && (
+                        <button onClick={onMarkAllRead} className="text-sm text-brand-primary hover:underline">
+                            Mark all read
+                        </button>
+                    )}
+                    <button onClick={onRefresh} className="text-sm text-brand-primary hover:underline" disabled={isLoading}>
+                        {isLoading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
             </div>
             <ul className="max-h-96 overflow-y-auto">
                 {isLoading && notifications.length === 0 ? (
@@ -74,13 +69,14 @@ const NotificationPanel: React.FC<NotificationPanelProps> = ({ notifications, is
                     <li className="p-4 text-center text-gray-500">You have no notifications.</li>
                 ) : (
                     notifications.map(n => (
-                        <NotificationItem key={n.id} notification={n} onMarkRead={handleMarkOneAsRead} />
+                        <NotificationItem key={n.id} notification={n} onMarkRead={onMarkRead} />
                     ))
                 )}
             </ul>
             <div className="p-2 bg-gray-50 border-t border-gray-200 text-center">
-                {/* Could link to a full notifications page in the future */}
-                <span className="text-sm text-gray-500">End of notifications</span>
+                <Link to="/notifications" onClick={onClose} className="text-sm font-medium text-brand-primary hover:underline">
+                    View all notifications
+                </Link>
             </div>
         </div>
     );
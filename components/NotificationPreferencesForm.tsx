@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import type { NotificationCategory, NotificationChannels, NotificationPreferences } from '../types';
+
+export const NOTIFICATION_CATEGORY_LABELS: { [key in NotificationCategory]: string } = {
+    fees: 'Fees',
+    classChanges: 'Class changes',
+    events: 'Events',
+    notices: 'Notices',
+};
+
+const CATEGORY_DESCRIPTIONS: { [key in NotificationCategory]: string } = {
+    fees: 'Invoices and payment reminders',
+    classChanges: 'Timetable and batch updates',
+    events: 'Events and grade exams',
+    notices: 'Notices, study material and other announcements',
+};
+
+interface NotificationPreferencesFormProps {
+    load: () => Promise<NotificationPreferences>;
+    save: (preferences: NotificationPreferences) => Promise<NotificationPreferences>;
+}
+
+// Not a <form>: it sits inside the profile forms and saves on its own.
+const NotificationPreferencesForm: React.FC<NotificationPreferencesFormProps> = ({ load, save }) => {
+    const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+
+    useEffect(() => {
+        load().then(setPreferences).catch(() => setPreferences(null));
+    }, []);
+
+    if (!preferences) return null;
+
+    const handleChannelChange = (category: NotificationCategory, channel: keyof NotificationChannels, checked: boolean) => {
+        setPreferences(prev => prev && { ...prev, [category]: { ...prev[category], [channel]: checked } });
+    };
+
+    const handleQuietHoursChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const { name, value } = e.target;
+        setPreferences(prev => prev && { ...prev, [name]: value || null });
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            setPreferences(await save(preferences));
+            setMessage({ type: 'success', text: 'Notification preferences saved.' });
+        } catch (err) {
+            setMessage({ type: 'error', text: err instanceof Error ? err.message : 'Failed to save notification preferences.' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-md p-4 space-y-4">
+            <div>
+                <h3 className="text-sm font-medium text-gray-800">Notification Preferences</h3>
+                <p className="text-xs text-gray-500 mt-1">Everything also appears in the portal's notifications. WhatsApp messages only go to numbers that have turned WhatsApp on.</p>
+            </div>
+            <table className="min-w-full text-sm">
+                <thead>
+                    <tr>
+                        <th className="py-1 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                        <th className="py-1 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                        <th className="py-1 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">WhatsApp</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {(Object.keys(NOTIFICATION_CATEGORY_LABELS) as NotificationCategory[]).map(category => (
+                        <tr key={category}>
+                            <td className="py-2">
+                                <span className="block text-gray-800">{NOTIFICATION_CATEGORY_LABELS[category]}</span>
+                                <span className="block text-xs text-gray-500">{CATEGORY_DESCRIPTIONS[category]}</span>
+                            </td>
+                            {(['email', 'whatsApp'] as const).map(channel => (
+                                <td key={channel} className="py-2 text-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={preferences[category][channel]}
+                                        onChange={e => handleChannelChange(category, channel, e.target.checked)}
+                                        className="h-4 w-4 text-brand-primary rounded focus:ring-brand-primary"
+                                    />
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="form-label">Quiet Hours From</label>
+                    <input type="time" name="quietHoursStart" value={preferences.quietHoursStart || ''} onChange={handleQuietHoursChange} className="form-input w-full" />
+                </div>
+                <div>
+                    <label className="form-label">Until</label>
+                    <input type="time" name="quietHoursEnd" value={preferences.quietHoursEnd || ''} onChange={handleQuietHoursChange} className="form-input w-full" />
+                </div>
+            </div>
+            <p className="text-xs text-gray-500">Emails and WhatsApp messages due during quiet hours are sent when they end. Leave both empty to receive them at any time.</p>
+            <div className="flex items-center gap-4">
+                <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={isSaving}
+                    className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-gray-400"
+                >
+                    {isSaving ? 'Saving...' : 'Save Preferences'}
+                </button>
+                {message && <p className={`text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{message.text}</p>}
+            </div>
+        </div>
+    );
+};
+
+export default NotificationPreferencesForm;
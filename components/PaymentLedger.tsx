@@ -0,0 +1,107 @@
+import React from 'react';
+import type { Invoice, InvoiceLineItem, InvoicePayment } from '../types';
+
+interface PaymentLedgerProps {
+    invoice: Invoice;
+    onReverse?: (payment: InvoicePayment) => void;
+    reversingPaymentId?: string | null;
+    onDownloadReceipt?: (payment: InvoicePayment) => void;
+}
+
+const PaymentLedger: React.FC<PaymentLedgerProps> = ({ invoice, onReverse, reversingPaymentId, onDownloadReceipt }) => {
+    const entries = [...(invoice.payments || [])].sort((a, b) => new Date(a.recordedAt).getTime() - new Date(b.recordedAt).getTime());
+    const reversedIds = new Set(entries.filter(e => e.type === 'Reversal').map(e => e.reversesPaymentId));
+
+    // Invoices generated before line items existed only carry their amount.
+    const lineItems = invoice.lineItems && invoice.lineItems.length > 0
+        ? invoice.lineItems
+        : [{ type: 'Fee' as const, description: 'Invoice issued', amount: invoice.amount }];
+    const isCharge = (item: InvoiceLineItem) => item.type === 'Fee' || item.type === 'LateFee';
+    let balance = 0;
+    const charges = lineItems.map(item => {
+        balance = Math.round((balance + (isCharge(item) ? item.amount : -item.amount)) * 100) / 100;
+        return { item, balance };
+    });
+    const rows = entries.map(entry => {
+        balance = Math.round((balance + (entry.type === 'Payment' ? -entry.amount : entry.amount)) * 100) / 100;
+        return { entry, balance };
+    });
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                        {onReverse && <th className="relative px-3 py-2"><span className="sr-only">Actions</span></th>}
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {charges.map(({ item, balance: runningBalance }, index) => (
+                        <tr key={`charge-${index}`}>
+                            <td className="px-3 py-2 whitespace-nowrap text-gray-500">{index === 0
+                                ? new Date(invoice.issueDate).toLocaleDateString()
+                                : item.type === 'LateFee' && invoice.lateFee ? new Date(invoice.lateFee.appliedAt).toLocaleDateString() : ''}</td>
+                            <td className="px-3 py-2 text-gray-700">{item.description}</td>
+                            <td className={`px-3 py-2 text-right whitespace-nowrap ${item.type === 'Fee' ? '' : item.type === 'LateFee' ? 'text-red-600' : 'text-green-700'}`}>
+                                {isCharge(item) ? item.amount : `-${item.amount}`}
+                            </td>
+                            <td className="px-3 py-2 text-right whitespace-nowrap font-medium">{runningBalance} {invoice.currency}</td>
+                            {onReverse && <td className="px-3 py-2" />}
+                        </tr>
+                    ))}
+                    {rows.map(({ entry, balance: runningBalance }) => (
+                        <tr key={entry.id} className={entry.type === 'Reversal' ? 'bg-red-50' : entry.type === 'Refund' ? 'bg-yellow-50' : undefined}>
+                            <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(entry.paymentDate).toLocaleDateString()}</td>
+                            <td className="px-3 py-2 text-gray-700">
+                                {entry.type === 'Payment' ? (
+                                    <>
+                                        Payment &middot; {entry.paymentMethod}
+                                        {entry.referenceNumber && <span className="text-gray-500"> ({entry.referenceNumber})</span>}
+                                        {reversedIds.has(entry.id) && <span className="ml-1 text-xs text-red-600">reversed</span>}
+                                        {onDownloadReceipt && (
+                                            <button type="button" onClick={() => onDownloadReceipt(entry)} className="ml-2 text-xs font-medium text-brand-primary hover:underline">Receipt</button>
+                                        )}
+                                        {entry.notes && <p className="text-xs text-gray-500">{entry.notes}</p>}
+                                    </>
+                                ) : (
+                                    <>
+                                        {entry.type === 'Refund' ? <>Refund &middot; {entry.paymentMethod}</> : 'Reversal'}
+                                        {entry.referenceNumber && <span className="text-gray-500"> ({entry.referenceNumber})</span>}
+                                        <p className="text-xs text-gray-500">{entry.reason}</p>
+                                    </>
+                                )}
+                            </td>
+                            <td className={`px-3 py-2 text-right whitespace-nowrap ${entry.type === 'Payment' ? 'text-green-700' : 'text-red-600'}`}>
+                                {entry.type === 'Payment' ? '-' : '+'}{entry.amount}
+                            </td>
+                            <td className="px-3 py-2 text-right whitespace-nowrap font-medium">
+                                {runningBalance < 0 ? `${-runningBalance} ${invoice.currency} credit` : `${runningBalance} ${invoice.currency}`}
+                            </td>
+                            {onReverse && (
+                                <td className="px-3 py-2 text-right whitespace-nowrap">
+                                    {entry.type === 'Payment' && !reversedIds.has(entry.id) && (
+                                        <button
+                                            type="button"
+                                            onClick={() => onReverse(entry)}
+                                            disabled={reversingPaymentId === entry.id}
+                                            className="text-xs font-medium text-red-600 hover:underline disabled:text-red-300"
+                                        >
+                                            {reversingPaymentId === entry.id ? 'Reversing...' : 'Reverse'}
+                                        </button>
+                                    )}
+                                </td>
+                            )}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {rows.length === 0 && <p className="text-sm text-gray-500 px-3 py-2">No payments recorded yet.</p>}
+        </div>
+    );
+};
+
+export default PaymentLedger;
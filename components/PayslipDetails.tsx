@@ -0,0 +1,109 @@
+import React from 'react';
+import type { Payslip } from '../types';
+import { CompensationType } from '../types';
+
+export const formatPayslipMonth = (month: string) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+export const describeCompensation = (type: CompensationType, rate: number, currency: string) => {
+    switch (type) {
+        case CompensationType.Monthly: return `${rate} ${currency} per month`;
+        case CompensationType.PerSession: return `${rate} ${currency} per class`;
+        case CompensationType.PerStudent: return `${rate} ${currency} per student per class`;
+    }
+};
+
+export const getPayslipStatusBadgeClass = (status: Payslip['status']) => {
+    switch (status) {
+        case 'Paid': return 'bg-green-100 text-green-800';
+        case 'Approved': return 'bg-blue-100 text-blue-800';
+        default: return 'bg-gray-100 text-gray-800';
+    }
+};
+
+// How a payslip's amount was reached: the pay basis, the classes counted and any adjustments.
+const PayslipDetails: React.FC<{ payslip: Payslip }> = ({ payslip }) => {
+    const studentSessions = payslip.sessions.reduce((sum, s) => sum + s.students, 0);
+
+    return (
+        <div className="space-y-4 text-sm">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <div className="bg-gray-50 border rounded-md p-3">
+                    <p className="text-xs text-gray-500">Pay basis</p>
+                    <p className="font-medium text-gray-900">{describeCompensation(payslip.compensationType, payslip.rate, payslip.currency)}</p>
+                </div>
+                <div className="bg-gray-50 border rounded-md p-3">
+                    <p className="text-xs text-gray-500">Classes</p>
+                    <p className="font-medium text-gray-900">{payslip.sessions.length}</p>
+                </div>
+                <div className="bg-gray-50 border rounded-md p-3">
+                    <p className="text-xs text-gray-500">Student attendances</p>
+                    <p className="font-medium text-gray-900">{studentSessions}</p>
+                </div>
+                <div className="bg-gray-50 border rounded-md p-3">
+                    <p className="text-xs text-gray-500">Net pay</p>
+                    <p className="font-bold text-gray-900">{payslip.netAmount} {payslip.currency}</p>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto max-h-64 border rounded-md">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50 sticky top-0">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Class</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-100">
+                        {payslip.sessions.map((session, index) => (
+                            <tr key={index}>
+                                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(`${session.date}T00:00:00`).toLocaleDateString()}</td>
+                                <td className="px-3 py-2 text-gray-700">
+                                    {session.batchName} <span className="text-gray-400">({session.courseName})</span>
+                                    <p className="text-xs text-gray-500">{session.timing}</p>
+                                </td>
+                                <td className="px-3 py-2 text-right whitespace-nowrap">
+                                    {session.students}
+                                    <p className="text-xs text-gray-400">{session.attendanceTaken ? 'attended' : 'enrolled'}</p>
+                                </td>
+                            </tr>
+                        ))}
+                        {payslip.sessions.length === 0 && <tr><td colSpan={3} className="px-3 py-4 text-center text-gray-500">No classes this month.</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+
+            <table className="w-full">
+                <tbody className="divide-y divide-gray-100">
+                    <tr>
+                        <td className="py-1 text-gray-700">Gross pay</td>
+                        <td className="py-1 text-right">{payslip.grossAmount} {payslip.currency}</td>
+                    </tr>
+                    {payslip.adjustments.map((adjustment, index) => (
+                        <tr key={index}>
+                            <td className="py-1 text-gray-700">{adjustment.description}</td>
+                            <td className={`py-1 text-right ${adjustment.amount < 0 ? 'text-red-600' : 'text-green-700'}`}>{adjustment.amount > 0 ? '+' : ''}{adjustment.amount}</td>
+                        </tr>
+                    ))}
+                    <tr className="font-semibold">
+                        <td className="py-1 text-gray-900">Net pay</td>
+                        <td className="py-1 text-right">{payslip.netAmount} {payslip.currency}</td>
+                    </tr>
+                </tbody>
+            </table>
+
+            {payslip.payout && (
+                <p className="text-green-800 bg-green-50 border border-green-200 rounded-md p-3">
+                    Paid on {new Date(payslip.payout.paidAt).toLocaleDateString()} by {payslip.payout.method}
+                    {payslip.payout.referenceNumber && ` (ref. ${payslip.payout.referenceNumber})`}.
+                    {payslip.payout.notes && <span className="block text-xs mt-1">{payslip.payout.notes}</span>}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default PayslipDetails;
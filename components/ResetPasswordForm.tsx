@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { resetPassword } from '../api';
+import ModalHeader from './ModalHeader';
+
+interface ResetPasswordFormProps {
+  token: string;
+  onSuccess: () => void;
+}
+
+const ResetPasswordForm: React.FC<ResetPasswordFormProps> = ({ token, onSuccess }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await resetPassword(token, password);
+      onSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unknown error occurred.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <ModalHeader title="Choose a New Password" />
+      <form className="space-y-6" onSubmit={handleSubmit}>
+        <div>
+          <label htmlFor="reset-password" className="block text-sm font-medium text-gray-700">
+            New Password
+          </label>
+          <input
+            type="password"
+            id="reset-password"
+            name="password"
+            autoComplete="new-password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isLoading}
+            className="mt-1 block w-full form-input"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="reset-confirm-password" className="block text-sm font-medium text-gray-700">
+            Confirm New Password
+          </label>
+          <input
+            type="password"
+            id="reset-confirm-password"
+            name="confirmPassword"
+            autoComplete="new-password"
+            required
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            disabled={isLoading}
+            className="mt-1 block w-full form-input"
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600 text-center">{error}</p>}
+
+        <div>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors disabled:bg-indigo-300 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Saving...' : 'Reset Password'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
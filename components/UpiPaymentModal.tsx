@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import ModalHeader from './ModalHeader';
+import type { Invoice, UpiPaymentRequest } from '../types';
+import { getFamilyInvoiceUpiRequest } from '../api';
+
+interface UpiPaymentModalProps {
+    invoice: Invoice | null;
+    onClose: () => void;
+}
+
+const UpiPaymentModal: React.FC<UpiPaymentModalProps> = ({ invoice, onClose }) => {
+    const [upiRequest, setUpiRequest] = useState<UpiPaymentRequest | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        setUpiRequest(null);
+        setError(null);
+        setCopied(false);
+        if (!invoice) return;
+        getFamilyInvoiceUpiRequest(invoice.studentId, invoice.id)
+            .then(setUpiRequest)
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load the UPI details.'));
+    }, [invoice]);
+
+    const handleCopyReference = async () => {
+        if (!upiRequest) return;
+        try {
+            await navigator.clipboard.writeText(upiRequest.reference);
+            setCopied(true);
+        } catch {
+            // Clipboard access can be blocked; the reference is on screen to copy by hand.
+        }
+    };
+
+    if (!invoice) return null;
+
+    return (
+        <Modal isOpen={!!invoice} onClose={onClose}>
+            <ModalHeader title="Pay by UPI" subtitle={`${invoice.student?.name} - ${invoice.courseName} (${invoice.billingPeriod})`} />
+            {error ? (
+                <p className="text-sm text-red-700 bg-red-100 p-3 rounded-md">{error}</p>
+            ) : !upiRequest ? (
+                <p className="text-center text-gray-500 py-8">Loading...</p>
+            ) : (
+                <div className="text-center space-y-4">
+                    <img src={upiRequest.qrCode} alt="UPI payment QR code" className="mx-auto w-56 h-56 border rounded-md bg-white" />
+                    <p className="text-2xl font-bold text-gray-900">{upiRequest.amount} {upiRequest.currency}</p>
+                    <p className="text-sm text-gray-600">
+                        Pay to <strong>{upiRequest.payeeName}</strong> ({upiRequest.vpa})
+                    </p>
+                    <div className="bg-gray-100 border rounded-md p-3 text-sm">
+                        Payment note: <strong>{upiRequest.reference}</strong>
+                        <button type="button" onClick={handleCopyReference} className="ml-2 text-xs font-medium text-brand-primary hover:underline">
+                            {copied ? 'Copied' : 'Copy'}
+                        </button>
+                        <p className="text-xs text-gray-500 mt-1">Keep this reference in the note so we can match your payment. No screenshot is needed.</p>
+                    </div>
+                    {/* On a phone the intent opens the UPI app directly instead of needing a second device to scan. */}
+                    <a
+                        href={upiRequest.uri}
+                        className="inline-block md:hidden bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm"
+                    >
+                        Open UPI app
+                    </a>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default UpiPaymentModal;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import type { WhatsAppOptInStatus } from '../types';
+import { WhatsAppIcon } from './icons';
+
+interface WhatsAppOptInToggleProps {
+    // Changes when the saved contact number does, since consent belongs to the number.
+    contactNumber?: string;
+    load: () => Promise<WhatsAppOptInStatus>;
+    save: (optIn: boolean) => Promise<WhatsAppOptInStatus>;
+    description: string;
+}
+
+const WhatsAppOptInToggle: React.FC<WhatsAppOptInToggleProps> = ({ contactNumber, load, save, description }) => {
+    const [status, setStatus] = useState<WhatsAppOptInStatus | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        load().then(setStatus).catch(() => setStatus(null));
+    }, [contactNumber]);
+
+    if (!status || !status.available) return null;
+
+    const handleChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const optIn = e.target.checked;
+        setIsSaving(true);
+        setError(null);
+        try {
+            setStatus(await save(optIn));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to save your WhatsApp preference.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+            <label className="flex items-start space-x-3 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={status.optedIn}
+                    onChange={handleChange}
+                    disabled={isSaving || !status.phoneNumber}
+                    className="h-4 w-4 mt-0.5 text-brand-primary rounded focus:ring-brand-primary"
+                />
+                <span>
+                    <span className="flex items-center text-sm font-medium text-gray-800">
+                        <WhatsAppIcon className="h-5 w-5 mr-2 text-green-600" />
+                        WhatsApp messages{status.phoneNumber && ` on +${status.phoneNumber}`}
+                    </span>
+                    <span className="block text-xs text-gray-600 mt-1">
+                        {status.phoneNumber ? description : 'Save a valid contact number, with the country code if outside India, to turn this on.'}
+                    </span>
+                    {status.updatedAt && (
+                        <span className="block text-xs text-gray-500 mt-1">
+                            {status.optedIn ? 'Turned on' : 'Turned off'} {new Date(status.updatedAt).toLocaleDateString()}
+                        </span>
+                    )}
+                </span>
+            </label>
+            {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+        </div>
+    );
+};
+
+export default WhatsAppOptInToggle;
@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import Modal from '../Modal';
 import ModalHeader from '../ModalHeader';
-import type { Batch, User } from '../../types';
+import type { Batch, User, BatchConflict, BatchSaveRequest } from '../../types';
+import { checkBatchConflicts } from '../../api';
+import BatchConflictWarning from './BatchConflictWarning';
 
 interface AddStudentsToBatchModalProps {
     isOpen: boolean;
@@ -9,7 +11,7 @@ interface AddStudentsToBatchModalProps {
     batch: Batch | null;
     allUsers: User[];
     allBatches: Batch[];
-    onSave: (batchData: Partial<Batch>) => void;
+    onSave: (batchData: BatchSaveRequest) => void;
 }
 
 // Define the ConflictInfo interface for better type safety
@@ -23,6 +25,7 @@ const AddStudentsToBatchModal: React.FC<AddStudentsToBatchModalProps> = ({ isOpe
     const [selectedStudentIds, setSelectedStudentIds] = useState<string[]>([]);
     const [search, setSearch] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [conflicts, setConflicts] = useState<BatchConflict[]>([]);
     const selectAllCheckboxRef = useRef<HTMLInputElement>(null);
 
     useEffect(() => {
@@ -30,6 +33,7 @@ const AddStudentsToBatchModal: React.FC<AddStudentsToBatchModalProps> = ({ isOpe
             const allStudentIdsInBatch = new Set((batch.schedule || []).flatMap(s => s.studentIds));
             setSelectedStudentIds(Array.from(allStudentIdsInBatch));
             setSearch(''); // Reset search on new batch
+            setConflicts([]);
         }
     }, [batch]);
 
@@ -89,6 +93,7 @@ const AddStudentsToBatchModal: React.FC<AddStudentsToBatchModalProps> = ({ isOpe
     }, [areAllAvailableSelected, availableFilteredStudents, selectedStudentIds]);
 
     const handleSelectionChange = (studentId: string, isChecked: boolean) => {
+        setConflicts([]);
         setSelectedStudentIds(prev => {
             const newSelection = new Set(prev);
             if (isChecked) {
@@ -101,6 +106,7 @@ const AddStudentsToBatchModal: React.FC<AddStudentsToBatchModalProps> = ({ isOpe
     };
 
     const handleSelectAll = (e: React.ChangeEvent<HTMLInputElement>) => {
+        setConflicts([]);
         const newSelection = new Set(selectedStudentIds);
         if (e.target.checked) {
             availableFilteredStudents.forEach(s => newSelection.add(s.id));
@@ -116,18 +122,40 @@ const AddStudentsToBatchModal: React.FC<AddStudentsToBatchModalProps> = ({ isOpe
         if (!batch) return;
         setIsLoading(true);
 
-        const dataToSave: Partial<Batch> = {
-            ...batch,
-            schedule: (batch.schedule || []).map(s => ({
-                timing: s.timing,
-                studentIds: selectedStudentIds,
-            })),
-        };
+        const dataToSave = buildSaveData();
+        try {
+            // Every clash is shown, not only the students': the server refuses the save for any of them, including a
+            // teacher or location clash that was overridden when the batch itself was saved.
+            const { conflicts: found } = await checkBatchConflicts(dataToSave);
+            if (found.length > 0) {
+                setConflicts(found);
+                setIsLoading(false);
+                return;
+            }
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to check the timetable for conflicts.');
+            setIsLoading(false);
+            return;
+        }
         
         await onSave(dataToSave);
         setIsLoading(false);
     };
 
+    const buildSaveData = (): Partial<Batch> => ({
+        ...batch,
+        schedule: (batch?.schedule || []).map(s => ({
+            ...s,
+            studentIds: selectedStudentIds,
+        })),
+    });
+
+    const handleSaveAnyway = async () => {
+        setIsLoading(true);
+        await onSave({ ...buildSaveData(), overrideConflicts: true });
+        setIsLoading(false);
+    };
+
     if (!batch) return null;
 
     return (
@@ -217,9 +245,14 @@ const AddStudentsToBatchModal: React.FC<AddStudentsToBatchModalProps> = ({ isOpe
                     </div>
                 </div>
                 
+                {conflicts.length > 0 && (
+                    <div className="flex-shrink-0 mt-4">
+                        <BatchConflictWarning conflicts={conflicts} isLoading={isLoading} onOverride={handleSaveAnyway} onDismiss={() => setConflicts([])} />
+                    </div>
+                )}
                 <div className="flex-shrink-0 flex justify-end pt-4 mt-auto border-t border-gray-200">
                     <button type="button" onClick={onClose} disabled={isLoading} className="bg-white py-2 px-4 border border-gray-300 rounded-md shadow-sm">Cancel</button>
-                    <button type="submit" disabled={isLoading} className="ml-3 inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-white bg-brand-primary hover:bg-brand-dark">
+                    <button type="submit" disabled={isLoading || conflicts.length > 0} className="ml-3 inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-white bg-brand-primary hover:bg-brand-dark">
                         {isLoading ? 'Saving...' : `Update Roster (${selectedStudentIds.length} Students)`}
                     </button>
                 </div>
@@ -11,14 +11,18 @@ const AdminNav: React.FC = () => {
   const links = [
     { name: 'Dashboard', path: '/admin/dashboard' },
     { name: 'Students', path: '/admin/students' },
+    { name: 'Families', path: '/admin/families' },
     { name: 'Teachers', path: '/admin/teachers' },
     { name: 'Batches', path: '/admin/batches' },
+    { name: 'Attendance', path: '/admin/attendance' },
     { name: 'Locations', path: '/admin/locations' },
     { name: 'Fees', path: '/admin/fees' },
+    { name: 'Payroll', path: '/admin/payroll' },
     { name: 'Events', path: '/admin/events' },
     { name: 'Grade Exams', path: '/admin/grade-exams' },
     { name: 'Book Materials', path: '/admin/book-materials' },
     { name: 'Notices', path: '/admin/notices' },
+    { name: 'Emails', path: '/admin/emails' },
     { name: 'Trash', path: '/admin/trash' },
   ];
 
@@ -0,0 +1,38 @@
+import React from 'react';
+import type { BatchConflict } from '../../types';
+
+interface BatchConflictWarningProps {
+    conflicts: BatchConflict[];
+    isLoading: boolean;
+    onOverride: () => void;
+    onDismiss: () => void;
+}
+
+const CONFLICT_LABELS: { [key in BatchConflict['type']]: string } = {
+    teacher: 'Teacher',
+    student: 'Student',
+    location: 'Location',
+};
+
+const BatchConflictWarning: React.FC<BatchConflictWarningProps> = ({ conflicts, isLoading, onOverride, onDismiss }) => (
+    <div className="text-sm text-red-800 bg-red-50 border-l-4 border-red-500 p-4 rounded-r-md mb-4">
+        <p className="font-semibold mb-2">This schedule clashes with {conflicts.length} existing booking{conflicts.length !== 1 ? 's' : ''}:</p>
+        <ul className="space-y-1 max-h-40 overflow-y-auto">
+            {conflicts.map((conflict, index) => (
+                <li key={index}>
+                    <span className="font-medium">{CONFLICT_LABELS[conflict.type]}</span> &middot; {conflict.timing}: {conflict.message}
+                </li>
+            ))}
+        </ul>
+        <div className="flex justify-end space-x-3 mt-3">
+            <button type="button" onClick={onDismiss} disabled={isLoading} className="bg-white py-1.5 px-3 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50">
+                Review Schedule
+            </button>
+            <button type="button" onClick={onOverride} disabled={isLoading} className="py-1.5 px-3 rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:bg-red-300">
+                {isLoading ? 'Saving...' : 'Save Anyway'}
+            </button>
+        </div>
+    </div>
+);
+
+export default BatchConflictWarning;
@@ -2,11 +2,12 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import Modal from '../Modal';
 import ModalHeader from '../ModalHeader';
-import type { Batch, Course, User, BatchSchedule, Location } from '../../types';
+import type { Batch, Course, User, BatchSchedule, Location, BatchConflict, BatchSaveRequest } from '../../types';
 import { UserRole, ClassPreference } from '../../types';
 import { WEEKDAYS, TIME_SLOTS, WEEKDAY_MAP } from '../../constants';
 import { XCircleIcon } from '../icons';
-import { getLocations } from '../../api';
+import { getLocations, checkBatchConflicts } from '../../api';
+import BatchConflictWarning from './BatchConflictWarning';
 
 
 interface UnifiedStudentPickerProps {
@@ -111,7 +112,7 @@ interface EditBatchModalProps {
     courses: Course[];
     users: User[];
     allBatches: Batch[];
-    onSave: (batchData: Partial<Batch>) => void;
+    onSave: (batchData: BatchSaveRequest) => void;
 }
 
 
@@ -121,6 +122,8 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
     const [selectedDays, setSelectedDays] = useState<Set<string>>(new Set());
     const [selectedStudentIds, setSelectedStudentIds] = useState<string[]>([]);
     const [locations, setLocations] = useState<Location[]>([]);
+    const [conflicts, setConflicts] = useState<BatchConflict[]>([]);
+    const [pendingSave, setPendingSave] = useState<Partial<Batch> | null>(null);
 
     useEffect(() => {
         if (isOpen) {
@@ -145,6 +148,8 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
             
             setSelectedDays(initialDays);
             setSelectedStudentIds(Array.from(studentIdSet));
+            setConflicts([]);
+            setPendingSave(null);
 
             const teacherIdString = (typeof batch.teacherId === 'object' && batch.teacherId) ? (batch.teacherId as Partial<User>).id || '' : (batch.teacherId as string || '');
 
@@ -158,6 +163,7 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
                 schedule: batch.schedule ? JSON.parse(JSON.stringify(batch.schedule)) : [],
                 mode: batch.mode,
                 locationId: batch.locationId,
+                startDate: batch.startDate || null,
             });
         }
     }, [batch]);
@@ -234,7 +240,7 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
             schedule: (formData.schedule || [])
                 .filter(s => s.timing)
                 .map(s => ({
-                    timing: s.timing,
+                    ...s,
                     studentIds: selectedStudentIds,
                 })),
         };
@@ -243,10 +249,36 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
             delete dataToSave.teacherId;
         }
 
+        try {
+            const { conflicts: found } = await checkBatchConflicts(dataToSave);
+            if (found.length > 0) {
+                setConflicts(found);
+                setPendingSave(dataToSave);
+                setIsLoading(false);
+                return;
+            }
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to check the timetable for conflicts.');
+            setIsLoading(false);
+            return;
+        }
+
         await onSave(dataToSave);
         setIsLoading(false);
     };
 
+    const handleSaveAnyway = async () => {
+        if (!pendingSave) return;
+        setIsLoading(true);
+        await onSave({ ...pendingSave, overrideConflicts: true });
+        setIsLoading(false);
+    };
+
+    const dismissConflicts = () => {
+        setConflicts([]);
+        setPendingSave(null);
+    };
+
     const getTeacherFullSchedule = (teacherId: string | undefined): Set<string> => {
         if (!teacherId) return new Set();
         const schedule = new Set<string>();
@@ -311,6 +343,10 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
                                 </select>
                             </div>
                         )}
+                        <div>
+                            <label htmlFor="startDate" className="form-label">Start Date (Optional)</label>
+                            <input id="startDate" name="startDate" type="date" value={formData.startDate || ''} onChange={e => setFormData(prev => ({ ...prev, startDate: e.target.value || null }))} className="form-input w-full" />
+                        </div>
                         <div className="lg:col-span-3">
                             <label htmlFor="description" className="form-label">Description</label>
                             <textarea id="description" name="description" value={formData.description || ''} onChange={handleChange} rows={2} className="form-textarea w-full" />
@@ -403,9 +439,12 @@ const EditBatchModal: React.FC<EditBatchModalProps> = ({ isOpen, onClose, batch,
                         </div>
                     </div>
 
+                    {conflicts.length > 0 && (
+                        <BatchConflictWarning conflicts={conflicts} isLoading={isLoading} onOverride={handleSaveAnyway} onDismiss={dismissConflicts} />
+                    )}
                     <div className="flex-shrink-0 flex justify-end pt-4 mt-auto border-t border-gray-200">
                         <button type="button" onClick={onClose} disabled={isLoading} className="bg-white py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50">Cancel</button>
-                        <button type="submit" disabled={isLoading} className="ml-3 inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-indigo-300">
+                        <button type="submit" disabled={isLoading || conflicts.length > 0} className="ml-3 inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-indigo-300">
                             {isLoading ? 'Saving...' : 'Save Batch'}
                         </button>
                     </div>
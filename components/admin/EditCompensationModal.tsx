@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+import type { TeacherCompensation, User } from '../../types';
+import { CompensationType, Currency } from '../../types';
+
+type CompensationForm = Pick<TeacherCompensation, 'type' | 'rate' | 'currency' | 'notes'>;
+
+interface EditCompensationModalProps {
+    teacher: User | null;
+    compensation?: TeacherCompensation;
+    onClose: () => void;
+    onSave: (teacherId: string, compensation: CompensationForm) => Promise<void>;
+}
+
+const RATE_LABELS: { [key in CompensationType]: string } = {
+    [CompensationType.Monthly]: 'Monthly Salary',
+    [CompensationType.PerSession]: 'Rate per Class',
+    [CompensationType.PerStudent]: 'Rate per Student per Class',
+};
+
+const EditCompensationModal: React.FC<EditCompensationModalProps> = ({ teacher, compensation, onClose, onSave }) => {
+    const [formData, setFormData] = useState<Partial<CompensationForm>>({});
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (teacher) {
+            setFormData({
+                type: compensation?.type || CompensationType.PerSession,
+                rate: compensation?.rate,
+                currency: compensation?.currency || Currency.INR,
+                notes: compensation?.notes || '',
+            });
+        }
+    }, [teacher, compensation]);
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: name === 'rate' ? parseFloat(value) : value }));
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!teacher) return;
+        setIsLoading(true);
+        await onSave(teacher.id, formData as CompensationForm);
+        setIsLoading(false);
+    };
+
+    if (!teacher) return null;
+
+    return (
+        <Modal isOpen={!!teacher} onClose={onClose}>
+            <ModalHeader title="Teacher Pay" subtitle={teacher.name} />
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label className="form-label">Pay Basis</label>
+                    <select name="type" value={formData.type} onChange={handleChange} className="form-select w-full">
+                        <option value={CompensationType.Monthly}>Fixed monthly salary</option>
+                        <option value={CompensationType.PerSession}>Per class taught</option>
+                        <option value={CompensationType.PerStudent}>Per student per class</option>
+                    </select>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="form-label">{formData.type ? RATE_LABELS[formData.type] : 'Rate'}</label>
+                        <input type="number" name="rate" min="0" step="0.01" value={Number.isNaN(formData.rate) ? '' : formData.rate ?? ''} onChange={handleChange} required className="form-input w-full" />
+                    </div>
+                    <div>
+                        <label className="form-label">Currency</label>
+                        <select name="currency" value={formData.currency} onChange={handleChange} className="form-select w-full">
+                            {Object.values(Currency).map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div>
+                    <label className="form-label">Notes (Optional)</label>
+                    <textarea name="notes" rows={2} value={formData.notes || ''} onChange={handleChange} className="form-textarea w-full" />
+                </div>
+                <p className="text-xs text-gray-500">Changes apply to payslips calculated from now on; approved and paid payslips keep their rate.</p>
+                <button type="submit" disabled={isLoading} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-gray-400">
+                    {isLoading ? 'Saving...' : 'Save Pay'}
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export default EditCompensationModal;
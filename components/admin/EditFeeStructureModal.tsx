@@ -2,19 +2,19 @@
 import React, { useState, useEffect } from 'react';
 import Modal from '../Modal';
 import ModalHeader from '../ModalHeader';
-import type { Course, FeeStructure } from '../../types';
-import { Currency, BillingCycle } from '../../types';
+import type { Course, FeeStructure, FeeDiscount, SiblingDiscount, LateFeeRule, Location } from '../../types';
+import { Currency, BillingCycle, BillingAnchor, DiscountType, ClassPreference, Grade, ProrationPolicy } from '../../types';
 
 interface EditFeeStructureModalProps {
     isOpen: boolean;
     onClose: () => void;
     structure: Partial<FeeStructure> | null;
     courses: Course[];
-    existingStructures: FeeStructure[];
+    locations: Location[];
     onSave: (data: Partial<FeeStructure>) => void;
 }
 
-const EditFeeStructureModal: React.FC<EditFeeStructureModalProps> = ({ isOpen, onClose, structure, courses, existingStructures, onSave }) => {
+const EditFeeStructureModal: React.FC<EditFeeStructureModalProps> = ({ isOpen, onClose, structure, courses, locations, onSave }) => {
     const [formData, setFormData] = useState<Partial<FeeStructure>>({});
     const [isLoading, setIsLoading] = useState(false);
 
@@ -24,18 +24,23 @@ const EditFeeStructureModal: React.FC<EditFeeStructureModalProps> = ({ isOpen, o
                 id: structure.id,
                 courseId: structure.courseId || '',
                 courseName: structure.courseName || '',
+                mode: structure.mode || null,
+                locationId: structure.locationId || null,
+                grade: structure.grade || null,
+                effectiveFrom: structure.effectiveFrom || null,
                 amount: structure.amount || 0,
                 currency: structure.currency || Currency.INR,
                 billingCycle: structure.billingCycle || BillingCycle.Monthly,
+                billingAnchor: structure.billingAnchor || BillingAnchor.Calendar,
+                prorationPolicy: structure.prorationPolicy || ProrationPolicy.Full,
+                sessionsPerCycle: structure.sessionsPerCycle || null,
+                discounts: structure.discounts || [],
+                siblingDiscounts: structure.siblingDiscounts || [],
+                lateFee: structure.lateFee || null,
             });
         }
     }, [structure]);
     
-    const availableCourses = courses.filter(course => {
-        // If editing, allow the current course. If new, only show courses without a structure.
-        return structure?.id || !existingStructures.some(s => s.courseId === course.id);
-    });
-
     const handleCourseChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
         const selectedCourse = courses.find(c => c.id === e.target.value);
         if (selectedCourse) {
@@ -52,6 +57,29 @@ const EditFeeStructureModal: React.FC<EditFeeStructureModalProps> = ({ isOpen, o
         setFormData(prev => ({ ...prev, [name]: name === 'amount' ? parseFloat(value) : value }));
     };
 
+    // Empty selects mean "any", which the server stores as unset.
+    const handleOptionalChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value || null,
+            // Online classes are not held at a location.
+            ...(name === 'mode' && value === ClassPreference.Online ? { locationId: null } : {}),
+        }));
+    };
+
+    const updateDiscount = (index: number, changes: Partial<FeeDiscount>) => {
+        setFormData(prev => ({ ...prev, discounts: (prev.discounts || []).map((d, i) => i === index ? { ...d, ...changes } : d) }));
+    };
+
+    const updateSiblingDiscount = (index: number, changes: Partial<SiblingDiscount>) => {
+        setFormData(prev => ({ ...prev, siblingDiscounts: (prev.siblingDiscounts || []).map((d, i) => i === index ? { ...d, ...changes } : d) }));
+    };
+
+    const updateLateFee = (changes: Partial<LateFeeRule>) => {
+        setFormData(prev => prev.lateFee ? { ...prev, lateFee: { ...prev.lateFee, ...changes } } : prev);
+    };
+
     const handleSubmit = (e: React.FormEvent) => {
         e.preventDefault();
         setIsLoading(true);
@@ -76,13 +104,44 @@ const EditFeeStructureModal: React.FC<EditFeeStructureModalProps> = ({ isOpen, o
                         disabled={!!structure.id}
                     >
                         <option value="" disabled>Select a course</option>
-                        {availableCourses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
-                        {structure.id && !availableCourses.some(c => c.id === structure.courseId) && (
+                        {courses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        {structure.id && !courses.some(c => c.id === structure.courseId) && (
                            <option value={structure.courseId} disabled>{structure.courseName}</option>
                         )}
                     </select>
                     {!!structure.id && <p className="text-xs text-gray-500 mt-1">Course cannot be changed after creation.</p>}
                 </div>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                        <label className="form-label">Mode</label>
+                        <select name="mode" value={formData.mode || ''} onChange={handleOptionalChange} className="form-select w-full">
+                            <option value="">Any mode</option>
+                            <option value={ClassPreference.Online}>Online</option>
+                            <option value={ClassPreference.Offline}>Offline</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="form-label">Location</label>
+                        <select name="locationId" value={formData.locationId || ''} onChange={handleOptionalChange} disabled={formData.mode === ClassPreference.Online} className="form-select w-full">
+                            <option value="">Any location</option>
+                            {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="form-label">Grade</label>
+                        <select name="grade" value={formData.grade || ''} onChange={handleOptionalChange} className="form-select w-full">
+                            <option value="">Any grade</option>
+                            {Object.values(Grade).map(g => <option key={g} value={g}>{g}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div>
+                    <label className="form-label">Effective From (Optional)</label>
+                    <input type="date" name="effectiveFrom" value={formData.effectiveFrom || ''} onChange={handleOptionalChange} className="form-input w-full" />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Invoices use the structure that best matches the student's batch, taking the latest one in effect when the billing period starts. Add a new structure with a later date to change a price.
+                    </p>
+                </div>
                 <div>
                     <label className="form-label">Amount</label>
                     <input
@@ -108,6 +167,137 @@ const EditFeeStructureModal: React.FC<EditFeeStructureModalProps> = ({ isOpen, o
                         {Object.values(BillingCycle).map(c => <option key={c} value={c}>{c}</option>)}
                     </select>
                 </div>
+                <div>
+                    <label className="form-label">Billing Periods</label>
+                    <select name="billingAnchor" value={formData.billingAnchor} onChange={handleChange} className="form-select w-full">
+                        <option value={BillingAnchor.Calendar}>Calendar (month, quarter, billing year)</option>
+                        <option value={BillingAnchor.Anniversary}>From each student's joining date</option>
+                    </select>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="form-label">Starting Mid-Period</label>
+                        <select name="prorationPolicy" value={formData.prorationPolicy} onChange={handleChange} className="form-select w-full">
+                            <option value={ProrationPolicy.Full}>Charge the full fee</option>
+                            <option value={ProrationPolicy.Prorate}>Charge for the part attended</option>
+                            <option value={ProrationPolicy.Waive}>Don't charge for that period</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="form-label">Sessions per Cycle (Optional)</label>
+                        <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={formData.sessionsPerCycle ?? ''}
+                            onChange={e => setFormData(prev => ({ ...prev, sessionsPerCycle: e.target.value ? parseInt(e.target.value, 10) : null }))}
+                            disabled={formData.prorationPolicy !== ProrationPolicy.Prorate}
+                            className="form-input w-full"
+                        />
+                    </div>
+                    <p className="text-xs text-gray-500 sm:col-span-2">
+                        Applies when a student joins, or their batch starts, after a billing period begins. Part periods are charged by sessions when set, otherwise by days.
+                    </p>
+                </div>
+                <div className="border-t pt-4">
+                    <div className="flex justify-between items-center mb-2">
+                        <label className="form-label mb-0">Discounts</label>
+                        <button
+                            type="button"
+                            onClick={() => setFormData(prev => ({ ...prev, discounts: [...(prev.discounts || []), { name: '', type: DiscountType.Percentage, value: 0 }] }))}
+                            className="text-sm font-medium text-brand-primary hover:underline"
+                        >
+                            + Add Discount
+                        </button>
+                    </div>
+                    {(formData.discounts || []).length === 0 && <p className="text-xs text-gray-500">Discounts apply to every student on this fee, optionally between two dates.</p>}
+                    <div className="space-y-3">
+                        {(formData.discounts || []).map((discount, index) => (
+                            <div key={index} className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-end bg-gray-50 p-2 rounded-md">
+                                <input type="text" placeholder="Name" value={discount.name} onChange={e => updateDiscount(index, { name: e.target.value })} required className="form-input col-span-2" />
+                                <select value={discount.type} onChange={e => updateDiscount(index, { type: e.target.value as DiscountType })} className="form-select">
+                                    <option value={DiscountType.Percentage}>%</option>
+                                    <option value={DiscountType.Fixed}>Fixed</option>
+                                </select>
+                                <input type="number" min="0" step="0.01" max={discount.type === DiscountType.Percentage ? 100 : undefined} value={discount.value} onChange={e => updateDiscount(index, { value: parseFloat(e.target.value) || 0 })} required className="form-input" />
+                                <input type="date" title="Valid from" value={discount.validFrom || ''} onChange={e => updateDiscount(index, { validFrom: e.target.value || undefined })} className="form-input" />
+                                <div className="flex items-center gap-1">
+                                    <input type="date" title="Valid to" value={discount.validTo || ''} onChange={e => updateDiscount(index, { validTo: e.target.value || undefined })} className="form-input w-full" />
+                                    <button type="button" onClick={() => setFormData(prev => ({ ...prev, discounts: (prev.discounts || []).filter((_, i) => i !== index) }))} className="text-red-600 hover:text-red-800 px-1" aria-label="Remove discount">&times;</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+                <div className="border-t pt-4">
+                    <div className="flex justify-between items-center mb-2">
+                        <label className="form-label mb-0">Sibling Concessions</label>
+                        <button
+                            type="button"
+                            onClick={() => setFormData(prev => {
+                                const siblingDiscounts = prev.siblingDiscounts || [];
+                                const nextNumber = Math.max(1, ...siblingDiscounts.map(d => d.siblingNumber)) + 1;
+                                return { ...prev, siblingDiscounts: [...siblingDiscounts, { siblingNumber: nextNumber, type: DiscountType.Percentage, value: 0 }] };
+                            })}
+                            className="text-sm font-medium text-brand-primary hover:underline"
+                        >
+                            + Add Rule
+                        </button>
+                    </div>
+                    {(formData.siblingDiscounts || []).length === 0 && <p className="text-xs text-gray-500">Applied automatically to the second and later enrolled children of a family.</p>}
+                    <div className="space-y-2">
+                        {(formData.siblingDiscounts || []).map((rule, index) => (
+                            <div key={index} className="flex items-center gap-2 text-sm bg-gray-50 p-2 rounded-md">
+                                <span>From child</span>
+                                <input type="number" min="2" step="1" value={rule.siblingNumber} onChange={e => updateSiblingDiscount(index, { siblingNumber: parseInt(e.target.value, 10) || 2 })} required className="form-input w-20" />
+                                <span>onwards:</span>
+                                <input type="number" min="0" step="0.01" max={rule.type === DiscountType.Percentage ? 100 : undefined} value={rule.value} onChange={e => updateSiblingDiscount(index, { value: parseFloat(e.target.value) || 0 })} required className="form-input w-24" />
+                                <select value={rule.type} onChange={e => updateSiblingDiscount(index, { type: e.target.value as DiscountType })} className="form-select w-24">
+                                    <option value={DiscountType.Percentage}>%</option>
+                                    <option value={DiscountType.Fixed}>Fixed</option>
+                                </select>
+                                <button type="button" onClick={() => setFormData(prev => ({ ...prev, siblingDiscounts: (prev.siblingDiscounts || []).filter((_, i) => i !== index) }))} className="text-red-600 hover:text-red-800 px-1 ml-auto" aria-label="Remove rule">&times;</button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+                <div className="border-t pt-4">
+                    <div className="flex justify-between items-center mb-2">
+                        <label className="form-label mb-0">Late Fee</label>
+                        <button
+                            type="button"
+                            onClick={() => setFormData(prev => ({ ...prev, lateFee: prev.lateFee ? null : { type: DiscountType.Fixed, value: 0, graceDays: 0 } }))}
+                            className={`text-sm font-medium hover:underline ${formData.lateFee ? 'text-red-600' : 'text-brand-primary'}`}
+                        >
+                            {formData.lateFee ? 'Remove' : '+ Add Late Fee'}
+                        </button>
+                    </div>
+                    {formData.lateFee ? (
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 items-end bg-gray-50 p-2 rounded-md text-sm">
+                            <div>
+                                <label className="text-xs text-gray-500">Type</label>
+                                <select value={formData.lateFee.type} onChange={e => updateLateFee({ type: e.target.value as DiscountType })} className="form-select w-full">
+                                    <option value={DiscountType.Fixed}>Fixed</option>
+                                    <option value={DiscountType.Percentage}>% of invoice</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label className="text-xs text-gray-500">Value</label>
+                                <input type="number" min="0" step="0.01" max={formData.lateFee.type === DiscountType.Percentage ? 100 : undefined} value={formData.lateFee.value} onChange={e => updateLateFee({ value: parseFloat(e.target.value) || 0 })} required className="form-input w-full" />
+                            </div>
+                            <div>
+                                <label className="text-xs text-gray-500">Grace days</label>
+                                <input type="number" min="0" step="1" value={formData.lateFee.graceDays} onChange={e => updateLateFee({ graceDays: parseInt(e.target.value, 10) || 0 })} className="form-input w-full" />
+                            </div>
+                            <div>
+                                <label className="text-xs text-gray-500">Cap (optional)</label>
+                                <input type="number" min="0" step="0.01" value={formData.lateFee.cap ?? ''} onChange={e => updateLateFee({ cap: e.target.value === '' ? undefined : parseFloat(e.target.value) })} className="form-input w-full" />
+                            </div>
+                        </div>
+                    ) : (
+                        <p className="text-xs text-gray-500">Charged once, as a separate line, on invoices still unpaid after the due date and grace days.</p>
+                    )}
+                </div>
                 <div className="pt-4">
                     <button
                         type="submit"
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+import type { FeeStructure, Scholarship, User } from '../../types';
+import { DiscountType } from '../../types';
+
+interface EditScholarshipModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+    scholarship: Partial<Scholarship> | null;
+    students: User[];
+    structures: FeeStructure[];
+    onSave: (data: Partial<Scholarship>) => Promise<void>;
+}
+
+const todayString = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const EditScholarshipModal: React.FC<EditScholarshipModalProps> = ({ isOpen, onClose, scholarship, students, structures, onSave }) => {
+    const [formData, setFormData] = useState<Partial<Scholarship>>({});
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (scholarship) {
+            setFormData({
+                id: scholarship.id,
+                studentId: scholarship.studentId || '',
+                feeStructureId: scholarship.feeStructureId || '',
+                name: scholarship.name || '',
+                type: scholarship.type || DiscountType.Percentage,
+                value: scholarship.value || 0,
+                validFrom: scholarship.validFrom || todayString(),
+                validTo: scholarship.validTo || '',
+                notes: scholarship.notes || '',
+            });
+        }
+    }, [scholarship]);
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: name === 'value' ? parseFloat(value) : value }));
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsLoading(true);
+        await onSave({ ...formData, validTo: formData.validTo || undefined });
+        setIsLoading(false);
+    };
+
+    // A scholarship on one structure covers every structure of its course, so each course is listed once.
+    const courseOptions = [...structures.reduce((byCourse, s) => {
+        if (!byCourse.has(s.courseId) || s.id === formData.feeStructureId) byCourse.set(s.courseId, s);
+        return byCourse;
+    }, new Map<string, FeeStructure>()).values()];
+
+    if (!scholarship) return null;
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <ModalHeader title={scholarship.id ? 'Edit Scholarship' : 'Add Scholarship'} subtitle="Taken off the student's invoices for billing periods that start while it is valid." />
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label className="form-label">Student</label>
+                    <select name="studentId" value={formData.studentId || ''} onChange={handleChange} required disabled={!!scholarship.id} className="form-select w-full">
+                        <option value="" disabled>Select a student</option>
+                        {students.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="form-label">Name</label>
+                    <input type="text" name="name" value={formData.name || ''} onChange={handleChange} required placeholder="e.g. Merit" className="form-input w-full" />
+                </div>
+                <div>
+                    <label className="form-label">Course</label>
+                    <select name="feeStructureId" value={formData.feeStructureId || ''} onChange={handleChange} className="form-select w-full">
+                        <option value="">All courses</option>
+                        {courseOptions.map(s => <option key={s.id} value={s.id}>{s.courseName}</option>)}
+                    </select>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="form-label">Type</label>
+                        <select name="type" value={formData.type} onChange={handleChange} className="form-select w-full">
+                            <option value={DiscountType.Percentage}>Percentage</option>
+                            <option value={DiscountType.Fixed}>Fixed amount</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="form-label">Value</label>
+                        <input type="number" name="value" min="0" step="0.01" max={formData.type === DiscountType.Percentage ? 100 : undefined} value={formData.value ?? ''} onChange={handleChange} required className="form-input w-full" />
+                    </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="form-label">Valid From</label>
+                        <input type="date" name="validFrom" value={formData.validFrom || ''} onChange={handleChange} required className="form-input w-full" />
+                    </div>
+                    <div>
+                        <label className="form-label">Valid To (Optional)</label>
+                        <input type="date" name="validTo" value={formData.validTo || ''} min={formData.validFrom} onChange={handleChange} className="form-input w-full" />
+                    </div>
+                </div>
+                <div>
+                    <label className="form-label">Notes (Optional)</label>
+                    <textarea name="notes" rows={2} value={formData.notes || ''} onChange={handleChange} className="form-textarea w-full" />
+                </div>
+                <div className="pt-4">
+                    <button
+                        type="submit"
+                        disabled={isLoading}
+                        className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark"
+                    >
+                        {isLoading ? 'Saving...' : 'Save Scholarship'}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default EditScholarshipModal;
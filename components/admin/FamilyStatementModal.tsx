@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+import type { FamilyStatement, FamilyStatementSummary, ReportFilters } from '../../types';
+import { getFamilyStatement, downloadFamilyStatementCsv } from '../../api';
+
+interface FamilyStatementModalProps {
+    summary: FamilyStatementSummary | null;
+    filters: ReportFilters;
+    onClose: () => void;
+}
+
+const FamilyStatementModal: React.FC<FamilyStatementModalProps> = ({ summary, filters, onClose }) => {
+    const [statement, setStatement] = useState<FamilyStatement | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        setStatement(null);
+        setError(null);
+        if (!summary) return;
+        getFamilyStatement(summary.studentId, filters)
+            .then(setStatement)
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load the statement.'));
+    }, [summary, filters]);
+
+    const handleExport = async () => {
+        if (!summary) return;
+        try {
+            await downloadFamilyStatementCsv(summary.studentId, filters);
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to export the statement.');
+        }
+    };
+
+    if (!summary) return null;
+
+    const period = `${new Date(filters.from).toLocaleDateString()} - ${new Date(filters.to).toLocaleDateString()}`;
+
+    return (
+        <Modal isOpen={!!summary} onClose={onClose} size="3xl">
+            <ModalHeader title={`Statement: ${summary.name}`} subtitle={`${summary.students} · ${period} · ${filters.currency}`} />
+            {error ? (
+                <p className="text-sm text-red-700 bg-red-100 p-3 rounded-md">{error}</p>
+            ) : !statement ? (
+                <p className="text-center text-gray-500 py-8">Loading...</p>
+            ) : (
+                <div className="space-y-4">
+                    <div className="overflow-x-auto max-h-[60vh] border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Charges</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Payments</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-100">
+                                <tr className="bg-gray-50">
+                                    <td className="px-3 py-2" />
+                                    <td className="px-3 py-2 font-medium text-gray-700">Opening balance</td>
+                                    <td className="px-3 py-2" />
+                                    <td className="px-3 py-2" />
+                                    <td className="px-3 py-2 text-right font-medium">{statement.opening}</td>
+                                </tr>
+                                {statement.lines.map((line, index) => (
+                                    <tr key={index}>
+                                        <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(line.date).toLocaleDateString()}</td>
+                                        <td className="px-3 py-2 text-gray-700">
+                                            {line.description}
+                                            <p className="text-xs text-gray-500">{line.studentName}{line.reference && ` · ${line.reference}`}</p>
+                                        </td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap">{line.debit > 0 ? line.debit : ''}</td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap text-green-700">{line.credit > 0 ? line.credit : ''}</td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap font-medium">{line.balance}</td>
+                                    </tr>
+                                ))}
+                                <tr className="bg-gray-50">
+                                    <td className="px-3 py-2" />
+                                    <td className="px-3 py-2 font-medium text-gray-700">Closing balance</td>
+                                    <td className="px-3 py-2 text-right font-medium">{statement.charges}</td>
+                                    <td className="px-3 py-2 text-right font-medium text-green-700">{statement.payments}</td>
+                                    <td className="px-3 py-2 text-right font-semibold">
+                                        {statement.closing < 0 ? `${-statement.closing} in credit` : statement.closing}
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleExport}
+                        className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                        Export Statement as CSV
+                    </button>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default FamilyStatementModal;
@@ -1,15 +1,43 @@
 
 import React from 'react';
-import type { FeeStructure } from '../../types';
+import type { FeeStructure, Location } from '../../types';
+import { DiscountType, ProrationPolicy } from '../../types';
 
 interface FeeStructureTableProps {
     structures: FeeStructure[];
+    locations: Location[];
     onEdit: (structure: FeeStructure) => void;
     onDelete: (id: string) => void;
     onAddNew: () => void;
 }
 
-const FeeStructureTable: React.FC<FeeStructureTableProps> = ({ structures, onEdit, onDelete, onAddNew }) => {
+const describeDiscounts = (structure: FeeStructure) => {
+    const format = (type: DiscountType, value: number) => type === DiscountType.Percentage ? `${value}%` : `${value} ${structure.currency}`;
+    return [
+        ...(structure.discounts || []).map(d => `${d.name}: ${format(d.type, d.value)}`),
+        ...(structure.siblingDiscounts || []).map(d => `Child ${d.siblingNumber}+: ${format(d.type, d.value)}`),
+    ];
+};
+
+const describeLateFee = (structure: FeeStructure) => {
+    const rule = structure.lateFee;
+    if (!rule) return 'None';
+    const value = rule.type === DiscountType.Percentage ? `${rule.value}%` : `${rule.value} ${structure.currency}`;
+    const cap = rule.cap != null ? `, max ${rule.cap} ${structure.currency}` : '';
+    return `${value}${cap} after ${rule.graceDays} day${rule.graceDays !== 1 ? 's' : ''}`;
+};
+
+const describeProration = (structure: FeeStructure) => structure.prorationPolicy === ProrationPolicy.Waive
+    ? 'Part periods not charged'
+    : `Part periods prorated by ${structure.sessionsPerCycle ? `${structure.sessionsPerCycle} sessions` : 'days'}`;
+
+const FeeStructureTable: React.FC<FeeStructureTableProps> = ({ structures, locations, onEdit, onDelete, onAddNew }) => {
+    const describeApplies = (structure: FeeStructure) => {
+        const location = structure.locationId && (locations.find(l => l.id === structure.locationId)?.name || 'Removed location');
+        const variant = [structure.mode, location, structure.grade].filter(Boolean).join(', ');
+        return variant || 'All students';
+    };
+
     return (
         <div>
             <div className="flex justify-between items-center mb-4">
@@ -27,8 +55,12 @@ const FeeStructureTable: React.FC<FeeStructureTableProps> = ({ structures, onEdi
                         <thead className="bg-gray-50">
                             <tr>
                                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course Name</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Effective From</th>
                                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
                                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Billing Cycle</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discounts</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Late Fee</th>
                                 <th scope="col" className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
                             </tr>
                         </thead>
@@ -36,8 +68,19 @@ const FeeStructureTable: React.FC<FeeStructureTableProps> = ({ structures, onEdi
                             {structures.length > 0 ? structures.map(structure => (
                                 <tr key={structure.id}>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{structure.courseName}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeApplies(structure)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{structure.effectiveFrom || 'Always'}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{structure.amount.toLocaleString()} {structure.currency}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{structure.billingCycle}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {structure.billingCycle}
+                                        {structure.prorationPolicy && structure.prorationPolicy !== ProrationPolicy.Full && (
+                                            <span className="block text-xs text-gray-400">{describeProration(structure)}</span>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 text-sm text-gray-500">
+                                        {describeDiscounts(structure).length > 0 ? describeDiscounts(structure).map(line => <div key={line}>{line}</div>) : 'None'}
+                                    </td>
+                                    <td className="px-6 py-4 text-sm text-gray-500">{describeLateFee(structure)}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
                                         <button onClick={() => onEdit(structure)} className="text-brand-primary hover:text-brand-dark">Edit</button>
                                         <button onClick={() => onDelete(structure.id)} className="text-red-600 hover:text-red-800">Delete</button>
@@ -45,7 +88,7 @@ const FeeStructureTable: React.FC<FeeStructureTableProps> = ({ structures, onEdi
                                 </tr>
                             )) : (
                                 <tr>
-                                    <td colSpan={4} className="px-6 py-8 text-center text-sm text-gray-500">
+                                    <td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">
                                         No fee structures defined. Click "Add New Structure" to begin.
                                     </td>
                                 </tr>
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { FinanceReport, FinanceReportSection, FamilyStatementSummary, ReportFilters, ReportTotal } from '../../types';
+import { Currency } from '../../types';
+import { getFinanceReport, downloadFinanceReportCsv, getFamilyStatements, downloadFamilyStatementsCsv } from '../../api';
+import FamilyStatementModal from './FamilyStatementModal';
+
+const toDateInput = (date: Date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const defaultFilters = (): ReportFilters => {
+    const now = new Date();
+    return { from: toDateInput(new Date(now.getFullYear(), now.getMonth(), 1)), to: toDateInput(now), currency: Currency.INR };
+};
+
+const formatAmount = (amount: number) => amount.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const thClasses = "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+const tdClasses = "px-4 py-2 whitespace-nowrap text-sm text-gray-700";
+
+const CsvButton: React.FC<{ onClick: () => void }> = ({ onClick }) => (
+    <button type="button" onClick={onClick} className="text-xs font-medium text-brand-primary hover:underline">Export CSV</button>
+);
+
+const SummaryCard: React.FC<{ label: string; value: string; detail?: string }> = ({ label, value, detail }) => (
+    <div className="bg-white shadow-sm rounded-lg p-4">
+        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+        <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+        {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+    </div>
+);
+
+const TotalsTable: React.FC<{ title: string; heading: string; rows: ReportTotal[]; currency: string; onExport: () => void }> = ({ title, heading, rows, currency, onExport }) => (
+    <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+        <div className="flex justify-between items-center px-4 pt-3">
+            <h3 className="text-base font-semibold text-gray-800">{title}</h3>
+            <CsvButton onClick={onExport} />
+        </div>
+        <table className="min-w-full divide-y divide-gray-200 mt-2">
+            <thead className="bg-gray-50">
+                <tr>
+                    <th className={thClasses}>{heading}</th>
+                    <th className={`${thClasses} text-right`}>Entries</th>
+                    <th className={`${thClasses} text-right`}>Amount ({currency})</th>
+                </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+                {rows.map(row => (
+                    <tr key={row.label}>
+                        <td className={tdClasses}>{row.label}</td>
+                        <td className={`${tdClasses} text-right`}>{row.count}</td>
+                        <td className={`${tdClasses} text-right font-medium ${row.amount < 0 ? 'text-red-600' : ''}`}>{formatAmount(row.amount)}</td>
+                    </tr>
+                ))}
+                {rows.length === 0 && <tr><td colSpan={3} className="px-4 py-6 text-center text-sm text-gray-500">Nothing collected in this range.</td></tr>}
+            </tbody>
+        </table>
+    </div>
+);
+
+const FinanceReports: React.FC = () => {
+    const [filters, setFilters] = useState<ReportFilters>(defaultFilters);
+    const [report, setReport] = useState<FinanceReport | null>(null);
+    const [statements, setStatements] = useState<FamilyStatementSummary[]>([]);
+    const [viewingStatement, setViewingStatement] = useState<FamilyStatementSummary | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+
+    const fetchReports = useCallback(async () => {
+        if (!filters.from || !filters.to) return;
+        setIsLoading(true);
+        setError(null);
+        try {
+            const [financeReport, statementData] = await Promise.all([getFinanceReport(filters), getFamilyStatements(filters)]);
+            setReport(financeReport);
+            setStatements(statementData.statements);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load reports.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        fetchReports();
+    }, [fetchReports]);
+
+    const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleExport = async (download: () => Promise<void>) => {
+        try {
+            await download();
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to export the report.');
+        }
+    };
+    const exportSection = (section: FinanceReportSection) => handleExport(() => downloadFinanceReportCsv(filters, section));
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-4 rounded-lg shadow-sm grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label className="form-label">From</label>
+                    <input type="date" name="from" value={filters.from} max={filters.to} onChange={handleFilterChange} className="form-input w-full" />
+                </div>
+                <div>
+                    <label className="form-label">To</label>
+                    <input type="date" name="to" value={filters.to} min={filters.from} onChange={handleFilterChange} className="form-input w-full" />
+                </div>
+                <div>
+                    <label className="form-label">Currency</label>
+                    <select name="currency" value={filters.currency} onChange={handleFilterChange} className="form-select w-full">
+                        {Object.values(Currency).map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {isLoading && <p className="text-center text-gray-500 py-8">Loading reports...</p>}
+            {error && <p className="text-center text-red-500 bg-red-100 p-3 rounded-md">{error}</p>}
+            {!isLoading && !error && report && (
+                <>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <SummaryCard
+                            label="Collected"
+                            value={`${formatAmount(report.revenue.net)} ${report.currency}`}
+                            detail={report.revenue.refunded > 0 ? `${formatAmount(report.revenue.collected)} received, ${formatAmount(report.revenue.refunded)} refunded` : undefined}
+                        />
+                        <SummaryCard
+                            label="Invoiced"
+                            value={`${formatAmount(report.invoicing.invoiced)} ${report.currency}`}
+                            detail={`${report.invoicing.count} invoice${report.invoicing.count !== 1 ? 's' : ''}, ${formatAmount(report.invoicing.discounts)} discounts, ${formatAmount(report.invoicing.creditNotes)} credit notes`}
+                        />
+                        <SummaryCard
+                            label="Collection Rate"
+                            value={report.invoicing.collectionRate === null ? '—' : `${report.invoicing.collectionRate}%`}
+                            detail={`${formatAmount(report.invoicing.collected)} paid of what was invoiced`}
+                        />
+                        <SummaryCard
+                            label="Outstanding"
+                            value={`${formatAmount(report.ageing.outstanding)} ${report.currency}`}
+                            detail={`${formatAmount(report.ageing.overdue)} overdue as of ${new Date(report.ageing.asOf).toLocaleDateString()}`}
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <TotalsTable title="Collected by Month" heading="Month" rows={report.revenue.byMonth} currency={report.currency} onExport={() => exportSection('revenue-by-month')} />
+                        <TotalsTable title="Collected by Payment Method" heading="Method" rows={report.revenue.byPaymentMethod} currency={report.currency} onExport={() => exportSection('revenue-by-payment-method')} />
+                        <TotalsTable title="Collected by Course" heading="Course" rows={report.revenue.byCourse} currency={report.currency} onExport={() => exportSection('revenue-by-course')} />
+                        <TotalsTable title="Collected by Location" heading="Location" rows={report.revenue.byLocation} currency={report.currency} onExport={() => exportSection('revenue-by-location')} />
+                    </div>
+
+                    <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+                        <div className="flex justify-between items-center px-4 pt-3">
+                            <h3 className="text-base font-semibold text-gray-800">Outstanding by Age <span className="text-sm font-normal text-gray-500">(invoices issued in this range)</span></h3>
+                            <CsvButton onClick={() => exportSection('ageing')} />
+                        </div>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 px-4 py-3">
+                            {report.ageing.buckets.map(bucket => (
+                                <div key={bucket.label} className="bg-gray-50 border rounded-md p-2">
+                                    <p className="text-xs text-gray-500">{bucket.label}</p>
+                                    <p className="text-sm font-semibold text-gray-900">{formatAmount(bucket.amount)}</p>
+                                    <p className="text-xs text-gray-400">{bucket.count} invoice{bucket.count !== 1 ? 's' : ''}</p>
+                                </div>
+                            ))}
+                        </div>
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className={thClasses}>Invoice</th>
+                                    <th className={thClasses}>Student</th>
+                                    <th className={thClasses}>Due</th>
+                                    <th className={`${thClasses} text-right`}>Days Overdue</th>
+                                    <th className={`${thClasses} text-right`}>Balance ({report.currency})</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {report.ageing.invoices.map(invoice => (
+                                    <tr key={invoice.invoiceId}>
+                                        <td className={tdClasses}>
+                                            {invoice.invoiceNumber || '-'}
+                                            <span className="block text-xs text-gray-500">{invoice.courseName}, {invoice.billingPeriod}</span>
+                                        </td>
+                                        <td className={tdClasses}>{invoice.studentName}</td>
+                                        <td className={tdClasses}>{new Date(invoice.dueDate).toLocaleDateString()}</td>
+                                        <td className={`${tdClasses} text-right ${invoice.daysOverdue > 0 ? 'text-red-600' : ''}`}>{invoice.daysOverdue}</td>
+                                        <td className={`${tdClasses} text-right font-medium`}>{formatAmount(invoice.balanceDue)}</td>
+                                    </tr>
+                                ))}
+                                {report.ageing.invoices.length === 0 && <tr><td colSpan={5} className="px-4 py-6 text-center text-sm text-gray-500">Nothing outstanding.</td></tr>}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+                        <div className="flex justify-between items-center px-4 pt-3">
+                            <h3 className="text-base font-semibold text-gray-800">Family Statements</h3>
+                            <CsvButton onClick={() => handleExport(() => downloadFamilyStatementsCsv(filters))} />
+                        </div>
+                        <table className="min-w-full divide-y divide-gray-200 mt-2">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className={thClasses}>Family</th>
+                                    <th className={`${thClasses} text-right`}>Opening</th>
+                                    <th className={`${thClasses} text-right`}>Charges</th>
+                                    <th className={`${thClasses} text-right`}>Payments</th>
+                                    <th className={`${thClasses} text-right`}>Closing</th>
+                                    <th className={`${thClasses} text-right`}>Credit</th>
+                                    <th className="relative px-4 py-2"><span className="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {statements.map(statement => (
+                                    <tr key={statement.studentId}>
+                                        <td className={tdClasses}>
+                                            <span className="font-medium text-gray-900">{statement.name}</span>
+                                            <span className="block text-xs text-gray-500">{statement.students}</span>
+                                        </td>
+                                        <td className={`${tdClasses} text-right`}>{formatAmount(statement.opening)}</td>
+                                        <td className={`${tdClasses} text-right`}>{formatAmount(statement.charges)}</td>
+                                        <td className={`${tdClasses} text-right`}>{formatAmount(statement.payments)}</td>
+                                        <td className={`${tdClasses} text-right font-medium ${statement.closing > 0 ? 'text-red-600' : ''}`}>{formatAmount(statement.closing)}</td>
+                                        <td className={`${tdClasses} text-right`}>{statement.creditBalance > 0 ? formatAmount(statement.creditBalance) : '-'}</td>
+                                        <td className={`${tdClasses} text-right`}>
+                                            <button type="button" onClick={() => setViewingStatement(statement)} className="text-sm font-medium text-brand-primary hover:underline">View</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                                {statements.length === 0 && <tr><td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-500">No invoices in {filters.currency} up to this date.</td></tr>}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            <FamilyStatementModal summary={viewingStatement} filters={filters} onClose={() => setViewingStatement(null)} />
+        </div>
+    );
+};
+
+export default FinanceReports;
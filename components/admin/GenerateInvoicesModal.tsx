@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+
+interface GenerateInvoicesModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+    onGenerate: (asOf: string) => Promise<void>;
+}
+
+const todayString = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const GenerateInvoicesModal: React.FC<GenerateInvoicesModalProps> = ({ isOpen, onClose, onGenerate }) => {
+    const [asOf, setAsOf] = useState(todayString());
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) setAsOf(todayString());
+    }, [isOpen]);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsLoading(true);
+        await onGenerate(asOf);
+        setIsLoading(false);
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose}>
+            <ModalHeader title="Generate Invoices" subtitle="Bill every enrolled student for the period that contains the chosen date." />
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label className="form-label">Billing Date</label>
+                    <input type="date" value={asOf} onChange={e => setAsOf(e.target.value)} required className="form-input w-full" />
+                </div>
+                <ul className="text-xs text-gray-600 bg-gray-50 border rounded-md p-3 space-y-1 list-disc list-inside">
+                    <li>Monthly fees are billed for that month, quarterly fees for its calendar quarter and annual fees for its billing year.</li>
+                    <li>Fee structures set to bill on the join anniversary use each student's own cycle instead.</li>
+                    <li>Students who already have an invoice for the period are skipped.</li>
+                </ul>
+                <div className="pt-2">
+                    <button
+                        type="submit"
+                        disabled={isLoading}
+                        className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-green-300"
+                    >
+                        {isLoading ? 'Generating...' : 'Generate Invoices'}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default GenerateInvoicesModal;
@@ -1,19 +1,30 @@
 
 import React, { useState, useMemo } from 'react';
-import type { Invoice, User } from '../../types';
+import type { Invoice, InvoiceReminder, User } from '../../types';
 import { InvoiceStatus } from '../../types';
 
 interface InvoiceTableProps {
     invoices: Invoice[];
     students: User[];
     onRecordPayment: (invoice: Invoice) => void;
+    onDownloadPdf: (invoice: Invoice) => void;
     onGenerateInvoices: () => void;
+    onRunReminders: () => void;
+    onMatchUpiPayments: () => void;
 }
 
+const describeReminderStep = (reminder: InvoiceReminder) => {
+    if (reminder.offsetDays < 0) return `${-reminder.offsetDays} day${reminder.offsetDays !== -1 ? 's' : ''} before due`;
+    if (reminder.offsetDays === 0) return 'On due date';
+    return `${reminder.offsetDays} day${reminder.offsetDays !== 1 ? 's' : ''} overdue`;
+};
+
 const getStatusBadgeClass = (status: InvoiceStatus) => {
     switch (status) {
         case InvoiceStatus.Paid:
             return 'bg-green-100 text-green-800';
+        case InvoiceStatus.PartiallyPaid:
+            return 'bg-blue-100 text-blue-800';
         case InvoiceStatus.Pending:
             return 'bg-yellow-100 text-yellow-800';
         case InvoiceStatus.Overdue:
@@ -23,7 +34,10 @@ const getStatusBadgeClass = (status: InvoiceStatus) => {
     }
 };
 
-const InvoiceTable: React.FC<InvoiceTableProps> = ({ invoices, students, onRecordPayment, onGenerateInvoices }) => {
+const formatStatus = (status: InvoiceStatus) => status === InvoiceStatus.PartiallyPaid ? 'Partially Paid' : status;
+
+const InvoiceTable: React.FC<InvoiceTableProps> = ({ invoices, students, onRecordPayment, onDownloadPdf, onGenerateInvoices, onRunReminders, onMatchUpiPayments }) => {
+    const [expandedInvoiceId, setExpandedInvoiceId] = useState<string | null>(null);
     const [studentFilter, setStudentFilter] = useState('');
     const [statusFilter, setStatusFilter] = useState('');
     const [courseFilter, setCourseFilter] = useState('');
@@ -57,15 +71,29 @@ const InvoiceTable: React.FC<InvoiceTableProps> = ({ invoices, students, onRecor
                     </select>
                     <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)} className="form-select">
                         <option value="">All Statuses</option>
-                        {Object.values(InvoiceStatus).map(s => <option key={s} value={s}>{s}</option>)}
+                        {Object.values(InvoiceStatus).map(s => <option key={s} value={s}>{formatStatus(s)}</option>)}
                     </select>
                 </div>
-                <button
-                    onClick={onGenerateInvoices}
-                    className="bg-green-600 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors w-full md:w-auto mt-4 md:mt-0"
-                >
-                    Generate Monthly Invoices
-                </button>
+                <div className="flex flex-col md:flex-row gap-2 w-full md:w-auto mt-4 md:mt-0">
+                    <button
+                        onClick={onMatchUpiPayments}
+                        className="bg-white border border-green-600 text-green-700 hover:bg-green-50 font-semibold px-4 py-2 rounded-md shadow-sm transition-colors"
+                    >
+                        Match UPI Payments
+                    </button>
+                    <button
+                        onClick={onRunReminders}
+                        className="bg-white border border-green-600 text-green-700 hover:bg-green-50 font-semibold px-4 py-2 rounded-md shadow-sm transition-colors"
+                    >
+                        Send Due Reminders
+                    </button>
+                    <button
+                        onClick={onGenerateInvoices}
+                        className="bg-green-600 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors"
+                    >
+                        Generate Invoices
+                    </button>
+                </div>
             </div>
              <div className="bg-white shadow-md rounded-lg overflow-hidden">
                 <div className="overflow-x-auto">
@@ -78,35 +106,94 @@ const InvoiceTable: React.FC<InvoiceTableProps> = ({ invoices, students, onRecor
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due Date</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment Date</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reminders</th>
                                 <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
                            {filteredInvoices.length > 0 ? filteredInvoices.map(invoice => (
-                                <tr key={invoice.id}>
+                                <React.Fragment key={invoice.id}>
+                                <tr>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{invoice.student?.name || 'N/A'}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invoice.courseName}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invoice.billingPeriod}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invoice.amount} {invoice.currency}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {invoice.billingPeriod}
+                                        {invoice.invoiceNumber && <span className="block text-xs text-gray-400">{invoice.invoiceNumber}</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {invoice.amount} {invoice.currency}
+                                        {!!invoice.discountAmount && (
+                                            <span className="block text-xs text-green-700" title={(invoice.lineItems || []).filter(i => i.type !== 'Fee' && i.type !== 'LateFee').map(i => `${i.description}: -${i.amount}`).join('\n')}>
+                                                {invoice.discountAmount} off {invoice.grossAmount}
+                                            </span>
+                                        )}
+                                        {invoice.proration && (
+                                            <span className="block text-xs text-gray-500">
+                                                {invoice.proration.billedUnits} of {invoice.proration.totalUnits} {invoice.proration.unit} of {invoice.proration.fullAmount}
+                                            </span>
+                                        )}
+                                        {invoice.lateFee && !invoice.lateFee.waivedAt && <span className="block text-xs text-red-600">incl. {invoice.lateFee.amount} late fee</span>}
+                                        {invoice.gst && (
+                                            <span
+                                                className="block text-xs text-gray-400"
+                                                title={`Taxable value ${invoice.gst.taxableAmount}, SAC ${invoice.gst.sacCode || '-'}, place of supply ${invoice.gst.placeOfSupply || '-'}`}
+                                            >
+                                                incl. {invoice.gst.interState
+                                                    ? `${invoice.gst.igst} IGST`
+                                                    : `${invoice.gst.cgst} CGST + ${invoice.gst.sgst} SGST`} @ {invoice.gst.rate}%
+                                            </span>
+                                        )}
+                                    </td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(invoice.dueDate).toLocaleDateString()}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                                         <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(invoice.status)}`}>
-                                            {invoice.status}
+                                            {formatStatus(invoice.status)}
                                         </span>
                                     </td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                        {invoice.paymentDetails ? new Date(invoice.paymentDetails.paymentDate).toLocaleDateString() : 'N/A'}
+                                        {invoice.amountPaid > 0 ? (
+                                            <>
+                                                {invoice.amountPaid} {invoice.currency}
+                                                {invoice.balanceDue !== 0 && (
+                                                    <span className={`block text-xs ${invoice.balanceDue > 0 ? 'text-gray-400' : 'text-blue-600'}`}>
+                                                        {invoice.balanceDue > 0 ? `${invoice.balanceDue} due` : `${-invoice.balanceDue} overpaid`}
+                                                    </span>
+                                                )}
+                                            </>
+                                        ) : 'N/A'}
                                     </td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                                        {invoice.status !== 'Paid' && (
-                                            <button onClick={() => onRecordPayment(invoice)} className="text-brand-primary hover:text-brand-dark">Record Payment</button>
-                                        )}
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {(invoice.reminders || []).length > 0 ? (
+                                            <button onClick={() => setExpandedInvoiceId(expandedInvoiceId === invoice.id ? null : invoice.id)} className="text-brand-primary hover:underline">
+                                                {invoice.reminders!.length} sent
+                                            </button>
+                                        ) : 'None'}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                        <button onClick={() => onDownloadPdf(invoice)} className="text-gray-600 hover:text-gray-900">PDF</button>
+                                        <button onClick={() => onRecordPayment(invoice)} className="text-brand-primary hover:text-brand-dark">
+                                            {invoice.status === InvoiceStatus.Paid ? 'View Payments' : 'Record Payment'}
+                                        </button>
                                     </td>
                                 </tr>
+                                {expandedInvoiceId === invoice.id && (
+                                    <tr className="bg-gray-50">
+                                        <td colSpan={9} className="px-6 py-3">
+                                            <ul className="text-xs text-gray-600 space-y-1">
+                                                {(invoice.reminders || []).map((reminder, index) => (
+                                                    <li key={index}>
+                                                        <span className="font-medium text-gray-800">{new Date(reminder.sentAt).toLocaleString()}</span> &middot; {describeReminderStep(reminder)} &middot; {reminder.channels.join(' + ')} to {reminder.recipients.join(', ')}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
                             )) : (
                                 <tr>
-                                    <td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">
+                                    <td colSpan={9} className="px-6 py-8 text-center text-sm text-gray-500">
                                         No invoices match the current filters.
                                     </td>
                                 </tr>
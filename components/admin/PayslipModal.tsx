@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+import PayslipDetails, { formatPayslipMonth } from '../PayslipDetails';
+import type { Payout, Payslip, PayslipAdjustment } from '../../types';
+import { PayoutMethod } from '../../types';
+
+interface PayslipModalProps {
+    payslip: Payslip | null;
+    onClose: () => void;
+    onSaveAdjustments: (payslipId: string, adjustments: PayslipAdjustment[]) => Promise<void>;
+    onApprove: (payslipId: string) => Promise<void>;
+    onRecordPayout: (payslipId: string, payout: Payout) => Promise<void>;
+}
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const PayslipModal: React.FC<PayslipModalProps> = ({ payslip, onClose, onSaveAdjustments, onApprove, onRecordPayout }) => {
+    const [adjustments, setAdjustments] = useState<PayslipAdjustment[]>([]);
+    const [payout, setPayout] = useState<Partial<Payout>>({});
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (payslip) {
+            setAdjustments(payslip.adjustments.map(a => ({ ...a })));
+            setPayout({ paidAt: todayString(), method: PayoutMethod.BankTransfer, referenceNumber: '', notes: '' });
+        }
+    }, [payslip]);
+
+    if (!payslip) return null;
+
+    const adjustmentsChanged = JSON.stringify(adjustments) !== JSON.stringify(payslip.adjustments);
+    const pendingNet = Math.round((payslip.grossAmount + adjustments.reduce((sum, a) => sum + (a.amount || 0), 0)) * 100) / 100;
+
+    const handleAdjustmentChange = (index: number, field: keyof PayslipAdjustment, value: string) => {
+        setAdjustments(prev => prev.map((a, i) => i === index ? { ...a, [field]: field === 'amount' ? parseFloat(value) : value } : a));
+    };
+
+    const handlePayoutChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
+        const { name, value } = e.target;
+        setPayout(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSaveAdjustments = async () => {
+        setIsLoading(true);
+        await onSaveAdjustments(payslip.id, adjustments.map(a => ({ description: a.description.trim(), amount: a.amount || 0 })));
+        setIsLoading(false);
+    };
+
+    const handleApprove = async () => {
+        if (!window.confirm(`Approve ${payslip.teacher?.name}'s payslip for ${payslip.netAmount} ${payslip.currency}? It can no longer be recalculated or adjusted.`)) return;
+        setIsLoading(true);
+        await onApprove(payslip.id);
+        setIsLoading(false);
+    };
+
+    const handlePayout = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsLoading(true);
+        await onRecordPayout(payslip.id, payout as Payout);
+        setIsLoading(false);
+    };
+
+    return (
+        <Modal isOpen={!!payslip} onClose={onClose} size="2xl">
+            <ModalHeader title={`Payslip: ${payslip.teacher?.name || 'Teacher'}`} subtitle={`${formatPayslipMonth(payslip.month)} · ${payslip.status}`} />
+            <PayslipDetails payslip={payslip} />
+
+            {payslip.status === 'Draft' && (
+                <div className="mt-6 space-y-3">
+                    <h3 className="text-sm font-semibold text-gray-900">Adjustments</h3>
+                    <p className="text-xs text-gray-500">Bonuses, reimbursements or deductions (enter deductions as negative amounts).</p>
+                    {adjustments.map((adjustment, index) => (
+                        <div key={index} className="flex gap-2 items-center">
+                            <input
+                                type="text"
+                                value={adjustment.description}
+                                onChange={e => handleAdjustmentChange(index, 'description', e.target.value)}
+                                placeholder="Description"
+                                className="form-input flex-1"
+                            />
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={Number.isNaN(adjustment.amount) ? '' : adjustment.amount}
+                                onChange={e => handleAdjustmentChange(index, 'amount', e.target.value)}
+                                className="form-input w-32"
+                            />
+                            <button type="button" onClick={() => setAdjustments(prev => prev.filter((_, i) => i !== index))} className="text-xs text-red-600 hover:underline">Remove</button>
+                        </div>
+                    ))}
+                    <div className="flex justify-between items-center">
+                        <button type="button" onClick={() => setAdjustments(prev => [...prev, { description: '', amount: 0 }])} className="text-sm font-medium text-brand-primary hover:underline">
+                            + Add Adjustment
+                        </button>
+                        {adjustmentsChanged && <span className="text-sm text-gray-700">New net pay: {pendingNet} {payslip.currency}</span>}
+                    </div>
+                    <div className="flex gap-2 pt-2">
+                        <button
+                            type="button"
+                            onClick={handleSaveAdjustments}
+                            disabled={isLoading || !adjustmentsChanged || adjustments.some(a => !a.description.trim())}
+                            className="flex-1 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Save Adjustments
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleApprove}
+                            disabled={isLoading || adjustmentsChanged}
+                            title={adjustmentsChanged ? 'Save the adjustments first' : undefined}
+                            className="flex-1 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-gray-400"
+                        >
+                            Approve
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {payslip.status === 'Approved' && (
+                <form onSubmit={handlePayout} className="mt-6 space-y-4">
+                    <h3 className="text-sm font-semibold text-gray-900">Record Payout</h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label className="form-label">Paid On</label>
+                            <input type="date" name="paidAt" value={payout.paidAt || ''} onChange={handlePayoutChange} required className="form-input w-full" />
+                        </div>
+                        <div>
+                            <label className="form-label">Method</label>
+                            <select name="method" value={payout.method} onChange={handlePayoutChange} className="form-select w-full">
+                                {Object.values(PayoutMethod).map(m => <option key={m} value={m}>{m}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label className="form-label">Reference / Transaction ID</label>
+                        <input type="text" name="referenceNumber" value={payout.referenceNumber || ''} onChange={handlePayoutChange} className="form-input w-full" />
+                    </div>
+                    <div>
+                        <label className="form-label">Notes (Optional)</label>
+                        <textarea name="notes" rows={2} value={payout.notes || ''} onChange={handlePayoutChange} className="form-textarea w-full" />
+                    </div>
+                    <button type="submit" disabled={isLoading} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-gray-400">
+                        {isLoading ? 'Saving...' : `Mark ${payslip.netAmount} ${payslip.currency} as Paid`}
+                    </button>
+                </form>
+            )}
+        </Modal>
+    );
+};
+
+export default PayslipModal;
@@ -2,85 +2,245 @@
 import React, { useState, useEffect } from 'react';
 import Modal from '../Modal';
 import ModalHeader from '../ModalHeader';
-import type { Invoice, PaymentDetails } from '../../types';
+import PaymentLedger from '../PaymentLedger';
+import type { FamilyCreditSummary, Invoice, InvoicePayment, PaymentDetails, RefundDetails } from '../../types';
 import { PaymentMethod } from '../../types';
+import { getStudentCredit } from '../../api';
 
 interface RecordPaymentModalProps {
     isOpen: boolean;
     onClose: () => void;
     invoice: Invoice | null;
-    onSave: (invoiceId: string, paymentData: PaymentDetails) => void;
+    onSave: (invoiceId: string, paymentData: PaymentDetails) => Promise<void>;
+    onReverse: (invoiceId: string, paymentId: string, reason: string) => Promise<void>;
+    onDownloadReceipt: (invoiceId: string, paymentId: string) => void;
+    onWaiveLateFee: (invoiceId: string, reason: string) => Promise<void>;
+    onIssueCreditNote: (invoiceId: string, amount: number, reason: string) => Promise<void>;
+    onRefund: (invoiceId: string, refund: RefundDetails) => Promise<void>;
 }
 
-const RecordPaymentModal: React.FC<RecordPaymentModalProps> = ({ isOpen, onClose, invoice, onSave }) => {
+type Mode = 'payment' | 'creditNote' | 'refund';
+
+// Online and family credit payments are only recorded by the system.
+const MANUAL_METHODS = Object.values(PaymentMethod).filter(m => m !== PaymentMethod.Online && m !== PaymentMethod.FamilyCredit);
+const REFUND_METHODS = [...MANUAL_METHODS, PaymentMethod.FamilyCredit];
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const RecordPaymentModal: React.FC<RecordPaymentModalProps> = ({ isOpen, onClose, invoice, onSave, onReverse, onDownloadReceipt, onWaiveLateFee, onIssueCreditNote, onRefund }) => {
     const [formData, setFormData] = useState<Partial<PaymentDetails>>({});
     const [isLoading, setIsLoading] = useState(false);
+    const [reversingPaymentId, setReversingPaymentId] = useState<string | null>(null);
+    const [isWaiving, setIsWaiving] = useState(false);
+    const [mode, setMode] = useState<Mode>('payment');
+    const [creditNote, setCreditNote] = useState<{ amount?: number; reason: string }>({ reason: '' });
+    const [refund, setRefund] = useState<Partial<RefundDetails>>({});
+    const [credit, setCredit] = useState<FamilyCreditSummary | null>(null);
 
     useEffect(() => {
         if (invoice) {
             setFormData({
-                amountPaid: invoice.amount,
-                paymentDate: new Date().toISOString().split('T')[0],
+                amount: invoice.balanceDue > 0 ? invoice.balanceDue : undefined,
+                paymentDate: todayString(),
                 paymentMethod: PaymentMethod.UPI,
                 referenceNumber: '',
                 notes: '',
             });
+            setCreditNote({ reason: '' });
+            setRefund({
+                amount: invoice.balanceDue < 0 ? -invoice.balanceDue : undefined,
+                paymentDate: todayString(),
+                paymentMethod: PaymentMethod.FamilyCredit,
+                referenceNumber: '',
+                reason: '',
+            });
+            setMode(invoice.balanceDue < 0 ? 'refund' : 'payment');
         }
     }, [invoice]);
 
+    const studentId = invoice ? invoice.student?.id || invoice.studentId : null;
+    useEffect(() => {
+        setCredit(null);
+        if (!studentId) return;
+        getStudentCredit(studentId).then(setCredit).catch(() => setCredit(null));
+    }, [studentId, invoice?.payments.length]);
+
     const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
         const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: name === 'amountPaid' ? parseFloat(value) : value }));
+        setFormData(prev => ({ ...prev, [name]: name === 'amount' ? parseFloat(value) : value }));
     };
 
-    const handleSubmit = (e: React.FormEvent) => {
+    const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         if (!invoice) return;
         setIsLoading(true);
-        onSave(invoice.id, formData as PaymentDetails);
+        if (mode === 'creditNote') await onIssueCreditNote(invoice.id, creditNote.amount || 0, creditNote.reason.trim());
+        else if (mode === 'refund') await onRefund(invoice.id, { ...refund, reason: (refund.reason || '').trim() } as RefundDetails);
+        else await onSave(invoice.id, formData as PaymentDetails);
         setIsLoading(false);
     };
 
+    const handleRefundChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
+        const { name, value } = e.target;
+        setRefund(prev => ({ ...prev, [name]: name === 'amount' ? parseFloat(value) : value }));
+    };
+
+    const handleReverse = async (payment: InvoicePayment) => {
+        if (!invoice) return;
+        const reason = window.prompt(`Reverse the payment of ${payment.amount} ${invoice.currency}? Enter the reason:`);
+        if (!reason || !reason.trim()) return;
+        setReversingPaymentId(payment.id);
+        await onReverse(invoice.id, payment.id, reason.trim());
+        setReversingPaymentId(null);
+    };
+
+    const handleWaiveLateFee = async () => {
+        if (!invoice || !invoice.lateFee) return;
+        const reason = window.prompt(`Waive the late fee of ${invoice.lateFee.amount} ${invoice.currency}? Enter the reason:`);
+        if (!reason || !reason.trim()) return;
+        setIsWaiving(true);
+        await onWaiveLateFee(invoice.id, reason.trim());
+        setIsWaiving(false);
+    };
+
     if (!invoice) return null;
 
     return (
         <Modal isOpen={isOpen} onClose={onClose}>
-            <ModalHeader 
-                title="Record Payment"
-                subtitle={`For ${invoice.student?.name} - ${invoice.courseName}`}
+            <ModalHeader
+                title={invoice.balanceDue > 0 ? 'Record Payment' : 'Payments'}
+                subtitle={`${invoice.invoiceNumber ? `${invoice.invoiceNumber} · ` : ''}For ${invoice.student?.name} - ${invoice.courseName}`}
             />
-            <div className="mb-4 bg-gray-50 p-3 rounded-md border text-sm">
+            <div className="mb-4 bg-gray-50 p-3 rounded-md border text-sm grid grid-cols-2 gap-1">
                 <p><strong>Invoice Amount:</strong> {invoice.amount} {invoice.currency}</p>
                 <p><strong>Billing Period:</strong> {invoice.billingPeriod}</p>
+                <p><strong>Paid:</strong> {invoice.amountPaid} {invoice.currency}</p>
+                <p>
+                    <strong>{invoice.balanceDue < 0 ? 'Overpaid:' : 'Balance Due:'}</strong>{' '}
+                    {Math.abs(invoice.balanceDue)} {invoice.currency}
+                </p>
+                {credit && credit.balances.length > 0 && (
+                    <p className="col-span-2"><strong>Family Credit:</strong> {credit.balances.map(b => `${b.balance} ${b.currency}`).join(', ')}</p>
+                )}
             </div>
-            <form onSubmit={handleSubmit} className="space-y-4">
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                    <div>
-                        <label className="form-label">Amount Paid</label>
-                        <input type="number" name="amountPaid" value={formData.amountPaid || ''} onChange={handleChange} required className="form-input w-full" />
-                    </div>
-                     <div>
-                        <label className="form-label">Payment Date</label>
-                        <input type="date" name="paymentDate" value={formData.paymentDate || ''} onChange={handleChange} required className="form-input w-full" />
-                    </div>
-                </div>
-                 <div>
-                    <label className="form-label">Payment Method</label>
-                    <select name="paymentMethod" value={formData.paymentMethod} onChange={handleChange} className="form-select w-full">
-                        {Object.values(PaymentMethod).map(m => <option key={m} value={m}>{m}</option>)}
-                    </select>
-                </div>
-                <div>
-                    <label className="form-label">Reference / Transaction ID</label>
-                    <input type="text" name="referenceNumber" value={formData.referenceNumber || ''} onChange={handleChange} className="form-input w-full" />
-                </div>
-                 <div>
-                    <label className="form-label">Notes (Optional)</label>
-                    <textarea name="notes" rows={2} value={formData.notes || ''} onChange={handleChange} className="form-textarea w-full" />
+            {invoice.lateFee && (
+                <div className={`mb-4 p-3 rounded-md border text-sm ${invoice.lateFee.waivedAt ? 'bg-gray-50' : 'bg-red-50 border-red-200'}`}>
+                    {invoice.lateFee.waivedAt ? (
+                        <p>
+                            Late fee of {invoice.lateFee.amount} {invoice.currency} waived on {new Date(invoice.lateFee.waivedAt).toLocaleDateString()}:{' '}
+                            <span className="text-gray-600">{invoice.lateFee.waiverReason}</span>
+                        </p>
+                    ) : (
+                        <div className="flex justify-between items-center">
+                            <p>Late fee of {invoice.lateFee.amount} {invoice.currency} charged on {new Date(invoice.lateFee.appliedAt).toLocaleDateString()}.</p>
+                            <button type="button" onClick={handleWaiveLateFee} disabled={isWaiving} className="text-xs font-medium text-red-600 hover:underline disabled:text-red-300">
+                                {isWaiving ? 'Waiving...' : 'Waive'}
+                            </button>
+                        </div>
+                    )}
                 </div>
+            )}
+            <div className="mb-6">
+                <PaymentLedger
+                    invoice={invoice}
+                    onReverse={handleReverse}
+                    reversingPaymentId={reversingPaymentId}
+                    onDownloadReceipt={payment => onDownloadReceipt(invoice.id, payment.id)}
+                />
+            </div>
+            <div className="flex gap-2 mb-4 text-sm">
+                {([
+                    ['payment', 'Record Payment'],
+                    ['creditNote', 'Issue Credit Note'],
+                    ...(invoice.balanceDue < 0 ? [['refund', 'Refund Overpayment']] : []),
+                ] as [Mode, string][]).map(([value, label]) => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => setMode(value)}
+                        className={`px-3 py-1 rounded-full border ${mode === value ? 'bg-brand-primary text-white border-brand-primary' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {mode === 'payment' && (
+                    <>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <label className="form-label">Amount Received</label>
+                                <input type="number" name="amount" min="0.01" step="0.01" value={formData.amount || ''} onChange={handleChange} required className="form-input w-full" />
+                            </div>
+                            <div>
+                                <label className="form-label">Payment Date</label>
+                                <input type="date" name="paymentDate" value={formData.paymentDate || ''} onChange={handleChange} required className="form-input w-full" />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="form-label">Payment Method</label>
+                            <select name="paymentMethod" value={formData.paymentMethod} onChange={handleChange} className="form-select w-full">
+                                {MANUAL_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="form-label">Reference / Transaction ID</label>
+                            <input type="text" name="referenceNumber" value={formData.referenceNumber || ''} onChange={handleChange} className="form-input w-full" />
+                        </div>
+                        <div>
+                            <label className="form-label">Notes (Optional)</label>
+                            <textarea name="notes" rows={2} value={formData.notes || ''} onChange={handleChange} className="form-textarea w-full" />
+                        </div>
+                    </>
+                )}
+                {mode === 'creditNote' && (
+                    <>
+                        <p className="text-xs text-gray-600 bg-gray-50 border rounded-md p-3">
+                            Reduces what this invoice charges, e.g. for the unused part of the period after a withdrawal. If the invoice is already paid, refund the overpayment afterwards.
+                        </p>
+                        <div>
+                            <label className="form-label">Credit Amount</label>
+                            <input type="number" min="0.01" max={invoice.amount} step="0.01" value={creditNote.amount || ''} onChange={e => setCreditNote(prev => ({ ...prev, amount: parseFloat(e.target.value) }))} required className="form-input w-full" />
+                        </div>
+                        <div>
+                            <label className="form-label">Reason</label>
+                            <textarea rows={2} value={creditNote.reason} onChange={e => setCreditNote(prev => ({ ...prev, reason: e.target.value }))} required className="form-textarea w-full" />
+                        </div>
+                    </>
+                )}
+                {mode === 'refund' && (
+                    <>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <label className="form-label">Refund Amount</label>
+                                <input type="number" name="amount" min="0.01" max={-invoice.balanceDue} step="0.01" value={refund.amount || ''} onChange={handleRefundChange} required className="form-input w-full" />
+                            </div>
+                            <div>
+                                <label className="form-label">Refund Date</label>
+                                <input type="date" name="paymentDate" value={refund.paymentDate || ''} onChange={handleRefundChange} required className="form-input w-full" />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="form-label">Refund To</label>
+                            <select name="paymentMethod" value={refund.paymentMethod} onChange={handleRefundChange} className="form-select w-full">
+                                {REFUND_METHODS.map(m => <option key={m} value={m}>{m === PaymentMethod.FamilyCredit ? 'Family credit (used on the next invoice)' : m}</option>)}
+                            </select>
+                        </div>
+                        {refund.paymentMethod !== PaymentMethod.FamilyCredit && (
+                            <div>
+                                <label className="form-label">Reference / Transaction ID</label>
+                                <input type="text" name="referenceNumber" value={refund.referenceNumber || ''} onChange={handleRefundChange} className="form-input w-full" />
+                            </div>
+                        )}
+                        <div>
+                            <label className="form-label">Reason</label>
+                            <textarea name="reason" rows={2} value={refund.reason || ''} onChange={handleRefundChange} required className="form-textarea w-full" />
+                        </div>
+                    </>
+                )}
                 <div className="pt-4">
                     <button type="submit" disabled={isLoading} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark">
-                        {isLoading ? 'Saving...' : 'Confirm Payment'}
+                        {isLoading ? 'Saving...' : mode === 'creditNote' ? 'Issue Credit Note' : mode === 'refund' ? 'Record Refund' : 'Confirm Payment'}
                     </button>
                 </div>
             </form>
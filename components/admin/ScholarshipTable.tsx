@@ -0,0 +1,83 @@
+import React from 'react';
+import type { FeeStructure, Scholarship } from '../../types';
+import { DiscountType } from '../../types';
+
+interface ScholarshipTableProps {
+    scholarships: Scholarship[];
+    structures: FeeStructure[];
+    onEdit: (scholarship: Scholarship) => void;
+    onDelete: (id: string) => void;
+    onAddNew: () => void;
+}
+
+const todayString = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const ScholarshipTable: React.FC<ScholarshipTableProps> = ({ scholarships, structures, onEdit, onDelete, onAddNew }) => {
+    const today = todayString();
+    const courseFor = (feeStructureId?: string) => feeStructureId ? (structures.find(s => s.id === feeStructureId)?.courseName || 'Removed course') : 'All courses';
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-800">Scholarships ({scholarships.length})</h2>
+                <button
+                    onClick={onAddNew}
+                    className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors"
+                >
+                    + Add Scholarship
+                </button>
+            </div>
+            <div className="bg-white shadow-md rounded-lg overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scholarship</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Valid</th>
+                                <th scope="col" className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {scholarships.length > 0 ? scholarships.map(scholarship => {
+                                const isExpired = !!scholarship.validTo && scholarship.validTo < today;
+                                return (
+                                    <tr key={scholarship.id} className={isExpired ? 'opacity-60' : undefined}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{scholarship.student?.name || 'N/A'}</td>
+                                        <td className="px-6 py-4 text-sm text-gray-500">
+                                            {scholarship.name}
+                                            {scholarship.notes && <p className="text-xs text-gray-400">{scholarship.notes}</p>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{courseFor(scholarship.feeStructureId)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{scholarship.type === DiscountType.Percentage ? `${scholarship.value}%` : scholarship.value}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                            {scholarship.validFrom} &ndash; {scholarship.validTo || 'open'}
+                                            {isExpired && <span className="ml-2 text-xs text-red-600">expired</span>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                            <button onClick={() => onEdit(scholarship)} className="text-brand-primary hover:text-brand-dark">Edit</button>
+                                            <button onClick={() => onDelete(scholarship.id)} className="text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                );
+                            }) : (
+                                <tr>
+                                    <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                                        No scholarships awarded. Click "Add Scholarship" to begin.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ScholarshipTable;
@@ -3,14 +3,23 @@ import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import Modal from '../Modal';
 import ModalHeader from '../ModalHeader';
 import TabButton from './TabButton';
-import type { User, Batch, Course, Event, GradeExam, BookMaterial, Notice } from '../../types';
+import type { User, Batch, Course, Event, GradeExam, BookMaterial, Notice, WhatsAppMessage, WhatsAppMessageStatus } from '../../types';
 import { UserRole } from '../../types';
-import { getAdminUsers, getBatches, getAdminCourses, sendContentNotification } from '../../api';
+import { getAdminUsers, getBatches, getAdminCourses, sendContentNotification, getContentWhatsAppMessages } from '../../api';
 import { WhatsAppIcon } from '../icons';
 
 type ContentItem = Event | GradeExam | BookMaterial | Notice;
 type ContentType = 'Event' | 'GradeExam' | 'BookMaterial' | 'Notice';
 
+const WHATSAPP_STATUS_CLASSES: { [key in WhatsAppMessageStatus]: string } = {
+    Scheduled: 'bg-yellow-100 text-yellow-800',
+    Sent: 'bg-blue-100 text-blue-800',
+    Delivered: 'bg-green-100 text-green-800',
+    Read: 'bg-green-100 text-green-800',
+    Failed: 'bg-red-100 text-red-800',
+    Skipped: 'bg-gray-100 text-gray-700',
+};
+
 interface SendContentNotificationModalProps {
     isOpen: boolean;
     onClose: () => void;
@@ -25,6 +34,7 @@ const SendContentNotificationModal: React.FC<SendContentNotificationModalProps>
     const [error, setError] = useState<string | null>(null);
     const [success, setSuccess] = useState<string | null>(null);
     const [sendWhatsApp, setSendWhatsApp] = useState(false);
+    const [whatsAppMessages, setWhatsAppMessages] = useState<WhatsAppMessage[] | null>(null);
 
     // Data
     const [allUsers, setAllUsers] = useState<User[]>([]);
@@ -52,6 +62,7 @@ const SendContentNotificationModal: React.FC<SendContentNotificationModalProps>
         setError(null);
         setSuccess(null);
         setSendWhatsApp(false);
+        setWhatsAppMessages(null);
         setSelectedStudentIds(new Set());
         setSelectedTeacherIds(new Set());
         setSelectedBatchIds(new Set());
@@ -201,7 +212,9 @@ const SendContentNotificationModal: React.FC<SendContentNotificationModalProps>
                 sendWhatsApp,
             });
             setSuccess(response.message);
-            setTimeout(() => {
+            // Stay open so the admin can see who was reached on WhatsApp.
+            if (sendWhatsApp) setWhatsAppMessages(response.whatsAppMessages);
+            else setTimeout(() => {
                 onClose();
             }, 3000);
         } catch (err) {
@@ -211,6 +224,16 @@ const SendContentNotificationModal: React.FC<SendContentNotificationModalProps>
         }
     };
 
+    const handleRefreshWhatsApp = async () => {
+        if (!contentItem || !whatsAppMessages) return;
+        try {
+            const sentIds = new Set(whatsAppMessages.map(m => m.id));
+            setWhatsAppMessages((await getContentWhatsAppMessages(contentItem.id)).filter(m => sentIds.has(m.id)));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to refresh delivery status.');
+        }
+    };
+
     if (!contentItem) return null;
 
     return (
@@ -226,7 +249,38 @@ const SendContentNotificationModal: React.FC<SendContentNotificationModalProps>
                 </div>
                 
                 <div className="flex-grow min-h-0 p-6 overflow-y-auto">
-                    {isLoading ? <div className="flex justify-center items-center h-full"><p className="text-gray-500">Loading recipient data...</p></div>
+                    {whatsAppMessages ? (
+                        <div>
+                            <div className="flex justify-between items-center mb-3">
+                                <h3 className="text-lg font-semibold text-gray-800">WhatsApp Delivery</h3>
+                                <button type="button" onClick={handleRefreshWhatsApp} className="text-sm font-medium text-brand-primary hover:underline">Refresh Status</button>
+                            </div>
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Number</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-100">
+                                    {whatsAppMessages.map(m => (
+                                        <tr key={m.id}>
+                                            <td className="px-4 py-2 text-gray-800">{m.user?.name || 'Unknown'} <span className="text-xs text-gray-400">{m.user?.role}</span></td>
+                                            <td className="px-4 py-2 text-gray-500">{m.phoneNumber ? `+${m.phoneNumber}` : '—'}</td>
+                                            <td className="px-4 py-2">
+                                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${WHATSAPP_STATUS_CLASSES[m.status]}`}>{m.status}</span>
+                                            </td>
+                                            <td className="px-4 py-2 text-gray-500">
+                                                {m.status === 'Scheduled' && m.scheduledFor ? `After quiet hours, ${new Date(m.scheduledFor).toLocaleString()}` : m.reason}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : isLoading ? <div className="flex justify-center items-center h-full"><p className="text-gray-500">Loading recipient data...</p></div>
                     : activeTab === 'user' ? (
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 h-full">
                             <div className="flex flex-col h-full">
@@ -277,15 +331,15 @@ const SendContentNotificationModal: React.FC<SendContentNotificationModalProps>
                                 <input type="checkbox" id="sendWhatsApp" checked={sendWhatsApp} onChange={(e) => setSendWhatsApp(e.target.checked)} className="h-4 w-4 text-brand-primary rounded focus:ring-brand-primary"/>
                                 <label htmlFor="sendWhatsApp" className="form-label mb-0 cursor-pointer flex items-center"><WhatsAppIcon className="h-5 w-5 mr-2 text-green-600"/> Also send notification via WhatsApp</label>
                             </div>
-                            <p className="text-xs text-gray-500 mt-1 ml-7">Sends a message directly to the recipient's phone. Requires a configured WhatsApp Business API.</p>
+                            <p className="text-xs text-gray-500 mt-1 ml-7">Sends a message to the recipient's contact number if they have opted in to WhatsApp messages. Requires a configured WhatsApp Business provider.</p>
                             <p className="font-semibold text-gray-800 mt-2">Summary:</p>
                             <p className="text-gray-700 text-sm">This notification will be sent to <span className="font-bold text-brand-primary">{finalUserIds.length}</span> unique recipient(s).</p>
                             {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
                             {success && <p className="text-sm text-green-600 mt-1">{success}</p>}
                         </div>
                         <div className="flex items-center space-x-3 flex-shrink-0 ml-4">
-                            <button type="button" onClick={onClose} disabled={isSending} className="btn-secondary">Cancel</button>
-                            <button type="submit" disabled={isSending || isLoading || finalUserIds.length === 0} className="btn-primary">
+                            <button type="button" onClick={onClose} disabled={isSending} className="btn-secondary">{whatsAppMessages ? 'Close' : 'Cancel'}</button>
+                            <button type="submit" disabled={isSending || isLoading || finalUserIds.length === 0 || !!whatsAppMessages} className="btn-primary">
                                 {isSending ? 'Sending...' : `Send Notification (${finalUserIds.length})`}
                             </button>
                         </div>
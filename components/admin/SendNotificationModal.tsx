@@ -2,19 +2,22 @@
 import React, { useState, useEffect } from 'react';
 import Modal from '../Modal';
 import ModalHeader from '../ModalHeader';
-import type { User } from '../../types';
+import type { NotificationCategory, User } from '../../types';
+import { NOTIFICATION_CATEGORY_LABELS } from '../NotificationPreferencesForm';
 
 interface SendNotificationModalProps {
   isOpen: boolean;
   onClose: () => void;
   recipients: User[];
-  onSend: (subject: string, message: string) => Promise<void>;
+  // Resolves to a summary of how the notification was delivered.
+  onSend: (subject: string, message: string, category: NotificationCategory) => Promise<string>;
   userType: 'student' | 'teacher';
 }
 
 const SendNotificationModal: React.FC<SendNotificationModalProps> = ({ isOpen, onClose, recipients, onSend, userType }) => {
   const [subject, setSubject] = useState('');
   const [message, setMessage] = useState('');
+  const [category, setCategory] = useState<NotificationCategory>('notices');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
@@ -24,6 +27,7 @@ const SendNotificationModal: React.FC<SendNotificationModalProps> = ({ isOpen, o
     if (isOpen) {
       setSubject('');
       setMessage('');
+      setCategory('notices');
       setError(null);
       setSuccess(null);
       setIsLoading(false);
@@ -41,8 +45,7 @@ const SendNotificationModal: React.FC<SendNotificationModalProps> = ({ isOpen, o
     }
     setIsLoading(true);
     try {
-      await onSend(subject, message);
-      setSuccess('Notification sent successfully!');
+      setSuccess(await onSend(subject, message, category));
       setSubject('');
       setMessage('');
     } catch (err) {
@@ -63,6 +66,19 @@ const SendNotificationModal: React.FC<SendNotificationModalProps> = ({ isOpen, o
         />
         
         <div className="space-y-4">
+          <div>
+            <label htmlFor="category" className="form-label">Category</label>
+            <select
+              id="category"
+              value={category}
+              onChange={(e) => setCategory(e.target.value as NotificationCategory)}
+              disabled={isLoading}
+              className="form-select w-full"
+            >
+              {(Object.keys(NOTIFICATION_CATEGORY_LABELS) as NotificationCategory[]).map(c => <option key={c} value={c}>{NOTIFICATION_CATEGORY_LABELS[c]}</option>)}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Recipients who turned off email for this category only see it in the portal.</p>
+          </div>
           <div>
             <label htmlFor="subject" className="form-label">Subject</label>
             <input
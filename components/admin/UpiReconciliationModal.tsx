@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../Modal';
+import ModalHeader from '../ModalHeader';
+import type { UpiMatch, UpiMatchStatus, UpiTransaction } from '../../types';
+import { matchUpiTransactions, recordUpiMatches } from '../../api';
+
+interface UpiReconciliationModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+    onRecorded: (message: string) => void;
+}
+
+const STATUS_LABELS: { [key in UpiMatchStatus]: { label: string; className: string } } = {
+    Matched: { label: 'Matches balance', className: 'bg-green-100 text-green-800' },
+    Partial: { label: 'Part payment', className: 'bg-blue-100 text-blue-800' },
+    Overpaid: { label: 'More than balance', className: 'bg-yellow-100 text-yellow-800' },
+    AlreadyPaid: { label: 'Invoice already paid', className: 'bg-gray-100 text-gray-800' },
+    AlreadyRecorded: { label: 'Already recorded', className: 'bg-gray-100 text-gray-800' },
+    Unmatched: { label: 'No invoice found', className: 'bg-red-100 text-red-800' },
+};
+
+const RECORDABLE: UpiMatchStatus[] = ['Matched', 'Partial', 'Overpaid'];
+
+// Accepts YYYY-MM-DD or the DD/MM/YYYY (also DD-MM-YYYY) used on Indian bank statements.
+const parseStatementDate = (value: string) => {
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (iso) return value;
+    const dmy = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+    return dmy ? `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}` : null;
+};
+
+// One transaction per line: date, amount, transaction ID, description. Lines pasted from a spreadsheet
+// are tab-separated, which also allows thousands separators in the amount.
+const parseStatement = (text: string): { transactions: UpiTransaction[]; invalidLines: number[] } => {
+    const transactions: UpiTransaction[] = [];
+    const invalidLines: number[] = [];
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        const isTabbed = line.includes('\t');
+        const [date = '', amount = '', transactionId = '', ...rest] = line.split(isTabbed ? '\t' : ',').map(part => part.trim());
+        const paymentDate = parseStatementDate(date);
+        const parsedAmount = parseFloat(isTabbed ? amount.replace(/,/g, '') : amount);
+        if (!paymentDate || !(parsedAmount > 0)) {
+            invalidLines.push(index + 1);
+            return;
+        }
+        transactions.push({ paymentDate, amount: parsedAmount, transactionId, description: rest.join(isTabbed ? ' ' : ',').trim() });
+    });
+    return { transactions, invalidLines };
+};
+
+const UpiReconciliationModal: React.FC<UpiReconciliationModalProps> = ({ isOpen, onClose, onRecorded }) => {
+    const [statement, setStatement] = useState('');
+    const [matches, setMatches] = useState<UpiMatch[] | null>(null);
+    const [selected, setSelected] = useState<Set<number>>(new Set());
+    const [error, setError] = useState<string | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) {
+            setStatement('');
+            setMatches(null);
+            setSelected(new Set());
+            setError(null);
+        }
+    }, [isOpen]);
+
+    const handleMatch = async () => {
+        const { transactions, invalidLines } = parseStatement(statement);
+        if (invalidLines.length > 0) {
+            setError(`Could not read line${invalidLines.length !== 1 ? 's' : ''} ${invalidLines.join(', ')}. Each line needs a date and an amount.`);
+            return;
+        }
+        if (transactions.length === 0) {
+            setError('Paste at least one transaction.');
+            return;
+        }
+        setIsLoading(true);
+        setError(null);
+        try {
+            const result = await matchUpiTransactions(transactions);
+            setMatches(result);
+            // Part payments are common, so only overpayments wait for the admin to opt in.
+            setSelected(new Set(result.flatMap((m, i) => (m.status === 'Matched' || m.status === 'Partial' ? [i] : []))));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to match transactions.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const toggleSelected = (index: number) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(index)) next.delete(index);
+            else next.add(index);
+            return next;
+        });
+    };
+
+    const handleRecord = async () => {
+        if (!matches) return;
+        setIsLoading(true);
+        setError(null);
+        try {
+            const result = await recordUpiMatches(matches.filter((_, i) => selected.has(i)));
+            onRecorded(result.message);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to record payments.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} size="3xl">
+            <ModalHeader title="Match UPI Payments" subtitle="Paste UPI credits from the bank statement to find the invoices they pay." />
+            {error && <p className="mb-4 text-sm text-red-700 bg-red-100 p-3 rounded-md">{error}</p>}
+            {!matches ? (
+                <div className="space-y-4">
+                    <textarea
+                        rows={10}
+                        value={statement}
+                        onChange={e => setStatement(e.target.value)}
+                        placeholder={'19/10/2026, 1500, 429912345678, UPI/asha@okicici/INV-000042 Bharatanatyam fee'}
+                        className="form-textarea w-full font-mono text-xs"
+                    />
+                    <ul className="text-xs text-gray-600 bg-gray-50 border rounded-md p-3 space-y-1 list-disc list-inside">
+                        <li>One transaction per line: date, amount, UPI transaction ID (UTR), then the description or remarks.</li>
+                        <li>Columns copied from a spreadsheet work too. In comma-separated lines, write amounts without thousands separators.</li>
+                        <li>Invoices are found by the invoice number in the description, which families put in the UPI note.</li>
+                    </ul>
+                    <button
+                        type="button"
+                        onClick={handleMatch}
+                        disabled={isLoading || !statement.trim()}
+                        className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:opacity-50"
+                    >
+                        {isLoading ? 'Matching...' : 'Find Matching Invoices'}
+                    </button>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    <div className="overflow-x-auto max-h-[50vh] border rounded-md">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50 sticky top-0">
+                                <tr>
+                                    <th className="px-3 py-2"><span className="sr-only">Record</span></th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transaction</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-100">
+                                {matches.map((match, index) => (
+                                    <tr key={index}>
+                                        <td className="px-3 py-2">
+                                            {RECORDABLE.includes(match.status) && (
+                                                <input type="checkbox" checked={selected.has(index)} onChange={() => toggleSelected(index)} className="form-checkbox" />
+                                            )}
+                                        </td>
+                                        <td className="px-3 py-2 text-gray-700">
+                                            {match.paymentDate}{match.transactionId && <span className="text-gray-500"> &middot; {match.transactionId}</span>}
+                                            <p className="text-xs text-gray-500 break-all">{match.description}</p>
+                                        </td>
+                                        <td className="px-3 py-2 text-gray-700">
+                                            {match.invoiceNumber ? (
+                                                <>
+                                                    {match.invoiceNumber}
+                                                    <p className="text-xs text-gray-500">{match.studentName} - {match.courseName}</p>
+                                                </>
+                                            ) : '-'}
+                                        </td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                                            {match.amount}
+                                            {match.balanceDue !== undefined && <p className="text-xs text-gray-500">due {match.balanceDue}</p>}
+                                        </td>
+                                        <td className="px-3 py-2 whitespace-nowrap">
+                                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_LABELS[match.status].className}`}>
+                                                {STATUS_LABELS[match.status].label}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setMatches(null)}
+                            className="flex-1 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            Back
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleRecord}
+                            disabled={isLoading || selected.size === 0}
+                            className="flex-1 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-green-300"
+                        >
+                            {isLoading ? 'Recording...' : `Record ${selected.size} UPI Payment${selected.size !== 1 ? 's' : ''}`}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default UpiReconciliationModal;
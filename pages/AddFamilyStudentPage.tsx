@@ -1,8 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link, useOutletContext } from 'react-router-dom';
 import type { User, Course, Location } from '../types';
-import { Sex, ClassPreference, UserRole } from '../types';
-import { registerUser, getCourses, getFamilyStudents, getPublicLocations } from '../api';
+import { Sex, ClassPreference } from '../types';
+import { addFamilyStudent, getCourses, getFamilyStudents, getPublicLocations } from '../api';
 import PreferredTimingSelector from '../components/registration/PreferredTimingSelector';
 import { XCircleIcon } from '../components/icons';
 import AdminPageHeader from '../components/admin/AdminPageHeader';
@@ -108,19 +108,16 @@ const AddFamilyStudentPage: React.FC = () => {
             const baseUsername = baseEmailParts[0].split('+')[0];
             const domain = baseEmailParts[1];
 
+            // Each student still needs a unique login email; family membership itself is recorded server-side.
             const newStudentEmail = `${baseUsername}+student${familyStudents.length + 1}@${domain}`.toLowerCase();
 
-            const userToRegister = {
+            await addFamilyStudent({
                 ...studentData,
                 fatherName: guardian.name,
                 contactNumber: guardian.contactNumber,
                 email: newStudentEmail,
-                password: guardianPassword,
-                dateOfJoining: new Date().toISOString(),
-                role: UserRole.Student,
-            };
-
-            await registerUser([userToRegister]);
+                guardianPassword,
+            });
             setSuccess(true);
         } catch (err) {
             setError(err instanceof Error ? err.message : "An unknown error occurred while adding the student.");
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import type { User } from '../types';
 import { UserRole } from '../types';
 import { loginUser, registerAdmin, logout } from '../api';
+import ForgotPasswordForm from '../components/ForgotPasswordForm';
 
 interface AdminLoginPageProps {
   onLoginSuccess: (user: User) => void;
@@ -9,6 +10,7 @@ interface AdminLoginPageProps {
 
 const AdminLoginPage: React.FC<AdminLoginPageProps> = ({ onLoginSuccess }) => {
   const [isLoginView, setIsLoginView] = useState(true);
+  const [isForgotPasswordView, setIsForgotPasswordView] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -86,7 +88,12 @@ const AdminLoginPage: React.FC<AdminLoginPageProps> = ({ onLoginSuccess }) => {
         <input type="email" id="admin-email-login" value={loginEmail} onChange={e => setLoginEmail(e.target.value)} required className="form-input w-full" />
       </div>
       <div>
-        <label htmlFor="admin-password-login" className="form-label">Password</label>
+        <div className="flex items-center justify-between">
+          <label htmlFor="admin-password-login" className="form-label">Password</label>
+          <button type="button" onClick={() => { setIsForgotPasswordView(true); setError(null); setSuccess(null); }} className="text-sm font-medium text-brand-primary hover:text-brand-dark">
+            Forgot your password?
+          </button>
+        </div>
         <input type="password" id="admin-password-login" value={loginPassword} onChange={e => setLoginPassword(e.target.value)} required className="form-input w-full" />
       </div>
       <div>
@@ -141,9 +148,11 @@ const AdminLoginPage: React.FC<AdminLoginPageProps> = ({ onLoginSuccess }) => {
         {error && <p className="text-sm text-center text-red-600 bg-red-100 p-3 rounded-md">{error}</p>}
         {success && <p className="text-sm text-center text-green-600 bg-green-100 p-3 rounded-md">{success}</p>}
         
-        {isLoginView ? renderLoginForm() : renderRegisterForm()}
+        {isForgotPasswordView ? (
+          <ForgotPasswordForm initialEmail={loginEmail} onBackToLogin={() => setIsForgotPasswordView(false)} />
+        ) : isLoginView ? renderLoginForm() : renderRegisterForm()}
         
-        <div className="text-center text-sm">
+        {!isForgotPasswordView && <div className="text-center text-sm">
             {isLoginView ? "Don't have an admin account? " : "Already have an account? "}
             <button 
                 onClick={() => {
@@ -155,7 +164,7 @@ const AdminLoginPage: React.FC<AdminLoginPageProps> = ({ onLoginSuccess }) => {
             >
                 {isLoginView ? "Register here" : "Sign in"}
             </button>
-        </div>
+        </div>}
       </div>
     </div>
   );
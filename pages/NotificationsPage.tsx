@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import type { Notification, NotificationQuery, User } from '../types';
+import { getNotifications, getFamilyStudents, markNotificationAsRead, markAllNotificationsAsRead, archiveNotification, deleteNotification } from '../api';
+
+type InboxFilter = 'all' | 'unread' | 'archived';
+
+const FILTERS: { value: InboxFilter; label: string }[] = [
+    { value: 'all', label: 'Inbox' },
+    { value: 'unread', label: 'Unread' },
+    { value: 'archived', label: 'Archived' },
+];
+
+const PAGE_SIZE = 20;
+
+const NotificationsPage: React.FC = () => {
+    const [filter, setFilter] = useState<InboxFilter>('all');
+    const [studentId, setStudentId] = useState('');
+    const [students, setStudents] = useState<User[]>([]);
+    const [notifications, setNotifications] = useState<Notification[]>([]);
+    const [nextCursor, setNextCursor] = useState<string | null>(null);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [actionMessage, setActionMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+    const [busyId, setBusyId] = useState<string | null>(null);
+
+    const query: NotificationQuery = {
+        limit: PAGE_SIZE,
+        unread: filter === 'unread',
+        archived: filter === 'archived',
+        studentId: studentId || undefined,
+    };
+
+    const fetchNotifications = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const page = await getNotifications(query);
+            setNotifications(page.notifications);
+            setNextCursor(page.nextCursor);
+            setUnreadCount(page.unreadCount);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load notifications.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [filter, studentId]);
+
+    useEffect(() => {
+        fetchNotifications();
+    }, [fetchNotifications]);
+
+    // Only families with more than one student get the per-student filter.
+    useEffect(() => {
+        getFamilyStudents().then(setStudents).catch(() => setStudents([]));
+    }, []);
+
+    const handleActionMessage = (type: 'success' | 'error', text: string) => {
+        setActionMessage({ type, text });
+        setTimeout(() => setActionMessage(null), 5000);
+    };
+
+    const handleLoadMore = async () => {
+        if (!nextCursor) return;
+        setIsLoadingMore(true);
+        try {
+            const page = await getNotifications({ ...query, cursor: nextCursor });
+            setNotifications(prev => [...prev, ...page.notifications]);
+            setNextCursor(page.nextCursor);
+            setUnreadCount(page.unreadCount);
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to load more notifications.');
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    const removeFromList = (notification: Notification) => {
+        setNotifications(prev => prev.filter(n => n.id !== notification.id));
+        if (!notification.read) setUnreadCount(count => Math.max(0, count - 1));
+    };
+
+    const handleMarkRead = async (notification: Notification) => {
+        if (notification.read) return;
+        try {
+            await markNotificationAsRead(notification.id);
+            setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, read: true } : n));
+            setUnreadCount(count => Math.max(0, count - 1));
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to mark notification as read.');
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            const result = await markAllNotificationsAsRead(studentId || undefined);
+            setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+            setUnreadCount(result.unreadCount);
+            handleActionMessage('success', `${result.updated} notification${result.updated !== 1 ? 's' : ''} marked as read.`);
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to mark notifications as read.');
+        }
+    };
+
+    const handleArchive = async (notification: Notification, archived: boolean) => {
+        setBusyId(notification.id);
+        try {
+            await archiveNotification(notification.id, archived);
+            removeFromList(notification);
+            handleActionMessage('success', archived ? 'Notification archived.' : 'Notification moved back to your inbox.');
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to update notification.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (notification: Notification) => {
+        if (!window.confirm('Delete this notification? This cannot be undone.')) return;
+        setBusyId(notification.id);
+        try {
+            await deleteNotification(notification.id);
+            removeFromList(notification);
+            handleActionMessage('success', 'Notification deleted.');
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to delete notification.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const showStudentFilter = students.length > 1;
+    const studentName = (userId: string) => showStudentFilter ? students.find(s => s.id === userId)?.name : undefined;
+
+    return (
+        <div className="container mx-auto px-6 lg:px-8 py-12 max-w-4xl">
+            <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-brand-dark">Notifications</h1>
+                    <p className="text-gray-500 mt-1">{unreadCount} unread</p>
+                </div>
+                <div className="flex items-center space-x-4">
+                    <button type="button" onClick={fetchNotifications} className="text-sm font-medium text-brand-primary hover:underline">Refresh</button>
+                    <button
+                        type="button"
+                        onClick={handleMarkAllRead}
+                        disabled={unreadCount === 0}
+                        className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark disabled:bg-gray-400"
+                    >
+                        Mark all read
+                    </button>
+                </div>
+            </div>
+
+            <div className="mt-6 bg-white p-4 rounded-lg shadow-sm flex flex-col sm:flex-row sm:items-center gap-4">
+                <div className="flex space-x-2">
+                    {FILTERS.map(f => (
+                        <button
+                            key={f.value}
+                            type="button"
+                            onClick={() => setFilter(f.value)}
+                            className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${filter === f.value ? 'bg-brand-primary text-white' : 'text-gray-600 hover:bg-brand-light/50 hover:text-brand-primary'}`}
+                        >
+                            {f.label}
+                        </button>
+                    ))}
+                </div>
+                {showStudentFilter && (
+                    <select value={studentId} onChange={e => setStudentId(e.target.value)} className="form-select sm:ml-auto sm:w-64" aria-label="Student">
+                        <option value="">Whole family</option>
+                        {students.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                )}
+            </div>
+
+            {actionMessage && (
+                <div className={`mt-6 p-4 rounded-md text-sm ${actionMessage.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                    {actionMessage.text}
+                </div>
+            )}
+            {isLoading && <p className="mt-6">Loading notifications...</p>}
+            {error && <p className="mt-6 text-red-500">{error}</p>}
+            {!isLoading && !error && (
+                <>
+                    <ul className="mt-6 bg-white shadow-md rounded-lg divide-y divide-gray-200">
+                        {notifications.map(n => (
+                            <li key={n.id} className={`p-4 ${!n.read ? 'bg-indigo-50' : ''}`}>
+                                <div className="flex justify-between items-start gap-4">
+                                    <div className="min-w-0">
+                                        <p className="font-semibold text-gray-800 flex items-center">
+                                            {!n.read && <span className="h-2 w-2 bg-blue-500 rounded-full flex-shrink-0 mr-2"></span>}
+                                            {n.subject}
+                                        </p>
+                                        <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{n.message}</p>
+                                        <p className="text-xs text-gray-400 mt-2">
+                                            {new Date(n.createdAt).toLocaleString()}
+                                            {studentName(n.userId) && ` · ${studentName(n.userId)}`}
+                                        </p>
+                                    </div>
+                                    <div className="flex flex-col items-end space-y-1 text-sm flex-shrink-0">
+                                        {n.link && (
+                                            <Link to={n.link} onClick={() => handleMarkRead(n)} className="text-brand-primary hover:underline font-medium">Open</Link>
+                                        )}
+                                        {!n.read && (
+                                            <button type="button" onClick={() => handleMarkRead(n)} className="text-brand-primary hover:underline">Mark read</button>
+                                        )}
+                                        <button
+                                            type="button"
+                                            onClick={() => handleArchive(n, filter !== 'archived')}
+                                            disabled={busyId === n.id}
+                                            className="text-gray-600 hover:underline disabled:text-gray-400"
+                                        >
+                                            {filter === 'archived' ? 'Move to inbox' : 'Archive'}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDelete(n)}
+                                            disabled={busyId === n.id}
+                                            className="text-red-600 hover:underline disabled:text-gray-400"
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            </li>
+                        ))}
+                        {notifications.length === 0 && (
+                            <li className="p-8 text-center text-sm text-gray-500">
+                                {filter === 'unread' ? 'No unread notifications.' : filter === 'archived' ? 'No archived notifications.' : 'You have no notifications.'}
+                            </li>
+                        )}
+                    </ul>
+                    {nextCursor && (
+                        <div className="mt-6 text-center">
+                            <button
+                                type="button"
+                                onClick={handleLoadMore}
+                                disabled={isLoadingMore}
+                                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:text-gray-400"
+                            >
+                                {isLoadingMore ? 'Loading...' : 'Load more'}
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default NotificationsPage;
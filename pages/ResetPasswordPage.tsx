@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import ResetPasswordForm from '../components/ResetPasswordForm';
+
+interface ResetPasswordPageProps {
+  onLoginClick: () => void;
+}
+
+const ResetPasswordPage: React.FC<ResetPasswordPageProps> = ({ onLoginClick }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [isComplete, setIsComplete] = useState(false);
+
+  return (
+    <div className="flex justify-center py-16 sm:py-24 px-4">
+      <div className="w-full max-w-md p-8 bg-white rounded-lg shadow-2xl">
+        {!token ? (
+          <div className="text-center">
+            <h2 className="text-2xl font-bold text-gray-800">Invalid Reset Link</h2>
+            <p className="text-gray-500 mt-2">This password reset link is missing its token. Please request a new one from the login screen.</p>
+          </div>
+        ) : isComplete ? (
+          <div className="text-center">
+            <h2 className="text-2xl font-bold text-gray-800">Password Updated</h2>
+            <p className="text-gray-500 mt-2">Your password has been reset. You can now log in with your new password.</p>
+            <button onClick={onLoginClick} className="mt-6 w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark transition-colors">
+              Login
+            </button>
+          </div>
+        ) : (
+          <ResetPasswordForm token={token} onSuccess={() => setIsComplete(true)} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { unsubscribeFromEmails } from '../api';
+import type { NotificationCategory } from '../types';
+import { NOTIFICATION_CATEGORY_LABELS } from '../components/NotificationPreferencesForm';
+
+// Reached from the link in notification emails. Unsubscribing takes a click rather than happening on load, so mail
+// scanners that open links do not unsubscribe anyone.
+const UnsubscribePage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const userId = searchParams.get('user');
+  const category = searchParams.get('category') as NotificationCategory | null;
+  const token = searchParams.get('token');
+  const [isLoading, setIsLoading] = useState(false);
+  const [result, setResult] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const isValidLink = !!(userId && token && category && NOTIFICATION_CATEGORY_LABELS[category]);
+
+  const handleUnsubscribe = async () => {
+    if (!isValidLink) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await unsubscribeFromEmails(userId!, category!, token!);
+      setResult(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to unsubscribe.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center py-16 sm:py-24 px-4">
+      <div className="w-full max-w-md p-8 bg-white rounded-lg shadow-2xl text-center">
+        {!isValidLink ? (
+          <>
+            <h2 className="text-2xl font-bold text-gray-800">Invalid Unsubscribe Link</h2>
+            <p className="text-gray-500 mt-2">This link is incomplete. You can also choose which emails you receive on your profile page after logging in.</p>
+          </>
+        ) : result ? (
+          <>
+            <h2 className="text-2xl font-bold text-gray-800">Unsubscribed</h2>
+            <p className="text-gray-500 mt-2">{result}</p>
+          </>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-gray-800">Unsubscribe</h2>
+            <p className="text-gray-500 mt-2">
+              Stop receiving emails about <span className="font-medium">{NOTIFICATION_CATEGORY_LABELS[category!].toLowerCase()}</span> from Nadanaloga? You will still see them in the portal.
+            </p>
+            {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+            <button
+              onClick={handleUnsubscribe}
+              disabled={isLoading}
+              className="mt-6 w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-brand-primary hover:bg-brand-dark transition-colors disabled:bg-gray-400"
+            >
+              {isLoading ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnsubscribePage;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { AttendanceReport, Batch, User } from '../../types';
+import { UserRole } from '../../types';
+import { getAttendanceReport, getBatches, getAdminUsers } from '../../api';
+import AdminPageHeader from '../../components/admin/AdminPageHeader';
+import AdminNav from '../../components/admin/AdminNav';
+
+const currentMonth = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const RateCell: React.FC<{ rate: number | null, threshold: number }> = ({ rate, threshold }) => (
+    <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${rate === null ? 'text-gray-400' : rate < threshold ? 'text-red-600' : 'text-green-700'}`}>
+        {rate === null ? '—' : `${rate}%`}
+    </td>
+);
+
+const thClasses = "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+const tdClasses = "px-6 py-4 whitespace-nowrap text-sm text-gray-700";
+
+const AttendanceReportPage: React.FC = () => {
+    const [month, setMonth] = useState(currentMonth());
+    const [batchId, setBatchId] = useState('');
+    const [studentId, setStudentId] = useState('');
+    const [batches, setBatches] = useState<Batch[]>([]);
+    const [students, setStudents] = useState<User[]>([]);
+    const [report, setReport] = useState<AttendanceReport | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        Promise.all([getBatches(), getAdminUsers()])
+            .then(([batchData, userData]) => {
+                setBatches(batchData);
+                setStudents(userData.filter(u => u.role === UserRole.Student));
+            })
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load filters.'));
+    }, []);
+
+    const fetchReport = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setReport(await getAttendanceReport({ month, batchId, studentId }));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load attendance report.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [month, batchId, studentId]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    return (
+        <div className="bg-gray-50 min-h-full py-3">
+            <div className="container mx-auto px-6 lg:px-8">
+                <AdminPageHeader title="Attendance Reports" subtitle="Monthly attendance by batch and student." backLinkPath="/admin/dashboard" backTooltipText="Back to Dashboard" />
+                <AdminNav />
+
+                <div className="mt-8 bg-white p-4 rounded-lg shadow-sm grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="form-label">Month</label>
+                        <input type="month" value={month} onChange={e => setMonth(e.target.value)} className="form-input w-full" />
+                    </div>
+                    <div>
+                        <label className="form-label">Batch</label>
+                        <select value={batchId} onChange={e => setBatchId(e.target.value)} className="form-select w-full">
+                            <option value="">All batches</option>
+                            {batches.map(b => <option key={b.id} value={b.id}>{b.name} ({b.courseName})</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="form-label">Student</label>
+                        <select value={studentId} onChange={e => setStudentId(e.target.value)} className="form-select w-full">
+                            <option value="">All students</option>
+                            {students.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {isLoading && <p className="mt-6">Loading report...</p>}
+                {error && <p className="mt-6 text-red-500">{error}</p>}
+                {!isLoading && !error && report && (
+                    <div className="mt-6 space-y-8">
+                        <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+                            <h3 className="text-lg font-semibold text-gray-800 px-6 pt-4">By Batch</h3>
+                            <table className="min-w-full divide-y divide-gray-200 mt-2">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className={thClasses}>Batch</th>
+                                        <th className={thClasses}>Course</th>
+                                        <th className={thClasses}>Sessions</th>
+                                        <th className={thClasses}>Present</th>
+                                        <th className={thClasses}>Late</th>
+                                        <th className={thClasses}>Absent</th>
+                                        <th className={thClasses}>Excused</th>
+                                        <th className={thClasses}>Attendance</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {report.batches.map(row => (
+                                        <tr key={row.batchId}>
+                                            <td className={`${tdClasses} font-medium text-gray-900`}>{row.batchName}</td>
+                                            <td className={tdClasses}>{row.courseName}</td>
+                                            <td className={tdClasses}>{row.sessions}</td>
+                                            <td className={tdClasses}>{row.present}</td>
+                                            <td className={tdClasses}>{row.late}</td>
+                                            <td className={tdClasses}>{row.absent}</td>
+                                            <td className={tdClasses}>{row.excused}</td>
+                                            <RateCell rate={row.rate} threshold={report.threshold} />
+                                        </tr>
+                                    ))}
+                                    {report.batches.length === 0 && (
+                                        <tr><td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">No attendance recorded for this month.</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+                            <h3 className="text-lg font-semibold text-gray-800 px-6 pt-4">By Student <span className="text-sm font-normal text-gray-500">(alert threshold {report.threshold}%)</span></h3>
+                            <table className="min-w-full divide-y divide-gray-200 mt-2">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className={thClasses}>Student</th>
+                                        <th className={thClasses}>Batch</th>
+                                        <th className={thClasses}>Present</th>
+                                        <th className={thClasses}>Late</th>
+                                        <th className={thClasses}>Absent</th>
+                                        <th className={thClasses}>Excused</th>
+                                        <th className={thClasses}>Attendance</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {report.students.map(row => (
+                                        <tr key={`${row.studentId}-${row.batchId}`}>
+                                            <td className={`${tdClasses} font-medium text-gray-900`}>{row.studentName}</td>
+                                            <td className={tdClasses}>{row.batchName} <span className="text-gray-400">({row.courseName})</span></td>
+                                            <td className={tdClasses}>{row.present}</td>
+                                            <td className={tdClasses}>{row.late}</td>
+                                            <td className={tdClasses}>{row.absent}</td>
+                                            <td className={tdClasses}>{row.excused}</td>
+                                            <RateCell rate={row.rate} threshold={report.threshold} />
+                                        </tr>
+                                    ))}
+                                    {report.students.length === 0 && (
+                                        <tr><td colSpan={7} className="px-6 py-8 text-center text-sm text-gray-500">No attendance recorded for this month.</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AttendanceReportPage;
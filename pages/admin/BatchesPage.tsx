@@ -1,7 +1,7 @@
 
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import type { Batch, Course, User } from '../../types';
-import { getBatches, getAdminCourses, getAdminUsers, deleteBatch, addBatch, updateBatch } from '../../api';
+import type { Batch, BatchSaveRequest, Course, User } from '../../types';
+import { getBatches, getAdminCourses, getAdminUsers, deleteBatch, addBatch, updateBatch, migrateScheduleTimings } from '../../api';
 import AdminPageHeader from '../../components/admin/AdminPageHeader';
 import AdminNav from '../../components/admin/AdminNav';
 import EditBatchModal from '../../components/admin/EditBatchModal';
@@ -119,7 +119,7 @@ const BatchesPage: React.FC = () => {
         }
     };
 
-    const handleSaveBatch = async (batchData: Partial<Batch>) => {
+    const handleSaveBatch = async (batchData: BatchSaveRequest) => {
         try {
             const payload = { ...batchData };
             // Ensure teacherId is a string ID, not a populated object, before sending to the server
@@ -142,6 +142,17 @@ const BatchesPage: React.FC = () => {
             alert(err instanceof Error ? err.message : 'Failed to save batch.');
         }
     };
+
+    const handleMigrateTimings = async () => {
+        if (!window.confirm('Convert existing batch, student and teacher timings into structured weekly schedules? Timings that cannot be read are left unchanged.')) return;
+        try {
+            const { message } = await migrateScheduleTimings();
+            alert(message);
+            await fetchData();
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Migration failed.');
+        }
+    };
     
     const renderCardView = () => (
         <div className="space-y-12">
@@ -261,12 +272,17 @@ const BatchesPage: React.FC = () => {
                                 <button onClick={() => setViewMode('card')} className={`px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${viewMode === 'card' ? 'bg-white text-brand-primary shadow-sm' : 'text-gray-600 hover:bg-gray-300/50'}`}>Card View</button>
                                 <button onClick={() => setViewMode('table')} className={`px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${viewMode === 'table' ? 'bg-white text-brand-primary shadow-sm' : 'text-gray-600 hover:bg-gray-300/50'}`}>Table View</button>
                             </div>
-                            <button
-                                onClick={handleAddNewBatch}
-                                className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors"
-                            >
-                                + Create New Batch
-                            </button>
+                            <div className="flex space-x-2">
+                                <button onClick={handleMigrateTimings} className="bg-white border border-brand-primary text-brand-primary hover:bg-brand-light/50 font-semibold px-4 py-2 rounded-md shadow-sm transition-colors">
+                                    Migrate Timings
+                                </button>
+                                <button
+                                    onClick={handleAddNewBatch}
+                                    className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors"
+                                >
+                                    + Create New Batch
+                                </button>
+                            </div>
                         </div>
                         
                          {/* Filter Bar */}
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { OutgoingEmail, OutgoingEmailList, OutgoingEmailStatus } from '../../types';
+import { getOutgoingEmails, resendEmail } from '../../api';
+import AdminPageHeader from '../../components/admin/AdminPageHeader';
+import AdminNav from '../../components/admin/AdminNav';
+
+const FILTERS: { label: string; statuses: OutgoingEmailStatus[] }[] = [
+    { label: 'Failed', statuses: ['Failed', 'Bounced'] },
+    { label: 'Queued', statuses: ['Queued'] },
+    { label: 'Sent', statuses: ['Sent'] },
+];
+
+const getStatusBadgeClass = (status: OutgoingEmailStatus) => {
+    switch (status) {
+        case 'Sent': return 'bg-green-100 text-green-800';
+        case 'Queued': return 'bg-yellow-100 text-yellow-800';
+        default: return 'bg-red-100 text-red-800';
+    }
+};
+
+const thClasses = "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+const tdClasses = "px-6 py-4 whitespace-nowrap text-sm text-gray-700";
+
+const EmailOutboxPage: React.FC = () => {
+    const [filter, setFilter] = useState(FILTERS[0]);
+    const [data, setData] = useState<OutgoingEmailList>({ emails: [], counts: {} });
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [actionMessage, setActionMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+    const [resendingId, setResendingId] = useState<string | null>(null);
+
+    const fetchEmails = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setData(await getOutgoingEmails(filter.statuses));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load emails.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [filter]);
+
+    useEffect(() => {
+        fetchEmails();
+    }, [fetchEmails]);
+
+    const handleActionMessage = (type: 'success' | 'error', text: string) => {
+        setActionMessage({ type, text });
+        setTimeout(() => setActionMessage(null), 5000);
+    };
+
+    const handleResend = async (email: OutgoingEmail) => {
+        setResendingId(email.id);
+        try {
+            const queued = await resendEmail(email.id);
+            handleActionMessage('success', `"${queued.subject}" queued again for ${queued.to}.`);
+            await fetchEmails();
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to resend email.');
+        } finally {
+            setResendingId(null);
+        }
+    };
+
+    const countFor = (statuses: OutgoingEmailStatus[]) => statuses.reduce((sum, s) => sum + (data.counts[s] || 0), 0);
+
+    return (
+        <div className="bg-gray-50 min-h-full py-3">
+            <div className="container mx-auto px-6 lg:px-8">
+                <AdminPageHeader title="Email Outbox" subtitle="Delivery status of emails sent by the portal." backLinkPath="/admin/dashboard" backTooltipText="Back to Dashboard" />
+                <AdminNav />
+
+                <div className="mt-8 bg-white p-4 rounded-lg shadow-sm flex flex-col sm:flex-row sm:items-center gap-4">
+                    <div className="flex space-x-2">
+                        {FILTERS.map(f => (
+                            <button
+                                key={f.label}
+                                type="button"
+                                onClick={() => setFilter(f)}
+                                className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${filter.label === f.label ? 'bg-brand-primary text-white' : 'text-gray-600 hover:bg-brand-light/50 hover:text-brand-primary'}`}
+                            >
+                                {f.label} ({countFor(f.statuses)})
+                            </button>
+                        ))}
+                    </div>
+                    <button type="button" onClick={fetchEmails} className="text-sm font-medium text-brand-primary hover:underline">Refresh</button>
+                    <p className="text-xs text-gray-500 sm:ml-auto sm:max-w-sm">
+                        Emails are retried automatically before they are marked failed. Bounced emails were rejected by the recipient's mail server; check the address before resending.
+                    </p>
+                </div>
+
+                {actionMessage && (
+                    <div className={`mt-6 p-4 rounded-md text-sm ${actionMessage.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                        {actionMessage.text}
+                    </div>
+                )}
+                {isLoading && <p className="mt-6">Loading emails...</p>}
+                {error && <p className="mt-6 text-red-500">{error}</p>}
+                {!isLoading && !error && (
+                    <div className="mt-6 bg-white shadow-md rounded-lg overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className={thClasses}>Recipient</th>
+                                    <th className={thClasses}>Subject</th>
+                                    <th className={thClasses}>Type</th>
+                                    <th className={thClasses}>Status</th>
+                                    <th className={thClasses}>Attempts</th>
+                                    <th className={thClasses}>Last Error</th>
+                                    <th className={thClasses}>Updated</th>
+                                    <th className={thClasses}>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {data.emails.map(email => (
+                                    <tr key={email.id}>
+                                        <td className={`${tdClasses} font-medium text-gray-900`}>{email.to}</td>
+                                        <td className={`${tdClasses} whitespace-normal`}>
+                                            {email.subject}
+                                            {email.attachments.length > 0 && <span className="block text-xs text-gray-500">Attached: {email.attachments.join(', ')}</span>}
+                                        </td>
+                                        <td className={tdClasses}>{email.category}</td>
+                                        <td className={tdClasses}>
+                                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(email.status)}`}>{email.status}</span>
+                                        </td>
+                                        <td className={tdClasses}>{email.attempts}</td>
+                                        <td className={`${tdClasses} whitespace-normal text-xs text-red-600`}>{email.status !== 'Sent' && email.lastError}</td>
+                                        <td className={tdClasses}>{new Date(email.sentAt || email.updatedAt).toLocaleString()}</td>
+                                        <td className={tdClasses}>
+                                            {(email.status === 'Failed' || email.status === 'Bounced') && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleResend(email)}
+                                                    disabled={resendingId === email.id || email.sensitive}
+                                                    title={email.sensitive ? 'Contained a one-time link; ask the user to request a new one' : undefined}
+                                                    className="text-brand-primary hover:underline font-medium disabled:text-gray-400 disabled:no-underline"
+                                                >
+                                                    {resendingId === email.id ? 'Resending...' : 'Resend'}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                                {data.emails.length === 0 && (
+                                    <tr><td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">No {filter.label.toLowerCase()} emails.</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EmailOutboxPage;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import type { Family, User } from '../../types';
+import { UserRole } from '../../types';
+import {
+    getAdminFamilies, getAdminUsers, addFamily, updateFamily, deleteFamily,
+    linkFamilyGuardian, unlinkFamilyGuardian, linkFamilyStudent, unlinkFamilyStudent, migrateAliasFamilies,
+} from '../../api';
+import AdminPageHeader from '../../components/admin/AdminPageHeader';
+import AdminNav from '../../components/admin/AdminNav';
+import Modal from '../../components/Modal';
+import ModalHeader from '../../components/ModalHeader';
+
+const FamilyForm: React.FC<{ users: User[], onSave: (family: { name: string; guardianIds: string[]; studentIds: string[] }) => void, isLoading: boolean }> = ({ users, onSave, isLoading }) => {
+    const [name, setName] = useState('');
+    const [guardianId, setGuardianId] = useState('');
+    const [studentIds, setStudentIds] = useState<string[]>([]);
+    const students = users.filter(u => u.role === UserRole.Student);
+
+    const toggleStudent = (id: string) => {
+        setStudentIds(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]);
+    };
+
+    const handleSubmit = (e: React.FormEvent) => {
+        e.preventDefault();
+        onSave({ name, guardianIds: [guardianId], studentIds });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+                <label className="form-label">Family Name</label>
+                <input value={name} onChange={e => setName(e.target.value)} required className="form-input w-full" placeholder="e.g., Raman Family" />
+            </div>
+            <div>
+                <label className="form-label">Guardian Login</label>
+                <select value={guardianId} onChange={e => setGuardianId(e.target.value)} required className="form-select w-full">
+                    <option value="">Select the account the guardian logs in with</option>
+                    {users.map(u => <option key={u.id} value={u.id}>{u.name} ({u.email})</option>)}
+                </select>
+            </div>
+            <div>
+                <label className="form-label">Students</label>
+                <div className="max-h-60 overflow-y-auto border rounded-md p-2 space-y-1">
+                    {students.map(s => (
+                        <label key={s.id} className="flex items-center space-x-2 text-sm">
+                            <input type="checkbox" checked={studentIds.includes(s.id)} onChange={() => toggleStudent(s.id)} />
+                            <span>{s.name} <span className="text-gray-500">({s.email})</span></span>
+                        </label>
+                    ))}
+                </div>
+            </div>
+            <div className="pt-4 flex justify-end">
+                <button type="submit" disabled={isLoading} className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors disabled:bg-indigo-300">
+                    {isLoading ? 'Saving...' : 'Create Family'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const MemberChip: React.FC<{ member: Pick<User, 'id' | 'name' | 'email'>, onRemove: () => void }> = ({ member, onRemove }) => (
+    <span className="inline-flex items-center bg-brand-light/50 text-brand-primary text-xs font-medium rounded-full pl-3 pr-1 py-1 mr-2 mb-2" title={member.email}>
+        {member.name}
+        <button onClick={onRemove} className="ml-1 w-5 h-5 rounded-full hover:bg-red-100 hover:text-red-600" aria-label={`Unlink ${member.name}`}>&times;</button>
+    </span>
+);
+
+const FamiliesManagementPage: React.FC = () => {
+    const [families, setFamilies] = useState<Family[]>([]);
+    const [users, setUsers] = useState<User[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isFormLoading, setIsFormLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [isCreating, setIsCreating] = useState(false);
+
+    const fetchData = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [familyData, userData] = await Promise.all([getAdminFamilies(), getAdminUsers()]);
+            setFamilies(familyData);
+            setUsers(userData);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to fetch families.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const studentsWithoutFamily = useMemo(() => {
+        const linked = new Set(families.flatMap(f => f.studentIds));
+        return users.filter(u => u.role === UserRole.Student && !linked.has(u.id));
+    }, [families, users]);
+
+    const replaceFamily = (updated: Family) => {
+        setFamilies(prev => prev.map(f => f.id === updated.id ? updated : f));
+    };
+
+    const runAction = async (action: () => Promise<Family>) => {
+        try {
+            replaceFamily(await action());
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to update family.');
+        }
+    };
+
+    const handleCreate = async (family: { name: string; guardianIds: string[]; studentIds: string[] }) => {
+        setIsFormLoading(true);
+        try {
+            await addFamily(family);
+            setIsCreating(false);
+            await fetchData();
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to create family.');
+        } finally {
+            setIsFormLoading(false);
+        }
+    };
+
+    const handleRename = async (family: Family) => {
+        const name = window.prompt('Family name', family.name);
+        if (name && name.trim() && name !== family.name) {
+            await runAction(() => updateFamily(family.id, { name: name.trim() }));
+        }
+    };
+
+    const handleDelete = async (id: string) => {
+        if (window.confirm('Delete this family? Guardians will no longer see these students, but no user accounts are removed.')) {
+            try {
+                await deleteFamily(id);
+                await fetchData();
+            } catch (err) {
+                alert(err instanceof Error ? err.message : 'Failed to delete family.');
+            }
+        }
+    };
+
+    const handleMigrate = async () => {
+        if (!window.confirm('Create families from accounts that share a "name+alias@domain" email address? Students already in a family are left untouched.')) return;
+        try {
+            const { message } = await migrateAliasFamilies();
+            alert(message);
+            await fetchData();
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Migration failed.');
+        }
+    };
+
+    return (
+        <div className="bg-gray-50 min-h-full py-3">
+            <div className="container mx-auto px-6 lg:px-8">
+                <AdminPageHeader title="Family Management" subtitle="Link guardian logins to the students they manage." backLinkPath="/admin/dashboard" backTooltipText="Back to Dashboard" />
+                <AdminNav />
+
+                <div className="mt-8">
+                    <div className="flex justify-end mb-4 space-x-2">
+                        <button onClick={handleMigrate} className="bg-white border border-brand-primary text-brand-primary hover:bg-brand-light/50 font-semibold px-4 py-2 rounded-md shadow-sm transition-colors">
+                            Migrate Email Aliases
+                        </button>
+                        <button onClick={() => setIsCreating(true)} className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors">
+                            + Add New Family
+                        </button>
+                    </div>
+                    {isLoading && <p>Loading families...</p>}
+                    {error && <p className="text-red-500">{error}</p>}
+                    {!isLoading && !error && (
+                        <div className="bg-white shadow-md rounded-lg overflow-hidden">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Family</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Guardians</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+                                        <th className="relative px-6 py-3"><span className="sr-only">Actions</span></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {families.map(family => (
+                                        <tr key={family.id} className="align-top">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{family.name}</td>
+                                            <td className="px-6 py-4 text-sm">
+                                                {(family.guardians || []).map(g => (
+                                                    <MemberChip key={g.id} member={g} onRemove={() => runAction(() => unlinkFamilyGuardian(family.id, g.id))} />
+                                                ))}
+                                                <select value="" onChange={e => e.target.value && runAction(() => linkFamilyGuardian(family.id, e.target.value))} className="form-select text-xs mt-1 w-full">
+                                                    <option value="">+ Link guardian...</option>
+                                                    {users.filter(u => !family.guardianIds.includes(u.id)).map(u => <option key={u.id} value={u.id}>{u.name} ({u.email})</option>)}
+                                                </select>
+                                            </td>
+                                            <td className="px-6 py-4 text-sm">
+                                                {(family.students || []).map(s => (
+                                                    <MemberChip key={s.id} member={s} onRemove={() => runAction(() => unlinkFamilyStudent(family.id, s.id))} />
+                                                ))}
+                                                <select value="" onChange={e => e.target.value && runAction(() => linkFamilyStudent(family.id, e.target.value))} className="form-select text-xs mt-1 w-full">
+                                                    <option value="">+ Link student...</option>
+                                                    {studentsWithoutFamily.map(s => <option key={s.id} value={s.id}>{s.name} ({s.email})</option>)}
+                                                </select>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                                <button onClick={() => handleRename(family)} className="text-brand-primary hover:text-brand-dark">Rename</button>
+                                                <button onClick={() => handleDelete(family.id)} className="text-red-600 hover:text-red-800">Delete</button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {families.length === 0 && (
+                                        <tr>
+                                            <td colSpan={4} className="px-6 py-8 text-center text-sm text-gray-500">No families found.</td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <Modal isOpen={isCreating} onClose={() => setIsCreating(false)} size="lg">
+                <ModalHeader title="Add New Family" />
+                <FamilyForm users={users} onSave={handleCreate} isLoading={isFormLoading} />
+            </Modal>
+        </div>
+    );
+};
+
+export default FamiliesManagementPage;
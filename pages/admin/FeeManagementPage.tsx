@@ -1,10 +1,12 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
-import type { FeeStructure, Invoice, Course, User } from '../../types';
+import type { FeeStructure, Invoice, Course, Location, User, PaymentDetails, RefundDetails, Scholarship } from '../../types';
 import { 
     getFeeStructures, addFeeStructure, updateFeeStructure, deleteFeeStructure,
-    getAdminInvoices, generateInvoices, recordPayment,
-    getAdminCourses, getAdminUsers
+    getScholarships, addScholarship, updateScholarship, deleteScholarship,
+    getAdminInvoices, generateInvoices, runInvoiceReminders, recordPayment, reversePayment, waiveLateFee, issueCreditNote, recordRefund,
+    downloadInvoicePdf, downloadPaymentReceipt,
+    getAdminCourses, getAdminUsers, getLocations
 } from '../../api';
 import AdminPageHeader from '../../components/admin/AdminPageHeader';
 import AdminNav from '../../components/admin/AdminNav';
@@ -13,8 +15,13 @@ import FeeStructureTable from '../../components/admin/FeeStructureTable';
 import EditFeeStructureModal from '../../components/admin/EditFeeStructureModal';
 import InvoiceTable from '../../components/admin/InvoiceTable';
 import RecordPaymentModal from '../../components/admin/RecordPaymentModal';
+import GenerateInvoicesModal from '../../components/admin/GenerateInvoicesModal';
+import ScholarshipTable from '../../components/admin/ScholarshipTable';
+import EditScholarshipModal from '../../components/admin/EditScholarshipModal';
+import UpiReconciliationModal from '../../components/admin/UpiReconciliationModal';
+import FinanceReports from '../../components/admin/FinanceReports';
 
-type ActiveTab = 'structures' | 'invoices';
+type ActiveTab = 'structures' | 'scholarships' | 'invoices' | 'reports';
 
 const FeeManagementPage: React.FC = () => {
     const [activeTab, setActiveTab] = useState<ActiveTab>('structures');
@@ -22,30 +29,39 @@ const FeeManagementPage: React.FC = () => {
     // Data states
     const [structures, setStructures] = useState<FeeStructure[]>([]);
     const [invoices, setInvoices] = useState<Invoice[]>([]);
+    const [scholarships, setScholarships] = useState<Scholarship[]>([]);
     const [courses, setCourses] = useState<Course[]>([]);
+    const [locations, setLocations] = useState<Location[]>([]);
     const [users, setUsers] = useState<User[]>([]);
 
     // UI states
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState<string | null>(null);
     const [editingStructure, setEditingStructure] = useState<Partial<FeeStructure> | null>(null);
+    const [editingScholarship, setEditingScholarship] = useState<Partial<Scholarship> | null>(null);
     const [payingInvoice, setPayingInvoice] = useState<Invoice | null>(null);
+    const [isGeneratingInvoices, setIsGeneratingInvoices] = useState(false);
+    const [isMatchingUpi, setIsMatchingUpi] = useState(false);
     const [actionMessage, setActionMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
 
 
     const fetchData = useCallback(async () => {
         setIsLoading(true);
         try {
-            const [fetchedStructures, fetchedInvoices, fetchedCourses, fetchedUsers] = await Promise.all([
+            const [fetchedStructures, fetchedInvoices, fetchedScholarships, fetchedCourses, fetchedUsers, fetchedLocations] = await Promise.all([
                 getFeeStructures(),
                 getAdminInvoices(),
+                getScholarships(),
                 getAdminCourses(),
-                getAdminUsers()
+                getAdminUsers(),
+                getLocations()
             ]);
             setStructures(fetchedStructures);
             setInvoices(fetchedInvoices);
+            setScholarships(fetchedScholarships);
             setCourses(fetchedCourses);
             setUsers(fetchedUsers.filter(u => u.role === 'Student'));
+            setLocations(fetchedLocations);
             setError(null);
         } catch (err) {
             setError(err instanceof Error ? err.message : 'Failed to fetch fee management data.');
@@ -93,22 +109,73 @@ const FeeManagementPage: React.FC = () => {
         }
     };
 
-    // Invoice Handlers
-    const handleGenerateInvoices = async () => {
-        if(window.confirm('This will generate monthly invoices for all enrolled students for the current month. Continue?')) {
+    // Scholarship Handlers
+    const handleSaveScholarship = async (data: Partial<Scholarship>) => {
+        try {
+            if (data.id) {
+                const updated = await updateScholarship(data.id, data);
+                setScholarships(prev => prev.map(s => s.id === updated.id ? updated : s));
+                handleActionMessage('success', 'Scholarship updated successfully.');
+            } else {
+                const newScholarship = await addScholarship(data as Omit<Scholarship, 'id'>);
+                setScholarships(prev => [newScholarship, ...prev]);
+                handleActionMessage('success', 'Scholarship added successfully.');
+            }
+            setEditingScholarship(null);
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to save scholarship.');
+        }
+    };
+
+    const handleDeleteScholarship = async (id: string) => {
+        if (window.confirm('Delete this scholarship? Invoices already generated keep their discount.')) {
             try {
-                const result = await generateInvoices();
-                handleActionMessage('success', result.message);
-                // Refetch invoices after generation
-                const fetchedInvoices = await getAdminInvoices();
-                setInvoices(fetchedInvoices);
+                await deleteScholarship(id);
+                setScholarships(prev => prev.filter(s => s.id !== id));
+                handleActionMessage('success', 'Scholarship deleted.');
             } catch (err) {
-                handleActionMessage('error', err instanceof Error ? err.message : 'Failed to generate invoices.');
+                handleActionMessage('error', err instanceof Error ? err.message : 'Failed to delete scholarship.');
             }
         }
     };
 
-    const handleRecordPayment = async (invoiceId: string, paymentData: any) => {
+    // Invoice Handlers
+    const handleGenerateInvoices = async (asOf: string) => {
+        try {
+            const result = await generateInvoices(asOf);
+            handleActionMessage('success', result.message);
+            // Refetch invoices after generation
+            const fetchedInvoices = await getAdminInvoices();
+            setInvoices(fetchedInvoices);
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to generate invoices.');
+        } finally {
+            setIsGeneratingInvoices(false);
+        }
+    };
+
+    const handleRunReminders = async () => {
+        if (!window.confirm('Mark invoices past their due date as overdue and send any reminders that are due now?')) return;
+        try {
+            const result = await runInvoiceReminders();
+            handleActionMessage('success', result.message);
+            setInvoices(await getAdminInvoices());
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to send reminders.');
+        }
+    };
+
+    const handleUpiPaymentsRecorded = async (message: string) => {
+        setIsMatchingUpi(false);
+        handleActionMessage('success', message);
+        try {
+            setInvoices(await getAdminInvoices());
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to refresh invoices.');
+        }
+    };
+
+    const handleRecordPayment = async (invoiceId: string, paymentData: PaymentDetails) => {
         try {
             const updatedInvoice = await recordPayment(invoiceId, paymentData);
             setInvoices(prev => prev.map(inv => inv.id === updatedInvoice.id ? updatedInvoice : inv));
@@ -119,6 +186,68 @@ const FeeManagementPage: React.FC = () => {
         }
     };
 
+    const handleReversePayment = async (invoiceId: string, paymentId: string, reason: string) => {
+        try {
+            const updatedInvoice = await reversePayment(invoiceId, paymentId, reason);
+            setInvoices(prev => prev.map(inv => inv.id === updatedInvoice.id ? updatedInvoice : inv));
+            setPayingInvoice(updatedInvoice);
+            handleActionMessage('success', 'Payment reversed.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to reverse payment.');
+        }
+    };
+
+    const handleIssueCreditNote = async (invoiceId: string, amount: number, reason: string) => {
+        try {
+            const updatedInvoice = await issueCreditNote(invoiceId, amount, reason);
+            setInvoices(prev => prev.map(inv => inv.id === updatedInvoice.id ? updatedInvoice : inv));
+            setPayingInvoice(updatedInvoice);
+            handleActionMessage('success', 'Credit note issued.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to issue credit note.');
+        }
+    };
+
+    const handleRecordRefund = async (invoiceId: string, refund: RefundDetails) => {
+        try {
+            const updatedInvoice = await recordRefund(invoiceId, refund);
+            setInvoices(prev => prev.map(inv => inv.id === updatedInvoice.id ? updatedInvoice : inv));
+            setPayingInvoice(updatedInvoice);
+            handleActionMessage('success', 'Refund recorded.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to record refund.');
+        }
+    };
+
+    const handleWaiveLateFee = async (invoiceId: string, reason: string) => {
+        try {
+            const updatedInvoice = await waiveLateFee(invoiceId, reason);
+            setInvoices(prev => prev.map(inv => inv.id === updatedInvoice.id ? updatedInvoice : inv));
+            setPayingInvoice(updatedInvoice);
+            handleActionMessage('success', 'Late fee waived.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to waive late fee.');
+        }
+    };
+
+    const handleDownloadInvoice = async (invoice: Invoice) => {
+        try {
+            await downloadInvoicePdf(invoice.id);
+            // Older invoices are numbered on their first download.
+            if (!invoice.invoiceNumber) setInvoices(await getAdminInvoices());
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to download invoice.');
+        }
+    };
+
+    const handleDownloadReceipt = async (invoiceId: string, paymentId: string) => {
+        try {
+            await downloadPaymentReceipt(invoiceId, paymentId);
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to download receipt.');
+        }
+    };
+
     return (
         <div className="bg-gray-50 min-h-full py-3">
             <div className="container mx-auto px-6 lg:px-8">
@@ -142,9 +271,15 @@ const FeeManagementPage: React.FC = () => {
                             <TabButton isActive={activeTab === 'structures'} onClick={() => setActiveTab('structures')}>
                                 Fee Structures
                             </TabButton>
+                            <TabButton isActive={activeTab === 'scholarships'} onClick={() => setActiveTab('scholarships')}>
+                                Scholarships
+                            </TabButton>
                             <TabButton isActive={activeTab === 'invoices'} onClick={() => setActiveTab('invoices')}>
                                 Invoices
                             </TabButton>
+                            <TabButton isActive={activeTab === 'reports'} onClick={() => setActiveTab('reports')}>
+                                Reports
+                            </TabButton>
                         </nav>
                     </div>
 
@@ -157,19 +292,33 @@ const FeeManagementPage: React.FC = () => {
                             {activeTab === 'structures' && (
                                 <FeeStructureTable
                                     structures={structures}
+                                    locations={locations}
                                     onEdit={setEditingStructure}
                                     onDelete={handleDeleteStructure}
                                     onAddNew={() => setEditingStructure({})}
                                 />
                             )}
+                            {activeTab === 'scholarships' && (
+                                <ScholarshipTable
+                                    scholarships={scholarships}
+                                    structures={structures}
+                                    onEdit={setEditingScholarship}
+                                    onDelete={handleDeleteScholarship}
+                                    onAddNew={() => setEditingScholarship({})}
+                                />
+                            )}
                             {activeTab === 'invoices' && (
                                 <InvoiceTable
                                     invoices={invoices}
                                     students={users}
                                     onRecordPayment={setPayingInvoice}
-                                    onGenerateInvoices={handleGenerateInvoices}
+                                    onDownloadPdf={handleDownloadInvoice}
+                                    onGenerateInvoices={() => setIsGeneratingInvoices(true)}
+                                    onRunReminders={handleRunReminders}
+                                    onMatchUpiPayments={() => setIsMatchingUpi(true)}
                                 />
                             )}
+                            {activeTab === 'reports' && <FinanceReports />}
                         </div>
                     )}
                 </div>
@@ -180,15 +329,41 @@ const FeeManagementPage: React.FC = () => {
                 onClose={() => setEditingStructure(null)}
                 structure={editingStructure}
                 courses={courses}
-                existingStructures={structures}
+                locations={locations}
                 onSave={handleSaveStructure}
             />
 
+            <EditScholarshipModal
+                isOpen={!!editingScholarship}
+                onClose={() => setEditingScholarship(null)}
+                scholarship={editingScholarship}
+                students={users}
+                structures={structures}
+                onSave={handleSaveScholarship}
+            />
+
+            <GenerateInvoicesModal
+                isOpen={isGeneratingInvoices}
+                onClose={() => setIsGeneratingInvoices(false)}
+                onGenerate={handleGenerateInvoices}
+            />
+
+            <UpiReconciliationModal
+                isOpen={isMatchingUpi}
+                onClose={() => setIsMatchingUpi(false)}
+                onRecorded={handleUpiPaymentsRecorded}
+            />
+
             <RecordPaymentModal
                 isOpen={!!payingInvoice}
                 onClose={() => setPayingInvoice(null)}
                 invoice={payingInvoice}
                 onSave={handleRecordPayment}
+                onReverse={handleReversePayment}
+                onDownloadReceipt={handleDownloadReceipt}
+                onWaiveLateFee={handleWaiveLateFee}
+                onIssueCreditNote={handleIssueCreditNote}
+                onRefund={handleRecordRefund}
             />
         </div>
     );
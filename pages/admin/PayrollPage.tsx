@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { Payout, Payslip, PayslipAdjustment, TeacherCompensation, User } from '../../types';
+import { UserRole } from '../../types';
+import { getPayroll, runPayroll, adjustPayslip, approvePayslip, recordPayout, getTeacherCompensations, saveTeacherCompensation, getAdminUsers } from '../../api';
+import AdminPageHeader from '../../components/admin/AdminPageHeader';
+import AdminNav from '../../components/admin/AdminNav';
+import PayslipModal from '../../components/admin/PayslipModal';
+import EditCompensationModal from '../../components/admin/EditCompensationModal';
+import { describeCompensation, getPayslipStatusBadgeClass } from '../../components/PayslipDetails';
+
+const currentMonth = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const thClasses = "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+const tdClasses = "px-6 py-4 whitespace-nowrap text-sm text-gray-700";
+
+const PayrollPage: React.FC = () => {
+    const [month, setMonth] = useState(currentMonth());
+    const [payslips, setPayslips] = useState<Payslip[]>([]);
+    const [teachers, setTeachers] = useState<User[]>([]);
+    const [compensations, setCompensations] = useState<TeacherCompensation[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRunning, setIsRunning] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [actionMessage, setActionMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+    const [selectedPayslip, setSelectedPayslip] = useState<Payslip | null>(null);
+    const [editingTeacher, setEditingTeacher] = useState<User | null>(null);
+
+    useEffect(() => {
+        Promise.all([getAdminUsers(), getTeacherCompensations()])
+            .then(([userData, compensationData]) => {
+                setTeachers(userData.filter(u => u.role === UserRole.Teacher));
+                setCompensations(compensationData);
+            })
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load teachers.'));
+    }, []);
+
+    const fetchPayroll = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setPayslips(await getPayroll(month));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load payroll.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [month]);
+
+    useEffect(() => {
+        fetchPayroll();
+    }, [fetchPayroll]);
+
+    const handleActionMessage = (type: 'success' | 'error', text: string) => {
+        setActionMessage({ type, text });
+        setTimeout(() => setActionMessage(null), 5000);
+    };
+
+    const replacePayslip = (updated: Payslip) => {
+        setPayslips(prev => prev.map(p => p.id === updated.id ? updated : p));
+        setSelectedPayslip(prev => prev && prev.id === updated.id ? updated : prev);
+    };
+
+    const handleRunPayroll = async () => {
+        setIsRunning(true);
+        try {
+            const result = await runPayroll(month);
+            handleActionMessage('success', result.message);
+            await fetchPayroll();
+        } catch (err) {
+            handleActionMessage('error', err instanceof Error ? err.message : 'Failed to run payroll.');
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const handleSaveAdjustments = async (payslipId: string, adjustments: PayslipAdjustment[]) => {
+        try {
+            replacePayslip(await adjustPayslip(payslipId, adjustments));
+            handleActionMessage('success', 'Adjustments saved.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to save adjustments.');
+        }
+    };
+
+    const handleApprove = async (payslipId: string) => {
+        try {
+            replacePayslip(await approvePayslip(payslipId));
+            handleActionMessage('success', 'Payslip approved.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to approve payslip.');
+        }
+    };
+
+    const handleRecordPayout = async (payslipId: string, payout: Payout) => {
+        try {
+            const updated = await recordPayout(payslipId, payout);
+            replacePayslip(updated);
+            setSelectedPayslip(null);
+            handleActionMessage('success', `Payout recorded for ${updated.teacher?.name || 'teacher'}.`);
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to record payout.');
+        }
+    };
+
+    const handleSaveCompensation = async (teacherId: string, compensation: Pick<TeacherCompensation, 'type' | 'rate' | 'currency' | 'notes'>) => {
+        try {
+            const saved = await saveTeacherCompensation(teacherId, compensation);
+            setCompensations(prev => [...prev.filter(c => c.teacherId !== saved.teacherId), saved]);
+            setEditingTeacher(null);
+            handleActionMessage('success', 'Teacher pay saved. Run payroll again to update draft payslips.');
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to save teacher pay.');
+        }
+    };
+
+    const compensationFor = (teacherId: string) => compensations.find(c => c.teacherId === teacherId);
+    const totalsByCurrency = payslips.reduce<Record<string, number>>((totals, p) => {
+        totals[p.currency] = Math.round(((totals[p.currency] || 0) + p.netAmount) * 100) / 100;
+        return totals;
+    }, {});
+
+    return (
+        <div className="bg-gray-50 min-h-full py-3">
+            <div className="container mx-auto px-6 lg:px-8">
+                <AdminPageHeader title="Teacher Payroll" subtitle="Monthly pay calculated from classes taught." backLinkPath="/admin/dashboard" backTooltipText="Back to Dashboard" />
+                <AdminNav />
+
+                <div className="mt-8 bg-white p-4 rounded-lg shadow-sm flex flex-col sm:flex-row sm:items-end gap-4">
+                    <div>
+                        <label className="form-label">Month</label>
+                        <input type="month" value={month} onChange={e => setMonth(e.target.value)} className="form-input w-full" />
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleRunPayroll}
+                        disabled={isRunning}
+                        className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors disabled:bg-gray-400"
+                    >
+                        {isRunning ? 'Calculating...' : 'Run Payroll'}
+                    </button>
+                    <p className="text-xs text-gray-500 sm:ml-auto sm:max-w-sm">
+                        Running payroll recalculates draft payslips from the timetable and attendance. Approved and paid payslips are never changed.
+                    </p>
+                </div>
+
+                {actionMessage && (
+                    <div className={`mt-6 p-4 rounded-md text-sm ${actionMessage.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                        {actionMessage.text}
+                    </div>
+                )}
+                {isLoading && <p className="mt-6">Loading payroll...</p>}
+                {error && <p className="mt-6 text-red-500">{error}</p>}
+                {!isLoading && !error && (
+                    <div className="mt-6 space-y-8">
+                        <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+                            <div className="flex justify-between items-center px-6 pt-4">
+                                <h3 className="text-lg font-semibold text-gray-800">Payslips</h3>
+                                {payslips.length > 0 && (
+                                    <p className="text-sm text-gray-600">Total net: {Object.entries(totalsByCurrency).map(([currency, total]) => `${total} ${currency}`).join(', ')}</p>
+                                )}
+                            </div>
+                            <table className="min-w-full divide-y divide-gray-200 mt-2">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className={thClasses}>Teacher</th>
+                                        <th className={thClasses}>Pay Basis</th>
+                                        <th className={thClasses}>Classes</th>
+                                        <th className={thClasses}>Gross</th>
+                                        <th className={thClasses}>Adjustments</th>
+                                        <th className={thClasses}>Net</th>
+                                        <th className={thClasses}>Status</th>
+                                        <th className={thClasses}>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {payslips.map(payslip => {
+                                        const adjustmentTotal = payslip.netAmount - payslip.grossAmount;
+                                        return (
+                                            <tr key={payslip.id}>
+                                                <td className={`${tdClasses} font-medium text-gray-900`}>{payslip.teacher?.name || 'Unknown'}</td>
+                                                <td className={tdClasses}>{describeCompensation(payslip.compensationType, payslip.rate, payslip.currency)}</td>
+                                                <td className={tdClasses}>{payslip.sessions.length}</td>
+                                                <td className={tdClasses}>{payslip.grossAmount}</td>
+                                                <td className={`${tdClasses} ${adjustmentTotal < 0 ? 'text-red-600' : ''}`}>{adjustmentTotal === 0 ? '—' : Math.round(adjustmentTotal * 100) / 100}</td>
+                                                <td className={`${tdClasses} font-semibold`}>{payslip.netAmount} {payslip.currency}</td>
+                                                <td className={tdClasses}>
+                                                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getPayslipStatusBadgeClass(payslip.status)}`}>{payslip.status}</span>
+                                                </td>
+                                                <td className={tdClasses}>
+                                                    <button type="button" onClick={() => setSelectedPayslip(payslip)} className="text-brand-primary hover:underline font-medium">
+                                                        {payslip.status === 'Draft' ? 'Review' : payslip.status === 'Approved' ? 'Pay' : 'View'}
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                    {payslips.length === 0 && (
+                                        <tr><td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">No payslips for this month yet. Set each teacher's pay below, then run payroll.</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="bg-white shadow-md rounded-lg overflow-x-auto">
+                            <h3 className="text-lg font-semibold text-gray-800 px-6 pt-4">Teacher Pay</h3>
+                            <table className="min-w-full divide-y divide-gray-200 mt-2">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className={thClasses}>Teacher</th>
+                                        <th className={thClasses}>Pay Basis</th>
+                                        <th className={thClasses}>Notes</th>
+                                        <th className={thClasses}>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {teachers.map(teacher => {
+                                        const compensation = compensationFor(teacher.id);
+                                        return (
+                                            <tr key={teacher.id}>
+                                                <td className={`${tdClasses} font-medium text-gray-900`}>{teacher.name}</td>
+                                                <td className={tdClasses}>
+                                                    {compensation ? describeCompensation(compensation.type, compensation.rate, compensation.currency) : <span className="text-gray-400">Not set</span>}
+                                                </td>
+                                                <td className={`${tdClasses} whitespace-normal`}>{compensation?.notes}</td>
+                                                <td className={tdClasses}>
+                                                    <button type="button" onClick={() => setEditingTeacher(teacher)} className="text-brand-primary hover:underline font-medium">Edit</button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                    {teachers.length === 0 && (
+                                        <tr><td colSpan={4} className="px-6 py-8 text-center text-sm text-gray-500">No teachers found.</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <PayslipModal
+                payslip={selectedPayslip}
+                onClose={() => setSelectedPayslip(null)}
+                onSaveAdjustments={handleSaveAdjustments}
+                onApprove={handleApprove}
+                onRecordPayout={handleRecordPayout}
+            />
+            <EditCompensationModal
+                teacher={editingTeacher}
+                compensation={editingTeacher ? compensationFor(editingTeacher.id) : undefined}
+                onClose={() => setEditingTeacher(null)}
+                onSave={handleSaveCompensation}
+            />
+        </div>
+    );
+};
+
+export default PayrollPage;
@@ -1,7 +1,7 @@
 
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import type { User, Course, Batch } from '../../types';
+import type { User, Course, Batch, NotificationCategory } from '../../types';
 import { UserRole, ClassPreference, UserStatus } from '../../types';
 import { getAdminUsers, updateUserByAdmin, deleteUserByAdmin, addStudentByAdmin, sendNotification, getCourses, getBatches, updateBatch } from '../../api';
 import EditUserModal from '../../components/admin/EditUserModal';
@@ -360,9 +360,10 @@ const StudentListPage: React.FC = () => {
         }
     };
     
-    const handleSendNotification = async (subject: string, message: string) => {
+    const handleSendNotification = async (subject: string, message: string, category: NotificationCategory) => {
         try {
-            await sendNotification(Array.from(selectedStudents), subject, message);
+            const result = await sendNotification(Array.from(selectedStudents), subject, message, category);
+            return result.message;
         } catch (err) {
             // The modal will display the error, so we re-throw to let it handle it.
             throw err;
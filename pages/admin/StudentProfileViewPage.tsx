@@ -1,12 +1,14 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import type { User, Course, Batch, Invoice, ClassPreference } from '../../types';
-import { getAdminUserById, getCourses, getBatches, getAdminInvoices, updateUserByAdmin, updateBatch } from '../../api';
+import { getAdminUserById, getCourses, getBatches, getAdminInvoices, updateUserByAdmin, updateBatch, getUserWhatsAppOptIn, setUserWhatsAppOptIn, getUserNotificationPreferences, saveUserNotificationPreferences } from '../../api';
 import AdminPageHeader from '../../components/admin/AdminPageHeader';
 import { CourseIcon } from '../../components/icons';
 import WizardTabs from '../../components/WizardTabs';
 import { InvoiceStatus } from '../../types';
 import EditUserModal from '../../components/admin/EditUserModal';
+import WhatsAppOptInToggle from '../../components/WhatsAppOptInToggle';
+import NotificationPreferencesForm from '../../components/NotificationPreferencesForm';
 
 interface StudentProfileViewPageProps {
     studentId: string;
@@ -23,6 +25,8 @@ const getStatusBadgeClass = (status: InvoiceStatus) => {
     switch (status) {
         case InvoiceStatus.Paid:
             return 'bg-green-100 text-green-800';
+        case InvoiceStatus.PartiallyPaid:
+            return 'bg-blue-100 text-blue-800';
         case InvoiceStatus.Pending:
             return 'bg-yellow-100 text-yellow-800';
         case InvoiceStatus.Overdue:
@@ -197,6 +201,20 @@ const StudentProfileViewPage: React.FC<StudentProfileViewPageProps> = ({ student
                          <InfoField label="Postal Code" value={student.postalCode} />
                          <InfoField label="Address" value={student.address} className="md:col-span-3"/>
                          <InfoField label="Student ID" value={student.id} className="font-mono text-sm" />
+                         <div className="md:col-span-3">
+                             <WhatsAppOptInToggle
+                                 contactNumber={student.contactNumber}
+                                 load={() => getUserWhatsAppOptIn(student.id)}
+                                 save={optIn => setUserWhatsAppOptIn(student.id, optIn)}
+                                 description="Record consent the family gave outside the portal, e.g. on the admission form."
+                             />
+                         </div>
+                         <div className="md:col-span-3">
+                             <NotificationPreferencesForm
+                                 load={() => getUserNotificationPreferences(student.id)}
+                                 save={preferences => saveUserNotificationPreferences(student.id, preferences)}
+                             />
+                         </div>
                      </div>
                  );
             case 3: // Schedule & Courses
@@ -288,7 +306,7 @@ const StudentProfileViewPage: React.FC<StudentProfileViewPageProps> = ({ student
                                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{new Date(invoice.dueDate).toLocaleDateString()}</td>
                                             <td className="px-6 py-4 whitespace-nowrap text-sm">
                                                 <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(invoice.status)}`}>
-                                                    {invoice.status}
+                                                    {invoice.status === InvoiceStatus.PartiallyPaid ? 'Partially Paid' : invoice.status}
                                                 </span>
                                             </td>
                                         </tr>
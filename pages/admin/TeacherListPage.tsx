@@ -1,7 +1,7 @@
 
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import type { User, Course } from '../../types';
+import type { User, Course, NotificationCategory } from '../../types';
 import { UserRole, ClassPreference, UserStatus } from '../../types';
 import { getAdminUsers, updateUserByAdmin, deleteUserByAdmin, addStudentByAdmin, sendNotification, getCourses } from '../../api';
 import EditUserModal from '../../components/admin/EditUserModal';
@@ -287,9 +287,10 @@ const TeacherListPage: React.FC = () => {
         }
     };
 
-    const handleSendNotification = async (subject: string, message: string) => {
+    const handleSendNotification = async (subject: string, message: string, category: NotificationCategory) => {
         try {
-            await sendNotification(Array.from(selectedTeachers), subject, message);
+            const result = await sendNotification(Array.from(selectedTeachers), subject, message, category);
+            return result.message;
         } catch (err) {
             // The modal will display the error, so we re-throw to let it handle it.
             throw err;
@@ -1,9 +1,11 @@
 
 import React, { useState, useEffect } from 'react';
 import type { User } from '../../types';
-import { updateUserProfile } from '../../api';
+import { updateUserProfile, getWhatsAppOptIn, setWhatsAppOptIn, getNotificationPreferences, saveNotificationPreferences } from '../../api';
 import { useOutletContext } from 'react-router-dom';
 import { COUNTRIES } from '../../constants';
+import WhatsAppOptInToggle from '../../components/WhatsAppOptInToggle';
+import NotificationPreferencesForm from '../../components/NotificationPreferencesForm';
 
 const getGuardianEmail = (email?: string): string => {
     if (!email) return '';
@@ -93,6 +95,14 @@ const GuardianProfilePage: React.FC = () => {
                         </div>
                     </div>
 
+                    <WhatsAppOptInToggle
+                        contactNumber={user?.contactNumber}
+                        load={getWhatsAppOptIn}
+                        save={setWhatsAppOptIn}
+                        description="Receive notices and events from the academy on WhatsApp. You can turn this off at any time."
+                    />
+                    <NotificationPreferencesForm load={getNotificationPreferences} save={saveNotificationPreferences} />
+
                     <div className="border-t border-gray-200 pt-6">
                         {error && <p className="text-sm text-red-600 text-center mb-4">{error}</p>}
                         {success && <p className="text-sm text-green-600 text-center mb-4">{success}</p>}
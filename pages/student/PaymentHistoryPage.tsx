@@ -1,11 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import type { Invoice, User } from '../../types';
+import { useSearchParams } from 'react-router-dom';
+import type { FamilyCreditSummary, Invoice, User } from '../../types';
 import { InvoiceStatus } from '../../types';
-import { getFamilyStudents, getStudentInvoicesForFamily } from '../../api';
+import { getFamilyStudents, getStudentInvoicesForFamily, downloadFamilyInvoicePdf, downloadFamilyPaymentReceipt, startInvoiceCheckout, getFamilyCredit } from '../../api';
+import PaymentLedger from '../../components/PaymentLedger';
+import UpiPaymentModal from '../../components/UpiPaymentModal';
 
 const getStatusBadgeClass = (status: InvoiceStatus) => {
     switch (status) {
         case InvoiceStatus.Paid: return 'bg-green-100 text-green-800';
+        case InvoiceStatus.PartiallyPaid: return 'bg-blue-100 text-blue-800';
         case InvoiceStatus.Pending: return 'bg-yellow-100 text-yellow-800';
         case InvoiceStatus.Overdue: return 'bg-red-100 text-red-800';
         default: return 'bg-gray-100 text-gray-800';
@@ -15,12 +19,20 @@ const getStatusBadgeClass = (status: InvoiceStatus) => {
 const PaymentHistoryPage: React.FC = () => {
     const [invoices, setInvoices] = useState<Invoice[]>([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [expandedInvoiceId, setExpandedInvoiceId] = useState<string | null>(null);
+    const [payingInvoiceId, setPayingInvoiceId] = useState<string | null>(null);
+    const [upiInvoice, setUpiInvoice] = useState<Invoice | null>(null);
+    const [credit, setCredit] = useState<FamilyCreditSummary | null>(null);
+    const [searchParams, setSearchParams] = useSearchParams();
+    // Set by the payment provider when it sends the family back here after checkout.
+    const paymentOutcome = searchParams.get('payment');
 
     useEffect(() => {
         const fetchInvoices = async () => {
             setIsLoading(true);
             try {
-                const family = await getFamilyStudents();
+                const [family, familyCredit] = await Promise.all([getFamilyStudents(), getFamilyCredit()]);
+                setCredit(familyCredit);
                 const invoicePromises = family.map(student => getStudentInvoicesForFamily(student.id));
                 const results = await Promise.all(invoicePromises);
                 const allInvoices = results.flat().sort((a, b) => new Date(b.issueDate).getTime() - new Date(a.issueDate).getTime());
@@ -42,12 +54,63 @@ const PaymentHistoryPage: React.FC = () => {
         fetchInvoices();
     }, []);
 
+    const handleDownload = async (download: () => Promise<void>) => {
+        try {
+            await download();
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to download the document.');
+        }
+    };
+
+    const handlePayNow = async (invoice: Invoice) => {
+        setPayingInvoiceId(invoice.id);
+        try {
+            const { checkoutUrl } = await startInvoiceCheckout(invoice.studentId, invoice.id);
+            window.location.assign(checkoutUrl);
+        } catch (error) {
+            alert(error instanceof Error ? error.message : 'Failed to start the payment.');
+            setPayingInvoiceId(null);
+        }
+    };
+
+    const dismissPaymentOutcome = () => {
+        searchParams.delete('payment');
+        setSearchParams(searchParams, { replace: true });
+    };
+
      if (isLoading) return <div className="p-8 text-center">Loading payment history...</div>;
 
     return (
         <div className="p-4 sm:p-6 md:p-8">
             <h1 className="text-3xl font-bold text-dark-text mb-6">Payment History</h1>
 
+            {paymentOutcome && (
+                <div className={`mb-6 p-4 rounded-md flex justify-between items-start text-sm ${paymentOutcome === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                    <span>
+                        {paymentOutcome === 'success'
+                            ? 'Thank you! Your payment was received and has been recorded against the invoice.'
+                            : 'The payment did not go through and nothing was charged. You can try again with "Pay now".'}
+                    </span>
+                    <button onClick={dismissPaymentOutcome} className="ml-4 font-bold" aria-label="Dismiss">&times;</button>
+                </div>
+            )}
+
+            {credit && credit.balances.length > 0 && (
+                <div className="mb-6 p-4 rounded-md bg-blue-50 text-blue-800 text-sm">
+                    <p>
+                        Your family has a credit of <strong>{credit.balances.map(b => `${b.balance} ${b.currency}`).join(' and ')}</strong>.
+                        It is used automatically towards your next invoice.
+                    </p>
+                    <ul className="mt-2 text-xs text-blue-700 space-y-0.5">
+                        {credit.entries.slice(0, 5).map(entry => (
+                            <li key={entry.id}>
+                                {new Date(entry.createdAt).toLocaleDateString()} &middot; {entry.description} &middot; {entry.amount > 0 ? '+' : ''}{entry.amount} {entry.currency}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
             <div className="bg-white shadow-md rounded-lg overflow-hidden">
                 <div className="overflow-x-auto">
                     <table className="min-w-full divide-y divide-gray-200">
@@ -57,29 +120,72 @@ const PaymentHistoryPage: React.FC = () => {
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issue Date</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance Due</th>
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment Date</th>
+                                <th className="relative px-6 py-3"><span className="sr-only">Details</span></th>
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
                             {invoices.length > 0 ? invoices.map(invoice => (
-                                <tr key={invoice.id}>
+                                <React.Fragment key={invoice.id}>
+                                <tr>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{invoice.student?.name}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invoice.courseName}</td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(invoice.issueDate).toLocaleDateString()}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{invoice.amount} {invoice.currency}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {invoice.amount} {invoice.currency}
+                                        {!!invoice.discountAmount && <span className="block text-xs text-green-700">{invoice.discountAmount} off {invoice.grossAmount}</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {invoice.amountPaid} {invoice.currency}
+                                        {invoice.payments.some(p => p.type === 'Refund') && (
+                                            <span className="block text-xs text-yellow-700">
+                                                after {invoice.payments.filter(p => p.type === 'Refund').reduce((sum, p) => sum + p.amount, 0)} refunded
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {invoice.balanceDue < 0 ? `${-invoice.balanceDue} ${invoice.currency} credit` : `${invoice.balanceDue} ${invoice.currency}`}
+                                    </td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                                         <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(invoice.status)}`}>
-                                            {invoice.status}
+                                            {invoice.status === InvoiceStatus.PartiallyPaid ? 'Partially Paid' : invoice.status}
                                         </span>
                                     </td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                        {invoice.paymentDetails ? new Date(invoice.paymentDetails.paymentDate).toLocaleDateString() : 'N/A'}
+                                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                        {invoice.balanceDue > 0 && (
+                                            <button
+                                                onClick={() => handlePayNow(invoice)}
+                                                disabled={payingInvoiceId !== null}
+                                                className="bg-brand-primary hover:bg-brand-dark text-white px-3 py-1 rounded-md shadow-sm disabled:opacity-50"
+                                            >
+                                                {payingInvoiceId === invoice.id ? 'Redirecting...' : 'Pay now'}
+                                            </button>
+                                        )}
+                                        {invoice.balanceDue > 0 && invoice.currency === 'INR' && (
+                                            <button onClick={() => setUpiInvoice(invoice)} className="text-brand-primary hover:underline">Pay by UPI</button>
+                                        )}
+                                        <button onClick={() => handleDownload(() => downloadFamilyInvoicePdf(invoice.studentId, invoice.id))} className="text-gray-600 hover:text-gray-900">PDF</button>
+                                        <button onClick={() => setExpandedInvoiceId(expandedInvoiceId === invoice.id ? null : invoice.id)} className="text-brand-primary hover:underline">
+                                            {expandedInvoiceId === invoice.id ? 'Hide details' : 'View details'}
+                                        </button>
                                     </td>
                                 </tr>
+                                {expandedInvoiceId === invoice.id && (
+                                    <tr className="bg-gray-50">
+                                        <td colSpan={8} className="px-6 py-3">
+                                            <PaymentLedger
+                                                invoice={invoice}
+                                                onDownloadReceipt={payment => handleDownload(() => downloadFamilyPaymentReceipt(invoice.studentId, invoice.id, payment.id))}
+                                            />
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
                             )) : (
                                 <tr>
-                                    <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                                    <td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">
                                         No payment history found.
                                     </td>
                                 </tr>
@@ -88,6 +194,8 @@ const PaymentHistoryPage: React.FC = () => {
                     </table>
                 </div>
             </div>
+
+            <UpiPaymentModal invoice={upiInvoice} onClose={() => setUpiInvoice(null)} />
         </div>
     );
 };
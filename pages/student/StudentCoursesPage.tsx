@@ -1,13 +1,45 @@
 
 import React, { useState, useEffect } from 'react';
-import { getFamilyStudents, getStudentEnrollmentsForFamily } from '../../api';
-import type { User, StudentEnrollment } from '../../types';
+import { getFamilyStudents, getStudentEnrollmentsForFamily, getStudentAttendanceForFamily } from '../../api';
+import type { User, StudentEnrollment, StudentAttendanceHistory } from '../../types';
+import { AttendanceStatus } from '../../types';
 import AccordionItem from '../../components/AccordionItem';
 import { MapPinIcon } from '../../components/icons';
 
+const STATUS_COLORS: { [key in AttendanceStatus]: string } = {
+    [AttendanceStatus.Present]: 'text-green-700',
+    [AttendanceStatus.Late]: 'text-yellow-700',
+    [AttendanceStatus.Absent]: 'text-red-600',
+    [AttendanceStatus.Excused]: 'text-gray-500',
+};
+
+const AttendanceHistory: React.FC<{ history?: StudentAttendanceHistory }> = ({ history }) => {
+    if (!history || history.sessions.length === 0) {
+        return <p className="text-sm text-gray-500">No attendance recorded in the last 90 days.</p>;
+    }
+    const { summary } = history;
+    return (
+        <div>
+            <p className="text-sm text-dark-text">
+                <span className="font-semibold">{summary.rate !== null ? `${summary.rate}%` : '—'}</span> attendance since {new Date(`${history.from}T00:00:00`).toLocaleDateString()}
+                <span className="text-light-text"> &middot; {summary.present} present, {summary.late} late, {summary.absent} absent, {summary.excused} excused</span>
+            </p>
+            <ul className="mt-2 divide-y divide-gray-100 text-sm">
+                {history.sessions.slice(0, 10).map(session => (
+                    <li key={`${session.date}-${session.timing}`} className="py-1.5 flex justify-between">
+                        <span className="text-gray-700">{new Date(`${session.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })} &middot; {session.courseName || session.batchName}</span>
+                        <span className={`font-medium ${STATUS_COLORS[session.status]}`} title={session.note}>{session.status}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
 const StudentCoursesPage: React.FC = () => {
     const [family, setFamily] = useState<User[]>([]);
     const [enrollments, setEnrollments] = useState<Map<string, StudentEnrollment[]>>(new Map());
+    const [attendance, setAttendance] = useState<Map<string, StudentAttendanceHistory>>(new Map());
     const [isLoading, setIsLoading] = useState(true);
 
     useEffect(() => {
@@ -20,13 +52,17 @@ const StudentCoursesPage: React.FC = () => {
                 const enrollmentPromises = familyData.map(student =>
                     getStudentEnrollmentsForFamily(student.id).then(data => ({ studentId: student.id, data }))
                 );
-                const results = await Promise.all(enrollmentPromises);
+                const attendancePromises = familyData.map(student =>
+                    getStudentAttendanceForFamily(student.id).then(data => ({ studentId: student.id, data }))
+                );
+                const [results, attendanceResults] = await Promise.all([Promise.all(enrollmentPromises), Promise.all(attendancePromises)]);
                 
                 const newEnrollments = new Map<string, StudentEnrollment[]>();
                 results.forEach(result => {
                     newEnrollments.set(result.studentId, result.data);
                 });
                 setEnrollments(newEnrollments);
+                setAttendance(new Map(attendanceResults.map(result => [result.studentId, result.data])));
             } catch (error) {
                 console.error("Failed to load family course data:", error);
             } finally {
@@ -85,6 +121,10 @@ const StudentCoursesPage: React.FC = () => {
                             ) : (
                                 <p className="text-sm text-gray-500">Not enrolled in any courses.</p>
                             )}
+                            <div className="mt-6 pt-4 border-t">
+                                <h4 className="font-semibold text-dark-text mb-2">Attendance</h4>
+                                <AttendanceHistory history={attendance.get(student.id)} />
+                            </div>
                         </AccordionItem>
                     );
                 })}
@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import type { TeacherRosterEntry, AttendanceSheet } from '../../types';
+import { AttendanceStatus } from '../../types';
+import { getTeacherRoster, getTeacherAttendanceSheet, saveTeacherAttendance } from '../../api';
+
+const STATUS_STYLES: { [key in AttendanceStatus]: string } = {
+    [AttendanceStatus.Present]: 'bg-green-600 text-white',
+    [AttendanceStatus.Late]: 'bg-yellow-500 text-white',
+    [AttendanceStatus.Absent]: 'bg-red-600 text-white',
+    [AttendanceStatus.Excused]: 'bg-gray-500 text-white',
+};
+
+const todayString = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const TeacherAttendancePage: React.FC = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [roster, setRoster] = useState<TeacherRosterEntry[]>([]);
+    const [sheet, setSheet] = useState<AttendanceSheet | null>(null);
+    const [statuses, setStatuses] = useState<Record<string, AttendanceStatus>>({});
+    const [notes, setNotes] = useState<Record<string, string>>({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [success, setSuccess] = useState<string | null>(null);
+
+    const batchId = searchParams.get('batchId') || '';
+    const timing = searchParams.get('timing') || '';
+    const date = searchParams.get('date') || todayString();
+
+    const updateParams = (changes: Record<string, string>) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => value ? next.set(key, value) : next.delete(key));
+        setSearchParams(next, { replace: true });
+    };
+
+    useEffect(() => {
+        getTeacherRoster()
+            .then(setRoster)
+            .catch(err => setError(err instanceof Error ? err.message : 'Failed to load your batches.'))
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    useEffect(() => {
+        setSheet(null);
+        setSuccess(null);
+        if (!batchId || !timing || !date) return;
+        const fetchSheet = async () => {
+            setError(null);
+            try {
+                const data = await getTeacherAttendanceSheet(batchId, date, timing);
+                setSheet(data);
+                setStatuses(Object.fromEntries(data.records.map(r => [r.studentId, r.status])));
+                setNotes(Object.fromEntries(data.records.filter(r => r.note).map(r => [r.studentId, r.note as string])));
+            } catch (err) {
+                setError(err instanceof Error ? err.message : 'Failed to load attendance.');
+            }
+        };
+        fetchSheet();
+    }, [batchId, timing, date]);
+
+    const selectedBatch = useMemo(() => roster.find(b => b.batchId === batchId), [roster, batchId]);
+
+    const markAll = (status: AttendanceStatus) => {
+        if (!sheet) return;
+        setStatuses(Object.fromEntries(sheet.students.map(s => [s.id, status])));
+    };
+
+    const handleSave = async () => {
+        if (!sheet) return;
+        const unmarked = sheet.students.filter(s => !statuses[s.id]);
+        if (unmarked.length > 0) {
+            setError(`Please mark attendance for: ${unmarked.map(s => s.name).join(', ')}`);
+            return;
+        }
+        setIsSaving(true);
+        setError(null);
+        try {
+            await saveTeacherAttendance({
+                batchId,
+                date,
+                timing,
+                records: sheet.students.map(s => ({ studentId: s.id, status: statuses[s.id], note: notes[s.id] || undefined })),
+            });
+            setSuccess('Attendance saved.');
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to save attendance.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) return <div className="p-8 text-center">Loading your batches...</div>;
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8 space-y-6">
+            <h1 className="text-3xl font-bold text-dark-text">Attendance</h1>
+
+            <div className="bg-white p-6 rounded-xl shadow-md grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label className="form-label">Batch</label>
+                    <select value={batchId} onChange={e => updateParams({ batchId: e.target.value, timing: '' })} className="form-select w-full">
+                        <option value="">Select a batch</option>
+                        {roster.map(b => <option key={b.batchId} value={b.batchId}>{b.batchName} ({b.courseName})</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="form-label">Session</label>
+                    <select value={timing} onChange={e => updateParams({ timing: e.target.value })} className="form-select w-full" disabled={!selectedBatch}>
+                        <option value="">Select a timing</option>
+                        {(selectedBatch?.schedule || []).map(s => <option key={s.timing} value={s.timing}>{s.timing}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="form-label">Date</label>
+                    <input type="date" value={date} max={todayString()} onChange={e => updateParams({ date: e.target.value })} className="form-input w-full" />
+                </div>
+            </div>
+
+            {error && <p className="text-sm text-red-600 bg-red-100 p-3 rounded-md">{error}</p>}
+            {success && <p className="text-sm text-green-700 bg-green-100 p-3 rounded-md">{success}</p>}
+
+            {sheet && (
+                <div className="bg-white p-6 rounded-xl shadow-md">
+                    <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 gap-2">
+                        <div>
+                            <h3 className="text-xl font-semibold text-dark-text">{sheet.batchName} &middot; {sheet.timing}</h3>
+                            {sheet.updatedAt && <p className="text-xs text-light-text">Last saved {new Date(sheet.updatedAt).toLocaleString()}</p>}
+                        </div>
+                        <button onClick={() => markAll(AttendanceStatus.Present)} className="text-sm font-medium text-brand-purple hover:underline">Mark all present</button>
+                    </div>
+                    {sheet.students.length > 0 ? (
+                        <ul className="divide-y divide-gray-100">
+                            {sheet.students.map(student => (
+                                <li key={student.id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                                    <span className="font-medium text-dark-text">{student.name}</span>
+                                    <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                                        <div className="flex space-x-1">
+                                            {Object.values(AttendanceStatus).map(status => (
+                                                <button
+                                                    key={status}
+                                                    onClick={() => setStatuses(prev => ({ ...prev, [student.id]: status }))}
+                                                    className={`px-3 py-1 text-xs font-semibold rounded-md border ${statuses[student.id] === status ? STATUS_STYLES[status] : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                                                >
+                                                    {status}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        <input
+                                            type="text"
+                                            placeholder="Note (optional)"
+                                            value={notes[student.id] || ''}
+                                            onChange={e => setNotes(prev => ({ ...prev, [student.id]: e.target.value }))}
+                                            className="form-input text-sm"
+                                        />
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="text-sm text-gray-500">No students are enrolled in this session.</p>
+                    )}
+                    {sheet.students.length > 0 && (
+                        <div className="pt-4 flex justify-end">
+                            <button onClick={handleSave} disabled={isSaving} className="bg-brand-primary hover:bg-brand-dark text-white font-semibold px-4 py-2 rounded-md shadow-sm transition-colors disabled:bg-indigo-300">
+                                {isSaving ? 'Saving...' : 'Save Attendance'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TeacherAttendancePage;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import type { BookMaterial } from '../../types';
+import { getTeacherBookMaterials } from '../../api';
+
+const TeacherBookMaterialsPage: React.FC = () => {
+    const [materials, setMaterials] = useState<BookMaterial[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setIsLoading(true);
+            try {
+                setMaterials(await getTeacherBookMaterials());
+            } catch (error) {
+                console.error("Failed to fetch book materials:", error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchData();
+    }, []);
+
+    if (isLoading) return <div className="p-8 text-center">Loading materials...</div>;
+
+    const materialsByCourse = new Map<string, BookMaterial[]>();
+    materials.forEach(material => {
+        materialsByCourse.set(material.courseName, [...(materialsByCourse.get(material.courseName) || []), material]);
+    });
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8">
+            <h1 className="text-3xl font-bold text-dark-text mb-6">Book & Course Materials</h1>
+
+            {materials.length > 0 ? (
+                <div className="space-y-8">
+                    {Array.from(materialsByCourse.entries()).map(([courseName, courseMaterials]) => (
+                        <div key={courseName}>
+                            <h2 className="text-xl font-semibold text-dark-text mb-4 border-b pb-2">{courseName}</h2>
+                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                                {courseMaterials.map(material => (
+                                    <a href={material.type === 'PDF' ? material.data : material.url} target="_blank" rel="noopener noreferrer" key={material.id} className="block bg-white p-5 rounded-xl shadow-md hover:shadow-lg hover:-translate-y-1 transition-all">
+                                        <span className="text-xs font-semibold px-2 py-1 rounded-full bg-light-purple text-brand-purple">{material.type}</span>
+                                        <h3 className="font-bold text-dark-text mt-3">{material.title}</h3>
+                                        <p className="text-sm text-light-text mt-1">{material.description}</p>
+                                    </a>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="text-center py-16 bg-white rounded-lg shadow-md">
+                    <h3 className="text-xl font-semibold text-gray-700">No Materials Available</h3>
+                    <p className="text-gray-500 mt-2">No materials have been shared with you yet.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TeacherBookMaterialsPage;
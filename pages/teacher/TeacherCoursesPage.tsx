@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import type { TeacherCourse, TeacherRosterEntry, TeacherSession } from '../../types';
+import { getTeacherCourses, getTeacherRoster, getTeacherSessions } from '../../api';
+import AccordionItem from '../../components/AccordionItem';
+
+const TeacherCoursesPage: React.FC = () => {
+    const [courses, setCourses] = useState<TeacherCourse[]>([]);
+    const [roster, setRoster] = useState<TeacherRosterEntry[]>([]);
+    const [sessions, setSessions] = useState<TeacherSession[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setIsLoading(true);
+            try {
+                const [coursesData, rosterData, sessionsData] = await Promise.all([
+                    getTeacherCourses(),
+                    getTeacherRoster(),
+                    getTeacherSessions(14),
+                ]);
+                setCourses(coursesData);
+                setRoster(rosterData);
+                setSessions(sessionsData);
+            } catch (err) {
+                setError(err instanceof Error ? err.message : 'Failed to load your courses.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchData();
+    }, []);
+
+    const now = new Date();
+    const todayString = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    if (isLoading) return <div className="p-8 text-center">Loading your courses...</div>;
+    if (error) return <div className="p-8 text-center text-red-500">{error}</div>;
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8 space-y-8">
+            <h1 className="text-3xl font-bold text-dark-text">Your Courses</h1>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                {courses.map(course => (
+                    <div key={course.id} className="bg-white p-6 rounded-xl shadow-md">
+                        <h2 className="text-lg font-bold text-dark-text">{course.name}</h2>
+                        <p className="text-sm text-light-text mt-1">{course.description}</p>
+                        <p className="text-sm text-brand-purple font-medium mt-3">{course.batchCount} batch{course.batchCount !== 1 ? 'es' : ''} &middot; {course.studentCount} student{course.studentCount !== 1 ? 's' : ''}</p>
+                    </div>
+                ))}
+                {courses.length === 0 && <p className="text-sm text-light-text">No courses assigned to you yet.</p>}
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <h3 className="text-xl font-semibold text-dark-text mb-4">Upcoming Sessions (next 14 days)</h3>
+                {sessions.length > 0 ? (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batch</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Where</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+                                    <th className="relative px-4 py-2"><span className="sr-only">Attendance</span></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {sessions.map(session => (
+                                    <tr key={`${session.batchId}-${session.date}-${session.startTime}`}>
+                                        <td className="px-4 py-2 whitespace-nowrap">{new Date(`${session.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{session.startTime} - {session.endTime}</td>
+                                        <td className="px-4 py-2">{session.batchName} <span className="text-light-text">({session.courseName})</span></td>
+                                        <td className="px-4 py-2">{session.mode === 'Offline' ? (session.locationName || 'Offline') : 'Online'}</td>
+                                        <td className="px-4 py-2">{session.studentCount}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap">
+                                            {session.date <= todayString && (
+                                                <Link to={`/dashboard/teacher/attendance?${new URLSearchParams({ batchId: session.batchId, timing: session.timing, date: session.date }).toString()}`} className="text-brand-purple font-medium hover:underline">Mark attendance</Link>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p className="text-sm text-light-text">No sessions scheduled in the next 14 days.</p>
+                )}
+            </div>
+
+            <div>
+                <h3 className="text-xl font-semibold text-dark-text mb-4">Class Rosters</h3>
+                <div className="space-y-4">
+                    {roster.map((entry, index) => {
+                        const studentCount = new Set(entry.schedule.flatMap(s => s.students.map(st => st.id))).size;
+                        return (
+                            <AccordionItem key={entry.batchId} title={`${entry.batchName} - ${entry.courseName} (${studentCount} student${studentCount !== 1 ? 's' : ''})`} startOpen={index === 0}>
+                                <div className="space-y-6">
+                                    {entry.mode && (
+                                        <p className="text-sm text-light-text">{entry.mode}{entry.location ? ` @ ${entry.location.name}, ${entry.location.address}` : ''}</p>
+                                    )}
+                                    {entry.schedule.map(slot => (
+                                        <div key={slot.timing}>
+                                            <h4 className="font-semibold text-dark-text border-b pb-1 mb-2">{slot.timing}</h4>
+                                            {slot.students.length > 0 ? (
+                                                <ul className="divide-y divide-gray-100">
+                                                    {slot.students.map(student => (
+                                                        <li key={student.id} className="py-2 flex flex-col sm:flex-row sm:justify-between text-sm">
+                                                            <span className="font-medium text-dark-text">{student.name}{student.grade ? <span className="text-light-text font-normal"> &middot; {student.grade}</span> : null}</span>
+                                                            <span className="text-light-text">
+                                                                {student.fatherName && <>{student.fatherName} &middot; </>}
+                                                                {student.contactNumber && <a href={`tel:${student.contactNumber}`} className="hover:underline">{student.contactNumber}</a>}
+                                                                {student.contactNumber && ' · '}
+                                                                <a href={`mailto:${student.email}`} className="hover:underline">{student.email}</a>
+                                                            </span>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            ) : (
+                                                <p className="text-sm text-gray-500">No students in this slot.</p>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            </AccordionItem>
+                        );
+                    })}
+                    {roster.length === 0 && (
+                        <div className="text-center py-16 bg-white rounded-lg shadow-md">
+                            <h3 className="text-xl font-semibold text-gray-700">No Batches Yet</h3>
+                            <p className="text-gray-500 mt-2">You have not been assigned to any batches.</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TeacherCoursesPage;
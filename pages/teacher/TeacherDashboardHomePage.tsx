@@ -1,8 +1,8 @@
 
 import React, { useState, useEffect } from 'react';
 import { useOutletContext, Link } from 'react-router-dom';
-import type { User, Event, Notice, Batch } from '../../types';
-import { getEvents, getNotices, getBatches, getAdminUsers } from '../../api';
+import type { User, Event, Notice, TeacherSession } from '../../types';
+import { getTeacherEvents, getTeacherNotices, getTeacherBatches, getTeacherSessions } from '../../api';
 
 const StatCard: React.FC<{ title: string; value: string | number; linkTo?: string; bgColor: string; textColor: string }> = ({ title, value, linkTo, bgColor, textColor }) => {
     const content = (
@@ -19,6 +19,7 @@ const TeacherDashboardHomePage: React.FC = () => {
     const [stats, setStats] = useState({ totalStudents: 0, totalBatches: 0 });
     const [recentEvents, setRecentEvents] = useState<Event[]>([]);
     const [recentNotices, setRecentNotices] = useState<Notice[]>([]);
+    const [upcomingSessions, setUpcomingSessions] = useState<TeacherSession[]>([]);
     const [isLoading, setIsLoading] = useState(true);
 
     useEffect(() => {
@@ -26,19 +27,15 @@ const TeacherDashboardHomePage: React.FC = () => {
             if (!user) return;
             try {
                 setIsLoading(true);
-                const [eventsData, noticesData, batchesData, allUsers] = await Promise.all([
-                    getEvents(),
-                    getNotices(),
-                    getBatches(),
-                    getAdminUsers()
+                const [eventsData, noticesData, teacherBatches, sessionsData] = await Promise.all([
+                    getTeacherEvents(),
+                    getTeacherNotices(),
+                    getTeacherBatches(),
+                    getTeacherSessions(7),
                 ]);
 
                 // Calculate stats
-                const teacherBatches = batchesData.filter(b => {
-                    const teacherId = typeof b.teacherId === 'string' ? b.teacherId : (b.teacherId as User)?.id;
-                    return teacherId === user.id;
-                });
-                
+
                 const studentIds = new Set<string>();
                 teacherBatches.forEach(batch => {
                     batch.schedule.forEach(s => s.studentIds.forEach(id => studentIds.add(id)));
@@ -51,6 +48,7 @@ const TeacherDashboardHomePage: React.FC = () => {
 
                 setRecentEvents(eventsData.slice(0, 3));
                 setRecentNotices(noticesData.slice(0, 3));
+                setUpcomingSessions(sessionsData.slice(0, 5));
             } catch (error) {
                 console.error("Failed to fetch dashboard data:", error);
             } finally {
@@ -89,6 +87,26 @@ const TeacherDashboardHomePage: React.FC = () => {
                 <StatCard title="Payment History" value={"View"} linkTo="payment-history" bgColor="bg-green-100" textColor="text-green-800" />
             </div>
 
+            {/* Upcoming Classes */}
+            <div className="bg-white p-6 rounded-xl shadow-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-dark-text">Upcoming Classes</h3>
+                    <Link to="courses" className="text-sm font-medium text-brand-purple hover:underline">View All</Link>
+                </div>
+                <ul className="space-y-3">
+                    {upcomingSessions.map(session => (
+                        <li key={`${session.batchId}-${session.date}-${session.startTime}`} className="p-3 bg-light-purple/50 rounded-lg flex justify-between items-center">
+                            <div>
+                                <p className="font-semibold text-dark-text">{session.batchName} <span className="text-light-text font-normal">({session.courseName})</span></p>
+                                <p className="text-xs text-light-text mt-1">{new Date(`${session.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })} &middot; {session.startTime} - {session.endTime}{session.locationName ? ` @ ${session.locationName}` : ''}</p>
+                            </div>
+                            <span className="text-xs font-medium text-brand-purple">{session.studentCount} student{session.studentCount !== 1 ? 's' : ''}</span>
+                        </li>
+                    ))}
+                    {upcomingSessions.length === 0 && <p className="text-sm text-light-text">No classes scheduled in the next 7 days.</p>}
+                </ul>
+            </div>
+
             {/* Recent Activity */}
              <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
                 {/* Recent Notices */}
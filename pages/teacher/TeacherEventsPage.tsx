@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import type { Event } from '../../types';
+import { getTeacherEvents } from '../../api';
+
+const TeacherEventsPage: React.FC = () => {
+    const [events, setEvents] = useState<Event[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setIsLoading(true);
+            try {
+                setEvents(await getTeacherEvents());
+            } catch (error) {
+                console.error("Failed to fetch events:", error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchData();
+    }, []);
+
+    if (isLoading) return <div className="p-8 text-center">Loading events...</div>;
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8">
+            <h1 className="text-3xl font-bold text-dark-text mb-6">Events</h1>
+
+            {events.length > 0 ? (
+                <div className="space-y-6">
+                    {events.map(event => (
+                        <div key={event.id} className="bg-white p-6 rounded-xl shadow-lg flex items-start space-x-6">
+                            <div className="text-center flex-shrink-0 bg-light-purple text-brand-purple p-4 rounded-lg">
+                                <p className="text-3xl font-bold">{new Date(event.date).getDate()}</p>
+                                <p className="text-sm font-semibold uppercase">{new Date(event.date).toLocaleString('default', { month: 'short' })}</p>
+                            </div>
+                            <div>
+                                <span className={`text-xs font-semibold px-2 py-1 rounded-full ${event.isOnline ? 'bg-blue-100 text-blue-800' : 'bg-purple-100 text-purple-800'}`}>
+                                    {event.isOnline ? 'Online' : 'Offline'}
+                                </span>
+                                <h2 className="text-xl font-bold text-dark-text mt-2">{event.title}</h2>
+                                <p className="text-sm text-light-text mt-1">{new Date(event.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} @ {event.location}</p>
+                                <p className="text-dark-text mt-2">{event.description}</p>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="text-center py-16 bg-white rounded-lg shadow-md">
+                    <h3 className="text-xl font-semibold text-gray-700">No Upcoming Events</h3>
+                    <p className="text-gray-500 mt-2">There are no events addressed to you at this time.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TeacherEventsPage;
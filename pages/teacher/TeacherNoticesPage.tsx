@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import type { Notice } from '../../types';
+import { getTeacherNotices } from '../../api';
+
+const TeacherNoticesPage: React.FC = () => {
+    const [notices, setNotices] = useState<Notice[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setIsLoading(true);
+            try {
+                setNotices(await getTeacherNotices());
+            } catch (error) {
+                console.error("Failed to fetch notices:", error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchData();
+    }, []);
+
+    if (isLoading) return <div className="p-8 text-center">Loading notices...</div>;
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8">
+            <h1 className="text-3xl font-bold text-dark-text mb-6">Notice Board</h1>
+
+            {notices.length > 0 ? (
+                <div className="space-y-6">
+                    {notices.map(notice => (
+                        <div key={notice.id} className="bg-white p-6 rounded-xl shadow-lg">
+                            <div className="flex justify-between items-start">
+                                <h2 className="text-xl font-bold text-dark-text">{notice.title}</h2>
+                                <p className="text-xs text-light-text flex-shrink-0 ml-4">{new Date(notice.issuedAt).toLocaleDateString()}</p>
+                            </div>
+                            <p className="text-dark-text mt-4 whitespace-pre-wrap">{notice.content}</p>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="text-center py-16 bg-white rounded-lg shadow-md">
+                    <h3 className="text-xl font-semibold text-gray-700">No Notices</h3>
+                    <p className="text-gray-500 mt-2">There are no notices addressed to you at this time.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TeacherNoticesPage;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import type { Payslip } from '../../types';
+import { getTeacherPayslips } from '../../api';
+import PayslipDetails, { formatPayslipMonth, getPayslipStatusBadgeClass } from '../../components/PayslipDetails';
+
+const TeacherPaymentHistoryPage: React.FC = () => {
+    const [payslips, setPayslips] = useState<Payslip[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [expandedPayslipId, setExpandedPayslipId] = useState<string | null>(null);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setIsLoading(true);
+            try {
+                setPayslips(await getTeacherPayslips());
+            } catch (err) {
+                setError(err instanceof Error ? err.message : 'Failed to load your payslips.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchData();
+    }, []);
+
+    if (isLoading) return <div className="p-8 text-center">Loading payslips...</div>;
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8">
+            <h1 className="text-3xl font-bold text-dark-text mb-6">Payment History</h1>
+            {error && <p className="mb-4 text-red-700 bg-red-100 p-3 rounded-md">{error}</p>}
+
+            {payslips.length > 0 ? (
+                <div className="space-y-4">
+                    {payslips.map(payslip => (
+                        <div key={payslip.id} className="bg-white rounded-xl shadow-lg">
+                            <button
+                                type="button"
+                                onClick={() => setExpandedPayslipId(expandedPayslipId === payslip.id ? null : payslip.id)}
+                                className="w-full flex justify-between items-center p-5 text-left"
+                            >
+                                <div>
+                                    <h2 className="text-lg font-bold text-dark-text">{formatPayslipMonth(payslip.month)}</h2>
+                                    <p className="text-sm text-light-text">{payslip.sessions.length} class{payslip.sessions.length !== 1 ? 'es' : ''}</p>
+                                </div>
+                                <div className="text-right">
+                                    <p className="text-lg font-semibold text-dark-text">{payslip.netAmount} {payslip.currency}</p>
+                                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getPayslipStatusBadgeClass(payslip.status)}`}>
+                                        {payslip.status === 'Approved' ? 'Awaiting payment' : payslip.status}
+                                    </span>
+                                </div>
+                            </button>
+                            {expandedPayslipId === payslip.id && (
+                                <div className="border-t p-5">
+                                    <PayslipDetails payslip={payslip} />
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            ) : !error && (
+                <div className="text-center py-16 bg-white rounded-lg shadow-md">
+                    <h3 className="text-xl font-semibold text-gray-700">No Payslips Yet</h3>
+                    <p className="text-gray-500 mt-2">Your payslips appear here once the academy approves each month's payroll.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TeacherPaymentHistoryPage;
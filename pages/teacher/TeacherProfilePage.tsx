@@ -3,8 +3,10 @@ import React, { useState, useEffect } from 'react';
 import { useOutletContext } from 'react-router-dom';
 import type { User, Course } from '../../types';
 import { Sex, ClassPreference, EmploymentType } from '../../types';
-import { updateUserProfile, getCourses } from '../../api';
+import { updateUserProfile, getCourses, getWhatsAppOptIn, setWhatsAppOptIn, getNotificationPreferences, saveNotificationPreferences } from '../../api';
 import { COUNTRIES } from '../../constants';
+import WhatsAppOptInToggle from '../../components/WhatsAppOptInToggle';
+import NotificationPreferencesForm from '../../components/NotificationPreferencesForm';
 
 const TeacherProfilePage: React.FC = () => {
     const { user, onUpdate } = useOutletContext<{ user: User; onUpdate: (user: User) => void }>();
@@ -157,6 +159,14 @@ const TeacherProfilePage: React.FC = () => {
                     </div>
                 </div>
 
+                <WhatsAppOptInToggle
+                    contactNumber={user?.contactNumber}
+                    load={getWhatsAppOptIn}
+                    save={setWhatsAppOptIn}
+                    description="Receive notices and events from the academy on WhatsApp. You can turn this off at any time."
+                />
+                <NotificationPreferencesForm load={getNotificationPreferences} save={saveNotificationPreferences} />
+
                 <div className="border-t border-gray-200 pt-6 grid grid-cols-1 sm:grid-cols-2 gap-6">
                     <div className="sm:col-span-2">
                         <label className="block text-sm font-medium text-gray-700">Course Expertise</label>
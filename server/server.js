@@ -6,11 +6,14 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const bcrypt = require('bcryptjs');
 const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 const serverless = require('serverless-http');
 const path = require('path');
 const fs = require('fs');
 const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 
 // Load environment variables
 dotenv.config();
@@ -24,6 +27,13 @@ if (process.env.NODE_ENV === 'production' && JWT_SECRET === 'a-very-super-secret
     console.warn('WARNING: Using default JWT_SECRET in production. Please set SESSION_SECRET environment variable.');
 }
 
+// Links in emails and payment redirects come from configuration only. Request headers such as Origin are chosen by
+// the caller, and building a reset link from one would mail the victim's token to the caller's host.
+if (process.env.NODE_ENV === 'production' && !process.env.CLIENT_URL) {
+  console.warn('WARNING: CLIENT_URL is not set in production. Password reset and payment links will point at https://nadanaloga-portal.vercel.app.');
+}
+const CLIENT_BASE_URL = (process.env.CLIENT_URL || 'https://nadanaloga-portal.vercel.app').replace(/\/$/, '');
+
 /* =========================
    Schemas & Models
    ========================= */
@@ -36,6 +46,128 @@ locationSchema.virtual('id').get(function () { return this._id.toHexString(); })
 locationSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
 const Location = mongoose.model('Location', locationSchema);
 
+// --- Schedules ---
+// Weekly recurring slots (batch sessions, a student's course timing, teacher availability) are stored
+// as weekday + start/end time in a timezone, optionally bounded by an effective date range. `timing`
+// keeps the "Monday 09:00 - 10:00" label that the UI shows and that attendance records key on; it is
+// regenerated from the structured fields whenever a slot is written.
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses a timing label such as "Monday 09:00 - 10:00".
+const parseTimingLabel = (timing) => {
+  const match = /^(\w+)\s+(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/.exec(String(timing || '').trim());
+  if (!match) return null;
+  const weekday = WEEKDAY_NAMES.indexOf(match[1]);
+  if (weekday === -1) return null;
+  return { weekday, startTime: match[2], endTime: match[3] };
+};
+
+const formatTimingLabel = (slot) => `${WEEKDAY_NAMES[slot.weekday]} ${slot.startTime} - ${slot.endTime}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toDateString = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Whether a slot runs on the given YYYY-MM-DD date.
+const isSlotActiveOn = (slot, dateString) =>
+  (!slot.effectiveFrom || slot.effectiveFrom <= dateString) && (!slot.effectiveTo || slot.effectiveTo >= dateString);
+
+// Completes a schedule entry in place and returns an error message if it is not a usable slot.
+// A parseable `timing` label wins over the structured fields so that clients which only edit the
+// label keep working; clients may also send just the structured fields.
+const normalizeScheduleEntry = (entry) => {
+  const parsed = parseTimingLabel(entry.timing);
+  if (parsed) Object.assign(entry, parsed);
+  const weekday = Number(entry.weekday);
+  if (!WEEKDAY_NAMES[weekday] || !TIME_OF_DAY_PATTERN.test(entry.startTime || '') || !TIME_OF_DAY_PATTERN.test(entry.endTime || '')) {
+    return `"${entry.timing || 'Untitled slot'}" is not a valid weekly timing.`;
+  }
+  entry.weekday = weekday;
+  if (toMinutes(entry.startTime) >= toMinutes(entry.endTime)) return `${formatTimingLabel(entry)} must end after it starts.`;
+  if ([entry.effectiveFrom, entry.effectiveTo].some(d => d && !DATE_PATTERN.test(d))) return 'Effective dates must be in YYYY-MM-DD format.';
+  if (entry.effectiveFrom && entry.effectiveTo && entry.effectiveFrom > entry.effectiveTo) {
+    return `${formatTimingLabel(entry)} has an effective end date before its start date.`;
+  }
+  entry.timezone = entry.timezone || DEFAULT_SCHEDULE_TIMEZONE;
+  entry.timing = formatTimingLabel(entry);
+  return null;
+};
+
+// Builds a slot sub-schema. Blank entries are tolerated only where the legacy data allowed them
+// (a student's schedule may name a course before a timing is picked).
+const createScheduleSlotSchema = (extraFields, { optional = false } = {}) => {
+  const schema = new mongoose.Schema({
+    timing: { type: String, required: !optional },
+    weekday: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+    startTime: { type: String, match: TIME_OF_DAY_PATTERN }, // HH:mm in `timezone`
+    endTime: { type: String, match: TIME_OF_DAY_PATTERN },
+    timezone: { type: String },
+    effectiveFrom: { type: String }, // YYYY-MM-DD, inclusive; open-ended when unset
+    effectiveTo: { type: String },
+    ...extraFields,
+  }, { _id: false, id: false });
+  schema.pre('validate', function (next) {
+    if (optional && !this.timing && this.weekday == null) return next();
+    const error = normalizeScheduleEntry(this);
+    if (error) this.invalidate('timing', error);
+    next();
+  });
+  schema.virtual('durationMinutes').get(function () {
+    return this.startTime && this.endTime ? toMinutes(this.endTime) - toMinutes(this.startTime) : undefined;
+  });
+  schema.set('toJSON', { virtuals: true });
+  return schema;
+};
+
+const firstValidationMessage = (error) => Object.values(error.errors || {})[0]?.message || error.message;
+
+// findByIdAndUpdate skips sub-document hooks, so slot arrays in an update are normalized here.
+const normalizeScheduleUpdate = (paths, { optional = false } = {}) => function (next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+  for (const path of paths) {
+    if (!Array.isArray(target[path])) continue;
+    for (const entry of target[path]) {
+      if (!entry || (optional && !entry.timing && entry.weekday == null)) continue;
+      const message = normalizeScheduleEntry(entry);
+      if (message) {
+        const error = new mongoose.Error.ValidationError();
+        error.addError(path, new mongoose.Error.ValidatorError({ path, message }));
+        return next(error);
+      }
+    }
+  }
+  next();
+};
+
+const studentScheduleSchema = createScheduleSlotSchema({ course: String, teacherId: String }, { optional: true });
+const teacherAvailabilitySchema = createScheduleSlotSchema({}, { optional: true });
+
+const GRADES = ['Grade 1', 'Grade 2', 'Grade 3'];
+
+// Which channels a user wants for each kind of notification, on top of the in-app notification everyone gets.
+// WhatsApp also needs the number's opt-in. Quiet hours are HH:mm in the user's timezone and hold back email and
+// WhatsApp until they end; they apply only when both ends are set.
+const NOTIFICATION_CATEGORIES = ['fees', 'classChanges', 'events', 'notices'];
+const notificationChannelsSchema = new mongoose.Schema({
+  email: { type: Boolean, default: true },
+  whatsApp: { type: Boolean, default: true },
+}, { _id: false });
+const notificationPreferencesSchema = new mongoose.Schema({
+  fees: { type: notificationChannelsSchema, default: () => ({}) },
+  classChanges: { type: notificationChannelsSchema, default: () => ({}) },
+  events: { type: notificationChannelsSchema, default: () => ({}) },
+  notices: { type: notificationChannelsSchema, default: () => ({}) },
+  quietHoursStart: { type: String, match: TIME_OF_DAY_PATTERN },
+  quietHoursEnd: { type: String, match: TIME_OF_DAY_PATTERN },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
@@ -48,7 +180,7 @@ const userSchema = new mongoose.Schema({
   contactNumber: { type: String },
   alternateContactNumber: { type: String },
   address: { type: String },
-  schedules: { type: [{ course: String, timing: String, teacherId: String, _id: false }] },
+  schedules: { type: [studentScheduleSchema] },
   documents: { type: [{ name: String, mimeType: String, data: String, _id: false }] },
   dateOfJoining: { type: String },
   country: { type: String },
@@ -57,6 +189,7 @@ const userSchema = new mongoose.Schema({
   postalCode: { type: String },
   timezone: { type: String },
   preferredTimings: { type: [String] },
+  notificationPreferences: { type: notificationPreferencesSchema, default: () => ({}) },
   status: { type: String, enum: ['Active', 'Inactive', 'On Hold', 'Graduated'], default: 'Active' },
   locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
   // Student
@@ -64,18 +197,19 @@ const userSchema = new mongoose.Schema({
   fatherName: { type: String },
   standard: { type: String },
   schoolName: { type: String },
-  grade: { type: String, enum: ['Grade 1', 'Grade 2', 'Grade 3'] },
+  grade: { type: String, enum: GRADES },
   notes: { type: String },
   // Teacher
   courseExpertise: { type: [String] },
   educationalQualifications: { type: String },
   employmentType: { type: String, enum: ['Part-time', 'Full-time'] },
   yearsOfExperience: { type: Number },
-  availableTimeSlots: { type: [String] },
+  availability: { type: [teacherAvailabilitySchema] },
   // Soft delete
   isDeleted: { type: Boolean, default: false },
   deletedAt: { type: Date, default: null },
 });
+userSchema.pre('findOneAndUpdate', normalizeScheduleUpdate(['schedules', 'availability'], { optional: true }));
 userSchema.virtual('id').get(function () { return this._id.toHexString(); });
 userSchema.set('toJSON', {
   virtuals: true,
@@ -109,16 +243,48 @@ const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   read: { type: Boolean, default: false },
   link: { type: String },
+  // Archived notifications leave the inbox but can be restored; archiving marks them read.
+  archivedAt: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.virtual('id').get(function () { return this._id.toHexString(); });
 notificationSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+// New notifications are pushed to open notification streams by whoever writes them, once the write has
+// committed (see createNotifications under "Notifications (user)").
 const Notification = mongoose.model('Notification', notificationSchema);
 
-const batchScheduleSchema = new mongoose.Schema({
-  timing: { type: String, required: true },
+// --- Families ---
+// A family links one or more guardian logins to the student records they may see and manage.
+const familySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  guardianIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  studentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  createdAt: { type: Date, default: Date.now },
+});
+familySchema.index({ guardianIds: 1 });
+familySchema.index({ studentIds: 1 });
+familySchema.virtual('id').get(function () { return this._id.toHexString(); });
+familySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret._id; delete ret.__v;
+    const toMember = (m) => (m && typeof m === 'object' && m.name) ? { id: m.id || m._id.toString(), name: m.name, email: m.email } : null;
+    if (ret.guardianIds?.some(m => toMember(m))) {
+      ret.guardians = ret.guardianIds.map(toMember).filter(Boolean);
+      ret.guardianIds = ret.guardians.map(m => m.id);
+    }
+    if (ret.studentIds?.some(m => toMember(m))) {
+      ret.students = ret.studentIds.map(toMember).filter(Boolean);
+      ret.studentIds = ret.students.map(m => m.id);
+    }
+  }
+});
+const Family = mongoose.model('Family', familySchema);
+
+const batchScheduleSchema = createScheduleSlotSchema({
   studentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
-}, { _id: false });
+});
 
 const batchSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -129,7 +295,10 @@ const batchSchema = new mongoose.Schema({
   schedule: [batchScheduleSchema],
   mode: { type: String, enum: ['Online', 'Offline'] },
   locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+  // First class day; students are not billed for the part of a billing period before it.
+  startDate: { type: String, match: [DATE_PATTERN, 'The start date must be in YYYY-MM-DD format.'] },
 });
+batchSchema.pre('findOneAndUpdate', normalizeScheduleUpdate(['schedule']));
 batchSchema.virtual('id').get(function () { return this._id.toHexString(); });
 batchSchema.set('toJSON', {
   virtuals: true,
@@ -140,44 +309,267 @@ batchSchema.set('toJSON', {
 });
 const Batch = mongoose.model('Batch', batchSchema);
 
+// --- Attendance ---
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Excused'];
+
+const attendanceEntrySchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, required: true, enum: ATTENDANCE_STATUSES },
+  note: { type: String },
+}, { _id: false });
+
+// One document per batch session (a batch timing on a given calendar day).
+const attendanceSchema = new mongoose.Schema({
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD
+  timing: { type: String, required: true },
+  records: [attendanceEntrySchema],
+  markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now },
+});
+attendanceSchema.index({ batchId: 1, date: 1, timing: 1 }, { unique: true });
+attendanceSchema.index({ 'records.studentId': 1, date: 1 });
+attendanceSchema.virtual('id').get(function () { return this._id.toHexString(); });
+attendanceSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+
+// --- Counters ---
+// Named gap-free sequences such as invoice numbers; `seq` is the last number handed out.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+const Counter = mongoose.model('Counter', counterSchema);
+const nextSequence = async (name, dbSession) => (await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true, session: dbSession })).seq;
+
 // --- Fee Management ---
+const DISCOUNT_TYPES = ['Percentage', 'Fixed'];
+const discountValueField = {
+  type: Number,
+  required: true,
+  min: 0,
+  validate: { validator: function (value) { return this.type !== 'Percentage' || value <= 100; }, message: 'A percentage discount cannot exceed 100%.' },
+};
+const discountDateField = { type: String, match: [DATE_PATTERN, 'Discount dates must be in YYYY-MM-DD format.'] };
+
+// Applies to every student on the fee structure while the billing period starts inside the (inclusive) validity window.
+const feeDiscountSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, required: true, enum: DISCOUNT_TYPES },
+  value: discountValueField,
+  validFrom: discountDateField,
+  validTo: discountDateField,
+}, { _id: false });
+
+// `siblingNumber` 2 covers the second enrolled child of a family and every later one unless a higher rule exists.
+const siblingDiscountSchema = new mongoose.Schema({
+  siblingNumber: { type: Number, required: true, min: 2 },
+  type: { type: String, required: true, enum: DISCOUNT_TYPES },
+  value: discountValueField,
+}, { _id: false });
+
+// Charged once on an invoice that is still unpaid more than `graceDays` after its due date. A percentage is
+// taken of the invoice amount and `cap` limits the result.
+const lateFeeRuleSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: DISCOUNT_TYPES },
+  value: {
+    ...discountValueField,
+    validate: { validator: function (value) { return this.type !== 'Percentage' || value <= 100; }, message: 'A percentage late fee cannot exceed 100%.' },
+  },
+  graceDays: { type: Number, default: 0, min: 0 },
+  cap: { type: Number, min: 0 },
+}, { _id: false });
+
+// A course can have several fee structures. `mode`, `locationId` and `grade` narrow a structure to matching
+// enrolments (unset means any), and `effectiveFrom` schedules a price change for billing periods from that date.
 const feeStructureSchema = new mongoose.Schema({
-  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true, unique: true },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
   courseName: { type: String, required: true },
+  mode: { type: String, enum: ['Online', 'Offline'] },
+  locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+  grade: { type: String, enum: GRADES },
+  effectiveFrom: { type: String, match: [DATE_PATTERN, 'The effective date must be in YYYY-MM-DD format.'] },
   amount: { type: Number, required: true },
   currency: { type: String, required: true, enum: ['INR', 'USD'] },
   billingCycle: { type: String, required: true, enum: ['Monthly', 'Quarterly', 'Annually'] },
+  // Calendar: periods follow the calendar (month, quarter, billing year). Anniversary: periods run
+  // from each student's dateOfJoining.
+  billingAnchor: { type: String, enum: ['Calendar', 'Anniversary'], default: 'Calendar' },
+  // What a student who starts part way through a billing period pays for it: the full fee, a share of it
+  // (by `sessionsPerCycle` when set, otherwise by days), or nothing.
+  prorationPolicy: { type: String, enum: ['Full', 'Prorate', 'Waive'], default: 'Full' },
+  sessionsPerCycle: { type: Number, min: 1 },
+  discounts: [feeDiscountSchema],
+  siblingDiscounts: [siblingDiscountSchema],
+  lateFee: lateFeeRuleSchema,
 });
+feeStructureSchema.index({ courseId: 1, mode: 1, locationId: 1, grade: 1, effectiveFrom: 1 }, { unique: true });
 feeStructureSchema.virtual('id').get(function () { return this._id.toHexString(); });
 feeStructureSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
 const FeeStructure = mongoose.model('FeeStructure', feeStructureSchema);
 
+// A per-student award; without a fee structure it applies to all of the student's courses, and with one it
+// applies to every fee structure of that structure's course.
+const scholarshipSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  feeStructureId: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeStructure' },
+  name: { type: String, required: true, trim: true },
+  type: { type: String, required: true, enum: DISCOUNT_TYPES },
+  value: discountValueField,
+  validFrom: { ...discountDateField, required: true },
+  validTo: discountDateField,
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+scholarshipSchema.index({ studentId: 1 });
+scholarshipSchema.virtual('id').get(function () { return this._id.toHexString(); });
+scholarshipSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret._id; delete ret.__v;
+    if (ret.studentId && ret.studentId.name) {
+      ret.student = { id: ret.studentId.id, name: ret.studentId.name, email: ret.studentId.email };
+      ret.studentId = ret.student.id;
+    }
+  }
+});
+const Scholarship = mongoose.model('Scholarship', scholarshipSchema);
+
+const PAYMENT_METHODS = ['Cash', 'Bank Transfer', 'UPI', 'Card', 'Online', 'Family Credit'];
+// Online and Family Credit entries are only ever recorded by the system.
+const MANUAL_PAYMENT_METHODS = ['Cash', 'Bank Transfer', 'UPI', 'Card'];
+const REFUND_METHODS = [...MANUAL_PAYMENT_METHODS, 'Family Credit'];
+
+// Single payment recorded before invoices kept a ledger; moved into `payments` the next time the invoice's ledger changes.
 const paymentDetailsSchema = new mongoose.Schema({
   paymentDate: { type: Date, required: true },
   amountPaid: { type: Number, required: true },
-  paymentMethod: { type: String, required: true, enum: ['Cash', 'Bank Transfer', 'UPI', 'Card'] },
+  paymentMethod: { type: String, required: true, enum: PAYMENT_METHODS },
+  referenceNumber: { type: String },
+  notes: { type: String },
+}, { _id: false });
+
+// Ledger entries are never edited or removed; a mistaken payment is cancelled by a Reversal entry pointing at it.
+// A Refund returns overpaid money, either to the payer or into the family's credit balance.
+const invoicePaymentSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['Payment', 'Reversal', 'Refund'], default: 'Payment' },
+  amount: { type: Number, required: true, min: 0.01 },
+  paymentDate: { type: Date, required: true },
+  paymentMethod: { type: String, enum: PAYMENT_METHODS, required: function () { return this.type !== 'Reversal'; } },
   referenceNumber: { type: String },
   notes: { type: String },
+  reversesPaymentId: { type: mongoose.Schema.Types.ObjectId },
+  reason: { type: String, required: function () { return this.type !== 'Payment'; } },
+  paymentOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentOrder' }, // set for payments made online
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recordedAt: { type: Date, default: Date.now },
+});
+invoicePaymentSchema.virtual('id').get(function () { return this._id.toHexString(); });
+invoicePaymentSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// A legacy `paymentDetails` shown as a ledger entry. It takes the invoice's own id so the entry keeps
+// the same id once it is actually moved into the ledger.
+const legacyLedgerEntry = (paymentDetails, id) => ({
+  id,
+  type: 'Payment',
+  amount: paymentDetails.amountPaid,
+  paymentDate: paymentDetails.paymentDate,
+  paymentMethod: paymentDetails.paymentMethod,
+  referenceNumber: paymentDetails.referenceNumber,
+  notes: paymentDetails.notes,
+  recordedAt: paymentDetails.paymentDate,
+});
+
+// One entry per reminder sent for an invoice; `offsetDays` is the reminder-ladder step relative to the due date.
+const invoiceReminderSchema = new mongoose.Schema({
+  offsetDays: { type: Number, required: true },
+  sentAt: { type: Date, default: Date.now },
+  recipients: [{ type: String }],
+  channels: [{ type: String, enum: ['email', 'in-app'] }],
+}, { _id: false });
+
+// Discount and credit note lines carry the amount taken off, as a positive number. Fee and LateFee lines are charges.
+const invoiceLineItemSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['Fee', 'Discount', 'Sibling', 'Scholarship', 'LateFee', 'CreditNote'] },
+  description: { type: String, required: true },
+  amount: { type: Number, required: true },
+}, { _id: false });
+
+// How the fee of a partly attended first billing period was worked out, kept so it can be shown with the invoice.
+const invoiceProrationSchema = new mongoose.Schema({
+  startDate: { type: String, required: true },
+  unit: { type: String, required: true, enum: ['sessions', 'days'] },
+  billedUnits: { type: Number, required: true },
+  totalUnits: { type: Number, required: true },
+  fullAmount: { type: Number, required: true },
+}, { _id: false });
+
+// The late fee charged on an invoice. A waived fee is taken off the invoice but the record stays as the audit trail.
+const invoiceLateFeeSchema = new mongoose.Schema({
+  amount: { type: Number, required: true },
+  appliedAt: { type: Date, default: Date.now },
+  waivedAt: { type: Date },
+  waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  waiverReason: { type: String },
+}, { _id: false });
+
+// The GST registration an invoice was issued under. Fees include GST, so the tax is worked out of the invoice
+// amount when it is shown: CGST and SGST within the academy's state, IGST when the student lives in another.
+const invoiceGstSchema = new mongoose.Schema({
+  gstin: { type: String, required: true },
+  sacCode: { type: String },
+  rate: { type: Number, required: true }, // percent
+  placeOfSupply: { type: String },
+  interState: { type: Boolean, default: false },
 }, { _id: false });
 
 const invoiceSchema = new mongoose.Schema({
   studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   feeStructureId: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeStructure', required: true },
+  invoiceNumber: { type: String },
   courseName: { type: String, required: true },
-  amount: { type: Number, required: true },
+  amount: { type: Number, required: true }, // net amount payable, after discounts, credit notes and any late fee
+  grossAmount: { type: Number },
+  discountAmount: { type: Number, default: 0 },
+  lineItems: [invoiceLineItemSchema],
+  proration: invoiceProrationSchema,
+  lateFee: invoiceLateFeeSchema,
+  gst: invoiceGstSchema,
   currency: { type: String, required: true },
   issueDate: { type: Date, required: true },
   dueDate: { type: Date, required: true },
   billingPeriod: { type: String, required: true },
-  status: { type: String, required: true, enum: ['Pending', 'Paid', 'Overdue'], default: 'Pending' },
+  billingCycle: { type: String, enum: ['Monthly', 'Quarterly', 'Annually'] },
+  periodStart: { type: Date },
+  periodEnd: { type: Date },
+  status: { type: String, required: true, enum: ['Pending', 'PartiallyPaid', 'Paid', 'Overdue'], default: 'Pending' },
+  payments: [invoicePaymentSchema],
+  amountPaid: { type: Number, default: 0 },
   paymentDetails: paymentDetailsSchema,
-});
+  reminders: [invoiceReminderSchema],
+}, { optimisticConcurrency: true }); // a save based on a stale read fails with a VersionError instead of overwriting the ledger
+// One invoice per student, fee structure and billing period. Invoices created before periods were
+// tracked only carry the `billingPeriod` label.
+invoiceSchema.index({ studentId: 1, feeStructureId: 1, periodStart: 1 }, { unique: true, partialFilterExpression: { periodStart: { $exists: true } } });
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
 invoiceSchema.virtual('id').get(function () { return this._id.toHexString(); });
 invoiceSchema.set('toJSON', {
   virtuals: true,
   transform: (doc, ret) => {
     delete ret._id; delete ret.__v;
-    if (ret.studentId && typeof ret.studentId === 'object') {
+    if (ret.paymentDetails) {
+      if (!ret.payments || ret.payments.length === 0) {
+        ret.payments = [legacyLedgerEntry(ret.paymentDetails, ret.id)];
+        ret.amountPaid = ret.paymentDetails.amountPaid;
+      }
+      delete ret.paymentDetails;
+    }
+    ret.balanceDue = roundAmount(ret.amount - (ret.amountPaid || 0));
+    if (ret.gst) ret.gst = { ...ret.gst, ...calculateGst(ret.amount, ret.gst) };
+    // Only a populated student carries a name; a bare ObjectId is left as the id.
+    if (ret.studentId && typeof ret.studentId === 'object' && ret.studentId.name) {
       ret.student = {
         id: ret.studentId.id,
         name: ret.studentId.name,
@@ -189,6 +581,133 @@ invoiceSchema.set('toJSON', {
 });
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
+// Reduces what an invoice charges, e.g. for the unused part of a period after a withdrawal. It is also a
+// line on the invoice; any resulting overpayment is settled with a refund.
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: { type: String, required: true, unique: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: { type: String, required: true },
+  reason: { type: String, required: true },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  issuedAt: { type: Date, default: Date.now },
+});
+creditNoteSchema.index({ invoiceId: 1 });
+creditNoteSchema.virtual('id').get(function () { return this._id.toHexString(); });
+creditNoteSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+// Movements on a family's credit balance: refunds into it are positive, credit used on an invoice is negative.
+// Entries belong to a student, and a family's balance is the sum over all of its students.
+const familyCreditSchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, required: true },
+  description: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+familyCreditSchema.index({ studentId: 1 });
+familyCreditSchema.virtual('id').get(function () { return this._id.toHexString(); });
+familyCreditSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+const FamilyCredit = mongoose.model('FamilyCredit', familyCreditSchema);
+
+// An online checkout for an invoice. It stays Created until the provider's webhook reports the outcome.
+const paymentOrderSchema = new mongoose.Schema({
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+  provider: { type: String, required: true },
+  providerOrderId: { type: String, required: true, unique: true },
+  providerPaymentId: { type: String },
+  amount: { type: Number, required: true },
+  currency: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Created', 'Paid', 'Failed'], default: 'Created' },
+  returnUrl: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+});
+paymentOrderSchema.index({ invoiceId: 1 });
+paymentOrderSchema.virtual('id').get(function () { return this._id.toHexString(); });
+paymentOrderSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+const PaymentOrder = mongoose.model('PaymentOrder', paymentOrderSchema);
+
+// --- Teacher Payroll ---
+// Monthly: a fixed amount each month. PerSession: `rate` for every class taught. PerStudent: `rate` for every
+// student in every class taught, counting those marked present when attendance was taken.
+const COMPENSATION_TYPES = ['Monthly', 'PerSession', 'PerStudent'];
+const PAYOUT_METHODS = ['Bank Transfer', 'UPI', 'Cash', 'Cheque'];
+
+const teacherCompensationSchema = new mongoose.Schema({
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  type: { type: String, required: true, enum: COMPENSATION_TYPES },
+  rate: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true, enum: ['INR', 'USD'], default: 'INR' },
+  notes: { type: String },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now },
+});
+teacherCompensationSchema.virtual('id').get(function () { return this._id.toHexString(); });
+teacherCompensationSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+const TeacherCompensation = mongoose.model('TeacherCompensation', teacherCompensationSchema);
+
+// A class counted on a payslip. `students` is how many attended when attendance was taken, otherwise how many are enrolled.
+const payslipSessionSchema = new mongoose.Schema({
+  date: { type: String, required: true },
+  timing: { type: String, required: true },
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch' },
+  batchName: { type: String },
+  courseName: { type: String },
+  students: { type: Number, default: 0 },
+  attendanceTaken: { type: Boolean, default: false },
+}, { _id: false });
+
+const payslipAdjustmentSchema = new mongoose.Schema({
+  description: { type: String, required: true, trim: true },
+  amount: { type: Number, required: true }, // negative for deductions
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema({
+  paidAt: { type: Date, required: true },
+  method: { type: String, required: true, enum: PAYOUT_METHODS },
+  referenceNumber: { type: String },
+  notes: { type: String },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { _id: false });
+
+// One per teacher and month. Drafts are recalculated by each payroll run; approving fixes the amounts and the
+// teacher can then see the payslip.
+const payslipSchema = new mongoose.Schema({
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  month: { type: String, required: true, match: [/^\d{4}-\d{2}$/, 'Month must be in YYYY-MM format.'] },
+  compensationType: { type: String, required: true, enum: COMPENSATION_TYPES },
+  rate: { type: Number, required: true },
+  currency: { type: String, required: true },
+  sessions: [payslipSessionSchema],
+  grossAmount: { type: Number, required: true },
+  adjustments: [payslipAdjustmentSchema],
+  netAmount: { type: Number, required: true },
+  status: { type: String, required: true, enum: ['Draft', 'Approved', 'Paid'], default: 'Draft' },
+  approvedAt: { type: Date },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  payout: payoutSchema,
+  calculatedAt: { type: Date, default: Date.now },
+});
+payslipSchema.index({ teacherId: 1, month: 1 }, { unique: true });
+payslipSchema.virtual('id').get(function () { return this._id.toHexString(); });
+payslipSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret._id; delete ret.__v;
+    if (ret.teacherId && typeof ret.teacherId === 'object' && ret.teacherId.name) {
+      ret.teacher = { id: ret.teacherId.id, name: ret.teacherId.name, email: ret.teacherId.email };
+      ret.teacherId = ret.teacher.id;
+    }
+  }
+});
+const Payslip = mongoose.model('Payslip', payslipSchema);
+
 // --- Content ---
 const eventSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -238,12 +757,113 @@ noticeSchema.virtual('id').get(function () { return this._id.toHexString(); });
 noticeSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
 const Notice = mongoose.model('Notice', noticeSchema);
 
+// --- WhatsApp ---
+// Consent to WhatsApp messages is kept per phone number (digits with the country code), so it covers everyone in a
+// family who shares the number and lapses when a user's contact number changes.
+const whatsAppOptInSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true, unique: true },
+  optedIn: { type: Boolean, required: true },
+  source: { type: String, enum: ['Portal', 'Admin', 'WhatsApp'] }, // where consent was last given or withdrawn
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now },
+});
+whatsAppOptInSchema.virtual('id').get(function () { return this._id.toHexString(); });
+whatsAppOptInSchema.set('toJSON', { virtuals: true, transform: (doc, ret) => { delete ret._id; delete ret.__v; } });
+const WhatsAppOptIn = mongoose.model('WhatsAppOptIn', whatsAppOptInSchema);
+
+// One WhatsApp message to one recipient. Skipped messages are kept too, so an admin can see who was not reached
+// and why; the provider reports delivery and reads through its webhook.
+const whatsAppMessageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  phoneNumber: { type: String },
+  contentType: { type: String },
+  contentId: { type: mongoose.Schema.Types.ObjectId },
+  template: { type: String, required: true },
+  parameters: { type: [String] }, // kept for messages sent later
+  provider: { type: String },
+  providerMessageId: { type: String },
+  status: { type: String, required: true, enum: ['Scheduled', 'Sent', 'Delivered', 'Read', 'Failed', 'Skipped'] },
+  scheduledFor: { type: Date }, // when a message held back by the recipient's quiet hours goes out
+  reason: { type: String },
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+whatsAppMessageSchema.index({ contentId: 1, createdAt: -1 });
+whatsAppMessageSchema.index({ status: 1, scheduledFor: 1 }, { partialFilterExpression: { status: 'Scheduled' } });
+whatsAppMessageSchema.index({ provider: 1, providerMessageId: 1 }, { partialFilterExpression: { providerMessageId: { $exists: true } } });
+whatsAppMessageSchema.virtual('id').get(function () { return this._id.toHexString(); });
+whatsAppMessageSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret._id; delete ret.__v;
+    if (ret.userId && typeof ret.userId === 'object' && ret.userId.name) {
+      ret.user = { id: ret.userId.id, name: ret.userId.name, role: ret.userId.role };
+      ret.userId = ret.userId.id;
+    }
+  }
+});
+const WhatsAppMessage = mongoose.model('WhatsAppMessage', whatsAppMessageSchema);
+
+// --- Password Reset ---
+// Only a SHA-256 hash of the emailed token is stored, so a leaked database cannot be used to reset passwords.
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+// Let MongoDB purge expired tokens a day after they lapse.
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 3600 });
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+// --- Email Outbox ---
+// Every outgoing email is queued here before it is sent. Attachments are stored with the message so a retry or
+// a resend delivers exactly what was queued.
+const outgoingEmailAttachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  content: { type: Buffer, required: true },
+  contentType: { type: String },
+}, { _id: false });
+const outgoingEmailSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // the recipient, so a resend uses their current address
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String },
+  attachments: [outgoingEmailAttachmentSchema],
+  category: { type: String }, // what the email is for, shown in the admin outbox
+  // Emails carrying a one-time link have their body erased once sent or given up on, and are never resent.
+  sensitive: { type: Boolean, default: false },
+  status: { type: String, enum: ['Queued', 'Sent', 'Failed', 'Bounced'], default: 'Queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  messageId: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+outgoingEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+// Let MongoDB purge sent emails after 90 days; failed ones stay until an admin deals with them.
+outgoingEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+outgoingEmailSchema.virtual('id').get(function () { return this._id.toHexString(); });
+outgoingEmailSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret._id; delete ret.__v; delete ret.html;
+    ret.attachments = (ret.attachments || []).map(a => a.filename);
+  }
+});
+const OutgoingEmail = mongoose.model('OutgoingEmail', outgoingEmailSchema);
+
 /* =========================
    Setup (DB + Mail)
    ========================= */
 
 let mailTransporter;
-let isEtherealMode = false;
+// Outside production without SMTP, emails are written to this folder as .eml files instead of being sent.
+let emailFileDir = null;
 
 async function setupAndConnect() {
   console.log(`[Server] Node environment (NODE_ENV): ${process.env.NODE_ENV || 'not set (defaults to development)'}`);
@@ -281,10 +901,14 @@ async function setupAndConnect() {
   // Mailer - simplified for serverless
   try {
     if (!process.env.SMTP_HOST || !process.env.SMTP_USER || !process.env.SMTP_PASS) {
-      isEtherealMode = true;
-      console.log('[Email] No SMTP config - using test mode');
-      // Skip ethereal account creation in serverless to avoid timeouts
-      mailTransporter = null;
+      if (process.env.NODE_ENV !== 'production') {
+        emailFileDir = path.resolve(process.env.EMAIL_FILE_DIR || path.join(__dirname, 'mail-outbox'));
+        mailTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        console.log(`[Email] No SMTP config - writing emails to ${emailFileDir}`);
+      } else {
+        console.log('[Email] No SMTP config - emails stay queued in the outbox until SMTP is configured');
+        mailTransporter = null;
+      }
     } else {
       console.log('[Email] Configuring SMTP...');
       mailTransporter = nodemailer.createTransport({
@@ -324,6 +948,11 @@ async function setupAndConnect() {
       bufferCommands: false,
     });
     console.log('[DB] MongoDB connected successfully.');
+    await dropLegacyIndexes();
+    // Not awaited: numbering a large backlog must not hold up the first request past the setup timeout.
+    numberLegacyInvoices()
+      .then(count => { if (count > 0) console.log(`[Invoices] Numbered ${count} invoices created before invoice numbering.`); })
+      .catch(err => console.error('[Invoices] Numbering older invoices failed:', err));
   } catch (err) {
     console.error('\n--- 🚨 DATABASE CONNECTION FAILED ---');
     console.error(`[DB] Error: ${err.message}`);
@@ -331,6 +960,31 @@ async function setupAndConnect() {
   }
 }
 
+// Indexes whose constraint the schema no longer has; Mongoose only ever adds indexes.
+const dropLegacyIndexes = async () => {
+  // Fee structures used to be unique per course.
+  await FeeStructure.collection.dropIndex('courseId_1').catch(err => {
+    if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') console.error('[DB] Could not drop the old fee structure index:', err.message);
+  });
+};
+
+// Invoices created before numbering was introduced are numbered in the order they were issued. Each
+// number is taken in the transaction that stores it; an instance starting at the same time conflicts on
+// the invoice, and its retry sees the stored number and moves on.
+const numberLegacyInvoices = async () => {
+  const legacy = await Invoice.find({ invoiceNumber: { $exists: false } }).select('issueDate').sort({ issueDate: 1, _id: 1 }).lean();
+  let numbered = 0;
+  for (const invoice of legacy) {
+    await mongoose.connection.transaction(async (dbSession) => {
+      if (await Invoice.exists({ _id: invoice._id, invoiceNumber: { $exists: true } }).session(dbSession)) return;
+      const invoiceNumber = await nextInvoiceNumber(invoice.issueDate, dbSession);
+      await Invoice.updateOne({ _id: invoice._id }, { $set: { invoiceNumber } }, { session: dbSession });
+      numbered++;
+    });
+  }
+  return numbered;
+};
+
 // Create a single promise for the main setup (DB connection, mailer).
 // This runs once per container instance, during the init phase.
 let setupPromise = null;
@@ -355,7 +1009,8 @@ const ensureSetup = async () => {
    Helpers & Middleware
    ========================= */
 
-const createEmailTemplate = (name, subject, message) => {
+// Emails about a notification category pass an unsubscribe link, which is shown under the footer.
+const createEmailTemplate = (name, subject, message, unsubscribeUrl) => {
   const year = new Date().getFullYear();
   const logoUrl = 'https://i.ibb.co/9v0Gk5v/nadanaloga-logo-email.png';
   const brandColorDark = '#333333';
@@ -398,6 +1053,7 @@ const createEmailTemplate = (name, subject, message) => {
 </table>
 </td></tr>
 </table>
+${unsubscribeUrl ? `<p style="margin:16px 0 0 0;font-size:12px;line-height:18px;color:#888888;">Don't want these emails? <a href="${unsubscribeUrl}" style="color:#888888;">Unsubscribe</a>, or choose how you are notified on your profile page in the portal.</p>` : ''}
 </td></tr>
 </table>
 </body></html>`;
@@ -407,7 +1063,8 @@ app.set('etag', false);
 app.disable('x-powered-by');
 app.set('trust proxy', 1);
 
-app.use(express.json({ limit: '100mb' }));
+// The raw body is kept so payment webhooks can check the provider's signature over the exact bytes sent.
+app.use(express.json({ limit: '100mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ limit: '100mb', extended: true }));
 app.use(cookieParser());
 
@@ -432,6 +1089,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition'],
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
@@ -546,20 +1204,44 @@ const ensureAdmin = (req, res, next) => {
   res.status(403).json({ message: 'Forbidden: Administrative privileges required.' });
 };
 
+const ensureTeacher = (req, res, next) => {
+  const session = readSession(req);
+  if (!session?.user) return res.status(401).json({ message: 'Unauthorized: You must be logged in.' });
+  if (session.user.role === 'Teacher') {
+    req.user = session.user;
+    return next();
+  }
+  res.status(403).json({ message: 'Forbidden: Teacher access required.' });
+};
+
+// Returns the ids of every student the session user may act for: themselves plus the students
+// of any family in which they are a guardian.
 const getFamilyMemberIds = async (sessionUser) => {
   if (sessionUser.role === 'Teacher') return [sessionUser.id];
-  const loggedInEmail = sessionUser.email.toLowerCase();
-  const emailParts = loggedInEmail.split('@');
-  if (emailParts.length < 2) return [sessionUser.id];
-  const baseUsername = emailParts[0].split('+')[0];
-  const domain = emailParts[1];
-  const emailRegex = new RegExp(`^${baseUsername.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\$&')}(\\+.+)?@${domain.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\$&')}$`, 'i');
-  const familyMembers = await User.find({ email: emailRegex, role: 'Student' }).select('_id');
-  const familyIds = new Set(familyMembers.map(m => m._id.toString()));
+  const families = await Family.find({ guardianIds: sessionUser.id }).select('studentIds');
+  const familyIds = new Set(families.flatMap(f => f.studentIds.map(id => id.toString())));
   familyIds.add(sessionUser.id);
   return Array.from(familyIds);
 };
 
+const notifyAdminOfNewStudent = async (adminUser, user, dbSession) => {
+  const subject = `New Student Registration: ${user.name}`;
+  const message = `${user.name} (from parent: ${user.fatherName}) has registered. Click to view their profile and assign a batch.`;
+  const link = `/admin/student/${user.id}`;
+  const newNotification = new Notification({ userId: adminUser._id, subject, message, link });
+  await newNotification.save({ session: dbSession });
+
+  const emailMessageForAdmin = `Hello Admin,<br><br>A new student has registered on Nadanaloga.<br><br><b>Name:</b> ${user.name}<br><b>Email:</b> ${user.email}<br><br>Please log in to the admin dashboard to review their details. A notification will be waiting for you there.`;
+  await queueEmail({
+    userId: adminUser._id,
+    to: adminUser.email,
+    subject,
+    html: createEmailTemplate('Admin', subject, emailMessageForAdmin),
+    category: 'Registration',
+  }, dbSession);
+  return newNotification;
+};
+
 /* =========================
    Routes
    ========================= */
@@ -593,6 +1275,8 @@ app.post(['/api/register', '/register'], async (req, res) => {
     }
 
     const adminUser = await User.findOne({ role: 'Admin' }).session(dbSession);
+    const registeredStudents = [];
+    const adminNotifications = [];
 
     for (const userData of usersData) {
       const { password, ...restOfUserData } = userData;
@@ -606,28 +1290,27 @@ app.post(['/api/register', '/register'], async (req, res) => {
       };
       const user = new User(finalUserData);
       await user.save({ session: dbSession });
+      if (user.role === 'Student') registeredStudents.push(user);
 
       if (user.role === 'Student' && adminUser) {
-        const subject = `New Student Registration: ${user.name}`;
-        const message = `${user.name} (from parent: ${user.fatherName}) has registered. Click to view their profile and assign a batch.`;
-        const link = `/admin/student/${user.id}`;
-        const newNotification = new Notification({ userId: adminUser._id, subject, message, link });
-        await newNotification.save({ session: dbSession });
-
-        if (mailTransporter) {
-          const emailMessageForAdmin = `Hello Admin,<br><br>A new student has registered on Nadanaloga.<br><br><b>Name:</b> ${user.name}<br><b>Email:</b> ${user.email}<br><br>Please log in to the admin dashboard to review their details. A notification will be waiting for you there.`;
-          const mailDetails = {
-            from: process.env.SMTP_FROM_EMAIL || '"Nadanaloga Admin" <no-reply@nadanaloga.com>',
-            to: adminUser.email,
-            subject,
-            html: createEmailTemplate('Admin', subject, emailMessageForAdmin),
-          };
-          mailTransporter.sendMail(mailDetails).catch(err => console.error(`[Email] Error sending registration notification to admin ${adminUser.email}:`, err));
-        }
+        adminNotifications.push(await notifyAdminOfNewStudent(adminUser, user, dbSession));
       }
     }
 
+    // Students registered together form one family, with the first account (the guardian's email) as its login.
+    if (registeredStudents.length > 0) {
+      const guardian = registeredStudents[0];
+      const family = new Family({
+        name: `${guardian.fatherName || guardian.name} Family`,
+        guardianIds: [guardian._id],
+        studentIds: registeredStudents.map(s => s._id),
+      });
+      await family.save({ session: dbSession });
+    }
+
     await dbSession.commitTransaction();
+    kickEmailOutbox();
+    adminNotifications.forEach(publishNotification);
     res.status(201).json({ message: 'Registration successful' });
   } catch (error) {
     await dbSession.abortTransaction();
@@ -691,6 +1374,75 @@ app.post(['/api/login', '/login'], async (req, res) => {
   }
 });
 
+/* Password reset */
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+app.post(['/api/password/forgot', '/password/forgot'], async (req, res) => {
+  // Always answer the same way so this endpoint cannot be used to probe which emails are registered.
+  const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent.' };
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: 'Email is required.' });
+
+    const user = await User.findOne({ email: email.toLowerCase(), isDeleted: { $ne: true } });
+    if (!user) return res.json(genericResponse);
+
+    // A new request supersedes any link sent earlier.
+    await PasswordResetToken.updateMany({ userId: user._id, usedAt: null }, { usedAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await new PasswordResetToken({
+      userId: user._id,
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+    }).save();
+
+    const resetLink = `${CLIENT_BASE_URL}/reset-password?token=${token}`;
+    const subject = 'Reset your Nadanaloga password';
+    const message = `We received a request to reset the password for your Nadanaloga account.<br><br><a href="${resetLink}">Click here to choose a new password</a>.<br><br>This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not request a password reset, you can safely ignore this email.`;
+    await queueEmail({
+      userId: user._id,
+      to: user.email,
+      subject,
+      html: createEmailTemplate(user.name, subject, message),
+      category: 'Password reset',
+      sensitive: true,
+    });
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error requesting password reset.' });
+  }
+});
+
+app.post(['/api/password/reset', '/password/reset'], async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ message: 'Token and new password are required.' });
+    if (password.length < 6) return res.status(400).json({ message: 'Password must be at least 6 characters long.' });
+
+    // Claim the token atomically so the same link cannot be redeemed twice in parallel.
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!resetToken) return res.status(400).json({ message: 'This password reset link is invalid or has expired.' });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.findByIdAndUpdate(resetToken.userId, { password: hashedPassword });
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    noStore(res);
+    res.json({ message: 'Your password has been reset. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password.' });
+  }
+});
+
 
 app.post(['/api/contact', '/contact'], async (req, res) => {
   try {
@@ -740,7 +1492,8 @@ app.put(['/api/profile', '/profile'], ensureAuthenticated, async (req, res) => {
   try {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ message: 'Unauthorized' });
-    const { password, role, email, ...updateData } = req.body;
+    // Notification preferences have their own endpoint; a stale copy sent with the profile must not overwrite them.
+    const { password, role, email, notificationPreferences, ...updateData } = req.body;
     const idToUpdate = updateData.id || userId;
     const updatedUserDoc = await User.findByIdAndUpdate(idToUpdate, updateData, { new: true, runValidators: true });
     if (!updatedUserDoc) return res.status(404).json({ message: 'User not found.' });
@@ -748,6 +1501,7 @@ app.put(['/api/profile', '/profile'], ensureAuthenticated, async (req, res) => {
     delete updatedUser.password;
     res.json(updatedUser);
   } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     console.error('Profile update error:', error);
     res.status(500).json({ message: 'Server error updating profile.' });
   }
@@ -798,16 +1552,8 @@ app.get(['/api/student/enrollments', '/student/enrollments'], ensureAuthenticate
 /* Family / Multi-student */
 app.get(['/api/family/students', '/family/students'], ensureAuthenticated, async (req, res) => {
   try {
-    const loggedInEmail = req.user?.email?.toLowerCase();
-    if (!loggedInEmail) return res.status(401).json({ message: 'Unauthorized' });
-
-    const emailParts = loggedInEmail.split('@');
-    if (emailParts.length < 2) return res.status(400).json({ message: 'Invalid email format in session.' });
-    const baseUsername = emailParts[0].split('+')[0];
-    const domain = emailParts[1];
-    const emailRegex = new RegExp(`^${baseUsername.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\$&')}(\\+.+)?@${domain.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\$&')}$`, 'i');
-
-    const familyMembers = await User.find({ email: emailRegex, role: 'Student' }).select('-password').populate('locationId').sort({ email: 1 });
+    const familyIds = await getFamilyMemberIds(req.user);
+    const familyMembers = await User.find({ _id: { $in: familyIds }, role: 'Student', isDeleted: { $ne: true } }).select('-password').populate('locationId').sort({ dateOfJoining: 1, name: 1 });
     if (!familyMembers || familyMembers.length === 0) {
       const self = await User.findById(req.user?.id).select('-password');
       return res.json(self ? [self] : []);
@@ -819,17 +1565,71 @@ app.get(['/api/family/students', '/family/students'], ensureAuthenticated, async
   }
 });
 
-const ensureStudentInFamily = async (req, res, next) => {
+// The profile a guardian fills in for a new student. Everything else on the record (status, grade, schedules,
+// soft-delete flags, preferences) is the school's to set.
+const FAMILY_STUDENT_FIELDS = [
+  'name', 'email', 'dob', 'sex', 'photoUrl', 'classPreference', 'locationId', 'preferredTimings', 'courses', 'fatherName',
+  'contactNumber', 'alternateContactNumber', 'address', 'country', 'state', 'city', 'postalCode', 'timezone', 'standard', 'schoolName',
+];
+
+app.post(['/api/family/students', '/family/students'], ensureAuthenticated, async (req, res) => {
   try {
-    const loggedInEmail = req.user?.email?.toLowerCase();
-    if (!loggedInEmail) return res.status(401).json({ message: 'Unauthorized' });
-    const emailParts = loggedInEmail.split('@');
-    const baseUsername = emailParts[0].split('+')[0];
-    const domain = emailParts[1];
-    const emailRegex = new RegExp(`^${baseUsername.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\$&')}(\\+.+)?@${domain.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\$&')}$`, 'i');
+    const { guardianPassword } = req.body;
+    const studentData = Object.fromEntries(FAMILY_STUDENT_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    if (!studentData.name || !studentData.email) return res.status(400).json({ message: 'Student name and email are required.' });
+    if (studentData.courses !== undefined) {
+      const courseNames = new Set((await Course.find().select('name').lean()).map(c => c.name));
+      if (!Array.isArray(studentData.courses) || !studentData.courses.every(name => courseNames.has(name))) {
+        return res.status(400).json({ message: 'Please choose courses from the list.' });
+      }
+    }
+    if (!guardianPassword) return res.status(400).json({ message: 'Please confirm your password to add a student.' });
+
+    const guardian = await User.findById(req.user.id);
+    if (!guardian || guardian.role !== 'Student') return res.status(403).json({ message: 'Forbidden: Only family accounts can add students.' });
+    const isMatch = await bcrypt.compare(guardianPassword, guardian.password);
+    if (!isMatch) return res.status(401).json({ message: 'The password you entered is incorrect.' });
+
+    const existingUser = await User.findOne({ email: studentData.email.toLowerCase() });
+    if (existingUser) return res.status(409).json({ message: 'This email is already in use.' });
+
+    const student = new User({
+      ...studentData,
+      email: studentData.email.toLowerCase(),
+      password: await bcrypt.hash(guardianPassword, 10),
+      role: 'Student',
+      dateOfJoining: new Date().toISOString(),
+    });
+    await student.save();
+
+    // The guardian's own student record joins the family too, so the first sibling turns a single account into a family.
+    let family = await Family.findOne({ guardianIds: guardian._id });
+    if (!family) {
+      family = new Family({ name: `${guardian.fatherName || guardian.name} Family`, guardianIds: [guardian._id], studentIds: [guardian._id] });
+    }
+    family.studentIds.addToSet(student._id);
+    await family.save();
 
-    const student = await User.findById(req.params.studentId);
-    if (!student || student.role !== 'Student' || !emailRegex.test(student.email)) {
+    const adminUser = await User.findOne({ role: 'Admin' });
+    if (adminUser) await notifyAdminOfNewStudent(adminUser, student);
+
+    const newStudent = student.toJSON();
+    delete newStudent.password;
+    res.status(201).json(newStudent);
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: 'This email is already in use.' });
+    if (error.name === 'ValidationError' || error.name === 'CastError') return res.status(400).json({ message: error.name === 'ValidationError' ? firstValidationMessage(error) : 'Invalid student details.' });
+    console.error('Error adding family student:', error);
+    res.status(500).json({ message: 'Server error adding student to family.' });
+  }
+});
+
+const ensureStudentInFamily = async (req, res, next) => {
+  try {
+    if (!req.user?.id) return res.status(401).json({ message: 'Unauthorized' });
+    const familyIds = await getFamilyMemberIds(req.user);
+    const student = familyIds.includes(req.params.studentId) ? await User.findById(req.params.studentId) : null;
+    if (!student || student.role !== 'Student') {
       return res.status(403).json({ message: 'Forbidden: You do not have permission to access this student\'s data.' });
     }
     req.student = student;
@@ -878,33 +1678,315 @@ app.get(['/api/family/students/:studentId/enrollments', '/family/students/:stude
   }
 });
 
-/* Admin */
-app.get(['/api/admin/stats', '/admin/stats'], ensureAdmin, async (_req, res) => {
+app.get(['/api/family/students/:studentId/attendance', '/family/students/:studentId/attendance'], ensureAuthenticated, ensureStudentInFamily, async (req, res) => {
   try {
-    const studentCount = await User.countDocuments({ role: 'Student', isDeleted: { $ne: true } });
-    const teacherCount = await User.countDocuments({ role: 'Teacher', isDeleted: { $ne: true } });
-    const onlinePreference  = await User.countDocuments({ role: { $ne: 'Admin' }, classPreference: 'Online',  isDeleted: { $ne: true } });
-    const offlinePreference = await User.countDocuments({ role: { $ne: 'Admin' }, classPreference: 'Offline', isDeleted: { $ne: true } });
-    res.json({ totalUsers: studentCount + teacherCount, studentCount, teacherCount, onlinePreference, offlinePreference });
-  } catch {
-    res.status(500).json({ message: 'Server error fetching stats.' });
+    const since = new Date();
+    since.setDate(since.getDate() - 90);
+    const from = req.query.from || toDateString(since);
+    const to = req.query.to || toDateString(new Date());
+    const studentId = req.student._id;
+    const sessions = await Attendance.find({ 'records.studentId': studentId, date: { $gte: from, $lte: to } })
+      .populate('batchId', 'name courseName')
+      .sort({ date: -1, timing: 1 });
+    const history = sessions.map(session => {
+      const record = session.records.find(r => r.studentId.equals(studentId));
+      return {
+        date: session.date,
+        timing: session.timing,
+        batchName: session.batchId?.name,
+        courseName: session.batchId?.courseName,
+        status: record.status,
+        note: record.note,
+      };
+    });
+    res.json({ from, to, summary: summarizeAttendance(history.map(h => h.status)), sessions: history });
+  } catch (error) {
+    console.error('Error fetching student attendance:', error);
+    res.status(500).json({ message: 'Server error fetching attendance history.' });
   }
 });
 
-app.get(['/api/admin/users', '/admin/users'], ensureAdmin, async (_req, res) => {
+/* Teacher */
+const TEACHER_ROSTER_FIELDS = 'name email contactNumber alternateContactNumber fatherName photoUrl grade status';
+
+app.get(['/api/teacher/batches', '/teacher/batches'], ensureTeacher, async (req, res) => {
   try {
-    const users = await User.find({ role: { $ne: 'Admin' }, isDeleted: { $ne: true } }).select('-password').populate('locationId');
-    res.json(users);
+    const batches = await Batch.find({ teacherId: req.user.id }).populate('locationId').sort({ courseName: 1, name: 1 });
+    res.json(batches);
   } catch {
-    res.status(500).json({ message: 'Server error fetching users.' });
+    res.status(500).json({ message: 'Server error fetching your batches.' });
   }
 });
 
-app.get(['/api/admin/users/:id', '/admin/users/:id'], ensureAdmin, async (req, res) => {
+app.get(['/api/teacher/roster', '/teacher/roster'], ensureTeacher, async (req, res) => {
   try {
-    const user = await User.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).select('-password').populate('locationId');
-    if (!user) return res.status(404).json({ message: 'User not found.' });
-    res.json(user);
+    const batches = await Batch.find({ teacherId: req.user.id })
+      .populate('locationId')
+      .populate({ path: 'schedule.studentIds', select: TEACHER_ROSTER_FIELDS, match: { isDeleted: { $ne: true } } })
+      .sort({ courseName: 1, name: 1 });
+    const roster = batches.map(batch => ({
+      batchId: batch.id,
+      batchName: batch.name,
+      courseName: batch.courseName,
+      mode: batch.mode,
+      location: batch.locationId || undefined,
+      schedule: batch.schedule.map(s => ({
+        timing: s.timing,
+        students: s.studentIds.filter(Boolean).map(student => student.toJSON()),
+      })),
+    }));
+    res.json(roster);
+  } catch (error) {
+    console.error('Error fetching teacher roster:', error);
+    res.status(500).json({ message: 'Server error fetching your class rosters.' });
+  }
+});
+
+app.get(['/api/teacher/sessions', '/teacher/sessions'], ensureTeacher, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+    const batches = await Batch.find({ teacherId: req.user.id }).populate('locationId').lean();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const sessions = [];
+    for (let offset = 0; offset < days; offset++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() + offset);
+      for (const batch of batches) {
+        for (const entry of batch.schedule || []) {
+          // Batches saved before slots were structured only carry the label.
+          const slot = entry.weekday != null ? entry : parseTimingLabel(entry.timing);
+          if (!slot || slot.weekday !== date.getDay() || !isSlotActiveOn(entry, toDateString(date))) continue;
+          sessions.push({
+            date: toDateString(date),
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            timezone: entry.timezone || DEFAULT_SCHEDULE_TIMEZONE,
+            timing: entry.timing,
+            batchId: batch._id.toHexString(),
+            batchName: batch.name,
+            courseName: batch.courseName,
+            mode: batch.mode,
+            locationName: batch.locationId?.name,
+            studentCount: (entry.studentIds || []).length,
+          });
+        }
+      }
+    }
+    sessions.sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+    res.json(sessions);
+  } catch (error) {
+    console.error('Error fetching teacher sessions:', error);
+    res.status(500).json({ message: 'Server error fetching your upcoming sessions.' });
+  }
+});
+
+app.get(['/api/teacher/courses', '/teacher/courses'], ensureTeacher, async (req, res) => {
+  try {
+    const [batches, teacher] = await Promise.all([
+      Batch.find({ teacherId: req.user.id }).select('courseName schedule').lean(),
+      User.findById(req.user.id).select('courseExpertise'),
+    ]);
+    const courseNames = new Set([...(teacher?.courseExpertise || []), ...batches.map(b => b.courseName)]);
+    const courses = await Course.find({ name: { $in: Array.from(courseNames) } }).sort({ name: 1 });
+    res.json(courses.map(course => {
+      const courseBatches = batches.filter(b => b.courseName === course.name);
+      const studentIds = new Set(courseBatches.flatMap(b => (b.schedule || []).flatMap(s => s.studentIds.map(id => id.toString()))));
+      return { ...course.toJSON(), batchCount: courseBatches.length, studentCount: studentIds.size };
+    }));
+  } catch {
+    res.status(500).json({ message: 'Server error fetching your courses.' });
+  }
+});
+
+/* Attendance */
+const LOW_ATTENDANCE_THRESHOLD = Number(process.env.ATTENDANCE_ALERT_THRESHOLD || 75); // percent
+const LOW_ATTENDANCE_MIN_SESSIONS = 4;
+const LOW_ATTENDANCE_WINDOW_DAYS = 30;
+
+// Late counts as attended; excused sessions are left out of the rate entirely.
+const summarizeAttendance = (statuses) => {
+  const summary = { present: 0, late: 0, absent: 0, excused: 0, total: statuses.length, rate: null };
+  statuses.forEach(status => { summary[status.toLowerCase()]++; });
+  const counted = summary.total - summary.excused;
+  if (counted > 0) summary.rate = Math.round(((summary.present + summary.late) / counted) * 100);
+  return summary;
+};
+
+const notifyLowAttendance = async (studentIds) => {
+  const since = new Date();
+  since.setDate(since.getDate() - LOW_ATTENDANCE_WINDOW_DAYS);
+  const admins = await User.find({ role: 'Admin', isDeleted: { $ne: true } }).select('_id');
+  if (admins.length === 0) return;
+
+  for (const studentId of studentIds) {
+    const sessions = await Attendance.find({ 'records.studentId': studentId, date: { $gte: toDateString(since) } }).select('records');
+    const statuses = sessions.map(session => session.records.find(r => r.studentId.equals(studentId)).status);
+    const summary = summarizeAttendance(statuses);
+    if (summary.rate === null || summary.total - summary.excused < LOW_ATTENDANCE_MIN_SESSIONS || summary.rate >= LOW_ATTENDANCE_THRESHOLD) continue;
+
+    // One alert per student per week is enough.
+    const link = `/admin/student/${studentId}`;
+    const recentAlert = await Notification.exists({ link, subject: /^Low attendance/, createdAt: { $gte: new Date(Date.now() - 7 * 24 * 3600 * 1000) } });
+    if (recentAlert) continue;
+
+    const student = await User.findById(studentId).select('name');
+    if (!student) continue;
+    const subject = `Low attendance: ${student.name}`;
+    const message = `${student.name} has attended ${summary.rate}% of classes in the last ${LOW_ATTENDANCE_WINDOW_DAYS} days (${summary.absent} absent out of ${summary.total - summary.excused} sessions), below the ${LOW_ATTENDANCE_THRESHOLD}% threshold.`;
+    await createNotifications(admins.map(admin => ({ userId: admin._id, subject, message, link })));
+  }
+};
+
+const saveAttendance = async (req, res, batchFilter) => {
+  try {
+    const { batchId, date, timing, records } = req.body;
+    if (!batchId || !date || !timing || !Array.isArray(records)) return res.status(400).json({ message: 'Batch, date, timing and attendance records are required.' });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format.' });
+    if (date > toDateString(new Date())) return res.status(400).json({ message: 'Attendance cannot be marked for a future date.' });
+    if (!mongoose.Types.ObjectId.isValid(batchId)) return res.status(400).json({ message: 'Invalid batch.' });
+
+    const batch = await Batch.findOne({ _id: batchId, ...batchFilter });
+    if (!batch) return res.status(404).json({ message: 'Batch not found.' });
+    const slot = batch.schedule.find(s => s.timing === timing);
+    if (!slot) return res.status(400).json({ message: `This batch has no "${timing}" session.` });
+    // Payroll counts every saved sheet as a taught session, so only dates the slot actually meets on are accepted.
+    const [year, month, day] = date.split('-').map(Number);
+    if (slot.weekday !== new Date(year, month - 1, day).getDay() || !isSlotActiveOn(slot, date)) {
+      return res.status(400).json({ message: `The "${timing}" session does not meet on ${date}.` });
+    }
+
+    if (new Set(records.map(r => String(r.studentId))).size !== records.length) {
+      return res.status(400).json({ message: 'Each student can only be marked once per session.' });
+    }
+    const enrolledIds = new Set(slot.studentIds.map(id => id.toString()));
+    const invalid = records.find(r => !enrolledIds.has(String(r.studentId)) || !ATTENDANCE_STATUSES.includes(r.status));
+    if (invalid) return res.status(400).json({ message: 'Each record needs a student enrolled in this session and a valid status.' });
+
+    const attendance = await Attendance.findOneAndUpdate(
+      { batchId: batch._id, date, timing },
+      { records: records.map(({ studentId, status, note }) => ({ studentId, status, note })), markedBy: req.user.id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    const absentees = records.filter(r => r.status === 'Absent').map(r => new mongoose.Types.ObjectId(String(r.studentId)));
+    if (absentees.length > 0) {
+      await notifyLowAttendance(absentees).catch(err => console.error('[Attendance] Low attendance check failed:', err));
+    }
+    res.json(attendance);
+  } catch (error) {
+    console.error('Attendance save error:', error);
+    res.status(500).json({ message: 'Server error saving attendance.' });
+  }
+};
+
+const getAttendanceSheet = async (req, res, batchFilter) => {
+  try {
+    const { batchId, date, timing } = req.query;
+    if (!batchId || !date || !timing) return res.status(400).json({ message: 'Batch, date and timing are required.' });
+    if (!mongoose.Types.ObjectId.isValid(batchId)) return res.status(400).json({ message: 'Invalid batch.' });
+    const batch = await Batch.findOne({ _id: batchId, ...batchFilter })
+      .populate({ path: 'schedule.studentIds', select: 'name photoUrl', match: { isDeleted: { $ne: true } } });
+    if (!batch) return res.status(404).json({ message: 'Batch not found.' });
+    const slot = batch.schedule.find(s => s.timing === timing);
+    if (!slot) return res.status(400).json({ message: `This batch has no "${timing}" session.` });
+
+    const attendance = await Attendance.findOne({ batchId: batch._id, date, timing });
+    res.json({
+      batchId: batch.id,
+      batchName: batch.name,
+      courseName: batch.courseName,
+      date,
+      timing,
+      students: slot.studentIds.filter(Boolean).map(s => ({ id: s.id, name: s.name, photoUrl: s.photoUrl })),
+      records: attendance ? attendance.records : [],
+      updatedAt: attendance?.updatedAt,
+    });
+  } catch (error) {
+    console.error('Attendance sheet error:', error);
+    res.status(500).json({ message: 'Server error fetching attendance.' });
+  }
+};
+
+app.get(['/api/teacher/attendance', '/teacher/attendance'], ensureTeacher, (req, res) => getAttendanceSheet(req, res, { teacherId: req.user.id }));
+app.put(['/api/teacher/attendance', '/teacher/attendance'], ensureTeacher, (req, res) => saveAttendance(req, res, { teacherId: req.user.id }));
+
+app.get(['/api/admin/attendance/report', '/admin/attendance/report'], ensureAdmin, async (req, res) => {
+  try {
+    const month = req.query.month || toDateString(new Date()).slice(0, 7);
+    if (!/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ message: 'Month must be in YYYY-MM format.' });
+    if (req.query.batchId && !mongoose.Types.ObjectId.isValid(req.query.batchId)) return res.status(400).json({ message: 'Invalid batch.' });
+    if (req.query.studentId && !mongoose.Types.ObjectId.isValid(req.query.studentId)) return res.status(400).json({ message: 'Invalid student.' });
+    const filter = { date: { $gte: `${month}-01`, $lte: `${month}-31` } };
+    if (req.query.batchId) filter.batchId = req.query.batchId;
+    if (req.query.studentId) filter['records.studentId'] = req.query.studentId;
+
+    const sessions = await Attendance.find(filter).populate('batchId', 'name courseName');
+    const studentRows = new Map();
+    const batchRows = new Map();
+    for (const session of sessions) {
+      if (!session.batchId) continue;
+      const batchKey = session.batchId.id;
+      if (!batchRows.has(batchKey)) batchRows.set(batchKey, { batchId: batchKey, batchName: session.batchId.name, courseName: session.batchId.courseName, sessions: 0, statuses: [] });
+      const batchRow = batchRows.get(batchKey);
+      batchRow.sessions++;
+      for (const record of session.records) {
+        const studentKey = record.studentId.toString();
+        if (req.query.studentId && studentKey !== req.query.studentId) continue;
+        batchRow.statuses.push(record.status);
+        const rowKey = `${studentKey}:${batchKey}`;
+        if (!studentRows.has(rowKey)) studentRows.set(rowKey, { studentId: studentKey, batchId: batchKey, batchName: batchRow.batchName, courseName: batchRow.courseName, statuses: [] });
+        studentRows.get(rowKey).statuses.push(record.status);
+      }
+    }
+
+    const students = await User.find({ _id: { $in: Array.from(new Set(Array.from(studentRows.values()).map(r => r.studentId))) } }).select('name');
+    const studentNames = new Map(students.map(s => [s.id, s.name]));
+
+    res.json({
+      month,
+      threshold: LOW_ATTENDANCE_THRESHOLD,
+      students: Array.from(studentRows.values())
+        .map(({ statuses, ...row }) => ({ ...row, studentName: studentNames.get(row.studentId) || 'Unknown student', ...summarizeAttendance(statuses) }))
+        .sort((a, b) => a.studentName.localeCompare(b.studentName)),
+      batches: Array.from(batchRows.values())
+        .map(({ statuses, ...row }) => ({ ...row, ...summarizeAttendance(statuses) }))
+        .sort((a, b) => a.batchName.localeCompare(b.batchName)),
+    });
+  } catch (error) {
+    console.error('Attendance report error:', error);
+    res.status(500).json({ message: 'Server error building attendance report.' });
+  }
+});
+
+/* Admin */
+app.get(['/api/admin/stats', '/admin/stats'], ensureAdmin, async (_req, res) => {
+  try {
+    const studentCount = await User.countDocuments({ role: 'Student', isDeleted: { $ne: true } });
+    const teacherCount = await User.countDocuments({ role: 'Teacher', isDeleted: { $ne: true } });
+    const onlinePreference  = await User.countDocuments({ role: { $ne: 'Admin' }, classPreference: 'Online',  isDeleted: { $ne: true } });
+    const offlinePreference = await User.countDocuments({ role: { $ne: 'Admin' }, classPreference: 'Offline', isDeleted: { $ne: true } });
+    res.json({ totalUsers: studentCount + teacherCount, studentCount, teacherCount, onlinePreference, offlinePreference });
+  } catch {
+    res.status(500).json({ message: 'Server error fetching stats.' });
+  }
+});
+
+app.get(['/api/admin/users', '/admin/users'], ensureAdmin, async (_req, res) => {
+  try {
+    const users = await User.find({ role: { $ne: 'Admin' }, isDeleted: { $ne: true } }).select('-password').populate('locationId');
+    res.json(users);
+  } catch {
+    res.status(500).json({ message: 'Server error fetching users.' });
+  }
+});
+
+app.get(['/api/admin/users/:id', '/admin/users/:id'], ensureAdmin, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).select('-password').populate('locationId');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json(user);
   } catch (error) {
     console.error('Admin get user by ID error:', error);
     res.status(500).json({ message: 'Server error fetching user.' });
@@ -925,6 +2007,7 @@ app.post(['/api/admin/users', '/admin/users'], ensureAdmin, async (req, res) =>
     res.status(201).json(newUserDoc.toJSON());
   } catch (error) {
     if (error.code === 11000) return res.status(409).json({ message: 'This email is already in use.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     console.error('Admin create user error:', error);
     res.status(500).json({ message: 'Server error during user creation.' });
   }
@@ -932,7 +2015,7 @@ app.post(['/api/admin/users', '/admin/users'], ensureAdmin, async (req, res) =>
 
 app.put(['/api/admin/users/:id', '/admin/users/:id'], ensureAdmin, async (req, res) => {
   try {
-    const { password, ...updateData } = req.body;
+    const { password, notificationPreferences, ...updateData } = req.body;
     if (updateData.email) {
       const existingUser = await User.findOne({ email: updateData.email.toLowerCase(), _id: { $ne: req.params.id } });
       if (existingUser) return res.status(409).json({ message: 'This email is already in use by another account.' });
@@ -942,6 +2025,7 @@ app.put(['/api/admin/users/:id', '/admin/users/:id'], ensureAdmin, async (req, r
     res.json(user);
   } catch (error) {
     if (error.code === 11000) return res.status(409).json({ message: 'This email is already in use by another account.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     res.status(500).json({ message: 'Server error updating user.' });
   }
 });
@@ -960,38 +2044,229 @@ app.delete(['/api/admin/users/:id/permanent', '/admin/users/:id/permanent'], ens
   try {
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found in trash.' });
+    await Family.updateMany({}, { $pull: { guardianIds: user._id, studentIds: user._id } });
     res.status(204).send();
   } catch {
     res.status(500).json({ message: 'Server error permanently deleting user.' });
   }
 });
 
+/* Admin: Families */
+const populateFamily = (query) => query.populate('guardianIds', 'name email').populate('studentIds', 'name email');
+
+// One-off migration from the old "parent+child@domain" convention: every group of student accounts that
+// share a base address becomes a family whose guardian is the plain-address account (or the earliest joiner).
+const migrateAliasFamilies = async () => {
+  const students = await User.find({ role: 'Student' }).select('email name fatherName dateOfJoining');
+  const groups = new Map();
+  for (const student of students) {
+    const [localPart, domain] = student.email.toLowerCase().split('@');
+    if (!domain) continue;
+    const baseEmail = `${localPart.split('+')[0]}@${domain}`;
+    if (!groups.has(baseEmail)) groups.set(baseEmail, []);
+    groups.get(baseEmail).push(student);
+  }
+
+  let familiesCreated = 0;
+  let studentsLinked = 0;
+  for (const [baseEmail, members] of groups) {
+    if (members.length < 2) continue;
+    const linked = await Family.find({ studentIds: { $in: members.map(m => m._id) } }).select('studentIds');
+    const linkedIds = new Set(linked.flatMap(f => f.studentIds.map(id => id.toString())));
+    const unlinked = members.filter(m => !linkedIds.has(m._id.toString()));
+    if (unlinked.length === 0) continue;
+
+    const guardian = members.find(m => m.email.toLowerCase() === baseEmail)
+      || [...members].sort((a, b) => String(a.dateOfJoining || '').localeCompare(String(b.dateOfJoining || '')))[0];
+    let family = await Family.findOne({ $or: [{ guardianIds: guardian._id }, { studentIds: guardian._id }] });
+    if (!family) {
+      family = new Family({ name: `${guardian.fatherName || guardian.name} Family` });
+      familiesCreated++;
+    }
+    family.guardianIds.addToSet(guardian._id);
+    unlinked.forEach(m => family.studentIds.addToSet(m._id));
+    await family.save();
+    studentsLinked += unlinked.length;
+  }
+  return { familiesCreated, studentsLinked };
+};
+
+// A student record may only belong to one family at a time.
+const findConflictingFamily = (studentIds, excludeFamilyId) => Family.findOne({
+  studentIds: { $in: studentIds },
+  ...(excludeFamilyId ? { _id: { $ne: excludeFamilyId } } : {}),
+}).select('name');
+
+app.get(['/api/admin/families', '/admin/families'], ensureAdmin, async (_req, res) => {
+  try {
+    const families = await populateFamily(Family.find().sort({ name: 1 }));
+    res.json(families);
+  } catch {
+    res.status(500).json({ message: 'Server error fetching families.' });
+  }
+});
+
+app.post(['/api/admin/families', '/admin/families'], ensureAdmin, async (req, res) => {
+  try {
+    const { name, guardianIds = [], studentIds = [] } = req.body;
+    if (!name) return res.status(400).json({ message: 'Family name is required.' });
+    if (guardianIds.length === 0) return res.status(400).json({ message: 'At least one guardian is required.' });
+    const conflict = await findConflictingFamily(studentIds);
+    if (conflict) return res.status(409).json({ message: `A selected student already belongs to the "${conflict.name}" family.` });
+    const family = await new Family({ name, guardianIds, studentIds }).save();
+    res.status(201).json(await populateFamily(Family.findById(family._id)));
+  } catch (error) {
+    console.error('Family creation error:', error);
+    res.status(500).json({ message: 'Server error creating family.' });
+  }
+});
+
+app.put(['/api/admin/families/:id', '/admin/families/:id'], ensureAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const family = await populateFamily(Family.findByIdAndUpdate(req.params.id, { name }, { new: true, runValidators: true }));
+    if (!family) return res.status(404).json({ message: 'Family not found.' });
+    res.json(family);
+  } catch {
+    res.status(500).json({ message: 'Server error updating family.' });
+  }
+});
+
+app.delete(['/api/admin/families/:id', '/admin/families/:id'], ensureAdmin, async (req, res) => {
+  try {
+    const family = await Family.findByIdAndDelete(req.params.id);
+    if (!family) return res.status(404).json({ message: 'Family not found.' });
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ message: 'Server error deleting family.' });
+  }
+});
+
+app.post(['/api/admin/families/:id/guardians', '/admin/families/:id/guardians'], ensureAdmin, async (req, res) => {
+  try {
+    const guardian = await User.findById(req.body.userId).select('role');
+    if (!guardian || guardian.role === 'Admin') return res.status(400).json({ message: 'A valid non-admin user is required as guardian.' });
+    const family = await populateFamily(Family.findByIdAndUpdate(req.params.id, { $addToSet: { guardianIds: guardian._id } }, { new: true }));
+    if (!family) return res.status(404).json({ message: 'Family not found.' });
+    res.json(family);
+  } catch {
+    res.status(500).json({ message: 'Server error linking guardian.' });
+  }
+});
+
+app.delete(['/api/admin/families/:id/guardians/:userId', '/admin/families/:id/guardians/:userId'], ensureAdmin, async (req, res) => {
+  try {
+    const family = await populateFamily(Family.findByIdAndUpdate(req.params.id, { $pull: { guardianIds: req.params.userId } }, { new: true }));
+    if (!family) return res.status(404).json({ message: 'Family not found.' });
+    res.json(family);
+  } catch {
+    res.status(500).json({ message: 'Server error unlinking guardian.' });
+  }
+});
+
+app.post(['/api/admin/families/:id/students', '/admin/families/:id/students'], ensureAdmin, async (req, res) => {
+  try {
+    const student = await User.findById(req.body.studentId).select('role');
+    if (!student || student.role !== 'Student') return res.status(400).json({ message: 'A valid student is required.' });
+    const conflict = await findConflictingFamily([student._id], req.params.id);
+    if (conflict) return res.status(409).json({ message: `This student already belongs to the "${conflict.name}" family. Unlink them there first.` });
+    const family = await populateFamily(Family.findByIdAndUpdate(req.params.id, { $addToSet: { studentIds: student._id } }, { new: true }));
+    if (!family) return res.status(404).json({ message: 'Family not found.' });
+    res.json(family);
+  } catch {
+    res.status(500).json({ message: 'Server error linking student.' });
+  }
+});
+
+app.delete(['/api/admin/families/:id/students/:studentId', '/admin/families/:id/students/:studentId'], ensureAdmin, async (req, res) => {
+  try {
+    const family = await populateFamily(Family.findByIdAndUpdate(req.params.id, { $pull: { studentIds: req.params.studentId } }, { new: true }));
+    if (!family) return res.status(404).json({ message: 'Family not found.' });
+    res.json(family);
+  } catch {
+    res.status(500).json({ message: 'Server error unlinking student.' });
+  }
+});
+
+app.post(['/api/admin/families/migrate', '/admin/families/migrate'], ensureAdmin, async (_req, res) => {
+  try {
+    const { familiesCreated, studentsLinked } = await migrateAliasFamilies();
+    res.json({ message: `${familiesCreated} families created and ${studentsLinked} students linked from email aliases.` });
+  } catch (error) {
+    console.error('Family migration error:', error);
+    res.status(500).json({ message: 'Server error migrating families.' });
+  }
+});
+
+// Converts label-only schedule entries, and teachers' old `availableTimeSlots` strings, into structured
+// slots. Labels that cannot be parsed are left as they are and reported back.
+const migrateScheduleTimings = async () => {
+  const unparsed = [];
+  const migrateEntries = (entries, owner) => (entries || []).map(entry => {
+    if (!entry.timing && entry.weekday == null) return entry;
+    const migrated = { ...entry };
+    if (normalizeScheduleEntry(migrated)) {
+      unparsed.push(`${owner}: "${entry.timing}"`);
+      return entry;
+    }
+    return migrated;
+  });
+
+  let batchesUpdated = 0;
+  const batches = await Batch.find().lean();
+  for (const batch of batches) {
+    const schedule = migrateEntries(batch.schedule, batch.name);
+    if (JSON.stringify(schedule) === JSON.stringify(batch.schedule)) continue;
+    await Batch.collection.updateOne({ _id: batch._id }, { $set: { schedule } });
+    batchesUpdated++;
+  }
+
+  let usersUpdated = 0;
+  const users = await User.find().select('-password -documents').lean();
+  for (const user of users) {
+    const schedules = migrateEntries(user.schedules, user.name);
+    const legacySlots = (user.availableTimeSlots || [])
+      .filter(timing => !(user.availability || []).some(slot => slot.timing === timing))
+      .map(timing => ({ timing }));
+    const availability = migrateEntries([...(user.availability || []), ...legacySlots], user.name);
+    const hasChanges = user.availableTimeSlots !== undefined
+      || JSON.stringify(schedules) !== JSON.stringify(user.schedules || [])
+      || JSON.stringify(availability) !== JSON.stringify(user.availability || []);
+    if (!hasChanges) continue;
+    const update = { $set: { schedules, availability } };
+    if (user.availableTimeSlots !== undefined) update.$unset = { availableTimeSlots: '' };
+    await User.collection.updateOne({ _id: user._id }, update);
+    usersUpdated++;
+  }
+  return { batchesUpdated, usersUpdated, unparsed };
+};
+
+app.post(['/api/admin/schedules/migrate', '/admin/schedules/migrate'], ensureAdmin, async (_req, res) => {
+  try {
+    const { batchesUpdated, usersUpdated, unparsed } = await migrateScheduleTimings();
+    const message = `${batchesUpdated} batches and ${usersUpdated} users migrated to structured schedules.`;
+    res.json({ message: unparsed.length ? `${message} Could not parse: ${unparsed.join('; ')}` : message, unparsed });
+  } catch (error) {
+    console.error('Schedule migration error:', error);
+    res.status(500).json({ message: 'Server error migrating schedules.' });
+  }
+});
+
 app.post(['/api/admin/notifications', '/admin/notifications'], ensureAdmin, async (req, res) => {
-  const { userIds, subject, message } = req.body;
+  const { userIds, subject, message, category = 'notices' } = req.body;
   if (!userIds || !Array.isArray(userIds) || userIds.length === 0) return res.status(400).json({ message: 'User IDs are required.' });
   if (!subject || !message) return res.status(400).json({ message: 'Subject and message are required.' });
+  if (!NOTIFICATION_CATEGORIES.includes(category)) return res.status(400).json({ message: 'Unknown notification category.' });
 
   try {
-    const users = await User.find({ '_id': { $in: userIds } }).select('email name');
+    const users = await User.find({ '_id': { $in: userIds } }).select(NOTIFICATION_RECIPIENT_FIELDS);
     if (users.length === 0) return res.status(404).json({ message: 'No valid recipient users found.' });
 
     const notificationsToSave = users.map(user => ({ userId: user._id, subject, message }));
-    await Notification.insertMany(notificationsToSave);
-
-    if (mailTransporter) {
-      for (const user of users) {
-        const mailDetails = {
-          from: process.env.SMTP_FROM_EMAIL || '"Nadanaloga Admin" <no-reply@nadanaloga.com>',
-          to: user.email,
-          subject,
-          html: createEmailTemplate(user.name, subject, message),
-        };
-        mailTransporter.sendMail(mailDetails).catch(err => console.error(`[Email] Error sending to ${user.email}:`, err));
-      }
-    } else {
-      console.warn('[Email] Notification stored in DB, but email not sent because mail transporter is not configured.');
-    }
-    res.status(200).json({ success: true, message: 'Notification sent and stored successfully.' });
+    await createNotifications(notificationsToSave);
+
+    const emails = (await Promise.all(users.map(user => queueNotificationEmail(user, category, { subject, message })))).filter(Boolean);
+    res.status(200).json({ success: true, message: `Notification sent to ${users.length} recipient${users.length !== 1 ? 's' : ''}, ${emails.length} by email.` });
   } catch (error) {
     console.error('Notification error:', error);
     res.status(500).json({ message: 'Server error sending notification.' });
@@ -1038,6 +2313,130 @@ app.delete(['/api/admin/courses/:id', '/admin/courses/:id'], ensureAdmin, async
 });
 
 /* Admin: Batches */
+const WEEK_MINUTES = 7 * 24 * 60;
+
+// Current UTC offset of an IANA zone in minutes (e.g. 330 for Asia/Kolkata).
+const timezoneOffsetMinutes = (timeZone) => {
+  try {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+      .formatToParts(new Date()).find(p => p.type === 'timeZoneName');
+    const match = /GMT([+-])(\d{1,2})(?::(\d{2}))?/.exec(part?.value || '');
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0)) : 0;
+  } catch {
+    return 0;
+  }
+};
+
+// A slot as [start, end) minutes since Sunday 00:00 UTC, so slots in different zones can be compared.
+const toWeekRange = (slot) => {
+  const start = (slot.weekday * 1440 + toMinutes(slot.startTime) - timezoneOffsetMinutes(slot.timezone || DEFAULT_SCHEDULE_TIMEZONE) + WEEK_MINUTES) % WEEK_MINUTES;
+  return [start, start + toMinutes(slot.endTime) - toMinutes(slot.startTime)];
+};
+
+const effectiveRangesOverlap = (a, b) =>
+  (!a.effectiveTo || !b.effectiveFrom || a.effectiveTo >= b.effectiveFrom)
+  && (!b.effectiveTo || !a.effectiveFrom || b.effectiveTo >= a.effectiveFrom);
+
+const slotsOverlap = (a, b) => {
+  if (!effectiveRangesOverlap(a, b)) return false;
+  const [aStart, aEnd] = toWeekRange(a);
+  const [bStart, bEnd] = toWeekRange(b);
+  // Also compare a week either side so slots that wrap past the end of the week still match.
+  return [-WEEK_MINUTES, 0, WEEK_MINUTES].some(shift => aStart < bEnd + shift && bStart + shift < aEnd);
+};
+
+// Legacy batches may hold label-only slots until the schedule migration has been run.
+const toComparableSlot = (entry) => (entry.weekday != null ? entry : { ...entry, ...parseTimingLabel(entry.timing) });
+
+const idOf = (value) => (value && typeof value === 'object' && value._id ? value._id : value);
+
+// Lists every clash between a batch's slots and the other batches, or between two of its own slots:
+// the same teacher, the same student, or the same offline location booked at overlapping times.
+const findBatchConflicts = async (batch, excludeBatchId) => {
+  const slots = (batch.schedule || []).map(toComparableSlot).filter(s => s.weekday != null);
+  if (slots.length === 0) return [];
+  const teacherId = idOf(batch.teacherId) ? String(idOf(batch.teacherId)) : null;
+  const locationId = batch.mode === 'Offline' && idOf(batch.locationId) ? String(idOf(batch.locationId)) : null;
+
+  const others = await Batch.find(excludeBatchId ? { _id: { $ne: excludeBatchId } } : {})
+    .populate('teacherId', 'name')
+    .populate('locationId', 'name')
+    .populate('schedule.studentIds', 'name')
+    .lean();
+
+  const conflicts = [];
+  for (const other of others) {
+    for (const otherEntry of other.schedule || []) {
+      const otherSlot = toComparableSlot(otherEntry);
+      if (otherSlot.weekday == null) continue;
+      for (const slot of slots) {
+        if (!slotsOverlap(slot, otherSlot)) continue;
+        const base = { timing: slot.timing, batchId: other._id.toHexString(), batchName: other.name, conflictingTiming: otherSlot.timing };
+        if (teacherId && other.teacherId && String(other.teacherId._id) === teacherId) {
+          conflicts.push({ ...base, type: 'teacher', teacherName: other.teacherId.name, message: `${other.teacherId.name} already teaches "${other.name}" on ${otherSlot.timing}.` });
+        }
+        if (locationId && other.mode === 'Offline' && other.locationId && String(other.locationId._id) === locationId) {
+          conflicts.push({ ...base, type: 'location', locationName: other.locationId.name, message: `${other.locationId.name} is already booked for "${other.name}" on ${otherSlot.timing}.` });
+        }
+        const slotStudentIds = new Set((slot.studentIds || []).map(id => String(idOf(id))));
+        for (const student of (otherSlot.studentIds || []).filter(Boolean)) {
+          if (!slotStudentIds.has(String(student._id))) continue;
+          conflicts.push({ ...base, type: 'student', studentId: student._id.toHexString(), studentName: student.name, message: `${student.name} is already in "${other.name}" (${other.courseName}) on ${otherSlot.timing}.` });
+        }
+      }
+    }
+  }
+
+  // The batch's own slots share its teacher and location, so any two that overlap clash with each other.
+  const ownOverlaps = slots.flatMap((slot, index) => slots.slice(index + 1).filter(otherSlot => slotsOverlap(slot, otherSlot)).map(otherSlot => [slot, otherSlot]));
+  if (ownOverlaps.length === 0) return conflicts;
+  const studentIdsOf = (slot) => new Set((slot.studentIds || []).map(id => String(idOf(id))));
+  const sharedStudentIds = ownOverlaps.flatMap(([slot, otherSlot]) => [...studentIdsOf(slot)].filter(id => studentIdsOf(otherSlot).has(id)));
+  const [teacher, location, sharedStudents] = await Promise.all([
+    teacherId ? User.findById(teacherId).select('name').lean() : null,
+    locationId ? Location.findById(locationId).select('name').lean() : null,
+    sharedStudentIds.length > 0 ? User.find({ _id: { $in: sharedStudentIds } }).select('name').lean() : [],
+  ]);
+  const studentNames = new Map(sharedStudents.map(s => [s._id.toHexString(), s.name]));
+  for (const [slot, otherSlot] of ownOverlaps) {
+    const base = { timing: slot.timing, batchId: excludeBatchId ? String(excludeBatchId) : '', batchName: batch.name, conflictingTiming: otherSlot.timing };
+    if (teacher) {
+      conflicts.push({ ...base, type: 'teacher', teacherName: teacher.name, message: `${teacher.name} would teach "${batch.name}" on both ${slot.timing} and ${otherSlot.timing}.` });
+    }
+    if (location) {
+      conflicts.push({ ...base, type: 'location', locationName: location.name, message: `${location.name} would be booked for "${batch.name}" on both ${slot.timing} and ${otherSlot.timing}.` });
+    }
+    const otherStudentIds = studentIdsOf(otherSlot);
+    for (const id of studentIdsOf(slot)) {
+      if (!otherStudentIds.has(id) || !studentNames.has(id)) continue;
+      conflicts.push({ ...base, type: 'student', studentId: id, studentName: studentNames.get(id), message: `${studentNames.get(id)} would be in "${batch.name}" on both ${slot.timing} and ${otherSlot.timing}.` });
+    }
+  }
+  return conflicts;
+};
+
+// Normalizes an incoming schedule in place so it can be compared; returns the first error, if any.
+const prepareBatchSchedule = (schedule) => {
+  if (schedule !== undefined && !Array.isArray(schedule)) return 'Schedule must be a list of time slots.';
+  for (const entry of schedule || []) {
+    const error = normalizeScheduleEntry(entry);
+    if (error) return error;
+  }
+  return null;
+};
+
+app.post(['/api/admin/batches/conflicts', '/admin/batches/conflicts'], ensureAdmin, async (req, res) => {
+  try {
+    const { id, ...batchData } = req.body;
+    const scheduleError = prepareBatchSchedule(batchData.schedule);
+    if (scheduleError) return res.status(400).json({ message: scheduleError });
+    res.json({ conflicts: await findBatchConflicts(batchData, id) });
+  } catch (error) {
+    console.error('Batch conflict check error:', error);
+    res.status(500).json({ message: 'Server error checking timetable conflicts.' });
+  }
+});
+
 app.get(['/api/admin/batches', '/admin/batches'], ensureAdmin, async (_req, res) => {
   try {
     const batches = await Batch.find().populate('teacherId', 'name').populate('locationId');
@@ -1048,20 +2447,38 @@ app.get(['/api/admin/batches', '/admin/batches'], ensureAdmin, async (_req, res)
 });
 app.post(['/api/admin/batches', '/admin/batches'], ensureAdmin, async (req, res) => {
   try {
-    const newBatch = new Batch(req.body);
+    const { overrideConflicts, ...batchData } = req.body;
+    const scheduleError = prepareBatchSchedule(batchData.schedule);
+    if (scheduleError) return res.status(400).json({ message: scheduleError });
+    const conflicts = await findBatchConflicts(batchData);
+    if (conflicts.length > 0 && !overrideConflicts) {
+      return res.status(409).json({ message: 'This batch clashes with existing timetables.', conflicts });
+    }
+    const newBatch = new Batch(batchData);
     await newBatch.save();
     res.status(201).json(newBatch);
   } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     console.error('Batch creation error:', error);
     res.status(500).json({ message: 'Server error creating batch.' });
   }
 });
 app.put(['/api/admin/batches/:id', '/admin/batches/:id'], ensureAdmin, async (req, res) => {
   try {
-    const updatedBatch = await Batch.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const { overrideConflicts, ...batchData } = req.body;
+    const existing = await Batch.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ message: 'Batch not found.' });
+    const scheduleError = prepareBatchSchedule(batchData.schedule);
+    if (scheduleError) return res.status(400).json({ message: scheduleError });
+    const conflicts = await findBatchConflicts({ ...existing, ...batchData }, existing._id);
+    if (conflicts.length > 0 && !overrideConflicts) {
+      return res.status(409).json({ message: 'This batch clashes with existing timetables.', conflicts });
+    }
+    const updatedBatch = await Batch.findByIdAndUpdate(req.params.id, batchData, { new: true, runValidators: true });
     if (!updatedBatch) return res.status(404).json({ message: 'Batch not found.' });
     res.json(updatedBatch);
-  } catch {
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     res.status(500).json({ message: 'Server error updating batch.' });
   }
 });
@@ -1117,7 +2534,7 @@ app.delete(['/api/admin/locations/:id', '/admin/locations/:id'], ensureAdmin, as
 /* Admin: Fee structures & Invoices */
 app.get(['/api/admin/feestructures', '/admin/feestructures'], ensureAdmin, async (_req, res) => {
   try {
-    const structures = await FeeStructure.find().sort({ courseName: 1 });
+    const structures = await FeeStructure.find().sort({ courseName: 1, effectiveFrom: 1 });
     res.json(structures);
   } catch {
     res.status(500).json({ message: 'Server error fetching fee structures.' });
@@ -1129,16 +2546,23 @@ app.post(['/api/admin/feestructures', '/admin/feestructures'], ensureAdmin, asyn
     await newStructure.save();
     res.status(201).json(newStructure);
   } catch (error) {
-    if (error.code === 11000) return res.status(409).json({ message: 'A fee structure for this course already exists.' });
+    if (error.code === 11000) return res.status(409).json({ message: 'A fee structure for this course, mode, location, grade and effective date already exists.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     res.status(500).json({ message: 'Server error creating fee structure.' });
   }
 });
 app.put(['/api/admin/feestructures/:id', '/admin/feestructures/:id'], ensureAdmin, async (req, res) => {
   try {
-    const updatedStructure = await FeeStructure.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
-    if (!updatedStructure) return res.status(404).json({ message: 'Fee structure not found.' });
-    res.json(updatedStructure);
-  } catch {
+    // Loaded and saved rather than updated in place so discount validators can see each discount's type.
+    const structure = await FeeStructure.findById(req.params.id);
+    if (!structure) return res.status(404).json({ message: 'Fee structure not found.' });
+    const { id, _id, ...updates } = req.body;
+    structure.set(updates);
+    await structure.save();
+    res.json(structure);
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: 'A fee structure for this course, mode, location, grade and effective date already exists.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
     res.status(500).json({ message: 'Server error updating fee structure.' });
   }
 });
@@ -1152,104 +2576,2849 @@ app.delete(['/api/admin/feestructures/:id', '/admin/feestructures/:id'], ensureA
   }
 });
 
-app.get(['/api/admin/invoices', '/admin/invoices'], ensureAdmin, async (_req, res) => {
+app.get(['/api/admin/scholarships', '/admin/scholarships'], ensureAdmin, async (_req, res) => {
   try {
-    const invoices = await Invoice.find().populate('studentId', 'name email').sort({ issueDate: -1 });
-    res.json(invoices);
+    const scholarships = await Scholarship.find().populate('studentId', 'name email').sort({ createdAt: -1 });
+    res.json(scholarships);
   } catch {
-    res.status(500).json({ message: 'Server error fetching invoices.' });
+    res.status(500).json({ message: 'Server error fetching scholarships.' });
   }
 });
-
-app.post(['/api/admin/invoices/generate', '/admin/invoices/generate'], ensureAdmin, async (_req, res) => {
+app.post(['/api/admin/scholarships', '/admin/scholarships'], ensureAdmin, async (req, res) => {
   try {
-    const feeStructures = await FeeStructure.find();
-    const students = await User.find({ role: 'Student', courses: { $exists: true, $not: { $size: 0 } } });
-    const structuresMap = new Map(feeStructures.map(fs => [fs.courseName, fs]));
-    const monthNames = ["January","February","March","April","May","June","July","August","September","October","November","December"];
-    const now = new Date();
-    const currentBillingPeriod = `${monthNames[now.getMonth()]} ${now.getFullYear()}`;
-
-    let generatedCount = 0;
-    const invoicePromises = [];
-
-    for (const student of students) {
-      for (const courseName of (student.courses || [])) {
-        const feeStructure = structuresMap.get(courseName);
-        if (!feeStructure || feeStructure.billingCycle !== 'Monthly') continue;
-
-        const existingInvoice = await Invoice.findOne({
-          studentId: student._id,
-          feeStructureId: feeStructure._id,
-          billingPeriod: currentBillingPeriod,
-        });
-        if (existingInvoice) continue;
-
-        const issueDate = new Date();
-        const dueDate = new Date(issueDate.getFullYear(), issueDate.getMonth(), 15);
-
-        const invoice = new Invoice({
-          studentId: student._id,
-          feeStructureId: feeStructure._id,
-          courseName: feeStructure.courseName,
-          amount: feeStructure.amount,
-          currency: feeStructure.currency,
-          issueDate,
-          dueDate,
-          billingPeriod: currentBillingPeriod,
-          status: 'Pending',
-        });
-        invoicePromises.push(invoice.save());
-        generatedCount++;
-      }
-    }
-
-    await Promise.all(invoicePromises);
-    res.status(201).json({ message: `${generatedCount} new invoices generated successfully.` });
+    const student = await User.findOne({ _id: req.body.studentId, role: 'Student', isDeleted: { $ne: true } });
+    if (!student) return res.status(400).json({ message: 'Please select a valid student.' });
+    const scholarship = new Scholarship({ ...req.body, feeStructureId: req.body.feeStructureId || undefined });
+    await scholarship.save();
+    await scholarship.populate('studentId', 'name email');
+    res.status(201).json(scholarship);
   } catch (error) {
-    console.error('Invoice generation error:', error);
-    res.status(500).json({ message: 'Server error during invoice generation.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    res.status(500).json({ message: 'Server error creating scholarship.' });
   }
 });
-
-app.put(['/api/admin/invoices/:id/pay', '/api/admin/invoices/:id/pay'], ensureAdmin, async (req, res) => {
+app.put(['/api/admin/scholarships/:id', '/admin/scholarships/:id'], ensureAdmin, async (req, res) => {
   try {
-    const paymentDetails = req.body;
-    const updatedInvoice = await Invoice.findByIdAndUpdate(
-      req.params.id,
-      { status: 'Paid', paymentDetails },
-      { new: true, runValidators: true }
-    ).populate('studentId', 'name email');
-    if (!updatedInvoice) return res.status(404).json({ message: 'Invoice not found.' });
-    res.json(updatedInvoice);
-  } catch {
-    res.status(500).json({ message: 'Server error recording payment.' });
+    const scholarship = await Scholarship.findById(req.params.id);
+    if (!scholarship) return res.status(404).json({ message: 'Scholarship not found.' });
+    const { id, _id, studentId, ...updates } = req.body;
+    // The form leaves out optional fields that were cleared.
+    scholarship.set({ ...updates, feeStructureId: updates.feeStructureId || undefined, validTo: updates.validTo || undefined });
+    await scholarship.save();
+    await scholarship.populate('studentId', 'name email');
+    res.json(scholarship);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    res.status(500).json({ message: 'Server error updating scholarship.' });
   }
 });
-
-/* Notifications (user) */
-app.get(['/api/notifications', '/notifications'], ensureAuthenticated, async (req, res) => {
+app.delete(['/api/admin/scholarships/:id', '/admin/scholarships/:id'], ensureAdmin, async (req, res) => {
   try {
-    const familyIds = await getFamilyMemberIds(req.user);
-    const notifications = await Notification.find({ userId: { $in: familyIds } }).sort({ createdAt: -1 });
-    res.json(notifications);
+    const scholarship = await Scholarship.findByIdAndDelete(req.params.id);
+    if (!scholarship) return res.status(404).json({ message: 'Scholarship not found.' });
+    res.status(204).send();
   } catch {
-    res.status(500).json({ message: 'Server error fetching notifications.' });
+    res.status(500).json({ message: 'Server error deleting scholarship.' });
   }
 });
 
-app.put(['/api/notifications/:id/read', '/notifications/:id/read'], ensureAuthenticated, async (req, res) => {
+app.get(['/api/admin/invoices', '/admin/invoices'], ensureAdmin, async (_req, res) => {
   try {
-    const familyIds = await getFamilyMemberIds(req.user);
-    const notification = await Notification.findOneAndUpdate(
-      { _id: req.params.id, userId: { $in: familyIds } },
-      { read: true },
-      { new: true }
-    );
-    if (!notification) return res.status(404).json({ message: 'Notification not found or not permitted.' });
-    res.json(notification);
+    const invoices = await Invoice.find().populate('studentId', 'name email').sort({ issueDate: -1 });
+    res.json(invoices);
   } catch {
-    res.status(500).json({ message: 'Server error updating notification.' });
+    res.status(500).json({ message: 'Server error fetching invoices.' });
+  }
+});
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const BILLING_CYCLE_MONTHS = { Monthly: 1, Quarterly: 3, Annually: 12 };
+// First month (1-12) of the annual billing year; April gives Indian financial years such as "2026-27".
+const BILLING_YEAR_START_MONTH = Math.min(Math.max(parseInt(process.env.BILLING_YEAR_START_MONTH, 10) || 4, 1), 12) - 1;
+const INVOICE_DUE_AFTER_DAYS = 14;
+
+// The billing year containing a date; with the April default this is the Indian financial year, labelled "2026-27".
+const getBillingYear = (date) => {
+  const startYear = date.getMonth() >= BILLING_YEAR_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+  const label = BILLING_YEAR_START_MONTH === 0 ? String(startYear) : `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  return { start: new Date(startYear, BILLING_YEAR_START_MONTH, 1), label };
+};
+
+// Invoice numbers restart every billing year and run without gaps within it, e.g. NDL/2026-27/00042.
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'NDL';
+const INVOICE_NUMBER_DIGITS = Math.min(Math.max(parseInt(process.env.INVOICE_NUMBER_DIGITS, 10) || 5, 1), 10);
+// Call it inside the transaction that stores the number, so a number whose write fails is handed out again.
+const nextInvoiceNumber = async (issueDate, dbSession) => {
+  const { label } = getBillingYear(issueDate);
+  const seq = await nextSequence(`invoice/${label}`, dbSession);
+  return `${INVOICE_NUMBER_PREFIX}/${label}/${String(seq).padStart(INVOICE_NUMBER_DIGITS, '0')}`;
+};
+
+// GST is charged once the academy's GSTIN is configured. USD invoices are for students abroad, an export of
+// services that carries no GST.
+const GST_DETAILS = {
+  gstin: (process.env.GSTIN || '').trim().toUpperCase(),
+  state: (process.env.GST_STATE || '').trim(),
+  sacCode: process.env.GST_SAC_CODE || '999293',
+  rate: Number(process.env.GST_RATE || 18),
+};
+
+// The place of supply is the student's state, or the academy's own when the profile has none.
+const getInvoiceGst = (student, currency) => {
+  if (!GST_DETAILS.gstin || currency !== 'INR') return undefined;
+  const placeOfSupply = (student.state || '').trim() || GST_DETAILS.state;
+  return {
+    gstin: GST_DETAILS.gstin,
+    sacCode: GST_DETAILS.sacCode,
+    rate: GST_DETAILS.rate,
+    placeOfSupply,
+    interState: !!GST_DETAILS.state && placeOfSupply.toLowerCase() !== GST_DETAILS.state.toLowerCase(),
+  };
+};
+
+const calculateGst = (amount, { rate, interState }) => {
+  const taxableAmount = roundAmount(amount / (1 + rate / 100));
+  const tax = roundAmount(amount - taxableAmount);
+  if (interState) return { taxableAmount, cgst: 0, sgst: 0, igst: tax };
+  const cgst = roundAmount(tax / 2);
+  return { taxableAmount, cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+};
+
+// Parses a YYYY-MM-DD string as a local date.
+const parseDateString = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+// Adds months, clamping to the end of shorter months (31 Jan + 1 month = 28/29 Feb).
+const addMonths = (date, months) => {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+};
+
+const formatShortDate = (date) => `${date.getDate()} ${MONTH_NAMES[date.getMonth()].slice(0, 3)} ${date.getFullYear()}`;
+
+// The billing period of `cycle` that contains `asOf`, as { start, end, label } with `end` inclusive.
+// With an anniversary date the periods repeat from that date; returns null if it is after `asOf`.
+const getBillingPeriod = (cycle, asOf, anniversary) => {
+  const months = BILLING_CYCLE_MONTHS[cycle];
+  if (anniversary) {
+    let elapsed = (asOf.getFullYear() - anniversary.getFullYear()) * 12 + asOf.getMonth() - anniversary.getMonth();
+    if (asOf.getDate() < anniversary.getDate()) elapsed--;
+    if (elapsed < 0) return null;
+    const offset = Math.floor(elapsed / months) * months;
+    const start = addMonths(anniversary, offset);
+    const end = addMonths(anniversary, offset + months);
+    end.setDate(end.getDate() - 1);
+    return { start, end, label: `${formatShortDate(start)} - ${formatShortDate(end)}` };
+  }
+
+  const year = asOf.getFullYear();
+  const month = asOf.getMonth();
+  let start;
+  let label;
+  if (cycle === 'Quarterly') {
+    const quarter = Math.floor(month / 3);
+    start = new Date(year, quarter * 3, 1);
+    label = `Q${quarter + 1} ${year}`;
+  } else if (cycle === 'Annually') {
+    ({ start, label } = getBillingYear(asOf));
+  } else {
+    start = new Date(year, month, 1);
+    label = `${MONTH_NAMES[month]} ${year}`;
+  }
+  return { start, end: new Date(start.getFullYear(), start.getMonth() + months, 0), label };
+};
+
+const ordinal = (n) => {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+const describeDiscountValue = (discount, currency) => discount.type === 'Percentage' ? `${discount.value}%` : `${discount.value} ${currency}`;
+const isValidOn = (item, dateString) => (!item.validFrom || item.validFrom <= dateString) && (!item.validTo || item.validTo >= dateString);
+
+// Each enrolled student's position among the enrolled children of their family, earliest joiner first
+// (the order guardians see in the family view). A student in several families keeps the highest position.
+const getSiblingNumbers = async (students) => {
+  const enrolled = new Map(students.map(s => [s._id.toString(), s]));
+  const families = await Family.find({ studentIds: { $in: students.map(s => s._id) } }).select('studentIds').lean();
+  const numbers = new Map();
+  for (const family of families) {
+    const members = family.studentIds.map(id => enrolled.get(id.toString())).filter(Boolean)
+      .sort((a, b) => (a.dateOfJoining || '').localeCompare(b.dateOfJoining || '') || a.name.localeCompare(b.name));
+    members.forEach((member, index) => {
+      const id = member._id.toString();
+      numbers.set(id, Math.max(numbers.get(id) || 1, index + 1));
+    });
+  }
+  return numbers;
+};
+
+// Each student's enrolment per course, taken from the batches they are scheduled in. Courses on the
+// student's profile without a batch yet fall back to their class preference and location.
+const getStudentEnrolments = async (students) => {
+  const byStudent = new Map(students.map(s => [s._id.toString(), new Map()]));
+  const batches = await Batch.find({ 'schedule.studentIds': { $in: students.map(s => s._id) } })
+    .select('courseId courseName mode locationId startDate schedule.studentIds').sort({ _id: 1 }).lean();
+  for (const batch of batches) {
+    const enrolled = new Set(batch.schedule.flatMap(slot => (slot.studentIds || []).map(id => id.toString())));
+    for (const studentId of enrolled) {
+      const courses = byStudent.get(studentId);
+      // A student in two batches of one course is billed once, by the older batch.
+      if (!courses || courses.has(batch.courseId.toString())) continue;
+      courses.set(batch.courseId.toString(), {
+        courseId: batch.courseId, courseName: batch.courseName, mode: batch.mode, locationId: batch.locationId, startDate: parseDateString(batch.startDate),
+      });
+    }
+  }
+  const courseIds = new Map((await Course.find().select('name').lean()).map(c => [c.name, c._id]));
+  for (const student of students) {
+    const courses = byStudent.get(student._id.toString());
+    const mode = ['Online', 'Offline'].includes(student.classPreference) ? student.classPreference : undefined;
+    for (const courseName of (student.courses || [])) {
+      const courseId = courseIds.get(courseName);
+      if (!courseId || courses.has(courseId.toString())) continue;
+      courses.set(courseId.toString(), { courseId, courseName, mode, locationId: mode === 'Online' ? undefined : student.locationId });
+    }
+  }
+  return new Map([...byStudent].map(([studentId, courses]) => [studentId, [...courses.values()]]));
+};
+
+// The fee structure and billing period for one enrolment. A structure applies when its mode, location and
+// grade are unset or match, and it is in effect by the start of the period it would bill. The most specific
+// structure wins, then the latest effective date.
+const findFeeStructure = (structures, { enrolment, grade, asOf, joinDate }) => {
+  const matches = (value, actual) => !value || (!!actual && value.toString() === actual.toString());
+  let best = null;
+  for (const structure of structures) {
+    if (!structure.courseId.equals(enrolment.courseId)) continue;
+    if (!matches(structure.mode, enrolment.mode) || !matches(structure.locationId, enrolment.locationId) || !matches(structure.grade, grade)) continue;
+    const anniversary = structure.billingAnchor === 'Anniversary' ? joinDate : null;
+    const period = getBillingPeriod(structure.billingCycle, asOf, anniversary);
+    if (!period || (structure.effectiveFrom && structure.effectiveFrom > toDateString(period.start))) continue;
+    const specificity = [structure.mode, structure.locationId, structure.grade].filter(Boolean).length;
+    const effectiveFrom = structure.effectiveFrom || '';
+    if (!best || specificity > best.specificity || (specificity === best.specificity && effectiveFrom > best.effectiveFrom)) {
+      best = { feeStructure: structure, period, specificity, effectiveFrom };
+    }
+  }
+  return best;
+};
+
+// The part of `period` billed to a student starting on `startDate`, or null when they attend all of it.
+// Sessions are taken in proportion to the days left and rounded up, so a part week still bills its class.
+const calculateProration = (feeStructure, period, startDate) => {
+  if (!startDate || startDate <= period.start || startDate > period.end) return null;
+  const daysBetween = (from, to) => Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  const totalDays = daysBetween(period.start, period.end);
+  const daysLeft = daysBetween(startDate, period.end);
+  const sessions = feeStructure.sessionsPerCycle;
+  const [unit, billedUnits, totalUnits] = sessions
+    ? ['sessions', Math.min(Math.ceil(sessions * daysLeft / totalDays), sessions), sessions]
+    : ['days', daysLeft, totalDays];
+  return { startDate: toDateString(startDate), unit, billedUnits, totalUnits, fullAmount: feeStructure.amount };
+};
+
+// "Bharatanatyam fee (Offline, Anna Nagar, Grade 2)" for structures narrowed to an enrolment.
+const describeFeeStructure = (feeStructure, locationNames) => {
+  const variant = [feeStructure.mode, feeStructure.locationId && locationNames.get(feeStructure.locationId.toString()), feeStructure.grade].filter(Boolean);
+  return `${feeStructure.courseName} fee${variant.length > 0 ? ` (${variant.join(', ')})` : ''}`;
+};
+
+// Line items for one invoice: the gross fee followed by every discount that applies on `periodStart`.
+// Discounts are all worked out on the gross fee rather than compounded, only the best sibling rule is
+// used, and the net never goes below zero. `scholarships` should already be limited to the course. With a
+// `proration` the fee line is the prorated share and the discounts are worked out on that.
+const calculateInvoiceLineItems = (feeStructure, { periodStart, siblingNumber = 1, scholarships = [], description = `${feeStructure.courseName} fee`, proration = null }) => {
+  const gross = proration ? roundAmount(feeStructure.amount * proration.billedUnits / proration.totalUnits) : feeStructure.amount;
+  const on = toDateString(periodStart);
+  const candidates = [];
+  (feeStructure.discounts || []).filter(d => isValidOn(d, on)).forEach(d => {
+    candidates.push({ type: 'Discount', discount: d, description: `${d.name} (${describeDiscountValue(d, feeStructure.currency)})` });
+  });
+  const siblingRule = (feeStructure.siblingDiscounts || [])
+    .filter(r => r.siblingNumber <= siblingNumber)
+    .sort((a, b) => b.siblingNumber - a.siblingNumber)[0];
+  if (siblingRule) {
+    candidates.push({ type: 'Sibling', discount: siblingRule, description: `Sibling concession, ${ordinal(siblingNumber)} child (${describeDiscountValue(siblingRule, feeStructure.currency)})` });
+  }
+  scholarships
+    .filter(s => isValidOn(s, on))
+    .forEach(s => candidates.push({ type: 'Scholarship', discount: s, description: `${s.name} scholarship (${describeDiscountValue(s, feeStructure.currency)})` }));
+
+  const feeDescription = proration
+    ? `${description}, ${proration.billedUnits} of ${proration.totalUnits} ${proration.unit} from ${formatShortDate(parseDateString(proration.startDate))} (full fee ${feeStructure.amount} ${feeStructure.currency})`
+    : description;
+  const lineItems = [{ type: 'Fee', description: feeDescription, amount: gross }];
+  let net = gross;
+  for (const { type, discount, description } of candidates) {
+    const amount = Math.min(roundAmount(discount.type === 'Percentage' ? gross * discount.value / 100 : discount.value), net);
+    if (amount <= 0) continue;
+    lineItems.push({ type, description, amount });
+    net = roundAmount(net - amount);
+  }
+  return { grossAmount: gross, discountAmount: roundAmount(gross - net), amount: net, lineItems };
+};
+
+app.post(['/api/admin/invoices/generate', '/admin/invoices/generate'], ensureAdmin, async (req, res) => {
+  try {
+    const asOf = req.body?.asOf ? parseDateString(req.body.asOf) : new Date();
+    if (!asOf) return res.status(400).json({ message: 'The billing date must be in YYYY-MM-DD format.' });
+    asOf.setHours(0, 0, 0, 0);
+
+    const feeStructures = await FeeStructure.find();
+    const structureCourses = new Map(feeStructures.map(fs => [fs._id.toString(), fs.courseId.toString()]));
+    const locationNames = new Map((await Location.find().select('name').lean()).map(l => [l._id.toString(), l.name]));
+    const allStudents = await User.find({ role: 'Student', isDeleted: { $ne: true } });
+    const enrolments = await getStudentEnrolments(allStudents);
+    const students = allStudents.filter(s => enrolments.get(s._id.toString()).length > 0);
+    const siblingNumbers = await getSiblingNumbers(students);
+    const scholarshipsByStudent = new Map();
+    (await Scholarship.find({ studentId: { $in: students.map(s => s._id) } })).forEach(s => {
+      const key = s.studentId.toString();
+      scholarshipsByStudent.set(key, [...(scholarshipsByStudent.get(key) || []), s]);
+    });
+
+    let generatedCount = 0;
+    let creditedCount = 0;
+    let waivedCount = 0;
+    for (const student of students) {
+      const joinDate = parseDateString(student.dateOfJoining);
+      for (const enrolment of enrolments.get(student._id.toString())) {
+        const match = findFeeStructure(feeStructures, { enrolment, grade: student.grade, asOf, joinDate });
+        if (!match) continue;
+        const { feeStructure, period } = match;
+        // Billing starts when the student joined or, if later, when their batch started.
+        const startDate = [joinDate, enrolment.startDate].filter(Boolean).sort((a, b) => b - a)[0];
+        // Nothing to bill for a period that ended before the student started.
+        if (startDate && startDate > period.end) continue;
+        const proration = feeStructure.prorationPolicy === 'Full' ? null : calculateProration(feeStructure, period, startDate);
+        if (proration && feeStructure.prorationPolicy === 'Waive') {
+          waivedCount++;
+          continue;
+        }
+
+        // Matched by course rather than structure so a change of batch or price never bills a period twice.
+        const existingInvoice = await Invoice.findOne({
+          studentId: student._id,
+          courseName: feeStructure.courseName,
+          $or: [{ periodStart: period.start }, { periodStart: { $exists: false }, billingPeriod: period.label }],
+        });
+        if (existingInvoice) continue;
+
+        const dueDate = new Date(period.start);
+        dueDate.setDate(dueDate.getDate() + INVOICE_DUE_AFTER_DAYS);
+
+        const charges = calculateInvoiceLineItems(feeStructure, {
+          periodStart: period.start,
+          siblingNumber: siblingNumbers.get(student._id.toString()),
+          scholarships: (scholarshipsByStudent.get(student._id.toString()) || [])
+            .filter(s => !s.feeStructureId || structureCourses.get(s.feeStructureId.toString()) === feeStructure.courseId.toString()),
+          description: describeFeeStructure(feeStructure, locationNames),
+          proration,
+        });
+
+        let invoice;
+        try {
+          const draft = new Invoice({
+            studentId: student._id,
+            feeStructureId: feeStructure._id,
+            courseName: feeStructure.courseName,
+            ...charges,
+            proration,
+            gst: getInvoiceGst(student, feeStructure.currency),
+            currency: feeStructure.currency,
+            issueDate: new Date(),
+            dueDate,
+            billingPeriod: period.label,
+            billingCycle: feeStructure.billingCycle,
+            periodStart: period.start,
+            periodEnd: period.end,
+            // Fully discounted invoices have nothing left to collect.
+            status: charges.amount > 0 ? 'Pending' : 'Paid',
+          });
+          // The number is taken in the insert's transaction: a duplicate insert rolls it back with the invoice.
+          // Mongoose's transaction() resets the draft if the transaction is retried, so the retry inserts it again.
+          await mongoose.connection.transaction(async (dbSession) => {
+            draft.invoiceNumber = await nextInvoiceNumber(draft.issueDate, dbSession);
+            invoice = await draft.save({ session: dbSession });
+          });
+          generatedCount++;
+        } catch (error) {
+          // A concurrent run already billed this period.
+          if (error.code !== 11000) throw error;
+          continue;
+        }
+        if (await applyFamilyCredit(invoice) > 0) creditedCount++;
+      }
+    }
+
+    const credited = creditedCount > 0 ? ` ${creditedCount} were paid in full or in part from family credit.` : '';
+    const waived = waivedCount > 0 ? ` ${waivedCount} part period${waivedCount !== 1 ? 's were' : ' was'} not billed for students who started part way through.` : '';
+    res.status(201).json({ message: `${generatedCount} new invoices generated for the billing periods covering ${formatShortDate(asOf)}.${credited}${waived}` });
+  } catch (error) {
+    console.error('Invoice generation error:', error);
+    res.status(500).json({ message: 'Server error during invoice generation.' });
+  }
+});
+
+/* Invoice payments */
+// Moves a legacy `paymentDetails` into the ledger so it can be reversed alongside newer entries.
+const seedLedgerFromLegacyPayment = (invoice) => {
+  if (!invoice.paymentDetails) return;
+  if (invoice.payments.length === 0) {
+    const { id, ...entry } = legacyLedgerEntry(invoice.paymentDetails, invoice._id);
+    invoice.payments.push({ _id: id, ...entry });
+  }
+  invoice.paymentDetails = undefined;
+};
+
+// Recomputes the amount paid from the ledger and derives the status from it. Overpayments are kept
+// as recorded and show up as a negative balance due. Anything still owed past the due date is
+// Overdue, however much of it has been paid.
+const applyLedger = (invoice, now = new Date()) => {
+  const paid = invoice.payments.reduce((sum, p) => sum + (p.type === 'Payment' ? p.amount : -p.amount), 0);
+  invoice.amountPaid = roundAmount(paid);
+  if (invoice.amountPaid >= invoice.amount) invoice.status = 'Paid';
+  else if (invoice.dueDate < startOfDay(now)) invoice.status = 'Overdue';
+  else invoice.status = invoice.amountPaid > 0 ? 'PartiallyPaid' : 'Pending';
+};
+
+const findInvoiceForLedger = async (id, dbSession) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const invoice = await Invoice.findById(id).session(dbSession || null);
+  if (invoice) seedLedgerFromLegacyPayment(invoice);
+  return invoice;
+};
+
+// Loads an invoice, applies `change` and saves it, starting again from a fresh read when another write
+// got in first. `change` returns `{ status, message }` to stop without saving.
+const INVOICE_SAVE_ATTEMPTS = 3;
+const updateInvoiceLedger = async (id, change, dbSession) => {
+  for (let attempt = 1; ; attempt++) {
+    const invoice = await findInvoiceForLedger(id, dbSession);
+    if (!invoice) return { status: 404, message: 'Invoice not found.' };
+    const rejection = await change(invoice);
+    if (rejection) return rejection;
+    try {
+      await invoice.save({ session: dbSession });
+      return { invoice };
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt === INVOICE_SAVE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const INVOICE_CHANGED_MESSAGE = 'This invoice was changed by someone else at the same time. Please reload it and try again.';
+
+app.post(['/api/admin/invoices/:id/payments', '/admin/invoices/:id/payments'], ensureAdmin, async (req, res) => {
+  try {
+    const { amount, paymentDate, paymentMethod, referenceNumber, notes } = req.body;
+    if (!(Number(amount) > 0)) return res.status(400).json({ message: 'Payment amount must be greater than zero.' });
+    if (!paymentDate || !MANUAL_PAYMENT_METHODS.includes(paymentMethod)) return res.status(400).json({ message: 'Payment date and a valid payment method are required.' });
+
+    const { invoice, status, message } = await updateInvoiceLedger(req.params.id, (current) => {
+      current.payments.push({
+        type: 'Payment',
+        amount: roundAmount(Number(amount)),
+        paymentDate,
+        paymentMethod,
+        referenceNumber,
+        notes,
+        recordedBy: req.user.id,
+      });
+      applyLedger(current);
+    });
+    if (!invoice) return res.status(status).json({ message });
+    await invoice.populate('studentId', 'name email');
+    res.status(201).json(invoice);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    if (error.name === 'VersionError') return res.status(409).json({ message: INVOICE_CHANGED_MESSAGE });
+    console.error('Record payment error:', error);
+    res.status(500).json({ message: 'Server error recording payment.' });
+  }
+});
+
+app.post(['/api/admin/invoices/:id/payments/:paymentId/reverse', '/admin/invoices/:id/payments/:paymentId/reverse'], ensureAdmin, async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ message: 'A reason is required to reverse a payment.' });
+
+    // A returned family credit is written in the same transaction as the reversal.
+    let payment;
+    const { invoice, status, message } = await mongoose.connection.transaction(async (dbSession) => {
+      const result = await updateInvoiceLedger(req.params.id, (current) => {
+        payment = current.payments.find(p => p.id === req.params.paymentId);
+        if (!payment || payment.type !== 'Payment') return { status: 404, message: 'Payment not found on this invoice.' };
+        if (current.payments.some(p => p.type === 'Reversal' && p.reversesPaymentId && p.reversesPaymentId.equals(payment._id))) {
+          return { status: 409, message: 'This payment has already been reversed.' };
+        }
+        current.payments.push({
+          type: 'Reversal',
+          amount: payment.amount,
+          paymentDate: new Date(),
+          reversesPaymentId: payment._id,
+          reason,
+          recordedBy: req.user.id,
+        });
+        applyLedger(current);
+      }, dbSession);
+      if (result.invoice && payment.paymentMethod === 'Family Credit') {
+        await new FamilyCredit({
+          studentId: result.invoice.studentId,
+          invoiceId: result.invoice._id,
+          amount: payment.amount,
+          currency: result.invoice.currency,
+          description: `Returned from reversed payment on invoice ${result.invoice.invoiceNumber || result.invoice.billingPeriod}`,
+          createdBy: req.user.id,
+        }).save({ session: dbSession });
+      }
+      return result;
+    });
+    if (!invoice) return res.status(status).json({ message });
+    await invoice.populate('studentId', 'name email');
+    res.json(invoice);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    if (error.name === 'VersionError') return res.status(409).json({ message: INVOICE_CHANGED_MESSAGE });
+    console.error('Reverse payment error:', error);
+    res.status(500).json({ message: 'Server error reversing payment.' });
+  }
+});
+
+/* Credit notes and refunds */
+const nextCreditNoteNumber = async () => `CN-${String(await nextSequence('creditNote')).padStart(6, '0')}`;
+
+// Invoices from before line items only carry their amount; it becomes the fee line so later lines add up.
+const ensureFeeLineItem = (invoice) => {
+  if (invoice.lineItems.length === 0) invoice.lineItems.push({ type: 'Fee', description: `${invoice.courseName} fee`, amount: invoice.amount });
+};
+
+// Credit is pooled across a family: these are the students of every family the student belongs to.
+const getCreditAccountStudentIds = async (studentId) => {
+  const families = await Family.find({ studentIds: studentId }).select('studentIds').lean();
+  const ids = new Map(families.flatMap(f => f.studentIds).map(id => [id.toString(), id]));
+  ids.set(studentId.toString(), new mongoose.Types.ObjectId(studentId.toString()));
+  return Array.from(ids.values());
+};
+
+const getCreditBalances = async (studentIds, dbSession) => {
+  const totals = await FamilyCredit.aggregate([
+    { $match: { studentId: { $in: studentIds } } },
+    { $group: { _id: '$currency', balance: { $sum: '$amount' } } },
+  ]).session(dbSession || null);
+  return totals.map(t => ({ currency: t._id, balance: roundAmount(t.balance) })).filter(t => t.balance > 0);
+};
+
+// Pays as much of a newly generated invoice as the family's credit in that currency covers. The balance
+// read, the debit and the invoice payment share a transaction that first bumps a counter for every
+// student in the account, so two invoices drawing on the same balance conflict and one is retried
+// against what the other left.
+const applyFamilyCredit = async (invoice) => {
+  if (invoice.amount <= 0) return 0;
+  const studentIds = await getCreditAccountStudentIds(invoice.studentId);
+  return mongoose.connection.transaction(async (dbSession) => {
+    for (const id of studentIds) await nextSequence(`familyCredit/${id}`, dbSession);
+    const credit = (await getCreditBalances(studentIds, dbSession)).find(b => b.currency === invoice.currency);
+    if (!credit) return 0;
+    let amount = 0;
+    const { invoice: updated } = await updateInvoiceLedger(invoice._id, (current) => {
+      amount = roundAmount(Math.min(credit.balance, current.amount - current.amountPaid));
+      if (amount <= 0) return { status: 409, message: 'Nothing is left to pay on this invoice.' };
+      current.payments.push({ type: 'Payment', amount, paymentDate: new Date(), paymentMethod: 'Family Credit', notes: 'Paid from the family credit balance' });
+      applyLedger(current);
+    }, dbSession);
+    if (!updated) return 0;
+    await new FamilyCredit({
+      studentId: updated.studentId,
+      invoiceId: updated._id,
+      amount: -amount,
+      currency: updated.currency,
+      description: `Applied to invoice ${updated.invoiceNumber || updated.billingPeriod}`,
+    }).save({ session: dbSession });
+    return amount;
+  });
+};
+
+app.post(['/api/admin/invoices/:id/credit-notes', '/admin/invoices/:id/credit-notes'], ensureAdmin, async (req, res) => {
+  try {
+    const amount = roundAmount(Number(req.body.amount));
+    const reason = (req.body.reason || '').trim();
+    if (!(amount > 0) || !reason) return res.status(400).json({ message: 'A credit note needs an amount greater than zero and a reason.' });
+
+    let creditNote;
+    const { invoice, status, message } = await updateInvoiceLedger(req.params.id, async (current) => {
+      if (amount > current.amount) return { status: 400, message: `A credit note cannot exceed the invoice amount of ${current.amount} ${current.currency}.` };
+      creditNote = creditNote || await new CreditNote({
+        creditNoteNumber: await nextCreditNoteNumber(),
+        invoiceId: current._id,
+        studentId: current.studentId,
+        amount,
+        currency: current.currency,
+        reason,
+        issuedBy: req.user.id,
+      }).save();
+      ensureFeeLineItem(current);
+      current.lineItems.push({ type: 'CreditNote', description: `Credit note ${creditNote.creditNoteNumber}: ${reason}`, amount });
+      current.amount = roundAmount(current.amount - amount);
+      applyLedger(current);
+    });
+    if (!invoice) {
+      if (creditNote) await CreditNote.deleteOne({ _id: creditNote._id });
+      return res.status(status).json({ message });
+    }
+    await invoice.populate('studentId', 'name email');
+    res.status(201).json(invoice);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    if (error.name === 'VersionError') return res.status(409).json({ message: INVOICE_CHANGED_MESSAGE });
+    console.error('Credit note error:', error);
+    res.status(500).json({ message: 'Server error issuing the credit note.' });
+  }
+});
+
+// Settles an overpayment: the money goes back to the payer, or into the family credit balance for the next invoice.
+app.post(['/api/admin/invoices/:id/refunds', '/admin/invoices/:id/refunds'], ensureAdmin, async (req, res) => {
+  try {
+    const { paymentDate, paymentMethod, referenceNumber } = req.body;
+    const amount = roundAmount(Number(req.body.amount));
+    const reason = (req.body.reason || '').trim();
+    if (!(amount > 0)) return res.status(400).json({ message: 'Refund amount must be greater than zero.' });
+    if (!paymentDate || !REFUND_METHODS.includes(paymentMethod)) return res.status(400).json({ message: 'Refund date and a valid refund method are required.' });
+    if (!reason) return res.status(400).json({ message: 'A reason is required for a refund.' });
+
+    // The refund and any family credit it creates are written in one transaction.
+    const { invoice, status, message } = await mongoose.connection.transaction(async (dbSession) => {
+      const result = await updateInvoiceLedger(req.params.id, (current) => {
+        applyLedger(current);
+        const overpaid = roundAmount(current.amountPaid - current.amount);
+        if (overpaid <= 0) return { status: 400, message: 'Nothing has been overpaid on this invoice. Issue a credit note first if the fee should be reduced.' };
+        if (amount > overpaid) return { status: 400, message: `Only ${overpaid} ${current.currency} has been overpaid on this invoice.` };
+        current.payments.push({
+          type: 'Refund',
+          amount,
+          paymentDate,
+          paymentMethod,
+          referenceNumber,
+          reason,
+          recordedBy: req.user.id,
+        });
+        applyLedger(current);
+      }, dbSession);
+      if (result.invoice && paymentMethod === 'Family Credit') {
+        await new FamilyCredit({
+          studentId: result.invoice.studentId,
+          invoiceId: result.invoice._id,
+          amount,
+          currency: result.invoice.currency,
+          description: `Overpayment on invoice ${result.invoice.invoiceNumber || result.invoice.billingPeriod}: ${reason}`,
+          createdBy: req.user.id,
+        }).save({ session: dbSession });
+      }
+      return result;
+    });
+    if (!invoice) return res.status(status).json({ message });
+    await invoice.populate('studentId', 'name email');
+    res.status(201).json(invoice);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    if (error.name === 'VersionError') return res.status(409).json({ message: INVOICE_CHANGED_MESSAGE });
+    console.error('Refund error:', error);
+    res.status(500).json({ message: 'Server error recording the refund.' });
+  }
+});
+
+app.get(['/api/admin/students/:studentId/credit', '/admin/students/:studentId/credit'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) return res.status(404).json({ message: 'Student not found.' });
+    const studentIds = await getCreditAccountStudentIds(req.params.studentId);
+    const entries = await FamilyCredit.find({ studentId: { $in: studentIds } }).sort({ createdAt: -1 });
+    res.json({ balances: await getCreditBalances(studentIds), entries });
+  } catch (error) {
+    console.error('Family credit error:', error);
+    res.status(500).json({ message: 'Server error fetching the credit balance.' });
+  }
+});
+
+app.get(['/api/family/credit', '/family/credit'], ensureAuthenticated, async (req, res) => {
+  try {
+    const memberIds = await getFamilyMemberIds(req.user);
+    const studentIds = memberIds.map(id => new mongoose.Types.ObjectId(id));
+    const entries = await FamilyCredit.find({ studentId: { $in: studentIds } }).sort({ createdAt: -1 });
+    res.json({ balances: await getCreditBalances(studentIds), entries });
+  } catch (error) {
+    console.error('Family credit error:', error);
+    res.status(500).json({ message: 'Server error fetching the credit balance.' });
+  }
+});
+
+/* Invoice documents */
+const ACADEMY_DETAILS = {
+  name: process.env.ACADEMY_NAME || 'Nadanaloga',
+  address: process.env.ACADEMY_ADDRESS || '',
+  phone: process.env.ACADEMY_PHONE || '',
+  email: process.env.ACADEMY_EMAIL || 'contact@nadanaloga.com',
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// New invoices are numbered as they are inserted; older ones are numbered at setup by numberLegacyInvoices.
+// Until that has finished, an unnumbered invoice has no documents.
+const INVOICE_NOT_NUMBERED_MESSAGE = 'This invoice is still being assigned a number. Please try again in a few minutes.';
+
+// Receipts are numbered after their invoice: the second payment on NDL/2026-27/00042 is NDL/2026-27/00042-R2.
+const getReceiptNumber = (invoice, payment) => {
+  const position = invoice.payments.filter(p => p.type === 'Payment').findIndex(p => p._id.equals(payment._id)) + 1;
+  return `${invoice.invoiceNumber}-R${position}`;
+};
+
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  draw(doc);
+  doc.end();
+});
+
+const drawLetterhead = (doc, title, fields, gstin) => {
+  const contact = [ACADEMY_DETAILS.address, ACADEMY_DETAILS.phone, ACADEMY_DETAILS.email, gstin && `GSTIN: ${gstin}`].filter(Boolean);
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#333333').text(ACADEMY_DETAILS.name, 50, 50);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  contact.forEach(line => doc.text(line));
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#333333').text(title, 300, 50, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  fields.forEach(([label, value]) => doc.text(`${label}: ${value}`, { width: 245, align: 'right' }));
+  const y = Math.max(doc.y, 50 + 24 + contact.length * 11) + 15;
+  doc.moveTo(50, y).lineTo(545, y).strokeColor('#cccccc').stroke();
+  doc.x = 50;
+  doc.y = y + 15;
+};
+
+const drawDetails = (doc, rows) => {
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text(label, 50, y, { width: 140 });
+    doc.font('Helvetica').text(String(value ?? '-'), 190, y, { width: 355 });
+    doc.moveDown(0.3);
+  });
+  doc.x = 50;
+  doc.moveDown();
+};
+
+const drawAmountRows = (doc, heading, rows, total) => {
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#333333').text(heading, 50);
+  doc.moveDown(0.4);
+  rows.forEach(([description, amount]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor('#333333').text(description, 50, y, { width: 370 });
+    const nextY = doc.y;
+    doc.text(amount, 420, y, { width: 125, align: 'right' });
+    doc.y = Math.max(nextY, doc.y) + 4;
+  });
+  if (total) {
+    doc.moveTo(300, doc.y).lineTo(545, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.4);
+    total.forEach(([label, amount]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(label, 300, y, { width: 120 });
+      doc.text(amount, 420, y, { width: 125, align: 'right' });
+      doc.moveDown(0.3);
+    });
+  }
+  doc.x = 50;
+  doc.moveDown();
+};
+
+const drawFooter = (doc, note) => {
+  doc.font('Helvetica').fontSize(8).fillColor('#888888')
+    .text(note, 50, doc.page.height - 80, { width: 495, align: 'center' });
+};
+
+const isChargeLine = (item) => item.type === 'Fee' || item.type === 'LateFee';
+
+const describeBillingPeriod = (invoice) => invoice.periodStart && invoice.periodEnd
+  ? `${invoice.billingPeriod} (${formatShortDate(invoice.periodStart)} - ${formatShortDate(invoice.periodEnd)})`
+  : invoice.billingPeriod;
+
+// Expects `studentId` to be populated, the invoice numbered and any legacy payment moved into the ledger.
+const renderInvoicePdf = async (invoice) => {
+  const upiRequest = getUpiPaymentRequest(invoice);
+  const upiQrCode = upiRequest && await QRCode.toBuffer(upiRequest.uri, { margin: 1, width: 300 });
+  return renderPdf(doc => {
+    const currency = invoice.currency;
+    const lineItems = invoice.lineItems && invoice.lineItems.length > 0
+      ? invoice.lineItems
+      : [{ type: 'Fee', description: `${invoice.courseName} fee`, amount: invoice.amount }];
+
+    const gst = invoice.gst && { ...invoice.gst.toObject(), ...calculateGst(invoice.amount, invoice.gst) };
+
+    drawLetterhead(doc, gst ? 'TAX INVOICE' : 'INVOICE', [
+      ['Invoice No', invoice.invoiceNumber],
+      ['Issue Date', formatShortDate(invoice.issueDate)],
+      ['Due Date', formatShortDate(invoice.dueDate)],
+    ], gst && gst.gstin);
+    drawDetails(doc, [
+      ['Billed To', invoice.studentId.name],
+      ['Email', invoice.studentId.email],
+      ['Course', invoice.courseName],
+      ['Billing Period', describeBillingPeriod(invoice)],
+      ...(gst ? [['Place of Supply', gst.placeOfSupply || '-'], ['SAC', gst.sacCode || '-']] : []),
+      ['Status', invoice.status === 'PartiallyPaid' ? 'Partially Paid' : invoice.status],
+    ]);
+    const taxRows = !gst ? [] : gst.interState
+      ? [['Taxable Value', formatMoney(gst.taxableAmount, currency)], [`IGST @ ${gst.rate}%`, formatMoney(gst.igst, currency)]]
+      : [['Taxable Value', formatMoney(gst.taxableAmount, currency)], [`CGST @ ${gst.rate / 2}%`, formatMoney(gst.cgst, currency)], [`SGST @ ${gst.rate / 2}%`, formatMoney(gst.sgst, currency)]];
+    drawAmountRows(doc, 'Charges',
+      lineItems.map(item => [item.description, isChargeLine(item) ? formatMoney(item.amount, currency) : `- ${formatMoney(item.amount, currency)}`]),
+      [...taxRows, [gst ? 'Total (incl. GST)' : 'Total', formatMoney(invoice.amount, currency)]]);
+    if (invoice.payments.length > 0) {
+      drawAmountRows(doc, 'Payments',
+        invoice.payments.map(p => p.type !== 'Payment'
+          ? [`${formatShortDate(p.paymentDate)} - ${p.type === 'Refund' ? `Refund (${p.paymentMethod})` : 'Reversal'}: ${p.reason}`, `+ ${formatMoney(p.amount, currency)}`]
+          : [`${formatShortDate(p.paymentDate)} - ${p.paymentMethod}${p.referenceNumber ? ` (Ref: ${p.referenceNumber})` : ''}`, `- ${formatMoney(p.amount, currency)}`]),
+        [['Amount Paid', formatMoney(invoice.amountPaid, currency)], ['Balance Due', formatMoney(roundAmount(invoice.amount - invoice.amountPaid), currency)]]);
+    }
+    if (upiRequest) drawUpiPaymentBlock(doc, upiRequest, upiQrCode);
+    drawFooter(doc, 'This is a computer-generated invoice and does not require a signature.');
+  });
+};
+
+const renderReceiptPdf = (invoice, payment) => renderPdf(doc => {
+  const currency = invoice.currency;
+  const reversal = invoice.payments.find(p => p.type === 'Reversal' && p.reversesPaymentId && p.reversesPaymentId.equals(payment._id));
+
+  drawLetterhead(doc, 'PAYMENT RECEIPT', [
+    ['Receipt No', getReceiptNumber(invoice, payment)],
+    ['Payment Date', formatShortDate(payment.paymentDate)],
+  ], invoice.gst && invoice.gst.gstin);
+  drawDetails(doc, [
+    ['Received From', invoice.studentId.name],
+    ['Amount Received', formatMoney(payment.amount, currency)],
+    ['Payment Method', payment.paymentMethod],
+    ['Reference', payment.referenceNumber || '-'],
+    ['Against Invoice', invoice.invoiceNumber],
+    ['Course', invoice.courseName],
+    ['Billing Period', describeBillingPeriod(invoice)],
+    ['Balance Due', formatMoney(roundAmount(invoice.amount - invoice.amountPaid), currency)],
+  ]);
+  if (reversal) {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#b91c1c')
+      .text(`This payment was reversed on ${formatShortDate(reversal.paymentDate)}: ${reversal.reason}`, 50);
+  }
+  drawFooter(doc, 'This is a computer-generated receipt and does not require a signature.');
+});
+
+// Document numbers such as NDL/2026-27/00042 contain slashes, which are not allowed in file names.
+const pdfFilename = (documentNumber) => `${documentNumber.replace(/\//g, '-')}.pdf`;
+
+const sendPdf = (res, filename, buffer) => {
+  res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+  res.send(buffer);
+};
+
+// Loads an invoice for a document download, moving a legacy payment into the ledger so it gets a receipt too.
+const findInvoiceForDocument = async (filter) => {
+  const invoice = await Invoice.findOne(filter).populate('studentId', 'name email');
+  if (!invoice || !invoice.studentId) return null;
+  if (invoice.paymentDetails) {
+    seedLedgerFromLegacyPayment(invoice);
+    applyLedger(invoice);
+    await invoice.save();
+  }
+  return invoice;
+};
+
+const sendInvoiceDocument = async (req, res, filter) => {
+  try {
+    const invoice = await findInvoiceForDocument(filter);
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found.' });
+    if (!invoice.invoiceNumber) return res.status(503).json({ message: INVOICE_NOT_NUMBERED_MESSAGE });
+    sendPdf(res, pdfFilename(invoice.invoiceNumber), await renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    res.status(500).json({ message: 'Server error generating the invoice PDF.' });
+  }
+};
+
+const sendReceiptDocument = async (req, res, filter) => {
+  try {
+    const invoice = await findInvoiceForDocument(filter);
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found.' });
+    if (!invoice.invoiceNumber) return res.status(503).json({ message: INVOICE_NOT_NUMBERED_MESSAGE });
+    const payment = invoice.payments.find(p => p.id === req.params.paymentId && p.type === 'Payment');
+    if (!payment) return res.status(404).json({ message: 'Payment not found on this invoice.' });
+    sendPdf(res, pdfFilename(getReceiptNumber(invoice, payment)), await renderReceiptPdf(invoice, payment));
+  } catch (error) {
+    console.error('Receipt PDF error:', error);
+    res.status(500).json({ message: 'Server error generating the receipt PDF.' });
+  }
+};
+
+const invoiceIdFilter = (id) => mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { _id: null };
+
+app.get(['/api/admin/invoices/:id/pdf', '/admin/invoices/:id/pdf'], ensureAdmin, (req, res) => {
+  sendInvoiceDocument(req, res, invoiceIdFilter(req.params.id));
+});
+app.get(['/api/admin/invoices/:id/payments/:paymentId/receipt', '/admin/invoices/:id/payments/:paymentId/receipt'], ensureAdmin, (req, res) => {
+  sendReceiptDocument(req, res, invoiceIdFilter(req.params.id));
+});
+app.get(['/api/family/students/:studentId/invoices/:invoiceId/pdf', '/family/students/:studentId/invoices/:invoiceId/pdf'], ensureAuthenticated, ensureStudentInFamily, (req, res) => {
+  sendInvoiceDocument(req, res, { ...invoiceIdFilter(req.params.invoiceId), studentId: req.student._id });
+});
+app.get(['/api/family/students/:studentId/invoices/:invoiceId/payments/:paymentId/receipt', '/family/students/:studentId/invoices/:invoiceId/payments/:paymentId/receipt'], ensureAuthenticated, ensureStudentInFamily, (req, res) => {
+  sendReceiptDocument(req, res, { ...invoiceIdFilter(req.params.invoiceId), studentId: req.student._id });
+});
+
+/* UPI payments */
+// UPI is offered on INR invoices only, and only once UPI_VPA is configured.
+const UPI_DETAILS = {
+  vpa: process.env.UPI_VPA || '',
+  payeeName: process.env.UPI_PAYEE_NAME || ACADEMY_DETAILS.name,
+};
+
+// Builds the UPI intent for what is still owed on a numbered invoice. The invoice number goes into both the
+// transaction reference and the note, which is the part most bank statements show.
+const getUpiPaymentRequest = (invoice) => {
+  const amount = roundAmount(invoice.amount - (invoice.amountPaid || 0));
+  if (!UPI_DETAILS.vpa || invoice.currency !== 'INR' || amount <= 0 || !invoice.invoiceNumber) return null;
+  const note = `${invoice.invoiceNumber} ${invoice.courseName} fee`.slice(0, 50);
+  const params = new URLSearchParams({ pa: UPI_DETAILS.vpa, pn: UPI_DETAILS.payeeName, am: amount.toFixed(2), cu: 'INR', tr: invoice.invoiceNumber, tn: note });
+  // UPI apps expect spaces as %20 rather than the form-style '+', and the '@' of the VPA left as is.
+  const uri = `upi://pay?${params.toString().replace(/\+/g, '%20').replace(/%40/g, '@')}`;
+  return { uri, vpa: UPI_DETAILS.vpa, payeeName: UPI_DETAILS.payeeName, amount, currency: 'INR', reference: invoice.invoiceNumber, note };
+};
+
+const drawUpiPaymentBlock = (doc, upiRequest, qrCode) => {
+  const size = 110;
+  if (doc.y + size + 20 > doc.page.height - 100) doc.addPage();
+  const y = doc.y;
+  doc.image(qrCode, 50, y, { width: size });
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#333333').text('Pay by UPI', 175, y + 10);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Scan with any UPI app to pay ${formatMoney(upiRequest.amount, upiRequest.currency)} to ${upiRequest.payeeName} (${upiRequest.vpa}).`, 175, doc.y + 4, { width: 370 })
+    .text(`Please keep the reference ${upiRequest.reference} in the payment note so we can match your payment.`, { width: 370 });
+  doc.x = 50;
+  doc.y = y + size + 20;
+};
+
+app.get(['/api/family/students/:studentId/invoices/:invoiceId/upi', '/family/students/:studentId/invoices/:invoiceId/upi'], ensureAuthenticated, ensureStudentInFamily, async (req, res) => {
+  try {
+    const invoice = await findInvoiceForDocument({ ...invoiceIdFilter(req.params.invoiceId), studentId: req.student._id });
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found.' });
+    if (!invoice.invoiceNumber) return res.status(503).json({ message: INVOICE_NOT_NUMBERED_MESSAGE });
+    const upiRequest = getUpiPaymentRequest(invoice);
+    if (!upiRequest) return res.status(404).json({ message: 'UPI payment is not available for this invoice.' });
+    res.json({ ...upiRequest, qrCode: await QRCode.toDataURL(upiRequest.uri, { margin: 1, width: 300 }) });
+  } catch (error) {
+    console.error('UPI request error:', error);
+    res.status(500).json({ message: 'Server error preparing the UPI payment.' });
+  }
+});
+
+// Compares invoice numbers ignoring case, spaces and punctuation, which banks often strip from UPI notes.
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Matches bank statement lines ({ paymentDate, amount, transactionId, description }) to invoices by the invoice
+// number found in the description. Nothing is recorded here; the admin confirms the matches first.
+const matchUpiTransactions = async (transactions) => {
+  const numbered = await Invoice.find({ invoiceNumber: { $exists: true } }, 'invoiceNumber').lean();
+  const references = numbered.map(inv => ({ id: inv._id, key: normalizeReference(inv.invoiceNumber) }))
+    .sort((a, b) => b.key.length - a.key.length);
+
+  const matchedIds = new Set();
+  const candidates = transactions.map(transaction => {
+    const description = normalizeReference(transaction.description);
+    const reference = references.find(r => description.includes(r.key));
+    if (reference) matchedIds.add(reference.id.toString());
+    return { transaction, invoiceId: reference ? reference.id.toString() : null };
+  });
+
+  const invoices = await Invoice.find({ _id: { $in: [...matchedIds] } }).populate('studentId', 'name');
+  const invoicesById = new Map(invoices.map(inv => [inv.id, inv]));
+  return candidates.map(({ transaction, invoiceId }) => {
+    const amount = roundAmount(Number(transaction.amount));
+    const invoice = invoiceId && invoicesById.get(invoiceId);
+    if (!invoice) return { ...transaction, amount, status: 'Unmatched' };
+    const { balanceDue, payments } = invoice.toJSON();
+    const alreadyRecorded = !!transaction.transactionId && payments.some(p => p.referenceNumber === transaction.transactionId);
+    let status = 'Matched';
+    if (alreadyRecorded) status = 'AlreadyRecorded';
+    else if (balanceDue <= 0) status = 'AlreadyPaid';
+    else if (amount < balanceDue) status = 'Partial';
+    else if (amount > balanceDue) status = 'Overpaid';
+    return {
+      ...transaction,
+      amount,
+      status,
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      studentName: invoice.studentId ? invoice.studentId.name : undefined,
+      courseName: invoice.courseName,
+      balanceDue,
+    };
+  });
+};
+
+const parseUpiTransactions = (body) => {
+  const transactions = Array.isArray(body.transactions) ? body.transactions : [];
+  return transactions.map(t => ({
+    paymentDate: t.paymentDate,
+    amount: t.amount,
+    transactionId: t.transactionId ? String(t.transactionId).trim() : '',
+    description: t.description ? String(t.description) : '',
+  }));
+};
+
+app.post(['/api/admin/invoices/upi-reconciliation/match', '/admin/invoices/upi-reconciliation/match'], ensureAdmin, async (req, res) => {
+  try {
+    const transactions = parseUpiTransactions(req.body);
+    if (transactions.length === 0) return res.status(400).json({ message: 'Add at least one transaction to match.' });
+    if (transactions.some(t => !(Number(t.amount) > 0))) return res.status(400).json({ message: 'Every transaction needs an amount greater than zero.' });
+    res.json(await matchUpiTransactions(transactions));
+  } catch (error) {
+    console.error('UPI matching error:', error);
+    res.status(500).json({ message: 'Server error matching UPI payments.' });
+  }
+});
+
+// Records confirmed matches as UPI payments. Transactions already on the invoice (same transaction ID) are
+// skipped, so importing the same statement twice is harmless. Every payment is checked before any is saved and the
+// saves share one transaction, so a statement is recorded in full or not at all.
+app.post(['/api/admin/invoices/upi-reconciliation/record', '/admin/invoices/upi-reconciliation/record'], ensureAdmin, async (req, res) => {
+  try {
+    const matches = Array.isArray(req.body.matches) ? req.body.matches : [];
+    if (matches.length === 0) return res.status(400).json({ message: 'Select at least one payment to record.' });
+    if (matches.some(m => !m.invoiceId || !m.paymentDate || !(Number(m.amount) > 0))) {
+      return res.status(400).json({ message: 'Every payment needs an invoice, a date and an amount greater than zero.' });
+    }
+    const invalidDate = matches.findIndex(m => Number.isNaN(new Date(m.paymentDate).getTime()));
+    if (invalidDate !== -1) return res.status(400).json({ message: `Payment ${invalidDate + 1} has an invalid date. Nothing was recorded.` });
+
+    const invoices = new Map();
+    const changed = new Set();
+    let recorded = 0;
+    let skipped = 0;
+    for (const [index, match] of matches.entries()) {
+      const invoiceId = String(match.invoiceId);
+      if (!invoices.has(invoiceId)) invoices.set(invoiceId, await findInvoiceForLedger(invoiceId));
+      const invoice = invoices.get(invoiceId);
+      const transactionId = match.transactionId ? String(match.transactionId).trim() : '';
+      if (!invoice || (transactionId && invoice.payments.some(p => p.referenceNumber === transactionId))) {
+        skipped++;
+        continue;
+      }
+      invoice.payments.push({
+        type: 'Payment',
+        amount: roundAmount(Number(match.amount)),
+        paymentDate: match.paymentDate,
+        paymentMethod: 'UPI',
+        referenceNumber: transactionId || undefined,
+        notes: match.description ? `Matched from bank statement: ${String(match.description).slice(0, 200)}` : 'Matched from bank statement',
+        recordedBy: req.user.id,
+      });
+      applyLedger(invoice);
+      try {
+        await invoice.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return res.status(400).json({ message: `Payment ${index + 1}: ${firstValidationMessage(error)} Nothing was recorded.` });
+      }
+      changed.add(invoice);
+      recorded++;
+    }
+
+    await mongoose.connection.transaction(async (dbSession) => {
+      for (const invoice of changed) await invoice.save({ session: dbSession });
+    });
+    res.json({ recorded, skipped, message: `Recorded ${recorded} UPI payment${recorded !== 1 ? 's' : ''}${skipped ? `, skipped ${skipped} already recorded or missing` : ''}.` });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') return res.status(400).json({ message: `${error.name === 'ValidationError' ? firstValidationMessage(error) : 'Invalid payment details.'} Nothing was recorded.` });
+    if (error.name === 'VersionError') return res.status(409).json({ message: 'One of these invoices was changed by someone else at the same time. Nothing was recorded; please run the reconciliation again.' });
+    console.error('UPI recording error:', error);
+    res.status(500).json({ message: 'Server error recording UPI payments.' });
+  }
+});
+
+/* Online payments */
+// A payment provider implements:
+//   createOrder({ orderId, amount, currency, description, apiBaseUrl }) -> { providerOrderId, checkoutUrl }
+//   verifyWebhook(rawBody, headers) -> { providerOrderId, providerPaymentId, status: 'paid' | 'failed', amount },
+//     throwing if the request is not signed by the provider.
+// Real gateways are added to `paymentProviders` and chosen with PAYMENT_PROVIDER.
+const signWebhookPayload = (rawBody, secret) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+const signaturesMatch = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Anyone holding this secret can sign webhooks that mark orders paid, so there is no default.
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || '';
+
+// Stands in for a real gateway during development: its checkout page lets you choose the outcome and
+// then delivers a signed webhook exactly as a provider would.
+const mockPaymentProvider = {
+  name: 'mock',
+  createOrder: async ({ orderId, apiBaseUrl }) => {
+    const providerOrderId = `mock_order_${orderId}`;
+    return { providerOrderId, checkoutUrl: `${apiBaseUrl}/payments/mock/checkout/${providerOrderId}` };
+  },
+  verifyWebhook: (rawBody, headers) => {
+    if (!signaturesMatch(headers['x-mock-signature'], signWebhookPayload(rawBody, PAYMENT_WEBHOOK_SECRET))) {
+      throw new Error('Invalid webhook signature.');
+    }
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return { providerOrderId: event.orderId, providerPaymentId: event.paymentId, status: event.status, amount: event.amount, currency: event.currency };
+  },
+};
+
+// The mock provider is only used implicitly outside production. Only the active provider is registered, so no other
+// provider's webhook endpoint accepts events.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'mock');
+const paymentProviders = {};
+if (PAYMENT_PROVIDER === 'mock') {
+  if (PAYMENT_WEBHOOK_SECRET) paymentProviders.mock = mockPaymentProvider;
+  else console.warn('[Payments] PAYMENT_WEBHOOK_SECRET is not set - online payments are off.');
+}
+const getPaymentProvider = () => paymentProviders[PAYMENT_PROVIDER] || null;
+
+const getApiBaseUrl = (req) => `${req.protocol}://${req.get('host')}/api`;
+
+// Records a verified webhook event, returning `{ order }`, or `{ status, message }` when the event is rejected. The
+// order is claimed before the ledger is touched, so a webhook delivered more than once still adds a single payment.
+const processPaymentEvent = async (provider, event) => {
+  const order = await PaymentOrder.findOne({ provider: provider.name, providerOrderId: event.providerOrderId });
+  if (!order) return { status: 404, message: 'Payment order not found.' };
+
+  if (event.status !== 'paid') {
+    await PaymentOrder.updateOne({ _id: order._id, status: 'Created' }, { status: 'Failed', completedAt: new Date() });
+    return { order };
+  }
+  // The payment recorded is always the order's amount; an event for any other sum is not this order's payment.
+  if (roundAmount(Number(event.amount)) !== roundAmount(order.amount) || event.currency !== order.currency) {
+    console.warn(`[Payments] Rejected ${provider.name} payment for ${order.providerOrderId}: ${event.amount} ${event.currency} does not match ${order.amount} ${order.currency}.`);
+    return { status: 400, message: 'Payment amount does not match the order.' };
+  }
+
+  const claimed = await PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: { $ne: 'Paid' } },
+    { status: 'Paid', providerPaymentId: event.providerPaymentId, completedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return { order };
+
+  try {
+    const { status } = await updateInvoiceLedger(order.invoiceId.toString(), (current) => {
+      if (current.payments.some(p => p.paymentOrderId && p.paymentOrderId.equals(order._id))) return { status: 409, message: 'Payment already recorded.' };
+      current.payments.push({
+        type: 'Payment',
+        amount: order.amount,
+        paymentDate: new Date(),
+        paymentMethod: 'Online',
+        referenceNumber: event.providerPaymentId,
+        notes: `Paid online (${provider.name} order ${order.providerOrderId})`,
+        paymentOrderId: order._id,
+        recordedBy: order.createdBy,
+      });
+      applyLedger(current);
+    });
+    if (status === 404) throw new Error(`Invoice ${order.invoiceId} for payment order ${order.providerOrderId} no longer exists.`);
+  } catch (error) {
+    // Release the claim so the provider's retry can record the payment.
+    await PaymentOrder.updateOne({ _id: order._id }, { status: order.status, completedAt: order.completedAt });
+    throw error;
+  }
+  return { order: claimed };
+};
+
+app.post(['/api/family/students/:studentId/invoices/:invoiceId/checkout', '/family/students/:studentId/invoices/:invoiceId/checkout'], ensureAuthenticated, ensureStudentInFamily, async (req, res) => {
+  const provider = getPaymentProvider();
+  if (!provider) return res.status(503).json({ message: 'Online payments are not available at the moment.' });
+  try {
+    const invoice = await Invoice.findOne({ ...invoiceIdFilter(req.params.invoiceId), studentId: req.student._id });
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found.' });
+    const { balanceDue } = invoice.toJSON();
+    if (balanceDue <= 0) return res.status(400).json({ message: 'This invoice has already been paid.' });
+
+    const order = new PaymentOrder({
+      invoiceId: invoice._id,
+      provider: provider.name,
+      providerOrderId: `pending_${new mongoose.Types.ObjectId().toHexString()}`,
+      amount: balanceDue,
+      currency: invoice.currency,
+      returnUrl: `${CLIENT_BASE_URL}/dashboard/student/payment-history`,
+      createdBy: req.user.id,
+    });
+    const { providerOrderId, checkoutUrl } = await provider.createOrder({
+      orderId: order.id,
+      amount: balanceDue,
+      currency: invoice.currency,
+      description: `${invoice.courseName} - ${invoice.billingPeriod}`,
+      apiBaseUrl: getApiBaseUrl(req),
+    });
+    order.providerOrderId = providerOrderId;
+    await order.save();
+    res.status(201).json({ orderId: order.id, checkoutUrl });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ message: 'Server error starting the payment.' });
+  }
+});
+
+app.post(['/api/payments/webhook/:provider', '/payments/webhook/:provider'], async (req, res) => {
+  const provider = paymentProviders[req.params.provider];
+  if (!provider) return res.status(404).json({ message: 'Unknown payment provider.' });
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody || Buffer.alloc(0), req.headers);
+  } catch (error) {
+    console.warn(`[Payments] Rejected ${req.params.provider} webhook:`, error.message);
+    return res.status(400).json({ message: 'Invalid webhook.' });
+  }
+  try {
+    const result = await processPaymentEvent(provider, event);
+    if (!result.order) return res.status(result.status).json({ message: result.message });
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error recording the payment.' });
+  }
+});
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Mock checkout page. Only reachable while the mock provider is the active one.
+const ensureMockPayments = (req, res, next) => {
+  if (getPaymentProvider() !== mockPaymentProvider) return res.status(404).json({ message: 'Not found.' });
+  next();
+};
+
+app.get(['/api/payments/mock/checkout/:providerOrderId', '/payments/mock/checkout/:providerOrderId'], ensureMockPayments, async (req, res) => {
+  try {
+    const order = await PaymentOrder.findOne({ provider: 'mock', providerOrderId: req.params.providerOrderId }).populate('invoiceId', 'courseName billingPeriod');
+    if (!order) return res.status(404).send('Payment order not found.');
+    const description = order.invoiceId ? `${order.invoiceId.courseName} (${order.invoiceId.billingPeriod})` : 'Invoice payment';
+    const button = (outcome, label, color) => `<button name="outcome" value="${outcome}" style="padding:10px 18px;margin:0 6px;border:0;border-radius:6px;color:#fff;background:${color};font-size:15px;cursor:pointer">${label}</button>`;
+    res.send(`<!DOCTYPE html><html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>Mock Payment</title></head>
+<body style="font-family:Arial,sans-serif;background:#f4f5f7;padding:40px;text-align:center;color:#333">
+<div style="max-width:420px;margin:0 auto;background:#fff;border-radius:8px;padding:30px;border:1px solid #ddd">
+<p style="font-size:12px;color:#b45309;text-transform:uppercase;letter-spacing:1px">Test payment - no money is charged</p>
+<h1 style="font-size:22px">${escapeHtml(formatMoney(order.amount, order.currency))}</h1>
+<p>${escapeHtml(description)}</p>
+${order.status === 'Paid' ? '<p style="color:#15803d">This order has already been paid.</p>' : `<form method="POST">${button('paid', 'Pay', '#16a34a')}${button('failed', 'Fail', '#dc2626')}</form>`}
+</div></body></html>`);
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(500).send('Server error loading the payment.');
+  }
+});
+
+app.post(['/api/payments/mock/checkout/:providerOrderId', '/payments/mock/checkout/:providerOrderId'], ensureMockPayments, async (req, res) => {
+  try {
+    const order = await PaymentOrder.findOne({ provider: 'mock', providerOrderId: req.params.providerOrderId });
+    if (!order) return res.status(404).send('Payment order not found.');
+    const status = req.body.outcome === 'paid' ? 'paid' : 'failed';
+    const rawBody = Buffer.from(JSON.stringify({
+      orderId: order.providerOrderId,
+      paymentId: `mock_pay_${crypto.randomBytes(6).toString('hex')}`,
+      status,
+      amount: order.amount,
+      currency: order.currency,
+    }));
+    // Goes through the same verification as a webhook from the outside world.
+    const event = mockPaymentProvider.verifyWebhook(rawBody, { 'x-mock-signature': signWebhookPayload(rawBody, PAYMENT_WEBHOOK_SECRET) });
+    const result = await processPaymentEvent(mockPaymentProvider, event);
+    if (!result.order) return res.status(result.status).send(result.message);
+    res.redirect(`${order.returnUrl}?payment=${status === 'paid' ? 'success' : 'failed'}`);
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(500).send('Server error completing the payment.');
+  }
+});
+
+/* Late fees */
+const calculateLateFee = (rule, invoice) => {
+  let fee = rule.type === 'Percentage' ? invoice.amount * rule.value / 100 : rule.value;
+  if (rule.cap != null) fee = Math.min(fee, rule.cap);
+  return roundAmount(fee);
+};
+
+// Adds its fee structure's late fee to each unpaid invoice past the grace period, as a separate line.
+// An invoice is only ever charged once, so a waived fee is not charged again.
+const applyLateFees = async (now = new Date()) => {
+  const structures = await FeeStructure.find({ 'lateFee.value': { $gt: 0 } });
+  let applied = 0;
+  for (const structure of structures) {
+    const rule = structure.lateFee;
+    const dueBefore = startOfDay(now);
+    dueBefore.setDate(dueBefore.getDate() - (rule.graceDays || 0));
+    const invoices = await Invoice.find({
+      feeStructureId: structure._id,
+      status: { $in: ['Pending', 'PartiallyPaid', 'Overdue'] },
+      dueDate: { $lt: dueBefore },
+      lateFee: { $exists: false },
+    });
+    for (const invoice of invoices) {
+      const amount = calculateLateFee(rule, invoice);
+      if (amount <= 0) continue;
+      seedLedgerFromLegacyPayment(invoice);
+      ensureFeeLineItem(invoice);
+      const grace = rule.graceDays ? ` after ${rule.graceDays} day${rule.graceDays !== 1 ? 's' : ''} grace` : '';
+      invoice.lineItems.push({ type: 'LateFee', description: `Late fee (${describeDiscountValue(rule, invoice.currency)}${grace})`, amount });
+      invoice.lateFee = { amount, appliedAt: now };
+      invoice.amount = roundAmount(invoice.amount + amount);
+      applyLedger(invoice, now);
+      try {
+        await invoice.save();
+        applied++;
+      } catch (error) {
+        console.error(`[Invoices] Failed to apply late fee to invoice ${invoice.id}:`, error);
+      }
+    }
+  }
+  return applied;
+};
+
+app.post(['/api/admin/invoices/:id/late-fee/waive', '/admin/invoices/:id/late-fee/waive'], ensureAdmin, async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ message: 'A reason is required to waive a late fee.' });
+
+    const { invoice, status, message } = await updateInvoiceLedger(req.params.id, (current) => {
+      if (!current.lateFee) return { status: 404, message: 'This invoice has no late fee.' };
+      if (current.lateFee.waivedAt) return { status: 409, message: 'This late fee has already been waived.' };
+      current.lineItems = current.lineItems.filter(item => item.type !== 'LateFee');
+      current.amount = roundAmount(current.amount - current.lateFee.amount);
+      current.lateFee.waivedAt = new Date();
+      current.lateFee.waivedBy = req.user.id;
+      current.lateFee.waiverReason = reason;
+      applyLedger(current);
+    });
+    if (!invoice) return res.status(status).json({ message });
+    await invoice.populate('studentId', 'name email');
+    res.json(invoice);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    if (error.name === 'VersionError') return res.status(409).json({ message: INVOICE_CHANGED_MESSAGE });
+    console.error('Waive late fee error:', error);
+    res.status(500).json({ message: 'Server error waiving the late fee.' });
+  }
+});
+
+/* Invoice reminders */
+// Days relative to the due date on which a reminder goes out (negative = before it is due).
+const INVOICE_REMINDER_OFFSETS = (process.env.INVOICE_REMINDER_OFFSETS || '-3,0,7')
+  .split(',').map(v => parseInt(v.trim(), 10)).filter(Number.isFinite).sort((a, b) => a - b);
+const INVOICE_JOB_INTERVAL_HOURS = Number(process.env.INVOICE_JOB_INTERVAL_HOURS) || 6;
+const INVOICE_REMINDER_ATTACH_PDF = process.env.INVOICE_REMINDER_ATTACH_PDF === 'true';
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / 86400000);
+
+// Guardians who manage the student; students without a family are reminded directly.
+const getInvoiceRecipients = async (student) => {
+  const families = await Family.find({ studentIds: student._id }).populate('guardianIds', 'name email isDeleted timezone notificationPreferences');
+  const guardians = families.flatMap(f => f.guardianIds).filter(g => g && !g.isDeleted);
+  const unique = new Map(guardians.map(g => [g._id.toString(), g]));
+  return unique.size > 0 ? Array.from(unique.values()) : [student];
+};
+
+const describeReminder = (invoice, offsetDays) => {
+  const balance = roundAmount(invoice.amount - (invoice.amountPaid || 0));
+  const amount = balance < invoice.amount
+    ? `${balance} ${invoice.currency} of ${invoice.amount} ${invoice.currency} outstanding`
+    : `${invoice.amount} ${invoice.currency}`;
+  const dueDate = invoice.dueDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  const what = `the ${invoice.courseName} fee for ${invoice.studentId.name} (${invoice.billingPeriod}, ${amount})`;
+  if (offsetDays < 0) return { subject: 'Upcoming Fee Payment', message: `This is a reminder that ${what} is due on ${dueDate}.` };
+  if (offsetDays === 0) return { subject: 'Fee Payment Due Today', message: `This is a reminder that ${what} is due today.` };
+  return { subject: 'Fee Payment Overdue', message: `Our records show that ${what} was due on ${dueDate} and is now ${offsetDays} day${offsetDays !== 1 ? 's' : ''} overdue. Please make the payment at the earliest.` };
+};
+
+const sendInvoiceReminder = async (invoice, offsetDays) => {
+  const recipients = await getInvoiceRecipients(invoice.studentId);
+  const { subject, message } = describeReminder(invoice, offsetDays);
+  const channels = ['in-app'];
+  await createNotifications(recipients.map(r => ({ userId: r._id, subject, message, link: '/dashboard/student/payment-history' })));
+  const emailRecipients = recipients.filter(r => wantsChannel(r, 'fees', 'email'));
+  if (emailRecipients.length > 0) {
+    channels.push('email');
+    const attachments = [];
+    // An invoice waiting for its number goes out without the PDF rather than holding the reminder back.
+    if (INVOICE_REMINDER_ATTACH_PDF && invoice.invoiceNumber) {
+      attachments.push({ filename: pdfFilename(invoice.invoiceNumber), content: await renderInvoicePdf(invoice), contentType: 'application/pdf' });
+    }
+    await Promise.all(emailRecipients.map(r => queueNotificationEmail(r, 'fees', { subject, message, attachments })));
+  }
+  invoice.reminders.push({ offsetDays, recipients: recipients.map(r => r.email), channels });
+  await invoice.save();
+};
+
+// Marks unpaid and partially paid invoices past their due date as Overdue, then sends the reminder-ladder step each
+// unpaid invoice has reached. Steps missed while the job was not running are collapsed into the
+// latest one, so a guardian never receives a burst of reminders at once.
+const runInvoiceJobs = async (now = new Date()) => {
+  const overdue = await Invoice.updateMany(
+    { status: { $in: ['Pending', 'PartiallyPaid'] }, dueDate: { $lt: startOfDay(now) } },
+    { status: 'Overdue' }
+  );
+  // Before reminders, so an overdue reminder already quotes the late fee.
+  const lateFeesApplied = await applyLateFees(now);
+
+  let remindersSent = 0;
+  if (INVOICE_REMINDER_OFFSETS.length > 0) {
+    // Only invoices that have reached the first step of the ladder.
+    const dueBefore = startOfDay(now);
+    dueBefore.setDate(dueBefore.getDate() - INVOICE_REMINDER_OFFSETS[0] + 1);
+    const unpaid = await Invoice.find({ status: { $in: ['Pending', 'PartiallyPaid', 'Overdue'] }, dueDate: { $lt: dueBefore } })
+      .populate('studentId', 'name email isDeleted timezone notificationPreferences');
+    for (const invoice of unpaid) {
+      if (!invoice.studentId || invoice.studentId.isDeleted) continue;
+      const elapsed = daysBetween(invoice.dueDate, now);
+      const step = INVOICE_REMINDER_OFFSETS.filter(offset => offset <= elapsed).pop();
+      if (step === undefined || invoice.reminders.some(r => r.offsetDays >= step)) continue;
+      try {
+        await sendInvoiceReminder(invoice, step);
+        remindersSent++;
+      } catch (error) {
+        console.error(`[Invoices] Failed to send reminder for invoice ${invoice.id}:`, error);
+      }
+    }
+  }
+  return { markedOverdue: overdue.modifiedCount, lateFeesApplied, remindersSent };
+};
+
+let invoiceJobTimer = null;
+const startInvoiceJobSchedule = () => {
+  if (invoiceJobTimer) return;
+  const run = () => runInvoiceJobs()
+    .then(({ markedOverdue, lateFeesApplied, remindersSent }) => console.log(`[Invoices] ${markedOverdue} marked overdue, ${lateFeesApplied} late fees applied, ${remindersSent} reminders sent.`))
+    .catch(err => console.error('[Invoices] Scheduled job failed:', err));
+  run();
+  invoiceJobTimer = setInterval(run, INVOICE_JOB_INTERVAL_HOURS * 60 * 60 * 1000);
+};
+
+app.post(['/api/admin/invoices/run-reminders', '/admin/invoices/run-reminders'], ensureAdmin, async (_req, res) => {
+  try {
+    const { markedOverdue, lateFeesApplied, remindersSent } = await runInvoiceJobs();
+    res.json({ message: `${markedOverdue} invoices marked overdue, ${lateFeesApplied} late fees applied and ${remindersSent} reminders sent.` });
+  } catch (error) {
+    console.error('Invoice job error:', error);
+    res.status(500).json({ message: 'Server error running invoice reminders.' });
+  }
+});
+
+// For hosts without a long-running process (e.g. Vercel Cron), which call this with the shared secret.
+app.get(['/api/cron/invoices', '/cron/invoices'], async (req, res) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  try {
+    await ensureSetup();
+    res.json(await runInvoiceJobs());
+  } catch (error) {
+    console.error('Invoice cron error:', error);
+    res.status(500).json({ message: 'Server error running invoice jobs.' });
+  }
+});
+
+/* Financial reports */
+// Overdue ageing as of today, by days past the due date.
+const AGEING_BUCKETS = [
+  { label: 'Not yet due', maxDays: 0 },
+  { label: '1-30 days', maxDays: 30 },
+  { label: '31-60 days', maxDays: 60 },
+  { label: '61-90 days', maxDays: 90 },
+  { label: 'Over 90 days', maxDays: Infinity },
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The `from` and `to` dates (inclusive, default: this month to date) and `currency` (default INR) every
+// report is filtered by. Amounts in different currencies are never added together.
+const parseReportFilters = (query) => {
+  const today = startOfDay(new Date());
+  const from = query.from ? parseDateString(query.from) : new Date(today.getFullYear(), today.getMonth(), 1);
+  const to = query.to ? parseDateString(query.to) : today;
+  if (!from || !to) return { error: 'Dates must be in YYYY-MM-DD format.' };
+  if (from > to) return { error: 'The start date cannot be after the end date.' };
+  const currency = query.currency || 'INR';
+  if (!['INR', 'USD'].includes(currency)) return { error: 'Currency must be INR or USD.' };
+  const end = new Date(to);
+  end.setDate(end.getDate() + 1);
+  return { from, to, end, currency };
+};
+
+// Quoted as RFC 4180 requires. Text starting with a formula character is prefixed with a quote so
+// spreadsheets show it instead of running it.
+const toCsv = (columns, rows) => {
+  const cell = (value) => {
+    let text = value == null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.map(c => cell(c.label)), ...rows.map(row => columns.map(c => cell(row[c.key])))].map(line => line.join(',')).join('\r\n');
+};
+
+const sendCsv = (res, filename, columns, rows) => {
+  res.set({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` });
+  // The byte order mark makes Excel read the file as UTF-8.
+  res.send(`\uFEFF${toCsv(columns, rows)}\r\n`);
+};
+
+const reportFilename = (name, { from, to, currency }) => `${name}-${currency}-${toDateString(from)}-to-${toDateString(to)}.csv`;
+
+// Adds an amount to a `label => { amount, count }` total.
+const addToTotal = (totals, label, amount) => {
+  const total = totals.get(label) || { label, amount: 0, count: 0 };
+  totals.set(label, { label, amount: roundAmount(total.amount + amount), count: total.count + 1 });
+};
+
+const buildFinanceReport = async ({ from, to, end, currency }) => {
+  const inRange = { $gte: from, $lt: end };
+  const [invoices, creditNotes, structures, locations] = await Promise.all([
+    Invoice.find({ currency, $or: [{ issueDate: inRange }, { 'payments.paymentDate': inRange }, { 'paymentDetails.paymentDate': inRange }] })
+      .populate('studentId', 'name locationId'),
+    CreditNote.find({ currency, issuedAt: inRange }).lean(),
+    FeeStructure.find().select('locationId').lean(),
+    Location.find().select('name').lean(),
+  ]);
+  const locationNames = new Map(locations.map(l => [l._id.toString(), l.name]));
+  const structureLocations = new Map(structures.map(s => [s._id.toString(), s.locationId]));
+  // A location-specific fee structure says where the class is held; otherwise the student's own location is used.
+  const locationOf = (invoice) => {
+    const locationId = structureLocations.get(invoice.feeStructureId.toString()) || invoice.studentId?.locationId;
+    return (locationId && locationNames.get(locationId.toString())) || 'No location';
+  };
+
+  // Collections are the payments, reversals and refunds dated in the range. Family credit only moves money
+  // between a family's invoices, so payments from it and refunds into it are not counted.
+  const byMonth = new Map();
+  const byCourse = new Map();
+  const byLocation = new Map();
+  const byPaymentMethod = new Map();
+  let collected = 0;
+  let refunded = 0;
+  for (const invoice of invoices) {
+    const location = locationOf(invoice);
+    const { payments } = invoice.toJSON();
+    const paymentsById = new Map(payments.map(p => [String(p.id), p]));
+    for (const entry of payments) {
+      const date = new Date(entry.paymentDate);
+      if (date < from || date >= end) continue;
+      const method = entry.type === 'Reversal' ? paymentsById.get(String(entry.reversesPaymentId))?.paymentMethod : entry.paymentMethod;
+      if (method === 'Family Credit') continue;
+      const amount = entry.type === 'Payment' ? entry.amount : -entry.amount;
+      if (entry.type === 'Refund') refunded += entry.amount;
+      else collected += amount;
+      addToTotal(byMonth, toDateString(date).slice(0, 7), amount);
+      addToTotal(byCourse, invoice.courseName, amount);
+      addToTotal(byLocation, location, amount);
+      addToTotal(byPaymentMethod, method || 'Unknown', amount);
+    }
+  }
+  const sortedByAmount = (totals) => Array.from(totals.values()).sort((a, b) => b.amount - a.amount || a.label.localeCompare(b.label));
+
+  // Invoicing, collection rate and ageing cover the invoices issued in the range.
+  const today = startOfDay(new Date());
+  const issued = invoices.filter(i => i.issueDate >= from && i.issueDate < end).map(i => i.toJSON());
+  const invoiced = roundAmount(issued.reduce((sum, i) => sum + i.amount, 0));
+  const paidOnIssued = roundAmount(issued.reduce((sum, i) => sum + Math.min(Math.max(i.amountPaid || 0, 0), i.amount), 0));
+  const buckets = AGEING_BUCKETS.map(b => ({ label: b.label, amount: 0, count: 0 }));
+  const outstandingInvoices = issued.filter(i => i.balanceDue > 0).map(i => {
+    const daysOverdue = Math.max(Math.round((today - startOfDay(i.dueDate)) / DAY_MS), 0);
+    const bucket = buckets[AGEING_BUCKETS.findIndex(b => daysOverdue <= b.maxDays)];
+    bucket.amount = roundAmount(bucket.amount + i.balanceDue);
+    bucket.count++;
+    return {
+      invoiceId: i.id,
+      invoiceNumber: i.invoiceNumber || '',
+      studentName: i.student?.name || 'Unknown student',
+      courseName: i.courseName,
+      billingPeriod: i.billingPeriod,
+      dueDate: toDateString(i.dueDate),
+      balanceDue: i.balanceDue,
+      daysOverdue,
+      bucket: bucket.label,
+    };
+  }).sort((a, b) => b.daysOverdue - a.daysOverdue || b.balanceDue - a.balanceDue);
+  const outstanding = roundAmount(outstandingInvoices.reduce((sum, i) => sum + i.balanceDue, 0));
+
+  return {
+    from: toDateString(from),
+    to: toDateString(to),
+    currency,
+    revenue: {
+      collected: roundAmount(collected),
+      refunded: roundAmount(refunded),
+      net: roundAmount(collected - refunded),
+      byMonth: Array.from(byMonth.values()).sort((a, b) => a.label.localeCompare(b.label)),
+      byCourse: sortedByAmount(byCourse),
+      byLocation: sortedByAmount(byLocation),
+      byPaymentMethod: sortedByAmount(byPaymentMethod),
+    },
+    invoicing: {
+      count: issued.length,
+      gross: roundAmount(issued.reduce((sum, i) => sum + (i.grossAmount ?? i.amount), 0)),
+      discounts: roundAmount(issued.reduce((sum, i) => sum + (i.discountAmount || 0), 0)),
+      lateFees: roundAmount(issued.reduce((sum, i) => sum + (i.lateFee && !i.lateFee.waivedAt ? i.lateFee.amount : 0), 0)),
+      creditNotes: roundAmount(creditNotes.reduce((sum, n) => sum + n.amount, 0)),
+      invoiced,
+      collected: paidOnIssued,
+      // Share of what was invoiced in the range that has been paid so far.
+      collectionRate: invoiced > 0 ? Math.round(paidOnIssued / invoiced * 1000) / 10 : null,
+    },
+    ageing: {
+      asOf: toDateString(today),
+      outstanding,
+      overdue: roundAmount(outstandingInvoices.filter(i => i.daysOverdue > 0).reduce((sum, i) => sum + i.balanceDue, 0)),
+      buckets,
+      invoices: outstandingInvoices,
+    },
+  };
+};
+
+const FINANCE_REPORT_SECTIONS = {
+  'revenue-by-month': { columns: [{ key: 'label', label: 'Month' }], rows: r => r.revenue.byMonth },
+  'revenue-by-course': { columns: [{ key: 'label', label: 'Course' }], rows: r => r.revenue.byCourse },
+  'revenue-by-location': { columns: [{ key: 'label', label: 'Location' }], rows: r => r.revenue.byLocation },
+  'revenue-by-payment-method': { columns: [{ key: 'label', label: 'Payment method' }], rows: r => r.revenue.byPaymentMethod },
+};
+
+app.get(['/api/admin/reports/finance', '/admin/reports/finance'], ensureAdmin, async (req, res) => {
+  try {
+    const filters = parseReportFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+    const report = await buildFinanceReport(filters);
+    if (req.query.format !== 'csv') return res.json(report);
+
+    const section = req.query.section || 'revenue-by-month';
+    if (section === 'ageing') {
+      return sendCsv(res, reportFilename('ageing', filters), [
+        { key: 'invoiceNumber', label: 'Invoice' },
+        { key: 'studentName', label: 'Student' },
+        { key: 'courseName', label: 'Course' },
+        { key: 'billingPeriod', label: 'Billing period' },
+        { key: 'dueDate', label: 'Due date' },
+        { key: 'daysOverdue', label: 'Days overdue' },
+        { key: 'bucket', label: 'Ageing' },
+        { key: 'balanceDue', label: `Balance due (${filters.currency})` },
+      ], report.ageing.invoices);
+    }
+    const csv = FINANCE_REPORT_SECTIONS[section];
+    if (!csv) return res.status(400).json({ message: `Unknown report section "${section}".` });
+    sendCsv(res, reportFilename(section, filters), [
+      ...csv.columns,
+      { key: 'count', label: 'Entries' },
+      { key: 'amount', label: `Amount (${filters.currency})` },
+    ], csv.rows(report));
+  } catch (error) {
+    console.error('Finance report error:', error);
+    res.status(500).json({ message: 'Server error building the finance report.' });
+  }
+});
+
+// Every charge and settlement on the given invoices, oldest first. An invoice line is what was charged when it
+// was issued; late fees and credit notes added later have lines of their own, and waived late fees are left out.
+const getStatementLines = (invoices, creditNotes) => {
+  const notesByInvoice = new Map();
+  creditNotes.forEach(n => notesByInvoice.set(n.invoiceId.toString(), [...(notesByInvoice.get(n.invoiceId.toString()) || []), n]));
+  const lines = [];
+  for (const invoice of invoices) {
+    const notes = notesByInvoice.get(invoice.id) || [];
+    const lateFee = invoice.lateFee && !invoice.lateFee.waivedAt ? invoice.lateFee : null;
+    const line = (date, description, debit, credit) => lines.push({
+      date: new Date(date), studentId: invoice.studentId.toString(), reference: invoice.invoiceNumber || '', description, debit: roundAmount(debit), credit: roundAmount(credit),
+    });
+    line(invoice.issueDate, `${invoice.courseName} fee, ${invoice.billingPeriod}`, invoice.amount - (lateFee ? lateFee.amount : 0) + notes.reduce((sum, n) => sum + n.amount, 0), 0);
+    if (lateFee) line(lateFee.appliedAt, `Late fee, ${invoice.billingPeriod}`, lateFee.amount, 0);
+    notes.forEach(n => line(n.issuedAt, `Credit note ${n.creditNoteNumber}: ${n.reason}`, 0, n.amount));
+    for (const entry of invoice.toJSON().payments) {
+      const label = entry.type === 'Payment' ? `Payment, ${entry.paymentMethod}` : entry.type === 'Refund' ? `Refund, ${entry.paymentMethod}` : `Payment reversed: ${entry.reason}`;
+      line(entry.paymentDate, entry.referenceNumber ? `${label} (${entry.referenceNumber})` : label, entry.type === 'Payment' ? 0 : entry.amount, entry.type === 'Payment' ? entry.amount : 0);
+    }
+  }
+  return lines.sort((a, b) => a.date - b.date);
+};
+
+// The lines in the range with a running balance, carried on from everything before it. A positive balance is owed.
+const buildStatement = (lines, { from, end }) => {
+  const opening = roundAmount(lines.filter(l => l.date < from).reduce((sum, l) => sum + l.debit - l.credit, 0));
+  let balance = opening;
+  const inRange = lines.filter(l => l.date >= from && l.date < end).map(l => {
+    balance = roundAmount(balance + l.debit - l.credit);
+    return { ...l, date: toDateString(l.date), balance };
+  });
+  return {
+    opening,
+    charges: roundAmount(inRange.reduce((sum, l) => sum + l.debit, 0)),
+    payments: roundAmount(inRange.reduce((sum, l) => sum + l.credit, 0)),
+    closing: balance,
+    lines: inRange,
+  };
+};
+
+// One statement per family, covering all of its students, plus one per student who is not in a family.
+app.get(['/api/admin/reports/statements', '/admin/reports/statements'], ensureAdmin, async (req, res) => {
+  try {
+    const filters = parseReportFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+    const [invoices, creditNotes, families, credits] = await Promise.all([
+      Invoice.find({ currency: filters.currency, issueDate: { $lt: filters.end } }),
+      CreditNote.find({ currency: filters.currency, issuedAt: { $lt: filters.end } }).lean(),
+      Family.find().select('name studentIds').lean(),
+      FamilyCredit.aggregate([
+        { $match: { currency: filters.currency } },
+        { $group: { _id: '$studentId', balance: { $sum: '$amount' } } },
+      ]),
+    ]);
+    const linesByStudent = new Map();
+    getStatementLines(invoices, creditNotes).forEach(l => linesByStudent.set(l.studentId, [...(linesByStudent.get(l.studentId) || []), l]));
+    const creditByStudent = new Map(credits.map(c => [c._id.toString(), c.balance]));
+
+    const accounts = families.map(f => ({ name: f.name, studentIds: f.studentIds.map(id => id.toString()) }));
+    const inFamily = new Set(accounts.flatMap(a => a.studentIds));
+    const students = await User.find({ _id: { $in: Array.from(new Set([...linesByStudent.keys(), ...inFamily])) } }).select('name');
+    const studentNames = new Map(students.map(s => [s.id, s.name]));
+    Array.from(linesByStudent.keys()).filter(id => !inFamily.has(id))
+      .forEach(id => accounts.push({ name: studentNames.get(id) || 'Unknown student', studentIds: [id] }));
+
+    const rows = accounts.map(account => {
+      const lines = account.studentIds.flatMap(id => linesByStudent.get(id) || []).sort((a, b) => a.date - b.date);
+      const { opening, charges, payments, closing } = buildStatement(lines, filters);
+      return {
+        studentId: account.studentIds[0],
+        name: account.name,
+        students: account.studentIds.map(id => studentNames.get(id)).filter(Boolean).join(', '),
+        opening,
+        charges,
+        payments,
+        closing,
+        creditBalance: roundAmount(Math.max(account.studentIds.reduce((sum, id) => sum + (creditByStudent.get(id) || 0), 0), 0)),
+        hasActivity: lines.length > 0,
+      };
+    }).filter(({ hasActivity }) => hasActivity).map(({ hasActivity, ...row }) => row).sort((a, b) => a.name.localeCompare(b.name));
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, reportFilename('family-statements', filters), [
+        { key: 'name', label: 'Family' },
+        { key: 'students', label: 'Students' },
+        { key: 'opening', label: 'Opening balance' },
+        { key: 'charges', label: 'Charges' },
+        { key: 'payments', label: 'Payments and credits' },
+        { key: 'closing', label: 'Closing balance' },
+        { key: 'creditBalance', label: 'Family credit' },
+      ], rows);
+    }
+    res.json({ from: toDateString(filters.from), to: toDateString(filters.to), currency: filters.currency, statements: rows });
+  } catch (error) {
+    console.error('Family statements error:', error);
+    res.status(500).json({ message: 'Server error building family statements.' });
+  }
+});
+
+// The statement of the family (or families) a student belongs to.
+app.get(['/api/admin/reports/statements/:studentId', '/admin/reports/statements/:studentId'], ensureAdmin, async (req, res) => {
+  try {
+    const filters = parseReportFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) return res.status(404).json({ message: 'Student not found.' });
+    const student = await User.findById(req.params.studentId).select('name');
+    if (!student) return res.status(404).json({ message: 'Student not found.' });
+
+    const studentIds = await getCreditAccountStudentIds(student._id);
+    const [invoices, creditNotes, families, members] = await Promise.all([
+      Invoice.find({ studentId: { $in: studentIds }, currency: filters.currency, issueDate: { $lt: filters.end } }),
+      CreditNote.find({ studentId: { $in: studentIds }, currency: filters.currency, issuedAt: { $lt: filters.end } }).lean(),
+      Family.find({ studentIds: student._id }).select('name').lean(),
+      User.find({ _id: { $in: studentIds } }).select('name'),
+    ]);
+    const studentNames = new Map(members.map(m => [m.id, m.name]));
+    const statement = buildStatement(getStatementLines(invoices, creditNotes), filters);
+    statement.lines = statement.lines.map(l => ({ ...l, studentName: studentNames.get(l.studentId) || 'Unknown student' }));
+    const name = families.length > 0 ? families.map(f => f.name).join(', ') : student.name;
+
+    if (req.query.format === 'csv') {
+      const rows = [
+        { date: toDateString(filters.from), description: 'Opening balance', balance: statement.opening },
+        ...statement.lines,
+        { date: toDateString(filters.to), description: 'Closing balance', balance: statement.closing },
+      ];
+      return sendCsv(res, reportFilename(`statement-${name.replace(/[^\w-]+/g, '-')}`, filters), [
+        { key: 'date', label: 'Date' },
+        { key: 'studentName', label: 'Student' },
+        { key: 'reference', label: 'Invoice' },
+        { key: 'description', label: 'Description' },
+        { key: 'debit', label: 'Charges' },
+        { key: 'credit', label: 'Payments and credits' },
+        { key: 'balance', label: 'Balance' },
+      ], rows);
+    }
+    res.json({ from: toDateString(filters.from), to: toDateString(filters.to), currency: filters.currency, name, students: members.map(m => m.name), ...statement });
+  } catch (error) {
+    console.error('Family statement error:', error);
+    res.status(500).json({ message: 'Server error building the family statement.' });
+  }
+});
+
+/* Teacher payroll */
+const formatMonthLabel = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${MONTH_NAMES[monthNumber - 1]} ${year}`;
+};
+
+const parseMonth = (value) => {
+  const month = value || toDateString(new Date()).slice(0, 7);
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(month) ? month : null;
+};
+
+// The classes a teacher taught in `month` up to today: each timetabled session of the batches they teach, plus
+// any other session attendance was taken for, such as a makeup class. Batches count for their current teacher.
+const getTeacherMonthSessions = async (teacherId, month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const last = toDateString(new Date(year, monthNumber, 0));
+  const today = toDateString(new Date());
+  const batches = await Batch.find({ teacherId }).lean();
+  const attendance = await Attendance.find({ batchId: { $in: batches.map(b => b._id) }, date: { $gte: `${month}-01`, $lte: last } }).lean();
+  const sheets = new Map(attendance.map(a => [`${a.batchId}|${a.date}|${a.timing}`, a]));
+  const batchesById = new Map(batches.map(b => [b._id.toString(), b]));
+
+  const sessions = [];
+  const addSession = (batch, date, timing, enrolled) => {
+    const key = `${batch._id}|${date}|${timing}`;
+    const sheet = sheets.get(key);
+    sheets.delete(key);
+    sessions.push({
+      date,
+      timing,
+      batchId: batch._id,
+      batchName: batch.name,
+      courseName: batch.courseName,
+      students: sheet ? sheet.records.filter(r => r.status === 'Present' || r.status === 'Late').length : enrolled,
+      attendanceTaken: !!sheet,
+    });
+  };
+  for (const day = new Date(year, monthNumber - 1, 1); toDateString(day) <= last && toDateString(day) <= today; day.setDate(day.getDate() + 1)) {
+    const date = toDateString(day);
+    for (const batch of batches) {
+      for (const entry of batch.schedule || []) {
+        // Batches saved before slots were structured only carry the label.
+        const slot = entry.weekday != null ? entry : parseTimingLabel(entry.timing);
+        if (!slot || slot.weekday !== day.getDay() || !isSlotActiveOn(entry, date)) continue;
+        addSession(batch, date, entry.timing, (entry.studentIds || []).length);
+      }
+    }
+  }
+  for (const sheet of Array.from(sheets.values())) addSession(batchesById.get(sheet.batchId.toString()), sheet.date, sheet.timing, 0);
+  return sessions.sort((a, b) => `${a.date} ${a.timing}`.localeCompare(`${b.date} ${b.timing}`));
+};
+
+const calculateGrossPay = (compensation, sessions) => {
+  if (compensation.type === 'Monthly') return roundAmount(compensation.rate);
+  const units = compensation.type === 'PerSession' ? sessions.length : sessions.reduce((sum, s) => sum + s.students, 0);
+  return roundAmount(compensation.rate * units);
+};
+
+const applyAdjustments = (payslip) => {
+  payslip.netAmount = roundAmount(payslip.grossAmount + payslip.adjustments.reduce((sum, a) => sum + a.amount, 0));
+};
+
+// Creates or recalculates the draft payslip of every teacher with a compensation set. Approved and paid
+// payslips are left as they are.
+const runPayroll = async (month) => {
+  const compensations = await TeacherCompensation.find().populate('teacherId', 'role isDeleted');
+  const result = { calculated: 0, locked: 0 };
+  for (const compensation of compensations) {
+    const teacher = compensation.teacherId;
+    if (!teacher || teacher.isDeleted || teacher.role !== 'Teacher') continue;
+    const existing = await Payslip.findOne({ teacherId: teacher._id, month });
+    if (existing && existing.status !== 'Draft') {
+      result.locked++;
+      continue;
+    }
+    const sessions = await getTeacherMonthSessions(teacher._id, month);
+    const payslip = existing || new Payslip({ teacherId: teacher._id, month });
+    payslip.set({
+      compensationType: compensation.type,
+      rate: compensation.rate,
+      currency: compensation.currency,
+      sessions,
+      grossAmount: calculateGrossPay(compensation, sessions),
+      calculatedAt: new Date(),
+    });
+    applyAdjustments(payslip);
+    try {
+      await payslip.save();
+      result.calculated++;
+    } catch (error) {
+      // A concurrent run created it first.
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return result;
+};
+
+const findPayslip = (id) => mongoose.Types.ObjectId.isValid(id) ? Payslip.findById(id) : null;
+
+app.get(['/api/admin/payroll/compensation', '/admin/payroll/compensation'], ensureAdmin, async (_req, res) => {
+  try {
+    res.json(await TeacherCompensation.find());
+  } catch {
+    res.status(500).json({ message: 'Server error fetching teacher compensation.' });
+  }
+});
+
+app.put(['/api/admin/teachers/:id/compensation', '/admin/teachers/:id/compensation'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Teacher not found.' });
+    const teacher = await User.findOne({ _id: req.params.id, role: 'Teacher' }).select('_id');
+    if (!teacher) return res.status(404).json({ message: 'Teacher not found.' });
+    const { type, rate, currency, notes } = req.body;
+    if (!COMPENSATION_TYPES.includes(type)) return res.status(400).json({ message: 'Choose monthly, per-session or per-student pay.' });
+    if (typeof rate !== 'number' || !(rate >= 0)) return res.status(400).json({ message: 'The rate must be a positive amount.' });
+    const compensation = await TeacherCompensation.findOneAndUpdate(
+      { teacherId: teacher._id },
+      { type, rate, currency, notes, updatedBy: req.user.id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json(compensation);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    res.status(500).json({ message: 'Server error saving teacher compensation.' });
+  }
+});
+
+app.get(['/api/admin/payroll', '/admin/payroll'], ensureAdmin, async (req, res) => {
+  try {
+    const month = parseMonth(req.query.month);
+    if (!month) return res.status(400).json({ message: 'Month must be in YYYY-MM format.' });
+    const payslips = await Payslip.find({ month }).populate('teacherId', 'name email');
+    res.json(payslips.sort((a, b) => (a.teacherId?.name || '').localeCompare(b.teacherId?.name || '')));
+  } catch {
+    res.status(500).json({ message: 'Server error fetching payroll.' });
+  }
+});
+
+app.post(['/api/admin/payroll/run', '/admin/payroll/run'], ensureAdmin, async (req, res) => {
+  try {
+    const month = parseMonth(req.body?.month);
+    if (!month) return res.status(400).json({ message: 'Month must be in YYYY-MM format.' });
+    const { calculated, locked } = await runPayroll(month);
+    const lockedNote = locked > 0 ? ` ${locked} approved or paid payslip${locked !== 1 ? 's were' : ' was'} left unchanged.` : '';
+    res.json({ message: `${calculated} draft payslip${calculated !== 1 ? 's' : ''} calculated for ${formatMonthLabel(month)}.${lockedNote}` });
+  } catch (error) {
+    console.error('Payroll run error:', error);
+    res.status(500).json({ message: 'Server error running payroll.' });
+  }
+});
+
+app.put(['/api/admin/payroll/:id/adjustments', '/admin/payroll/:id/adjustments'], ensureAdmin, async (req, res) => {
+  try {
+    const payslip = await findPayslip(req.params.id);
+    if (!payslip) return res.status(404).json({ message: 'Payslip not found.' });
+    if (payslip.status !== 'Draft') return res.status(409).json({ message: 'Only draft payslips can be adjusted.' });
+    payslip.adjustments = Array.isArray(req.body.adjustments) ? req.body.adjustments : [];
+    applyAdjustments(payslip);
+    await payslip.save();
+    await payslip.populate('teacherId', 'name email');
+    res.json(payslip);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    res.status(500).json({ message: 'Server error adjusting the payslip.' });
+  }
+});
+
+app.post(['/api/admin/payroll/:id/approve', '/admin/payroll/:id/approve'], ensureAdmin, async (req, res) => {
+  try {
+    const payslip = await findPayslip(req.params.id);
+    if (!payslip) return res.status(404).json({ message: 'Payslip not found.' });
+    if (payslip.status !== 'Draft') return res.status(409).json({ message: 'This payslip has already been approved.' });
+    if (payslip.netAmount < 0) return res.status(400).json({ message: 'A payslip cannot be approved with a negative net amount.' });
+    payslip.set({ status: 'Approved', approvedAt: new Date(), approvedBy: req.user.id });
+    await payslip.save();
+    await payslip.populate('teacherId', 'name email');
+    res.json(payslip);
+  } catch {
+    res.status(500).json({ message: 'Server error approving the payslip.' });
+  }
+});
+
+app.post(['/api/admin/payroll/:id/payout', '/admin/payroll/:id/payout'], ensureAdmin, async (req, res) => {
+  try {
+    const payslip = await findPayslip(req.params.id);
+    if (!payslip) return res.status(404).json({ message: 'Payslip not found.' });
+    if (payslip.status === 'Draft') return res.status(409).json({ message: 'Approve the payslip before recording its payout.' });
+    if (payslip.status === 'Paid') return res.status(409).json({ message: 'This payslip has already been paid.' });
+    const { paidAt, method, referenceNumber, notes } = req.body;
+    payslip.set({ status: 'Paid', payout: { paidAt: parseDateString(paidAt) || new Date(), method, referenceNumber, notes, paidBy: req.user.id } });
+    await payslip.save();
+    await payslip.populate('teacherId', 'name email');
+
+    const monthLabel = formatMonthLabel(payslip.month);
+    await createNotifications([{
+      userId: payslip.teacherId._id,
+      subject: `Payslip for ${monthLabel} paid`,
+      message: `${payslip.netAmount} ${payslip.currency} for ${monthLabel} was paid by ${method}.`,
+      link: '/dashboard/teacher/payment-history',
+    }]);
+    res.json(payslip);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: firstValidationMessage(error) });
+    console.error('Payout error:', error);
+    res.status(500).json({ message: 'Server error recording the payout.' });
+  }
+});
+
+// Teachers see their payslips once approved.
+app.get(['/api/teacher/payslips', '/teacher/payslips'], ensureTeacher, async (req, res) => {
+  try {
+    const payslips = await Payslip.find({ teacherId: req.user.id, status: { $ne: 'Draft' } }).sort({ month: -1 });
+    res.json(payslips);
+  } catch {
+    res.status(500).json({ message: 'Server error fetching your payslips.' });
+  }
+});
+
+/* WhatsApp */
+// A WhatsApp provider implements:
+//   sendTemplate({ to, template, language, parameters }) -> { providerMessageId }, throwing if the message is rejected
+//   parseWebhook(rawBody, headers) -> a list of events, each either
+//     { providerMessageId, status: 'delivered' | 'read' | 'failed', reason } or { from, optOut: true },
+//     throwing if the request is not signed by the provider.
+// Real providers (the WhatsApp Cloud API or a business solution provider) are chosen with WHATSAPP_PROVIDER and
+// registered in `whatsAppProviders` only while active.
+
+// Anyone holding this secret can sign webhooks that opt numbers out or rewrite delivery statuses, so there is no default.
+const WHATSAPP_WEBHOOK_SECRET = process.env.WHATSAPP_WEBHOOK_SECRET || '';
+
+// Sends nothing: each message is logged and accepted, except to numbers ending in 000, which are rejected so failures
+// can be tried out. Status updates and opt-outs can be posted to its webhook, signed like the mock payment webhook.
+const fakeWhatsAppProvider = {
+  name: 'fake',
+  sendTemplate: async ({ to, template, parameters }) => {
+    if (to.endsWith('000')) throw new Error('This number is not on WhatsApp.');
+    console.log(`[WhatsApp:fake] ${template} to +${to}: ${parameters.join(' | ')}`);
+    return { providerMessageId: `fake_${crypto.randomBytes(8).toString('hex')}` };
+  },
+  parseWebhook: (rawBody, headers) => {
+    if (!signaturesMatch(headers['x-fake-signature'], signWebhookPayload(rawBody, WHATSAPP_WEBHOOK_SECRET))) {
+      throw new Error('Invalid webhook signature.');
+    }
+    const { events } = JSON.parse(rawBody.toString('utf8'));
+    return Array.isArray(events) ? events : [];
+  },
+};
+
+// The fake provider is only used implicitly outside production. Only the active provider is registered, so no other
+// provider's webhook endpoint accepts events.
+const WHATSAPP_PROVIDER = process.env.WHATSAPP_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'fake');
+const whatsAppProviders = {};
+if (WHATSAPP_PROVIDER === 'fake') {
+  if (WHATSAPP_WEBHOOK_SECRET) whatsAppProviders.fake = fakeWhatsAppProvider;
+  else console.warn('[WhatsApp] WHATSAPP_WEBHOOK_SECRET is not set - WhatsApp messages are off.');
+}
+const getWhatsAppProvider = () => whatsAppProviders[WHATSAPP_PROVIDER] || null;
+
+// Messages the academy starts must use a template approved in its WhatsApp Business account. The content template
+// takes three body parameters: the recipient's name, the subject and the message.
+const WHATSAPP_CONTENT_TEMPLATE = process.env.WHATSAPP_CONTENT_TEMPLATE || 'content_notification';
+const WHATSAPP_TEMPLATE_LANGUAGE = process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+const WHATSAPP_DEFAULT_COUNTRY_CODE = process.env.WHATSAPP_DEFAULT_COUNTRY_CODE || '91';
+
+// Contact numbers are free text; WhatsApp wants digits with the country code. Ten-digit numbers are taken as local.
+const normalizePhoneNumber = (value) => {
+  const raw = String(value || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('00')) digits = digits.slice(2);
+    else digits = digits.replace(/^0+/, '');
+    if (digits.length === 10) digits = WHATSAPP_DEFAULT_COUNTRY_CODE + digits;
+  }
+  return digits.length >= 11 && digits.length <= 15 ? digits : null;
+};
+
+// Template parameters may not contain new lines or runs of spaces.
+const toTemplateParameter = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+// Sends the template to each user with an opted-in number who wants WhatsApp for the category, and records one
+// message per user, including the skipped. Users in their quiet hours get the message once the quiet hours end.
+const sendWhatsAppTemplate = async (provider, users, { template, parametersFor, category, contentType, contentId, sentBy }) => {
+  const numbers = new Map(users.map(u => [u._id.toString(), normalizePhoneNumber(u.contactNumber)]));
+  const optIns = await WhatsAppOptIn.find({ phoneNumber: { $in: [...numbers.values()].filter(Boolean) }, optedIn: true }).select('phoneNumber').lean();
+  const optedIn = new Set(optIns.map(o => o.phoneNumber));
+  const sentTo = new Set();
+  const messages = [];
+  for (const user of users) {
+    const phoneNumber = numbers.get(user._id.toString());
+    const message = { userId: user._id, phoneNumber, contentType, contentId, template, provider: provider.name, sentBy };
+    if (!phoneNumber) {
+      messages.push({ ...message, status: 'Skipped', reason: 'No valid contact number.' });
+    } else if (!optedIn.has(phoneNumber)) {
+      messages.push({ ...message, status: 'Skipped', reason: 'Not opted in to WhatsApp messages.' });
+    } else if (!wantsChannel(user, category, 'whatsApp')) {
+      messages.push({ ...message, status: 'Skipped', reason: `Turned off WhatsApp for ${NOTIFICATION_CATEGORY_LABELS[category].toLowerCase()}.` });
+    } else if (sentTo.has(phoneNumber)) {
+      // Family members often share a number; it only gets the message once.
+      messages.push({ ...message, status: 'Skipped', reason: 'Already sent to this number.' });
+    } else {
+      sentTo.add(phoneNumber);
+      const parameters = parametersFor(user).map(toTemplateParameter);
+      const quietHoursEnd = getQuietHoursEnd(user);
+      if (quietHoursEnd) {
+        messages.push({ ...message, parameters, status: 'Scheduled', scheduledFor: quietHoursEnd });
+        continue;
+      }
+      try {
+        const { providerMessageId } = await provider.sendTemplate({ to: phoneNumber, template, language: WHATSAPP_TEMPLATE_LANGUAGE, parameters });
+        messages.push({ ...message, providerMessageId, status: 'Sent' });
+      } catch (error) {
+        messages.push({ ...message, status: 'Failed', reason: error.message });
+      }
+    }
+  }
+  return WhatsAppMessage.insertMany(messages);
+};
+
+// Sends the messages held back by quiet hours that are now due. Each is claimed by marking it Sent before the
+// provider is called, so concurrent runs never send it twice.
+const sendScheduledWhatsAppMessages = async () => {
+  const provider = getWhatsAppProvider();
+  let sent = 0;
+  if (!provider) return { sent };
+  let message;
+  while ((message = await WhatsAppMessage.findOneAndUpdate(
+    { status: 'Scheduled', provider: provider.name, scheduledFor: { $lte: new Date() } },
+    { status: 'Sent', updatedAt: new Date() },
+    { sort: { scheduledFor: 1 }, new: true }
+  ))) {
+    if (!(await WhatsAppOptIn.exists({ phoneNumber: message.phoneNumber, optedIn: true }))) {
+      await WhatsAppMessage.updateOne({ _id: message._id }, { status: 'Skipped', reason: 'Opted out before the message was sent.', updatedAt: new Date() });
+      continue;
+    }
+    try {
+      const { providerMessageId } = await provider.sendTemplate({ to: message.phoneNumber, template: message.template, language: WHATSAPP_TEMPLATE_LANGUAGE, parameters: message.parameters });
+      await WhatsAppMessage.updateOne({ _id: message._id }, { providerMessageId, updatedAt: new Date() });
+      sent++;
+    } catch (error) {
+      await WhatsAppMessage.updateOne({ _id: message._id }, { status: 'Failed', reason: error.message, updatedAt: new Date() });
+    }
+  }
+  return { sent };
+};
+
+const WHATSAPP_SCHEDULE_INTERVAL_SECONDS = 60;
+let whatsAppScheduleTimer = null;
+const startWhatsAppSchedule = () => {
+  if (whatsAppScheduleTimer) return;
+  const run = () => sendScheduledWhatsAppMessages()
+    .then(({ sent }) => { if (sent > 0) console.log(`[WhatsApp] ${sent} scheduled messages sent.`); })
+    .catch(err => console.error('[WhatsApp] Scheduled send failed:', err));
+  run();
+  whatsAppScheduleTimer = setInterval(run, WHATSAPP_SCHEDULE_INTERVAL_SECONDS * 1000);
+};
+
+// For hosts without a long-running process (e.g. Vercel Cron), which call this with the shared secret.
+app.get(['/api/cron/whatsapp', '/cron/whatsapp'], async (req, res) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  try {
+    await ensureSetup();
+    res.json(await sendScheduledWhatsAppMessages());
+  } catch (error) {
+    console.error('WhatsApp cron error:', error);
+    res.status(500).json({ message: 'Server error sending scheduled WhatsApp messages.' });
+  }
+});
+
+const setWhatsAppOptIn = (phoneNumber, optedIn, source, updatedBy) => WhatsAppOptIn.findOneAndUpdate(
+  { phoneNumber },
+  { optedIn, source, updatedBy, updatedAt: new Date() },
+  { new: true, upsert: true }
+);
+
+const describeWhatsAppOptIn = async (contactNumber) => {
+  const phoneNumber = normalizePhoneNumber(contactNumber);
+  const optIn = phoneNumber && await WhatsAppOptIn.findOne({ phoneNumber });
+  return {
+    available: !!getWhatsAppProvider(),
+    phoneNumber,
+    optedIn: !!(optIn && optIn.optedIn),
+    updatedAt: optIn ? optIn.updatedAt : null,
+  };
+};
+
+app.get(['/api/profile/whatsapp', '/profile/whatsapp'], ensureAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('contactNumber');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json(await describeWhatsAppOptIn(user.contactNumber));
+  } catch {
+    res.status(500).json({ message: 'Server error fetching WhatsApp preferences.' });
+  }
+});
+
+app.put(['/api/profile/whatsapp', '/profile/whatsapp'], ensureAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('contactNumber');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const phoneNumber = normalizePhoneNumber(user.contactNumber);
+    if (!phoneNumber) return res.status(400).json({ message: 'Add a valid contact number, with the country code if outside India, before turning on WhatsApp messages.' });
+    await setWhatsAppOptIn(phoneNumber, !!req.body.optIn, 'Portal', user._id);
+    res.json(await describeWhatsAppOptIn(user.contactNumber));
+  } catch {
+    res.status(500).json({ message: 'Server error saving WhatsApp preferences.' });
+  }
+});
+
+app.get(['/api/admin/users/:id/whatsapp', '/admin/users/:id/whatsapp'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'User not found.' });
+    const user = await User.findById(req.params.id).select('contactNumber');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json(await describeWhatsAppOptIn(user.contactNumber));
+  } catch {
+    res.status(500).json({ message: 'Server error fetching WhatsApp preferences.' });
+  }
+});
+
+// Records consent collected outside the portal, e.g. on an admission form.
+app.put(['/api/admin/users/:id/whatsapp', '/admin/users/:id/whatsapp'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'User not found.' });
+    const user = await User.findById(req.params.id).select('contactNumber');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    const phoneNumber = normalizePhoneNumber(user.contactNumber);
+    if (!phoneNumber) return res.status(400).json({ message: 'This user has no valid contact number.' });
+    await setWhatsAppOptIn(phoneNumber, !!req.body.optIn, 'Admin', req.user.id);
+    res.json(await describeWhatsAppOptIn(user.contactNumber));
+  } catch {
+    res.status(500).json({ message: 'Server error saving WhatsApp preferences.' });
+  }
+});
+
+// Delivery reports only ever move a message forward, since providers may deliver them out of order.
+const WHATSAPP_STATUS_ORDER = ['Sent', 'Delivered', 'Read'];
+
+app.post(['/api/whatsapp/webhook/:provider', '/whatsapp/webhook/:provider'], async (req, res) => {
+  const provider = whatsAppProviders[req.params.provider];
+  if (!provider) return res.status(404).json({ message: 'Unknown WhatsApp provider.' });
+  let events;
+  try {
+    events = provider.parseWebhook(req.rawBody || Buffer.alloc(0), req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  try {
+    for (const event of events) {
+      if (event.optOut) {
+        const phoneNumber = normalizePhoneNumber(`+${String(event.from || '').replace(/^\+/, '')}`);
+        if (phoneNumber) await setWhatsAppOptIn(phoneNumber, false, 'WhatsApp');
+        continue;
+      }
+      const status = { delivered: 'Delivered', read: 'Read', failed: 'Failed' }[event.status];
+      if (!status || !event.providerMessageId) continue;
+      const filter = { provider: provider.name, providerMessageId: event.providerMessageId };
+      if (status !== 'Failed') filter.status = { $in: WHATSAPP_STATUS_ORDER.slice(0, WHATSAPP_STATUS_ORDER.indexOf(status)) };
+      const update = { status, updatedAt: new Date() };
+      if (status === 'Failed') update.reason = event.reason || 'Not delivered.';
+      await WhatsAppMessage.updateOne(filter, update);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error('WhatsApp webhook error:', error);
+    res.status(500).json({ message: 'Server error processing the WhatsApp webhook.' });
+  }
+});
+
+/* Content notifications */
+const CONTENT_MODELS = { Event, GradeExam, BookMaterial, Notice };
+// Where each kind of content is listed on the student and teacher dashboards; teachers have no grade exams page.
+const CONTENT_LINKS = {
+  Event: { Student: '/dashboard/student/events', Teacher: '/dashboard/teacher/events' },
+  GradeExam: { Student: '/dashboard/student/grade-exams' },
+  BookMaterial: { Student: '/dashboard/student/book-materials', Teacher: '/dashboard/teacher/book-materials' },
+  Notice: { Student: '/dashboard/student/notices', Teacher: '/dashboard/teacher/notice' },
+};
+// The notification category whose preferences apply to each kind of content.
+const CONTENT_CATEGORIES = { Event: 'events', GradeExam: 'events', BookMaterial: 'notices', Notice: 'notices' };
+
+const summarizeWhatsAppMessages = (messages) => {
+  const count = (status) => messages.filter(m => m.status === status).length;
+  const parts = [`${count('Sent')} sent`];
+  if (count('Scheduled') > 0) parts.push(`${count('Scheduled')} scheduled after quiet hours`);
+  if (count('Skipped') > 0) parts.push(`${count('Skipped')} skipped`);
+  if (count('Failed') > 0) parts.push(`${count('Failed')} failed`);
+  return `WhatsApp: ${parts.join(', ')}.`;
+};
+
+app.post(['/api/admin/content/send', '/admin/content/send'], ensureAdmin, async (req, res) => {
+  const { contentId, contentType, userIds, subject, message, sendWhatsApp } = req.body;
+  const Model = CONTENT_MODELS[contentType];
+  if (!Model) return res.status(400).json({ message: 'Unknown content type.' });
+  if (!Array.isArray(userIds) || userIds.length === 0) return res.status(400).json({ message: 'User IDs are required.' });
+  if (!subject || !message) return res.status(400).json({ message: 'Subject and message are required.' });
+  const provider = sendWhatsApp ? getWhatsAppProvider() : null;
+  if (sendWhatsApp && !provider) return res.status(503).json({ message: 'WhatsApp messages are not configured on the server.' });
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(contentId) || !(await Model.exists({ _id: contentId }))) {
+      return res.status(404).json({ message: 'Content not found.' });
+    }
+    const users = await User.find({ _id: { $in: userIds.filter(id => mongoose.Types.ObjectId.isValid(id)) }, isDeleted: { $ne: true } })
+      .select(NOTIFICATION_RECIPIENT_FIELDS);
+    if (users.length === 0) return res.status(404).json({ message: 'No valid recipient users found.' });
+
+    const category = CONTENT_CATEGORIES[contentType];
+    await createNotifications(users.map(user => ({ userId: user._id, subject, message, link: CONTENT_LINKS[contentType][user.role] })));
+    await Promise.all(users.map(user => queueNotificationEmail(user, category, { subject, message })));
+
+    let whatsAppMessages = [];
+    if (provider) {
+      whatsAppMessages = await sendWhatsAppTemplate(provider, users, {
+        template: WHATSAPP_CONTENT_TEMPLATE,
+        parametersFor: (user) => [user.name, subject, message],
+        category,
+        contentType,
+        contentId,
+        sentBy: req.user.id,
+      });
+    }
+
+    const sent = `Notification sent to ${users.length} recipient${users.length !== 1 ? 's' : ''}.`;
+    res.json({
+      success: true,
+      message: provider ? `${sent} ${summarizeWhatsAppMessages(whatsAppMessages)}` : sent,
+      whatsAppMessages: await WhatsAppMessage.populate(whatsAppMessages, { path: 'userId', select: 'name role' }),
+    });
+  } catch (error) {
+    console.error('Content notification error:', error);
+    res.status(500).json({ message: 'Server error sending notification.' });
+  }
+});
+
+// WhatsApp messages sent for a piece of content, newest first, with their latest delivery status.
+app.get(['/api/admin/content/:contentId/whatsapp', '/admin/content/:contentId/whatsapp'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.contentId)) return res.json([]);
+    const messages = await WhatsAppMessage.find({ contentId: req.params.contentId })
+      .populate('userId', 'name role')
+      .sort({ createdAt: -1 });
+    res.json(messages);
+  } catch {
+    res.status(500).json({ message: 'Server error fetching WhatsApp messages.' });
+  }
+});
+
+/* Email outbox */
+// Emails are never sent inline: queueEmail stores them and the outbox worker sends them, retrying failed sends
+// with backoff. Without SMTP in production nothing can be sent, so emails wait in the outbox until it is configured.
+const EMAIL_FROM = process.env.SMTP_FROM_EMAIL || '"Nadanaloga Admin" <no-reply@nadanaloga.com>';
+const EMAIL_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10) || 5);
+// Minutes to wait before each retry; the last delay repeats when there are more attempts than delays.
+const EMAIL_RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+// A claimed email is held this long before it counts as abandoned (e.g. the process died mid-send) and is retried.
+const EMAIL_SEND_LEASE_MS = 5 * 60 * 1000;
+const EMAIL_OUTBOX_INTERVAL_SECONDS = 60;
+
+const getEmailRetryDelayMs = (attempts) =>
+  EMAIL_RETRY_DELAYS_MINUTES[Math.min(attempts, EMAIL_RETRY_DELAYS_MINUTES.length) - 1] * 60 * 1000;
+
+// SMTP 5xx replies are permanent (e.g. the mailbox does not exist), so retrying would only fail again.
+const isPermanentEmailError = (err) => err.responseCode >= 500 && err.responseCode < 600;
+
+const writeEmailFile = async (email, message) => {
+  await fs.promises.mkdir(emailFileDir, { recursive: true });
+  const file = path.join(emailFileDir, `${email.createdAt.toISOString().replace(/[:.]/g, '-')}-${email.id}.eml`);
+  await fs.promises.writeFile(file, message);
+  console.log(`[Email] "${email.subject}" for ${email.to} written to ${file}`);
+};
+
+// Takes the next due email and holds it for the lease, so concurrent workers never send the same email twice.
+const claimNextEmail = () => {
+  const now = new Date();
+  return OutgoingEmail.findOneAndUpdate(
+    { status: 'Queued', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + EMAIL_SEND_LEASE_MS), updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Sends one claimed email and records the outcome. Returns the email's new status.
+const deliverEmail = async (email) => {
+  const now = new Date();
+  try {
+    const info = await mailTransporter.sendMail({
+      from: EMAIL_FROM,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      attachments: email.attachments.map(a => ({ filename: a.filename, content: a.content, contentType: a.contentType })),
+    });
+    if (emailFileDir) await writeEmailFile(email, info.message);
+    const unset = email.sensitive ? { lastError: '', html: '' } : { lastError: '' };
+    await OutgoingEmail.updateOne({ _id: email._id }, { $set: { status: 'Sent', sentAt: now, messageId: info.messageId, updatedAt: now }, $unset: unset });
+    return 'Sent';
+  } catch (err) {
+    const status = isPermanentEmailError(err) ? 'Bounced' : email.attempts >= EMAIL_MAX_ATTEMPTS ? 'Failed' : 'Queued';
+    const update = { $set: { status, lastError: err.message, updatedAt: now } };
+    if (status === 'Queued') update.$set.nextAttemptAt = new Date(now.getTime() + getEmailRetryDelayMs(email.attempts));
+    else if (email.sensitive) update.$unset = { html: '' };
+    await OutgoingEmail.updateOne({ _id: email._id }, update);
+    console.error(`[Email] Sending "${email.subject}" to ${email.to} failed (attempt ${email.attempts}, now ${status}):`, err.message);
+    return status;
+  }
+};
+
+// Sends every due email. Runs one at a time per process; a call made while a run is in progress makes that run
+// check the outbox once more instead of starting another.
+let emailOutboxRun = null;
+let emailOutboxRerun = false;
+const processEmailOutbox = () => {
+  if (emailOutboxRun) {
+    emailOutboxRerun = true;
+    return emailOutboxRun;
+  }
+  emailOutboxRun = (async () => {
+    const result = { sent: 0, retrying: 0, failed: 0 };
+    if (!mailTransporter) return result;
+    do {
+      emailOutboxRerun = false;
+      let email;
+      while ((email = await claimNextEmail())) {
+        const status = await deliverEmail(email);
+        if (status === 'Sent') result.sent++;
+        else if (status === 'Queued') result.retrying++;
+        else result.failed++;
+      }
+    } while (emailOutboxRerun);
+    return result;
+  })().finally(() => { emailOutboxRun = null; });
+  return emailOutboxRun;
+};
+
+const kickEmailOutbox = () => {
+  processEmailOutbox().catch(err => console.error('[Email] Outbox run failed:', err));
+};
+
+// Queues an email and starts sending it straight away, or once `sendAfter` has passed. Inside a transaction the
+// email only becomes visible on commit, so the caller kicks the outbox after committing.
+const queueEmail = async ({ userId, to, subject, html, attachments = [], category, sensitive = false, sendAfter }, dbSession) => {
+  const [email] = await OutgoingEmail.create([{ userId, to, subject, html, attachments, category, sensitive, nextAttemptAt: sendAfter || new Date() }], { session: dbSession });
+  if (!mailTransporter) console.warn(`[Email] SMTP is not configured; "${subject}" for ${to} stays queued in the outbox.`);
+  else if (!dbSession) kickEmailOutbox();
+  return email;
+};
+
+let emailOutboxTimer = null;
+const startEmailOutboxWorker = () => {
+  if (emailOutboxTimer) return;
+  kickEmailOutbox();
+  emailOutboxTimer = setInterval(kickEmailOutbox, EMAIL_OUTBOX_INTERVAL_SECONDS * 1000);
+};
+
+// Failed and bounced emails by default, most recent first, with a count of every status.
+app.get(['/api/admin/emails', '/admin/emails'], ensureAdmin, async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : ['Failed', 'Bounced'];
+    const [emails, counts] = await Promise.all([
+      OutgoingEmail.find({ status: { $in: statuses } }).select('-html -attachments.content').sort({ updatedAt: -1 }).limit(200),
+      OutgoingEmail.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+    res.json({ emails, counts: Object.fromEntries(counts.map(c => [c._id, c.count])) });
+  } catch {
+    res.status(500).json({ message: 'Server error fetching emails.' });
+  }
+});
+
+app.post(['/api/admin/emails/:id/resend', '/admin/emails/:id/resend'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Email not found.' });
+    const email = await OutgoingEmail.findById(req.params.id);
+    if (!email) return res.status(404).json({ message: 'Email not found.' });
+    if (!['Failed', 'Bounced'].includes(email.status)) return res.status(409).json({ message: 'Only failed or bounced emails can be resent.' });
+    if (email.sensitive) return res.status(409).json({ message: 'This email contained a one-time link and cannot be resent. Ask the user to request a new one.' });
+
+    // The address may have been corrected since the email bounced.
+    if (email.userId) {
+      const user = await User.findById(email.userId).select('email');
+      if (user && user.email) email.to = user.email;
+    }
+    email.set({ status: 'Queued', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() });
+    await email.save();
+    kickEmailOutbox();
+    res.json(email);
+  } catch (error) {
+    console.error('Email resend error:', error);
+    res.status(500).json({ message: 'Server error resending email.' });
+  }
+});
+
+// For hosts without a long-running process (e.g. Vercel Cron), which call this with the shared secret.
+app.get(['/api/cron/email-outbox', '/cron/email-outbox'], async (req, res) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  try {
+    await ensureSetup();
+    res.json(await processEmailOutbox());
+  } catch (error) {
+    console.error('Email outbox cron error:', error);
+    res.status(500).json({ message: 'Server error sending queued emails.' });
+  }
+});
+
+/* Notification preferences */
+const NOTIFICATION_CATEGORY_LABELS = { fees: 'Fees', classChanges: 'Class changes', events: 'Events', notices: 'Notices' };
+
+// Account emails (password resets, alerts to admins) have no category and always go out.
+const wantsChannel = (user, category, channel) => !category || user.notificationPreferences?.[category]?.[channel] !== false;
+
+// Minutes since midnight in the given zone.
+const minutesOfDayIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+};
+
+// When the user's quiet hours end, or null if they are not in them now. A range such as 21:00-07:00 spans midnight.
+const getQuietHoursEnd = (user, now = new Date()) => {
+  const { quietHoursStart, quietHoursEnd } = user.notificationPreferences || {};
+  if (!quietHoursStart || !quietHoursEnd || quietHoursStart === quietHoursEnd) return null;
+  let minutes;
+  try {
+    minutes = minutesOfDayIn(now, user.timezone || DEFAULT_SCHEDULE_TIMEZONE);
+  } catch {
+    minutes = minutesOfDayIn(now, DEFAULT_SCHEDULE_TIMEZONE);
+  }
+  const start = toMinutes(quietHoursStart);
+  const end = toMinutes(quietHoursEnd);
+  const isQuiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  return isQuiet ? new Date(now.getTime() + ((end - minutes + 1440) % 1440) * 60 * 1000) : null;
+};
+
+// Unsubscribe links work without logging in, so they carry a signature over the user and category.
+const signUnsubscribeLink = (userId, category) => crypto.createHmac('sha256', JWT_SECRET).update(`unsubscribe:${userId}:${category}`).digest('hex');
+
+const getUnsubscribeUrl = (userId, category) =>
+  `${CLIENT_BASE_URL}/unsubscribe?user=${userId}&category=${category}&token=${signUnsubscribeLink(userId, category)}`;
+
+// Emails a user about something in a notification category: nothing is queued if they turned email off for it,
+// it waits for the end of their quiet hours, and it carries a link to unsubscribe from the category.
+const queueNotificationEmail = (user, category, { subject, message, attachments }) => {
+  if (!wantsChannel(user, category, 'email')) return null;
+  return queueEmail({
+    userId: user._id,
+    to: user.email,
+    subject,
+    html: createEmailTemplate(user.name, subject, message, getUnsubscribeUrl(user._id, category)),
+    attachments,
+    category: NOTIFICATION_CATEGORY_LABELS[category],
+    sendAfter: getQuietHoursEnd(user),
+  });
+};
+
+// The fields the sending paths need to honour a recipient's preferences.
+const NOTIFICATION_RECIPIENT_FIELDS = 'name email role contactNumber timezone notificationPreferences';
+
+const describeNotificationPreferences = (user) => {
+  const preferences = user.notificationPreferences || {};
+  const result = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    result[category] = {
+      email: wantsChannel(user, category, 'email'),
+      whatsApp: wantsChannel(user, category, 'whatsApp'),
+    };
+  }
+  result.quietHoursStart = preferences.quietHoursStart || null;
+  result.quietHoursEnd = preferences.quietHoursEnd || null;
+  return result;
+};
+
+// Builds the update for a preferences form; throws a message for the client if the quiet hours are unusable.
+const buildNotificationPreferencesUpdate = (body) => {
+  const $set = {};
+  const $unset = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    if (!body[category]) continue;
+    $set[`notificationPreferences.${category}.email`] = body[category].email !== false;
+    $set[`notificationPreferences.${category}.whatsApp`] = body[category].whatsApp !== false;
+  }
+  const { quietHoursStart, quietHoursEnd } = body;
+  if (quietHoursStart || quietHoursEnd) {
+    if (!TIME_OF_DAY_PATTERN.test(quietHoursStart || '') || !TIME_OF_DAY_PATTERN.test(quietHoursEnd || '')) {
+      throw new Error('Quiet hours need both a start and an end time (HH:mm).');
+    }
+    $set['notificationPreferences.quietHoursStart'] = quietHoursStart;
+    $set['notificationPreferences.quietHoursEnd'] = quietHoursEnd;
+  } else {
+    $unset['notificationPreferences.quietHoursStart'] = '';
+    $unset['notificationPreferences.quietHoursEnd'] = '';
+  }
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+};
+
+const saveNotificationPreferences = async (userId, body, res) => {
+  let update;
+  try {
+    update = buildNotificationPreferencesUpdate(body || {});
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  const user = await User.findByIdAndUpdate(userId, update, { new: true }).select('notificationPreferences');
+  if (!user) return res.status(404).json({ message: 'User not found.' });
+  res.json(describeNotificationPreferences(user));
+};
+
+app.get(['/api/profile/notification-preferences', '/profile/notification-preferences'], ensureAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json(describeNotificationPreferences(user));
+  } catch {
+    res.status(500).json({ message: 'Server error fetching notification preferences.' });
+  }
+});
+
+app.put(['/api/profile/notification-preferences', '/profile/notification-preferences'], ensureAuthenticated, async (req, res) => {
+  try {
+    await saveNotificationPreferences(req.user.id, req.body, res);
+  } catch {
+    res.status(500).json({ message: 'Server error saving notification preferences.' });
+  }
+});
+
+app.get(['/api/admin/users/:id/notification-preferences', '/admin/users/:id/notification-preferences'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'User not found.' });
+    const user = await User.findById(req.params.id).select('notificationPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json(describeNotificationPreferences(user));
+  } catch {
+    res.status(500).json({ message: 'Server error fetching notification preferences.' });
+  }
+});
+
+app.put(['/api/admin/users/:id/notification-preferences', '/admin/users/:id/notification-preferences'], ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'User not found.' });
+    await saveNotificationPreferences(req.params.id, req.body, res);
+  } catch {
+    res.status(500).json({ message: 'Server error saving notification preferences.' });
+  }
+});
+
+// The target of the unsubscribe link in notification emails; the signature stands in for a login.
+app.post(['/api/email/unsubscribe', '/email/unsubscribe'], async (req, res) => {
+  const { user: userId, category, token } = req.body;
+  if (!NOTIFICATION_CATEGORIES.includes(category) || !mongoose.Types.ObjectId.isValid(userId) || !signaturesMatch(token, signUnsubscribeLink(userId, category))) {
+    return res.status(400).json({ message: 'This unsubscribe link is invalid.' });
+  }
+  try {
+    const user = await User.findByIdAndUpdate(userId, { $set: { [`notificationPreferences.${category}.email`]: false } }, { new: true }).select('email');
+    if (!user) return res.status(404).json({ message: 'This unsubscribe link is invalid.' });
+    res.json({ message: `${user.email} will no longer receive emails about ${NOTIFICATION_CATEGORY_LABELS[category].toLowerCase()}. You will still see these notifications in the portal.` });
+  } catch {
+    res.status(500).json({ message: 'Server error unsubscribing.' });
+  }
+});
+
+/* Notifications (user) */
+// Live notifications: each open stream is registered under every user whose notifications its session sees (a
+// guardian also sees their students'), and new, read and removed (archived or deleted) notifications are pushed to
+// it as server-sent events with the unread count. Only a long-running server can hold the connections, so serverless
+// deployments answer 503 and the client falls back to polling.
+let canStreamNotifications = false;
+const notificationStreams = new Map(); // userId -> Set of { res, userIds }
+const NOTIFICATION_STREAM_RETRY_MS = 10 * 1000;
+const NOTIFICATION_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+const countUnreadNotifications = (userIds) => Notification.countDocuments({ userId: { $in: userIds }, read: false });
+
+const writeStreamEvent = (stream, event, data) => stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const pushNotificationEvent = async (userId, event, payload) => {
+  const streams = notificationStreams.get(userId.toString());
+  if (!streams) return;
+  for (const stream of streams) {
+    writeStreamEvent(stream, event, { ...payload, unreadCount: await countUnreadNotifications(stream.userIds) });
+  }
+};
+
+// Tells each stream that sees any of `notifications` which of them changed, in one event per stream.
+const pushNotificationChanges = async (event, notifications) => {
+  const idsByStream = new Map();
+  for (const notification of notifications) {
+    for (const stream of notificationStreams.get(notification.userId.toString()) || []) {
+      if (!idsByStream.has(stream)) idsByStream.set(stream, []);
+      idsByStream.get(stream).push(notification.id);
+    }
+  }
+  for (const [stream, ids] of idsByStream) {
+    writeStreamEvent(stream, event, { ids, unreadCount: await countUnreadNotifications(stream.userIds) });
+  }
+};
+
+const publishNotification = (notification) => {
+  pushNotificationEvent(notification.userId, 'notification', { notification: notification.toJSON() })
+    .catch(err => console.error('[Notifications] Live push failed:', err));
+};
+
+// Saves notifications outside any transaction and publishes them. Inside a transaction, save with the
+// session and call publishNotification after the commit instead, so a rolled-back write is never pushed.
+const createNotifications = async (entries) => {
+  const notifications = await Notification.insertMany(entries);
+  notifications.forEach(publishNotification);
+  return notifications;
+};
+
+app.get(['/api/notifications/stream', '/notifications/stream'], ensureAuthenticated, async (req, res) => {
+  if (!canStreamNotifications) return res.status(503).json({ message: 'Live notifications are not available on this server.' });
+  try {
+    const userIds = (await getFamilyMemberIds(req.user)).map(String);
+    if (req.socket.destroyed) return;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.write(`retry: ${NOTIFICATION_STREAM_RETRY_MS}\n\n`);
+
+    const stream = { res, userIds };
+    for (const id of userIds) {
+      if (!notificationStreams.has(id)) notificationStreams.set(id, new Set());
+      notificationStreams.get(id).add(stream);
+    }
+    // Comments keep proxies from closing an idle connection.
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), NOTIFICATION_STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      for (const id of userIds) {
+        const streams = notificationStreams.get(id);
+        if (!streams) continue;
+        streams.delete(stream);
+        if (streams.size === 0) notificationStreams.delete(id);
+      }
+    });
+    writeStreamEvent(stream, 'unread', { unreadCount: await countUnreadNotifications(userIds) });
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) res.status(500).json({ message: 'Server error opening the notification stream.' });
+    else res.end();
+  }
+});
+
+const NOTIFICATION_PAGE_SIZE = 20;
+const MAX_NOTIFICATION_PAGE_SIZE = 100;
+
+// Pages are ordered newest first. The cursor is the creation time and id of the last notification on the previous
+// page; the id orders notifications created in the same millisecond, e.g. by insertMany.
+const encodeNotificationCursor = (notification) => `${notification.createdAt.getTime()}_${notification.id}`;
+
+const decodeNotificationCursor = (cursor) => {
+  const match = /^(\d+)_([a-f0-9]{24})$/.exec(cursor);
+  return match && { createdAt: new Date(Number(match[1])), id: new mongoose.Types.ObjectId(match[2]) };
+};
+
+// The users whose notifications a request acts on: the session's family, or one member of it when `studentId` is
+// given. Null when `studentId` is not in the family.
+const getNotificationOwnerIds = async (sessionUser, studentId) => {
+  const familyIds = await getFamilyMemberIds(sessionUser);
+  if (!studentId) return familyIds;
+  return familyIds.includes(String(studentId)) ? [String(studentId)] : null;
+};
+
+app.get(['/api/notifications', '/notifications'], ensureAuthenticated, async (req, res) => {
+  try {
+    const ownerIds = await getNotificationOwnerIds(req.user, req.query.studentId);
+    if (!ownerIds) return res.status(404).json({ message: 'Student not found in your family.' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || NOTIFICATION_PAGE_SIZE, 1), MAX_NOTIFICATION_PAGE_SIZE);
+    const filter = { userId: { $in: ownerIds }, archivedAt: req.query.archived === 'true' ? { $ne: null } : null };
+    if (req.query.unread === 'true') filter.read = false;
+    if (req.query.cursor) {
+      const cursor = decodeNotificationCursor(String(req.query.cursor));
+      if (!cursor) return res.status(400).json({ message: 'Invalid cursor.' });
+      filter.$or = [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }];
+    }
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1),
+      countUnreadNotifications(ownerIds),
+    ]);
+    const hasMore = notifications.length > limit;
+    if (hasMore) notifications.pop();
+    res.json({
+      notifications,
+      nextCursor: hasMore ? encodeNotificationCursor(notifications[notifications.length - 1]) : null,
+      unreadCount,
+    });
+  } catch {
+    res.status(500).json({ message: 'Server error fetching notifications.' });
+  }
+});
+
+app.put(['/api/notifications/read-all', '/notifications/read-all'], ensureAuthenticated, async (req, res) => {
+  try {
+    const ownerIds = await getNotificationOwnerIds(req.user, req.body?.studentId);
+    if (!ownerIds) return res.status(404).json({ message: 'Student not found in your family.' });
+    const unread = await Notification.find({ userId: { $in: ownerIds }, read: false }).select('userId');
+    if (unread.length > 0) {
+      await Notification.updateMany({ _id: { $in: unread.map(n => n._id) } }, { read: true });
+      pushNotificationChanges('read', unread).catch(err => console.error('[Notifications] Live push failed:', err));
+    }
+    res.json({ updated: unread.length, unreadCount: await countUnreadNotifications(ownerIds) });
+  } catch {
+    res.status(500).json({ message: 'Server error updating notifications.' });
+  }
+});
+
+app.put(['/api/notifications/:id/read', '/notifications/:id/read'], ensureAuthenticated, async (req, res) => {
+  try {
+    const familyIds = await getFamilyMemberIds(req.user);
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: { $in: familyIds } },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ message: 'Notification not found or not permitted.' });
+    pushNotificationChanges('read', [notification]).catch(err => console.error('[Notifications] Live push failed:', err));
+    res.json(notification);
+  } catch {
+    res.status(500).json({ message: 'Server error updating notification.' });
+  }
+});
+
+app.put(['/api/notifications/:id/archive', '/notifications/:id/archive'], ensureAuthenticated, async (req, res) => {
+  try {
+    const archive = req.body?.archived !== false;
+    const familyIds = await getFamilyMemberIds(req.user);
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: { $in: familyIds } },
+      archive ? { archivedAt: new Date(), read: true } : { $unset: { archivedAt: 1 } },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ message: 'Notification not found or not permitted.' });
+    if (archive) pushNotificationChanges('removed', [notification]).catch(err => console.error('[Notifications] Live push failed:', err));
+    res.json(notification);
+  } catch {
+    res.status(500).json({ message: 'Server error updating notification.' });
+  }
+});
+
+app.delete(['/api/notifications/:id', '/notifications/:id'], ensureAuthenticated, async (req, res) => {
+  try {
+    const familyIds = await getFamilyMemberIds(req.user);
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: { $in: familyIds } });
+    if (!notification) return res.status(404).json({ message: 'Notification not found or not permitted.' });
+    pushNotificationChanges('removed', [notification]).catch(err => console.error('[Notifications] Live push failed:', err));
+    res.status(204).send();
+  } catch {
+    res.status(500).json({ message: 'Server error deleting notification.' });
   }
 });
 
@@ -1274,6 +5443,9 @@ app.get(['/api/events', '/events'], ensureAuthenticated, (req, res) => getConten
 app.get(['/api/grade-exams', '/grade-exams'], ensureAuthenticated, (req, res) => getContentForUser(GradeExam, req, res));
 app.get(['/api/book-materials', '/book-materials'], ensureAuthenticated, (req, res) => getContentForUser(BookMaterial, req, res));
 app.get(['/api/notices', '/notices'], ensureAuthenticated, (req, res) => getContentForUser(Notice, req, res));
+app.get(['/api/teacher/events', '/teacher/events'], ensureTeacher, (req, res) => getContentForUser(Event, req, res));
+app.get(['/api/teacher/book-materials', '/teacher/book-materials'], ensureTeacher, (req, res) => getContentForUser(BookMaterial, req, res));
+app.get(['/api/teacher/notices', '/teacher/notices'], ensureTeacher, (req, res) => getContentForUser(Notice, req, res));
 
 /* Admin: Content Management */
 app.get(['/api/admin/trash', '/admin/trash'], ensureAdmin, async (_req, res) => {
@@ -1338,9 +5510,13 @@ if (process.env.NODE_ENV !== 'production') {
 async function startServer() {
   try {
     await ensureSetup();
+    canStreamNotifications = true;
     app.listen(PORT, () => {
       console.log(`[Server] ✅ Server is running for local development on http://localhost:${PORT}`);
     });
+    startInvoiceJobSchedule();
+    startEmailOutboxWorker();
+    startWhatsAppSchedule();
   } catch (err) {
     console.error('[Server] 🚨 Failed to start local server:', err);
     process.exit(1);
@@ -25,6 +25,89 @@ export interface Notification {
     read: boolean;
     createdAt: string;
     link?: string;
+    archivedAt?: string;
+}
+
+// One page of an inbox, newest first. `nextCursor` fetches the next page and is null on the last one; `unreadCount`
+// covers the whole inbox being viewed, not just this page.
+export interface NotificationPage {
+    notifications: Notification[];
+    nextCursor: string | null;
+    unreadCount: number;
+}
+
+// `studentId` narrows a family's inbox to one member. Archived notifications are only listed with `archived`.
+export interface NotificationQuery {
+    cursor?: string;
+    limit?: number;
+    unread?: boolean;
+    archived?: boolean;
+    studentId?: string;
+}
+
+// WhatsApp consent is kept per phone number; `phoneNumber` is the user's contact number in international form.
+export interface WhatsAppOptInStatus {
+    available: boolean; // whether the server can send WhatsApp messages
+    phoneNumber: string | null; // null when the contact number is not a valid phone number
+    optedIn: boolean;
+    updatedAt: string | null;
+}
+
+export type WhatsAppMessageStatus = 'Scheduled' | 'Sent' | 'Delivered' | 'Read' | 'Failed' | 'Skipped';
+
+export interface WhatsAppMessage {
+    id: string;
+    userId: string;
+    user?: { id: string; name: string; role: string };
+    phoneNumber?: string;
+    contentType?: string;
+    contentId?: string;
+    template: string;
+    status: WhatsAppMessageStatus;
+    scheduledFor?: string; // when a message held back by quiet hours goes out
+    reason?: string; // why a message was skipped or failed
+    createdAt: string;
+    updatedAt: string;
+}
+
+export type NotificationCategory = 'fees' | 'classChanges' | 'events' | 'notices';
+
+export interface NotificationChannels {
+    email: boolean;
+    whatsApp: boolean; // also needs the contact number's WhatsApp opt-in
+}
+
+// In-app notifications are always shown; these choose the other channels per category. Quiet hours are HH:mm in the
+// user's timezone and hold back email and WhatsApp until they end.
+export type NotificationPreferences = Record<NotificationCategory, NotificationChannels> & {
+    quietHoursStart: string | null;
+    quietHoursEnd: string | null;
+};
+
+export type OutgoingEmailStatus = 'Queued' | 'Sent' | 'Failed' | 'Bounced';
+
+// An email in the server's outbox. The body is never returned; attachments are listed by filename.
+export interface OutgoingEmail {
+    id: string;
+    userId?: string;
+    to: string;
+    subject: string;
+    category?: string;
+    sensitive: boolean; // carried a one-time link, so it cannot be resent
+    status: OutgoingEmailStatus;
+    attempts: number;
+    nextAttemptAt: string;
+    lastError?: string;
+    messageId?: string;
+    sentAt?: string;
+    attachments: string[];
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface OutgoingEmailList {
+    emails: OutgoingEmail[];
+    counts: Partial<Record<OutgoingEmailStatus, number>>;
 }
 
 export enum UserRole {
@@ -91,7 +174,7 @@ export interface User {
   contactNumber?: string;
   alternateContactNumber?: string;
   address?: string;
-  schedules?: { course: string, timing: string, teacherId?: string }[];
+  schedules?: StudentSchedule[];
   documents?: Document[];
   dateOfJoining?: string;
   country?: string;
@@ -117,7 +200,7 @@ export interface User {
   educationalQualifications?: string;
   employmentType?: EmploymentType;
   yearsOfExperience?: number;
-  availableTimeSlots?: string[];
+  availability?: ScheduleSlot[];
 
   // Soft delete fields
   isDeleted?: boolean;
@@ -125,6 +208,19 @@ export interface User {
 }
 
 
+// --- Family Types ---
+export interface Family {
+  id: string;
+  name: string;
+  guardianIds: string[];
+  studentIds: string[];
+  createdAt: string;
+  // populated fields for display
+  guardians?: Pick<User, 'id' | 'name' | 'email'>[];
+  students?: Pick<User, 'id' | 'name' | 'email'>[];
+}
+
+
 export interface ContactFormData {
     name: string;
     email: string;
@@ -146,8 +242,25 @@ export interface DashboardStats {
   offlinePreference: number;
 }
 
-export interface BatchSchedule {
+// A weekly recurring slot. `timing` is the human-readable label ("Monday 09:00 - 10:00"); the server
+// derives it from the structured fields, and fills the fields in when only a label is sent.
+export interface ScheduleSlot {
   timing: string;
+  weekday?: number; // 0 = Sunday
+  startTime?: string; // HH:mm
+  endTime?: string; // HH:mm
+  timezone?: string; // IANA zone the times are in
+  effectiveFrom?: string; // YYYY-MM-DD, inclusive
+  effectiveTo?: string; // YYYY-MM-DD, inclusive
+  durationMinutes?: number; // read-only
+}
+
+export interface StudentSchedule extends ScheduleSlot {
+  course: string;
+  teacherId?: string;
+}
+
+export interface BatchSchedule extends ScheduleSlot {
   studentIds: string[];
 }
 
@@ -162,6 +275,23 @@ export interface Batch {
   mode?: ClassPreference.Online | ClassPreference.Offline;
   locationId?: string;
   location?: Location; // Populated field
+  startDate?: string | null; // YYYY-MM-DD; students are not billed for the time before it
+}
+
+// Sent when saving a batch; set overrideConflicts once the admin has reviewed the clashes.
+export type BatchSaveRequest = Partial<Batch> & { overrideConflicts?: boolean };
+
+export interface BatchConflict {
+  type: 'teacher' | 'student' | 'location';
+  timing: string; // slot in the batch being saved
+  batchId: string; // the other batch
+  batchName: string;
+  conflictingTiming: string;
+  teacherName?: string;
+  studentId?: string;
+  studentName?: string;
+  locationName?: string;
+  message: string;
 }
 
 // --- Student Enrollment Type ---
@@ -174,6 +304,85 @@ export interface StudentEnrollment {
     location?: Location;
 }
 
+// --- Teacher Portal Types ---
+export type TeacherRosterStudent = Pick<User, 'id' | 'name' | 'email' | 'contactNumber' | 'alternateContactNumber' | 'fatherName' | 'photoUrl' | 'grade' | 'status'>;
+
+export interface TeacherRosterEntry {
+    batchId: string;
+    batchName: string;
+    courseName: string;
+    mode?: ClassPreference.Online | ClassPreference.Offline;
+    location?: Location;
+    schedule: { timing: string; students: TeacherRosterStudent[] }[];
+}
+
+export interface TeacherSession {
+    date: string; // YYYY-MM-DD
+    startTime: string; // HH:mm
+    endTime: string; // HH:mm
+    timezone: string;
+    timing: string;
+    batchId: string;
+    batchName: string;
+    courseName: string;
+    mode?: ClassPreference.Online | ClassPreference.Offline;
+    locationName?: string;
+    studentCount: number;
+}
+
+export interface TeacherCourse extends Course {
+    batchCount: number;
+    studentCount: number;
+}
+
+// --- Attendance Types ---
+export enum AttendanceStatus {
+    Present = 'Present',
+    Absent = 'Absent',
+    Late = 'Late',
+    Excused = 'Excused',
+}
+
+export interface AttendanceRecord {
+    studentId: string;
+    status: AttendanceStatus;
+    note?: string;
+}
+
+export interface AttendanceSheet {
+    batchId: string;
+    batchName: string;
+    courseName: string;
+    date: string; // YYYY-MM-DD
+    timing: string;
+    students: Pick<User, 'id' | 'name' | 'photoUrl'>[];
+    records: AttendanceRecord[];
+    updatedAt?: string;
+}
+
+export interface AttendanceSummary {
+    present: number;
+    late: number;
+    absent: number;
+    excused: number;
+    total: number;
+    rate: number | null; // percent, excused sessions excluded
+}
+
+export interface AttendanceReport {
+    month: string; // YYYY-MM
+    threshold: number;
+    students: (AttendanceSummary & { studentId: string; studentName: string; batchId: string; batchName: string; courseName: string })[];
+    batches: (AttendanceSummary & { batchId: string; batchName: string; courseName: string; sessions: number })[];
+}
+
+export interface StudentAttendanceHistory {
+    from: string;
+    to: string;
+    summary: AttendanceSummary;
+    sessions: { date: string; timing: string; batchName?: string; courseName?: string; status: AttendanceStatus; note?: string }[];
+}
+
 // --- Fee Management Types ---
 
 export enum BillingCycle {
@@ -187,17 +396,82 @@ export enum Currency {
     USD = 'USD',
 }
 
+export enum BillingAnchor {
+    Calendar = 'Calendar',
+    Anniversary = 'Anniversary', // periods start on the student's dateOfJoining
+}
+
+// What a student starting part way through a billing period is charged for it.
+export enum ProrationPolicy {
+    Full = 'Full',
+    Prorate = 'Prorate', // by sessionsPerCycle when set, otherwise by days
+    Waive = 'Waive',
+}
+
+export enum DiscountType {
+    Percentage = 'Percentage',
+    Fixed = 'Fixed',
+}
+
+export interface FeeDiscount {
+    name: string;
+    type: DiscountType;
+    value: number;
+    validFrom?: string; // YYYY-MM-DD, inclusive
+    validTo?: string;
+}
+
+export interface SiblingDiscount {
+    siblingNumber: number; // applies from this child of a family onwards
+    type: DiscountType;
+    value: number;
+}
+
+// Charged once on an invoice still unpaid more than `graceDays` after its due date.
+export interface LateFeeRule {
+    type: DiscountType;
+    value: number; // percentage of the invoice amount, or a fixed amount
+    graceDays: number;
+    cap?: number; // maximum late fee
+}
+
 export interface FeeStructure {
     id: string;
     courseId: string;
     courseName: string;
+    // Narrow the structure to matching batch enrolments; null or unset matches any.
+    mode?: ClassPreference.Online | ClassPreference.Offline | null;
+    locationId?: string | null;
+    grade?: Grade | null;
+    effectiveFrom?: string | null; // YYYY-MM-DD, first billing period the price applies to
     amount: number;
     currency: Currency;
     billingCycle: BillingCycle;
+    billingAnchor?: BillingAnchor;
+    prorationPolicy?: ProrationPolicy;
+    sessionsPerCycle?: number | null;
+    discounts?: FeeDiscount[];
+    siblingDiscounts?: SiblingDiscount[];
+    lateFee?: LateFeeRule | null; // null removes the rule when saving
+}
+
+export interface Scholarship {
+    id: string;
+    studentId: string;
+    feeStructureId?: string; // all of the student's courses when unset, otherwise every structure of its course
+    name: string;
+    type: DiscountType;
+    value: number;
+    validFrom: string;
+    validTo?: string;
+    notes?: string;
+    // populated fields for display
+    student?: Pick<User, 'id' | 'name' | 'email'>;
 }
 
 export enum InvoiceStatus {
     Pending = 'Pending',
+    PartiallyPaid = 'PartiallyPaid',
     Paid = 'Paid',
     Overdue = 'Overdue',
 }
@@ -207,32 +481,329 @@ export enum PaymentMethod {
     BankTransfer = 'Bank Transfer',
     UPI = 'UPI',
     Card = 'Card',
+    Online = 'Online',
+    FamilyCredit = 'Family Credit',
 }
 
 export interface PaymentDetails {
     paymentDate: string;
-    amountPaid: number;
+    amount: number;
     paymentMethod: PaymentMethod;
     referenceNumber?: string;
     notes?: string;
 }
 
+// Ledger entry on an invoice. Reversals cancel the payment named by `reversesPaymentId`; refunds return
+// overpaid money to the payer or into the family credit balance.
+export interface InvoicePayment {
+    id: string;
+    type: 'Payment' | 'Reversal' | 'Refund';
+    amount: number;
+    paymentDate: string;
+    paymentMethod?: PaymentMethod;
+    referenceNumber?: string;
+    notes?: string;
+    reversesPaymentId?: string;
+    reason?: string;
+    recordedAt: string;
+}
+
+export interface InvoiceReminder {
+    offsetDays: number; // reminder step relative to the due date; negative = before
+    sentAt: string;
+    recipients: string[];
+    channels: ('email' | 'in-app')[];
+}
+
+export interface InvoiceLineItem {
+    type: 'Fee' | 'Discount' | 'Sibling' | 'Scholarship' | 'LateFee' | 'CreditNote';
+    description: string;
+    amount: number; // discounts and credit notes are positive amounts taken off the fee
+}
+
+// How the fee of a partly attended first billing period was worked out.
+export interface InvoiceProration {
+    startDate: string;
+    unit: 'sessions' | 'days';
+    billedUnits: number;
+    totalUnits: number;
+    fullAmount: number;
+}
+
+// A waived late fee is no longer charged; the record remains as the audit trail.
+export interface InvoiceLateFee {
+    amount: number;
+    appliedAt: string;
+    waivedAt?: string;
+    waivedBy?: string;
+    waiverReason?: string;
+}
+
+// GST on an invoice. Fees include GST, so `taxableAmount` plus the tax equals the invoice amount.
+export interface InvoiceGst {
+    gstin: string;
+    sacCode?: string;
+    rate: number; // percent
+    placeOfSupply?: string;
+    interState: boolean; // IGST instead of CGST + SGST
+    taxableAmount: number;
+    cgst: number;
+    sgst: number;
+    igst: number;
+}
+
 export interface Invoice {
     id: string;
+    invoiceNumber?: string; // e.g. NDL/2026-27/00042; assigned when generated, or on first download for older invoices
     studentId: string;
     feeStructureId: string;
     courseName: string;
-    amount: number;
+    amount: number; // net, after discounts, credit notes and any late fee
+    grossAmount?: number;
+    discountAmount?: number;
+    lineItems?: InvoiceLineItem[];
+    proration?: InvoiceProration;
+    lateFee?: InvoiceLateFee;
+    gst?: InvoiceGst;
     currency: string;
     issueDate: string;
     dueDate: string;
     billingPeriod: string;
+    billingCycle?: BillingCycle;
+    periodStart?: string;
+    periodEnd?: string;
     status: InvoiceStatus;
-    paymentDetails?: PaymentDetails;
+    payments: InvoicePayment[];
+    amountPaid: number;
+    balanceDue: number; // negative when overpaid
+    reminders?: InvoiceReminder[];
     // populated fields for display
     student?: Pick<User, 'id' | 'name' | 'email'>;
 }
 
+export interface RefundDetails {
+    amount: number;
+    paymentDate: string;
+    paymentMethod: PaymentMethod;
+    referenceNumber?: string;
+    reason: string;
+}
+
+// A movement on the family credit balance: positive when an overpayment is kept as credit,
+// negative when credit pays an invoice.
+export interface FamilyCreditEntry {
+    id: string;
+    studentId: string;
+    invoiceId: string;
+    amount: number;
+    currency: string;
+    description: string;
+    createdAt: string;
+}
+
+export interface FamilyCreditSummary {
+    balances: { currency: string; balance: number }[];
+    entries: FamilyCreditEntry[];
+}
+
+// What a family needs to pay the balance of an invoice by UPI.
+export interface UpiPaymentRequest {
+    uri: string; // upi://pay intent
+    qrCode: string; // PNG data URL of the intent
+    vpa: string;
+    payeeName: string;
+    amount: number;
+    currency: string;
+    reference: string; // the invoice number, also in the note
+    note: string;
+}
+
+// One line of a bank statement to match against invoices.
+export interface UpiTransaction {
+    paymentDate: string;
+    amount: number;
+    transactionId?: string;
+    description: string;
+}
+
+export type UpiMatchStatus = 'Matched' | 'Partial' | 'Overpaid' | 'AlreadyPaid' | 'AlreadyRecorded' | 'Unmatched';
+
+export interface UpiMatch extends UpiTransaction {
+    status: UpiMatchStatus;
+    invoiceId?: string;
+    invoiceNumber?: string;
+    studentName?: string;
+    courseName?: string;
+    balanceDue?: number;
+}
+
+// --- Teacher Payroll ---
+
+export enum CompensationType {
+    Monthly = 'Monthly', // fixed amount each month
+    PerSession = 'PerSession', // rate for every class taught
+    PerStudent = 'PerStudent', // rate for every student in every class taught
+}
+
+export enum PayoutMethod {
+    BankTransfer = 'Bank Transfer',
+    UPI = 'UPI',
+    Cash = 'Cash',
+    Cheque = 'Cheque',
+}
+
+export interface TeacherCompensation {
+    id: string;
+    teacherId: string;
+    type: CompensationType;
+    rate: number;
+    currency: Currency;
+    notes?: string;
+    updatedAt: string;
+}
+
+// `students` counts those present when attendance was taken, otherwise those enrolled.
+export interface PayslipSession {
+    date: string;
+    timing: string;
+    batchId?: string;
+    batchName?: string;
+    courseName?: string;
+    students: number;
+    attendanceTaken: boolean;
+}
+
+export interface PayslipAdjustment {
+    description: string;
+    amount: number; // negative for deductions
+}
+
+export interface Payout {
+    paidAt: string;
+    method: PayoutMethod;
+    referenceNumber?: string;
+    notes?: string;
+}
+
+export type PayslipStatus = 'Draft' | 'Approved' | 'Paid';
+
+export interface Payslip {
+    id: string;
+    teacherId: string;
+    teacher?: { id: string; name: string; email: string };
+    month: string; // YYYY-MM
+    compensationType: CompensationType;
+    rate: number;
+    currency: Currency;
+    sessions: PayslipSession[];
+    grossAmount: number;
+    adjustments: PayslipAdjustment[];
+    netAmount: number;
+    status: PayslipStatus;
+    approvedAt?: string;
+    payout?: Payout;
+    calculatedAt: string;
+}
+
+// --- Financial Reports ---
+
+// Every report covers `from` to `to` (inclusive, YYYY-MM-DD) in one currency.
+export interface ReportFilters {
+    from: string;
+    to: string;
+    currency: Currency;
+}
+
+export interface ReportTotal {
+    label: string;
+    amount: number;
+    count: number; // ledger entries added up
+}
+
+export interface AgeingInvoice {
+    invoiceId: string;
+    invoiceNumber: string;
+    studentName: string;
+    courseName: string;
+    billingPeriod: string;
+    dueDate: string;
+    balanceDue: number;
+    daysOverdue: number;
+    bucket: string;
+}
+
+export interface FinanceReport {
+    from: string;
+    to: string;
+    currency: Currency;
+    // Money received in the range, net of reversals; family credit movements are left out.
+    revenue: {
+        collected: number;
+        refunded: number;
+        net: number;
+        byMonth: ReportTotal[]; // label is YYYY-MM
+        byCourse: ReportTotal[];
+        byLocation: ReportTotal[];
+        byPaymentMethod: ReportTotal[];
+    };
+    // Invoices issued in the range.
+    invoicing: {
+        count: number;
+        gross: number;
+        discounts: number;
+        lateFees: number;
+        creditNotes: number;
+        invoiced: number;
+        collected: number;
+        collectionRate: number | null; // percent
+    };
+    ageing: {
+        asOf: string;
+        outstanding: number;
+        overdue: number;
+        buckets: ReportTotal[];
+        invoices: AgeingInvoice[];
+    };
+}
+
+export type FinanceReportSection = 'revenue-by-month' | 'revenue-by-course' | 'revenue-by-location' | 'revenue-by-payment-method' | 'ageing';
+
+// A positive balance is owed by the family.
+export interface FamilyStatementSummary {
+    studentId: string; // any student of the family, to fetch the full statement
+    name: string;
+    students: string;
+    opening: number;
+    charges: number;
+    payments: number;
+    closing: number;
+    creditBalance: number;
+}
+
+export interface FamilyStatementLine {
+    date: string;
+    studentId: string;
+    studentName: string;
+    reference: string;
+    description: string;
+    debit: number;
+    credit: number;
+    balance: number;
+}
+
+export interface FamilyStatement {
+    from: string;
+    to: string;
+    currency: Currency;
+    name: string;
+    students: string[];
+    opening: number;
+    charges: number;
+    payments: number;
+    closing: number;
+    lines: FamilyStatementLine[];
+}
+
 // --- New Content Types ---
 
 export interface Event {